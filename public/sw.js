@@ -0,0 +1,91 @@
+/**
+ * PeerDrop service worker
+ *
+ * Turns a stream of chunks posted from the page into a regular browser download, so received
+ * files go straight to disk without being held in memory. The page registers a download over
+ * a MessageChannel, then navigates to DOWNLOAD_PREFIX + id; this worker answers that request
+ * with a streamed response fed by the channel.
+ *
+ * Page -> worker messages on the port: { type: 'chunk', chunk: ArrayBuffer } | { type: 'end' } | { type: 'abort' }
+ * Worker -> page messages on the port: { type: 'registered' } | { type: 'ack' } | { type: 'cancelled' }
+ */
+
+const DOWNLOAD_PREFIX = '/__peerdrop_download/';
+
+const downloads = new Map(); // Map of download id -> { stream, name, size, mimeType }
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type !== 'register_download') {
+    return;
+  }
+
+  const { id, name, size, mimeType } = event.data;
+  const port = event.ports[0];
+  let waitingForSpace = false;
+
+  const stream = new ReadableStream({
+    start(controller) {
+      port.onmessage = ({ data }) => {
+        if (data.type === 'chunk') {
+          controller.enqueue(new Uint8Array(data.chunk));
+          // Ack immediately while the queue has room, otherwise once the browser pulls
+          if (controller.desiredSize > 0) {
+            port.postMessage({ type: 'ack' });
+          } else {
+            waitingForSpace = true;
+          }
+        } else if (data.type === 'end') {
+          controller.close();
+        } else if (data.type === 'abort') {
+          controller.error(new Error('Transfer aborted'));
+        }
+      };
+    },
+    pull() {
+      if (waitingForSpace) {
+        waitingForSpace = false;
+        port.postMessage({ type: 'ack' });
+      }
+    },
+    cancel() {
+      // The user cancelled the download in the browser
+      port.postMessage({ type: 'cancelled' });
+    }
+  }, { highWaterMark: 16 });
+
+  downloads.set(id, { stream, name, size, mimeType });
+  port.postMessage({ type: 'registered' });
+});
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url);
+  if (!url.pathname.startsWith(DOWNLOAD_PREFIX)) {
+    return;
+  }
+
+  const id = decodeURIComponent(url.pathname.slice(DOWNLOAD_PREFIX.length));
+  const download = downloads.get(id);
+  if (!download) {
+    event.respondWith(new Response('Download not found', { status: 404 }));
+    return;
+  }
+  downloads.delete(id);
+
+  const headers = {
+    'Content-Type': download.mimeType || 'application/octet-stream',
+    'Content-Disposition': `attachment; filename*=UTF-8''${encodeURIComponent(download.name)}`
+  };
+  if (Number.isSafeInteger(download.size)) {
+    headers['Content-Length'] = String(download.size);
+  }
+
+  event.respondWith(new Response(download.stream, { headers }));
+});
@@ -1,23 +1,50 @@
 import express from 'express';
 import cors from 'cors';
+import fs from 'fs';
+import path from 'path';
+import process from 'process';
+import { fileURLToPath } from 'url';
 import { createServer } from 'http';
+import { createServer as createSecureServer } from 'https';
 import { getLocalIP } from './utils/network.js';
-import { initializeUDPServer, broadcastDiscovery } from './services/discovery.js';
+import { initializeUDPServer, refreshPresence, checkStaticPeers } from './services/discovery.js';
+import { describeDiscoveryConfig, getConfigErrors } from './services/discoveryConfig.js';
 import { initializeWebSocketServer } from './services/websocket.js';
+import { getDeviceId } from './services/identity.js';
+import { initializeMdns, stopMdns } from './services/mdns.js';
+import { MAX_SIGNALING_MESSAGE } from './services/validation.js';
+import { TLS_ENABLED, getTlsCredentials } from './services/tls.js';
+import { corsOptions, checkOrigin, describeAllowedOrigins } from './services/origins.js';
 import apiRoutes from './routes/api.js';
 
+// Refuse to start with a configuration that would silently do something else than intended
+const configErrors = getConfigErrors();
+if (configErrors.length > 0) {
+  configErrors.forEach(error => console.error(`❌ ${error}`));
+  console.error('❌ Fix the configuration and start again');
+  process.exit(1);
+}
+
 const app = express();
 const PORT = 3001;
+const SCHEME = TLS_ENABLED ? 'https' : 'http';
+const UI_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'dist');
 
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors(corsOptions));
+app.use(checkOrigin);
+app.use(express.json({ limit: MAX_SIGNALING_MESSAGE }));
 
 // API Routes
 app.use('/api', apiRoutes);
 
-// Create HTTP server
-const server = createServer(app);
+// Serve the built UI (npm run build), so other devices can open it at this server's address
+if (fs.existsSync(UI_DIR)) {
+  app.use(express.static(UI_DIR));
+}
+
+// Create HTTP server, or HTTPS with our self-signed certificate in TLS mode
+const server = TLS_ENABLED ? createSecureServer(await getTlsCredentials(), app) : createServer(app);
 
 // Initialize WebSocket server
 initializeWebSocketServer(server);
@@ -25,16 +52,40 @@ initializeWebSocketServer(server);
 // Initialize UDP discovery server
 initializeUDPServer();
 
+// Advertise and browse _peerdrop._tcp.local
+initializeMdns();
+
 // Start server
 server.listen(PORT, () => {
-  console.log(`🚀 PeerDrop Server running on http://localhost:${PORT}`);
+  console.log(`🚀 PeerDrop Server running on ${SCHEME}://localhost:${PORT}${TLS_ENABLED ? ' (TLS)' : ''}`);
   const localIP = getLocalIP(true); // Force log on startup
   console.log(`📡 Network: ${localIP}`);
-  console.log(`\n✅ Server is ready! Connect your frontend to http://localhost:${PORT}`);
+  console.log(`🆔 Device ID: ${getDeviceId()}`);
+  console.log(`🌐 Allowed browser origins: ${describeAllowedOrigins()}`);
+  const discoveryConfig = describeDiscoveryConfig();
+  if (discoveryConfig) {
+    console.log(`🔭 Discovery: ${discoveryConfig}`);
+    checkStaticPeers();
+  }
+  console.log(`\n✅ Server is ready! Connect your frontend to ${SCHEME}://localhost:${PORT}`);
   
-  // Periodically broadcast our presence
+  // Periodically announce our presence and refresh (and expire) the peers we know
   setInterval(() => {
-    broadcastDiscovery();
+    refreshPresence();
   }, 10000); // Every 10 seconds
 });
 
+// Say goodbye over mDNS before exiting, so other devices drop us right away
+let shuttingDown = false;
+const shutdown = async (signal) => {
+  if (shuttingDown) {
+    process.exit(1); // Second Ctrl+C: don't wait any longer
+  }
+  shuttingDown = true;
+  console.log(`\n👋 ${signal} received, shutting down`);
+  setTimeout(() => process.exit(0), 2000).unref(); // Don't hang on a stuck network
+  await stopMdns().catch((error) => console.error('mDNS error:', error));
+  process.exit(0);
+};
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
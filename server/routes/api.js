@@ -1,11 +1,62 @@
 import express from 'express';
-import { getLocalIP } from '../utils/network.js';
-import { getPeers, clearPeers } from '../services/peerManager.js';
-import { discoverPeers } from '../services/discovery.js';
-import { handleForwardedMessage, getPendingSignaling } from '../services/websocket.js';
+import { Buffer } from 'buffer';
+import { getLocalIP, isLanAddress } from '../utils/network.js';
+import { getPeers, getPeer, clearPeers } from '../services/peerManager.js';
+import { startDiscovery, getDiscoveryStatus, cancelDiscovery, checkPeerServer, broadcastDiscovery } from '../services/discovery.js';
+import { handleForwardedMessage, getPendingSignaling, pollRemoteSignaling, deliverRelayFrame, broadcast, disconnectUiSession } from '../services/websocket.js';
+import { relayToRemoteServer, verifyRelayFrame, MAX_RELAY_FRAME, RELAY_KINDS } from '../services/relay.js';
+import { getDeviceId, isDeviceId } from '../services/identity.js';
+import { getAnnouncement, getProfile, updateProfile, sanitizeAnnouncement } from '../services/profile.js';
+import { updateMdnsAdvertisement } from '../services/mdns.js';
+import { verifyMessage } from '../services/messageSigning.js';
+import { getTrustedDevices, updateRules, revokeDevice } from '../services/trustStore.js';
+import { startPairing, cancelPairing, joinPairing, handlePairMessage } from '../services/pairing.js';
+import { validateForwardedMessage, MAX_SIGNALING_MESSAGE } from '../services/validation.js';
+import { createRateLimiter, rateLimitByIP } from '../services/rateLimiter.js';
+import { TLS_ENABLED } from '../services/tls.js';
+import { authenticateUi, isLoopback, createLink, cancelLink, redeemLink, getUiSessions, revokeUiSession } from '../services/uiSessions.js';
 
 const router = express.Router();
 
+// Per sending IP; a device setting up a connection sends a burst of ICE candidates
+const forwardLimiter = createRateLimiter({ name: '/api/forward', burst: 100, perSecond: 20 });
+// Per sending device, so one device can't use up the budget of others behind the same IP
+const forwardDeviceLimiter = createRateLimiter({ name: '/api/forward device', burst: 50, perSecond: 10 });
+const pollLimiter = createRateLimiter({ name: '/api/poll-signaling', burst: 10, perSecond: 1 });
+const pairLimiter = createRateLimiter({ name: '/api/pair', burst: 5, perSecond: 0.2 });
+// A relayed transfer sends a frame per 64 KiB chunk, a few at a time
+const relayLimiter = createRateLimiter({ name: '/api/relay/deliver', burst: 1000, perSecond: 500 });
+
+const linkLimiter = createRateLimiter({ name: '/api/ui-sessions/redeem', burst: 5, perSecond: 0.2 });
+
+/**
+ * Only let this device's user through: the frontend on this device, or a linked browser (see services/uiSessions.js)
+ */
+function uiOnly(req, res, next) {
+  if (!authenticateUi(req)) {
+    console.warn(`❌ [HTTP ${req.method}] ${req.originalUrl} refused for ${req.socket.remoteAddress}`);
+    return res.status(403).json({
+      success: false,
+      error: 'Only available from this device or a linked browser'
+    });
+  }
+  next();
+}
+
+/**
+ * Only let the frontend on this device through (linking other browsers)
+ */
+function localOnly(req, res, next) {
+  if (!isLoopback(req.socket.remoteAddress)) {
+    console.warn(`❌ [HTTP ${req.method}] ${req.originalUrl} refused for ${req.socket.remoteAddress}`);
+    return res.status(403).json({
+      success: false,
+      error: 'Only available from this device'
+    });
+  }
+  next();
+}
+
 /**
  * Health check endpoint
  */
@@ -15,7 +66,45 @@ router.get('/health', (req, res) => {
     success: true,
     status: 'running',
     timestamp: new Date().toISOString(),
-    localIP: getLocalIP()
+    localIP: getLocalIP(),
+    tls: TLS_ENABLED,
+    ...getAnnouncement()
+  });
+});
+
+/**
+ * Get this device's profile (name, device type, avatar color and availability, see services/profile.js)
+ */
+router.get('/profile', uiOnly, (req, res) => {
+  res.json({
+    success: true,
+    profile: getProfile()
+  });
+});
+
+/**
+ * Change this device's profile
+ * Body: { name?: string (empty: the host name), deviceType?: 'desktop'|'phone'|'server',
+ *         color?: '#rrggbb', availability?: 'available'|'busy' }
+ * Other devices learn about the change right away rather than with the next discovery round.
+ */
+router.put('/profile', uiOnly, express.json(), (req, res) => {
+  const { profile, errors } = updateProfile(req.body);
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: errors.join('; '),
+      profile
+    });
+  }
+
+  console.log(`🪪 Profile updated: ${profile.name} (${profile.deviceType}, ${profile.availability})`);
+  broadcastDiscovery();
+  updateMdnsAdvertisement();
+  broadcast({ type: 'profile_update', profile });
+  res.json({
+    success: true,
+    profile
   });
 });
 
@@ -31,18 +120,21 @@ router.get('/ip', (req, res) => {
 });
 
 /**
- * Discover peers on the same network
+ * Discover peers on the same network, answering when the discovery is over
+ * Joins the discovery already running, if any (see startDiscovery).
  */
-router.post('/discover', async (req, res) => {
+router.post('/discover', uiOnly, async (req, res) => {
   console.log(`📥 [HTTP POST] /api/discover from ${req.ip || req.socket.remoteAddress || 'unknown'}`);
   try {
     const localIP = getLocalIP();
-    const peers = await discoverPeers();
+    const discovery = startDiscovery();
+    const peers = await discovery.promise;
     
     console.log(`✅ Discovery request completed. Found ${peers.length} peer(s)`);
     res.json({
       success: true,
       peers,
+      cancelled: discovery.controller.signal.aborted,
       localIP
     });
   } catch (error) {
@@ -54,10 +146,72 @@ router.post('/discover', async (req, res) => {
   }
 });
 
+/**
+ * Start discovering peers (or join the discovery already running) and answer right away
+ * Peers are pushed over the WebSocket as they are found (peer_joined), with discovery_progress
+ * while the scan runs and discovery_complete at the end.
+ */
+router.post('/discover/start', uiOnly, (req, res) => {
+  console.log(`📥 [HTTP POST] /api/discover/start from ${req.ip || req.socket.remoteAddress || 'unknown'}`);
+  startDiscovery().promise.catch(error => console.error('❌ Error discovering peers:', error));
+  res.status(202).json({
+    success: true,
+    discovery: getDiscoveryStatus()
+  });
+});
+
+/**
+ * Get the progress of the discovery in flight (null if none is running)
+ */
+router.get('/discover', uiOnly, (req, res) => {
+  res.json({
+    success: true,
+    discovery: getDiscoveryStatus()
+  });
+});
+
+/**
+ * Cancel the discovery in flight; peers found so far stay
+ */
+router.delete('/discover', uiOnly, (req, res) => {
+  const cancelled = cancelDiscovery();
+  res.status(cancelled ? 200 : 404).json({
+    success: cancelled,
+    message: cancelled ? 'Discovery cancelled' : 'No discovery is running'
+  });
+});
+
+/**
+ * Ask the PeerDrop server at an address which device it is (for adding a peer by IP)
+ * Goes through this server so the browser doesn't have to trust the other server's certificate.
+ */
+router.get('/lookup/:ip', uiOnly, async (req, res) => {
+  const { ip } = req.params;
+  if (!isLanAddress(ip)) {
+    return res.status(400).json({
+      success: false,
+      error: `${ip} is not on the local network`
+    });
+  }
+
+  try {
+    const info = await checkPeerServer(ip, undefined, 'manual');
+    res.json({
+      success: true,
+      device: { ...sanitizeAnnouncement(info), deviceId: info.deviceId, publicKey: info.publicKey }
+    });
+  } catch {
+    res.status(502).json({
+      success: false,
+      error: `No PeerDrop server answered at ${ip}`
+    });
+  }
+});
+
 /**
  * Get list of discovered peers
  */
-router.get('/peers', (req, res) => {
+router.get('/peers', uiOnly, (req, res) => {
   console.log(`📥 [HTTP GET] /api/peers from ${req.ip || req.socket.remoteAddress || 'unknown'}`);
   const peers = getPeers();
   console.log(`   Returning ${peers.length} peer(s)`);
@@ -70,27 +224,55 @@ router.get('/peers', (req, res) => {
 /**
  * Forward signaling message from another server to local WebSocket client
  * Used for WebRTC signaling (connection requests, SDP offers/answers, ICE candidates)
+ * Messages must be signed by the sending device (see services/messageSigning.js).
  */
-router.post('/forward', express.json(), (req, res) => {
+router.post('/forward', rateLimitByIP(forwardLimiter), express.json({ limit: MAX_SIGNALING_MESSAGE }), (req, res) => {
   const fromIP = req.ip || req.socket.remoteAddress || 'unknown';
   const message = req.body;
   
-  console.log(`📥 [HTTP POST] /api/forward from ${fromIP}`);
-  console.log(`   Message type: ${message?.type || 'unknown'}`);
-  console.log(`   From IP: ${message?.fromIP || 'unknown'}`);
-  console.log(`   Target: ${message?.targetIP || 'N/A'}`);
-  
   try {
-    if (!message || !message.fromIP) {
-      console.warn(`   ❌ Invalid message format`);
+    const invalid = validateForwardedMessage(message);
+    if (invalid) {
+      console.warn(`❌ [HTTP POST] /api/forward from ${fromIP}: ${invalid}`);
       return res.status(400).json({
         success: false,
-        error: 'Invalid message format'
+        error: `Invalid message format: ${invalid}`
+      });
+    }
+
+    console.log(`📥 [HTTP POST] /api/forward from ${fromIP}`);
+    console.log(`   Message type: ${message.type}`);
+    console.log(`   From device: ${message.fromDeviceId} (${message.fromIP})`);
+    console.log(`   Target device: ${message.targetDeviceId}`);
+
+    if (!forwardDeviceLimiter.take(message.fromDeviceId)) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many requests'
+      });
+    }
+
+    const verification = verifyMessage(message);
+    if (!verification.valid) {
+      console.warn(`   ❌ Rejected: ${verification.reason}`);
+      return res.status(401).json({
+        success: false,
+        error: `Signaling message rejected: ${verification.reason}`
+      });
+    }
+
+    if (message.targetDeviceId !== getDeviceId()) {
+      // The sender has a stale address for the device it wants
+      console.warn(`   ❌ Addressed to device ${message.targetDeviceId}, we are ${getDeviceId()}`);
+      return res.status(409).json({
+        success: false,
+        error: 'Wrong device',
+        deviceId: getDeviceId()
       });
     }
     
     // Deliver signaling message to local WebSocket client
-    const delivered = handleForwardedMessage(message);
+    const delivered = handleForwardedMessage(message, req.socket.remoteAddress);
     
     if (delivered) {
       console.log(`   ✅ Signaling message delivered to local client`);
@@ -113,49 +295,314 @@ router.post('/forward', express.json(), (req, res) => {
 
 /**
  * Poll for pending signaling messages (for peers that can't receive direct forwards)
- * Used when one-way network connectivity prevents direct signaling
- * @param {string} peerIP - IP address of the peer requesting messages (from query)
+ * Called by the polling device's server with a signed signaling_poll, so only that device gets
+ * (and clears) its messages.
  */
-router.get('/poll-signaling', (req, res) => {
+router.post('/poll-signaling', rateLimitByIP(pollLimiter), express.json({ limit: MAX_SIGNALING_MESSAGE }), (req, res) => {
   const fromIP = req.ip || req.socket.remoteAddress || 'unknown';
-  const peerIP = req.query.ip || req.headers['x-peer-ip'];
-  
-  console.log(`📥 [HTTP GET] /api/poll-signaling from ${fromIP}`);
-  console.log(`   Requesting peer IP: ${peerIP || 'not provided'}`);
-  
+  const poll = req.body;
+  console.log(`📥 [HTTP POST] /api/poll-signaling from ${fromIP}`);
+
+  const verification = verifyMessage(poll);
+  if (poll?.type !== 'signaling_poll' || !verification.valid) {
+    console.warn(`   ❌ Rejected: ${verification.reason || 'not a signaling_poll'}`);
+    return res.status(401).json({
+      success: false,
+      error: `Poll rejected: ${verification.reason || 'invalid'}`
+    });
+  }
+  if (poll.targetDeviceId !== getDeviceId()) {
+    return res.status(409).json({
+      success: false,
+      error: 'Wrong device',
+      deviceId: getDeviceId()
+    });
+  }
+
+  const messages = getPendingSignaling(poll.fromDeviceId);
+  res.json({
+    success: true,
+    messages,
+    count: messages.length
+  });
+});
+
+/**
+ * Collect the signaling messages a peer's server holds for this device
+ * The messages are checked like forwarded ones and delivered over the WebSocket.
+ * @param {string} deviceId - Device ID of the peer (from path)
+ * @param {string} ip - Address the peer was last seen at (from query; defaults to the known one)
+ */
+router.post('/signaling/poll/:deviceId', uiOnly, async (req, res) => {
+  const { deviceId } = req.params;
+  const ip = req.query.ip || getPeer(deviceId)?.ip;
+  if (!isDeviceId(deviceId) || !ip || !isLanAddress(ip)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Need the device ID of a peer and its address on the local network'
+    });
+  }
+
   try {
-    if (!peerIP) {
-      console.warn(`   ❌ Peer IP required`);
-      return res.status(400).json({
-        success: false,
-        error: 'Peer IP required (use ?ip=... or X-Peer-IP header)'
-      });
-    }
-    
-    const messages = getPendingSignaling(peerIP);
-    
-    if (messages.length > 0) {
-      console.log(`   ✅ Returning ${messages.length} pending signaling message(s)`);
-      messages.forEach(msg => {
-        console.log(`      - ${msg.type} from ${msg.fromIP || 'unknown'}`);
-      });
-    } else {
-      console.log(`   ℹ️ No pending signaling messages for ${peerIP}`);
-    }
-    
+    const delivered = await pollRemoteSignaling(ip, deviceId);
     res.json({
       success: true,
-      messages: messages,
-      count: messages.length
+      delivered
     });
   } catch (error) {
-    console.error(`   ❌ Error polling signaling messages:`, error);
-    res.status(500).json({
+    res.status(502).json({
       success: false,
-      error: 'Failed to poll signaling messages'
+      error: `Could not poll ${ip}: ${error.message}`
     });
   }
 });
 
+/**
+ * Relay a frame from the local client to a peer's server
+ * Fallback data path when WebRTC cannot connect; we sign the frame (see services/relay.js)
+ * @param {string} targetIP - IP address the receiving peer was last seen at (from path)
+ * @param {string} device - Device ID of the receiving peer (from query)
+ * @param {string} kind - 'message' or 'binary' (from query)
+ */
+router.post('/relay/send/:targetIP', uiOnly, express.raw({ type: () => true, limit: MAX_RELAY_FRAME }), async (req, res) => {
+  const { targetIP } = req.params;
+  const { kind, device } = req.query;
+  const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0); // No body parsed when it is empty
+
+  if (!isDeviceId(device) || !RELAY_KINDS.includes(kind)) {
+    console.warn(`❌ [HTTP POST] /api/relay/send/${targetIP}: invalid frame (device ${device}, kind ${kind})`);
+    return res.status(400).json({
+      success: false,
+      error: `Frame needs a target device and must be ${RELAY_KINDS.join(' or ')} of at most ${MAX_RELAY_FRAME} bytes`
+    });
+  }
+  if (!isLanAddress(targetIP)) {
+    return res.status(400).json({
+      success: false,
+      error: `${targetIP} is not on the local network`
+    });
+  }
+
+  const status = await relayToRemoteServer({ ip: targetIP, deviceId: device }, getDeviceId(), kind, body);
+  res.status(status === 200 || status === 409 ? status : 502).json({
+    success: status === 200,
+    message: status === 200 ? 'Frame relayed' : `Peer server answered ${status}`
+  });
+});
+
+/**
+ * Deliver a relayed frame from another server to the local WebSocket client
+ * The frame must be signed by the sending device (see services/relay.js).
+ */
+router.post('/relay/deliver', rateLimitByIP(relayLimiter), express.raw({ type: () => true, limit: MAX_RELAY_FRAME }), async (req, res) => {
+  const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  const verification = verifyRelayFrame(req.headers['x-peerdrop-frame'], body);
+  if (!verification.valid) {
+    console.warn(`❌ [HTTP POST] /api/relay/deliver from ${req.ip || req.socket.remoteAddress || 'unknown'} rejected: ${verification.reason}`);
+    return res.status(401).json({
+      success: false,
+      error: `Relay frame rejected: ${verification.reason}`
+    });
+  }
+
+  const { fromDeviceId, targetDeviceId, kind } = verification.frame;
+  if (targetDeviceId !== getDeviceId()) {
+    return res.status(409).json({
+      success: false,
+      error: 'Wrong device',
+      deviceId: getDeviceId()
+    });
+  }
+
+  const delivered = await deliverRelayFrame(fromDeviceId, kind, body);
+  res.status(delivered ? 200 : 503).json({
+    success: delivered,
+    message: delivered ? 'Frame delivered' : 'Client not connected'
+  });
+});
+
+/**
+ * Get the devices this device has paired with
+ */
+router.get('/trusted', uiOnly, (req, res) => {
+  res.json({
+    success: true,
+    devices: getTrustedDevices()
+  });
+});
+
+/**
+ * Change what a paired device may do without asking
+ * Body: { autoAcceptConnections?: boolean, autoAcceptFilesUpTo?: number (bytes, 0 = always ask) }
+ */
+router.put('/trusted/:deviceId', uiOnly, express.json(), (req, res) => {
+  const { autoAcceptConnections, autoAcceptFilesUpTo } = req.body || {};
+  const rules = {};
+  if (typeof autoAcceptConnections === 'boolean') {
+    rules.autoAcceptConnections = autoAcceptConnections;
+  }
+  if (Number.isSafeInteger(autoAcceptFilesUpTo) && autoAcceptFilesUpTo >= 0) {
+    rules.autoAcceptFilesUpTo = autoAcceptFilesUpTo;
+  }
+
+  const device = updateRules(req.params.deviceId, rules);
+  if (!device) {
+    return res.status(404).json({
+      success: false,
+      error: 'Device is not paired'
+    });
+  }
+  broadcast({ type: 'trust_update' });
+  res.json({
+    success: true,
+    device
+  });
+});
+
+/**
+ * Revoke a paired device
+ */
+router.delete('/trusted/:deviceId', uiOnly, (req, res) => {
+  const revoked = revokeDevice(req.params.deviceId);
+  if (revoked) {
+    broadcast({ type: 'trust_update' });
+  }
+  res.status(revoked ? 200 : 404).json({
+    success: revoked,
+    message: revoked ? 'Device revoked' : 'Device is not paired'
+  });
+});
+
+/**
+ * Show a pairing PIN for another device to enter
+ */
+router.post('/pairing', uiOnly, (req, res) => {
+  res.json({
+    success: true,
+    ...startPairing()
+  });
+});
+
+/**
+ * Withdraw the shown pairing PIN
+ */
+router.delete('/pairing', uiOnly, (req, res) => {
+  cancelPairing();
+  res.json({
+    success: true
+  });
+});
+
+/**
+ * Pair with a device that shows a PIN
+ * Body: { ip, deviceId, pin }
+ */
+router.post('/pairing/join', uiOnly, express.json(), async (req, res) => {
+  const { ip, deviceId, pin } = req.body || {};
+  if (typeof ip !== 'string' || !ip || !isDeviceId(deviceId) || !/^\d{6}$/.test(pin)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Need the address, device ID and 6-digit PIN of the other device'
+    });
+  }
+  if (!isLanAddress(ip)) {
+    return res.status(400).json({
+      success: false,
+      error: `${ip} is not on the local network`
+    });
+  }
+
+  try {
+    const device = await joinPairing({ ip, deviceId, pin });
+    res.json({
+      success: true,
+      device
+    });
+  } catch (error) {
+    console.warn(`❌ Pairing with ${deviceId} at ${ip} failed: ${error.message}`);
+    res.status(400).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+/**
+ * Pair request or confirmation from another server (see services/pairing.js)
+ */
+router.post('/pair', rateLimitByIP(pairLimiter), express.json({ limit: MAX_SIGNALING_MESSAGE }), (req, res) => {
+  console.log(`📥 [HTTP POST] /api/pair from ${req.ip || req.socket.remoteAddress || 'unknown'}`);
+  const { status, body } = handlePairMessage(req.body);
+  res.status(status).json(body);
+});
+
+/**
+ * Show a one-time link for a browser on another device (e.g. a phone) to use this server from
+ */
+router.post('/ui-sessions/link', localOnly, (req, res) => {
+  res.json({
+    success: true,
+    ...createLink()
+  });
+});
+
+/**
+ * Withdraw the shown link
+ */
+router.delete('/ui-sessions/link', localOnly, (req, res) => {
+  cancelLink();
+  res.json({
+    success: true
+  });
+});
+
+/**
+ * Link the browser that opened the shown link
+ * Body: { code, name }
+ */
+router.post('/ui-sessions/redeem', rateLimitByIP(linkLimiter), express.json(), (req, res) => {
+  const { code, name } = req.body || {};
+  const linked = redeemLink(code, name);
+  if (!linked) {
+    console.warn(`❌ Wrong or expired browser link from ${req.socket.remoteAddress}`);
+    return res.status(403).json({
+      success: false,
+      error: 'This link is wrong or has expired'
+    });
+  }
+
+  broadcast({ type: 'ui_sessions_update' });
+  res.json({
+    success: true,
+    token: linked.token,
+    session: linked.session
+  });
+});
+
+/**
+ * Get the linked browsers
+ */
+router.get('/ui-sessions', localOnly, (req, res) => {
+  res.json({
+    success: true,
+    sessions: getUiSessions()
+  });
+});
+
+/**
+ * Unlink a browser
+ */
+router.delete('/ui-sessions/:id', localOnly, (req, res) => {
+  const revoked = revokeUiSession(req.params.id);
+  if (revoked) {
+    disconnectUiSession(req.params.id);
+    broadcast({ type: 'ui_sessions_update' });
+  }
+  res.status(revoked ? 200 : 404).json({
+    success: revoked,
+    message: revoked ? 'Browser unlinked' : 'Browser is not linked'
+  });
+});
+
 export default router;
 
@@ -1,90 +1,138 @@
 import dgram from 'dgram';
-import http from 'http';
-import { getLocalIP, getHostname, generateIPRange } from '../utils/network.js';
-import { addPeer } from './peerManager.js';
+import net from 'net';
+import { setTimeout as sleep } from 'timers/promises';
+import { peerRequest } from './tls.js';
+import { getLocalIP, getHostname, getNetworkInterfaces, getIPv6Interfaces, findInterfaceFor, getLocalAddressFor, getScanRange, getScanSubnet, addressPreference } from '../utils/network.js';
+import { addPeer, getPeers, expirePeers, PEER_TTL } from './peerManager.js';
+import { getDeviceId, isDeviceId, isKeyOfDevice } from './identity.js';
+import { getAnnouncement, sanitizeAnnouncement } from './profile.js';
+import { queryMdns } from './mdns.js';
+import { getScanRanges, isExcluded, resolveStaticPeers } from './discoveryConfig.js';
+import { expandCidr } from '../utils/cidr.js';
+import { broadcast } from './websocket.js';
 
 const DISCOVERY_PORT = 3002;
 const SERVER_PORT = 3001;
+const IPV6_ALL_NODES = 'ff02::1'; // Link-local multicast group every IPv6 host is in
 
 let udpServer = null;
+let udp6Server = null; // Discovery over IPv6, on the same port
+let currentDiscovery = null; // The discovery in flight, shared by everyone asking for one
+let discoveryCount = 0;
 
 /**
- * Initialize UDP discovery server
- * @returns {dgram.Socket} UDP server instance
+ * Create a discovery socket and handle its messages
+ * @param {Object} options - dgram.createSocket options
+ * @returns {dgram.Socket} Socket, bound to the discovery port
  */
-export function initializeUDPServer() {
-  if (udpServer) {
-    return udpServer;
-  }
-
-  udpServer = dgram.createSocket('udp4');
+function createDiscoverySocket(options) {
+  const socket = dgram.createSocket(options);
 
-  udpServer.on('message', (msg, rinfo) => {
+  socket.on('message', (msg, rinfo) => {
     try {
       const message = JSON.parse(msg.toString());
       
       if (message.type === 'DISCOVERY_REQUEST') {
-        // Another peer is looking for us, respond
-        handleDiscoveryRequest(rinfo);
+        // Another peer is looking for us, respond (the request announces it, too)
+        handleDiscoveryRequest(socket, rinfo);
+        handleAnnouncement(message, rinfo);
       } else if (message.type === 'DISCOVERY_RESPONSE') {
         // Another peer responded to our discovery request
-        handleDiscoveryResponse(message);
+        handleAnnouncement(message, rinfo);
       }
     } catch (error) {
       console.error('Error parsing UDP message:', error);
     }
   });
 
-  udpServer.on('error', (err) => {
-    console.error('UDP server error:', err);
+  socket.on('error', (err) => {
+    console.error(`UDP server error (${options.type}):`, err);
   });
 
-  udpServer.bind(DISCOVERY_PORT, () => {
-    console.log(`📡 Discovery server listening on UDP port ${DISCOVERY_PORT}`);
+  socket.bind(DISCOVERY_PORT, () => {
+    console.log(`📡 Discovery server listening on UDP port ${DISCOVERY_PORT} (${options.type === 'udp6' ? 'IPv6' : 'IPv4'})`);
   });
 
+  return socket;
+}
+
+/**
+ * Initialize UDP discovery server
+ * Listens on IPv4 and, where the system has it, IPv6.
+ * @returns {dgram.Socket} UDP server instance (IPv4)
+ */
+export function initializeUDPServer() {
+  if (udpServer) {
+    return udpServer;
+  }
+
+  udpServer = createDiscoverySocket({ type: 'udp4' });
+  if (getIPv6Interfaces().some(iface => iface.linkLocal)) {
+    udp6Server = createDiscoverySocket({ type: 'udp6', ipv6Only: true });
+  }
+
   return udpServer;
 }
 
 /**
  * Handle incoming discovery request
+ * @param {dgram.Socket} socket - Socket the request came in on
  * @param {Object} rinfo - Remote info object from UDP message
  */
-function handleDiscoveryRequest(rinfo) {
+function handleDiscoveryRequest(socket, rinfo) {
   const response = JSON.stringify({
     type: 'DISCOVERY_RESPONSE',
-    ip: getLocalIP(),
+    ...getAnnouncement(),
+    ip: getLocalAddressFor(rinfo.address), // Our address on the requester's network
     port: SERVER_PORT,
-    hostname: getHostname(),
+    hostname: getHostname(), // Name for servers from before profiles
     timestamp: new Date().toISOString()
   });
   
-  udpServer.send(response, rinfo.port, rinfo.address, (err) => {
+  socket.send(response, rinfo.port, rinfo.address, (err) => {
     if (err) console.error('Error sending discovery response:', err);
   });
 }
 
 /**
- * Handle incoming discovery response
- * @param {Object} message - Parsed discovery response message
+ * Handle an incoming discovery request or response, both of which announce the sender
+ * @param {Object} message - Parsed discovery message
+ * @param {Object} rinfo - Remote info object from UDP message
  */
-function handleDiscoveryResponse(message) {
-  // Skip if it's our own IP or an unreachable IP
-  if (message.ip === getLocalIP() || shouldSkipIP(message.ip)) {
+function handleAnnouncement(message, rinfo) {
+  // Of the address in the message and the one the answer came from, use the most widely usable
+  // one that is on a network we share (the message's may be on another interface of the peer, and
+  // a link-local one is only usable with our zone, which rinfo has)
+  const ip = [rinfo.address, message.ip]
+    .filter(address => typeof address === 'string' && findInterfaceFor(address))
+    .sort((a, b) => addressPreference(a) - addressPreference(b))[0] ?? message.ip;
+
+  // Skip ourselves (on any of our addresses), unreachable IPs and servers without an identity
+  if (!isDeviceId(message.deviceId) || message.deviceId === getDeviceId() || typeof ip !== 'string' || shouldSkipIP(ip)) {
+    return;
+  }
+  // Anyone can send announcements; one whose key doesn't match its device ID would let it pose as that device
+  if (!isKeyOfDevice(message.publicKey, message.deviceId)) {
+    console.warn(`⚠️ Ignoring announcement from ${rinfo.address}: public key does not match device ID ${message.deviceId}`);
     return;
   }
   
   addPeer({
-    id: message.ip,
-    name: message.hostname || `Peer ${message.ip}`,
-    ip: message.ip,
+    ...sanitizeAnnouncement(message),
+    id: message.deviceId,
+    ip,
     port: message.port || SERVER_PORT,
+    publicKey: message.publicKey,
+    interface: findInterfaceFor(ip)?.name ?? null,
+    source: 'udp',
     lastSeen: new Date().toISOString()
   });
 }
 
 /**
  * Broadcast discovery request to the network
+ * Sent to the broadcast address of every interface's subnet (see getNetworkInterfaces), since
+ * 255.255.255.255 only leaves through one interface, and to ff02::1 on every IPv6 link.
  */
 export function broadcastDiscovery() {
   if (!udpServer) {
@@ -92,20 +140,35 @@ export function broadcastDiscovery() {
     return;
   }
 
-  const message = JSON.stringify({
-    type: 'DISCOVERY_REQUEST',
-    ip: getLocalIP(),
-    port: SERVER_PORT,
-    hostname: getHostname()
-  });
-  
-  const broadcastAddress = '255.255.255.255';
+  const interfaces = getNetworkInterfaces();
+  const targets = interfaces.length > 0
+    ? interfaces.map(iface => ({ ip: iface.address, broadcastAddress: iface.broadcast }))
+    : [{ ip: getLocalIP(), broadcastAddress: '255.255.255.255' }];
+
   udpServer.setBroadcast(true);
   
-  udpServer.send(message, DISCOVERY_PORT, broadcastAddress, (err) => {
-    if (err) {
-      console.error('Error broadcasting discovery:', err);
-    }
+  // IPv6 has no broadcast; ask all nodes on each link instead
+  if (udp6Server) {
+    getIPv6Interfaces().filter(iface => iface.linkLocal).forEach(iface => {
+      const zone = iface.address.split('%')[1];
+      targets.push({ ip: getLocalAddressFor(iface.address), broadcastAddress: `${IPV6_ALL_NODES}%${zone}`, socket: udp6Server });
+    });
+  }
+
+  targets.forEach(({ ip, broadcastAddress, socket = udpServer }) => {
+    const message = JSON.stringify({
+      type: 'DISCOVERY_REQUEST',
+      ...getAnnouncement(),
+      ip,
+      port: SERVER_PORT,
+      hostname: getHostname()
+    });
+
+    socket.send(message, DISCOVERY_PORT, broadcastAddress, (err) => {
+      if (err) {
+        console.error(`Error broadcasting discovery to ${broadcastAddress}:`, err);
+      }
+    });
   });
 }
 
@@ -117,6 +180,10 @@ export function broadcastDiscovery() {
  * @returns {boolean} True if IP should be skipped
  */
 function shouldSkipIP(ip) {
+  if (!net.isIPv4(ip)) {
+    return false; // IPv6 link-local addresses are usable, with their zone
+  }
+
   const parts = ip.split('.');
   const firstOctet = parseInt(parts[0]);
   const secondOctet = parseInt(parts[1]);
@@ -137,16 +204,18 @@ function shouldSkipIP(ip) {
 /**
  * Check if a peer server is running at the given IP
  * @param {string} ip - IP address to check
+ * @param {string|null} interfaceName - Interface the address is reached through (default: the one whose subnet contains it)
+ * @param {string|null} source - How the address came up (see SOURCES in peerManager.js; null for a known peer)
  * @returns {Promise<Object|null>} Server info if found, null otherwise
  */
-async function checkPeerServer(ip) {
+export async function checkPeerServer(ip, interfaceName = findInterfaceFor(ip)?.name ?? null, source = null) {
   // Only skip obviously unreachable IPs (link-local, NAT)
   if (shouldSkipIP(ip)) {
     return Promise.reject(new Error('Unreachable IP'));
   }
   
   return new Promise((resolve, reject) => {
-    const req = http.get(`http://${ip}:${SERVER_PORT}/api/health`, (res) => {
+    const req = peerRequest(ip, { path: '/api/health', method: 'GET' }, (res) => {
       let data = '';
       
       res.on('data', (chunk) => {
@@ -156,12 +225,16 @@ async function checkPeerServer(ip) {
       res.on('end', () => {
         try {
           const jsonData = JSON.parse(data);
-          if (jsonData.success) {
+          if (jsonData.success && isDeviceId(jsonData.deviceId) && jsonData.deviceId !== getDeviceId() &&
+              isKeyOfDevice(jsonData.publicKey, jsonData.deviceId)) {
             addPeer({
-              id: ip,
-              name: `Peer ${ip}`,
+              ...sanitizeAnnouncement(jsonData),
+              id: jsonData.deviceId,
               ip: ip,
               port: SERVER_PORT,
+              publicKey: jsonData.publicKey,
+              interface: interfaceName,
+              source,
               lastSeen: new Date().toISOString()
             });
           }
@@ -187,28 +260,61 @@ async function checkPeerServer(ip) {
       clearTimeout(timeout);
       reject(new Error('Timeout'));
     });
+
+    req.end();
+  });
+}
+
+/**
+ * List the interfaces whose subnet is too large to scan completely (see getScanSubnet)
+ * @returns {Array<{interface: string, subnet: string, scanned: string}>} Interface name, its subnet
+ *   and the part of it that is scanned, all as CIDR
+ */
+function getPartialSubnets() {
+  return getNetworkInterfaces().flatMap(iface => {
+    const { range, subnet, partial } = getScanSubnet(iface);
+    return partial ? [{ interface: iface.name, subnet, scanned: range.cidr }] : [];
   });
 }
 
 /**
  * Scan network for other PeerDrop servers
- * @param {number} batchSize - Number of IPs to scan concurrently (default: 20)
+ * Scans the subnet of every interface (see getScanRange) and the configured ranges (see
+ * discoveryConfig.js), each address once, leaving out excluded addresses.
+ * @param {Object} options - Options
+ * @param {number} options.batchSize - Number of IPs to scan concurrently (default: 20)
+ * @param {function(number, number): void} options.onProgress - Called with (scanned, total) after each batch
+ * @param {AbortSignal} options.signal - Stops the scan after the current batch
  */
-export async function scanNetwork(batchSize = 20) {
-  const localIP = getLocalIP();
-  const ipParts = localIP.split('.');
-  const baseIP = `${ipParts[0]}.${ipParts[1]}.${ipParts[2]}`;
-  
-  const ipRange = generateIPRange(baseIP, localIP);
+export async function scanNetwork({ batchSize = 20, onProgress, signal } = {}) {
+  const targets = new Map(); // Map of IP -> interface name (undefined: look it up, e.g. for routed ranges)
+  getNetworkInterfaces().forEach(iface => {
+    getScanRange(iface).forEach(ip => {
+      if (!targets.has(ip)) {
+        targets.set(ip, iface.name);
+      }
+    });
+  });
+  const ownAddresses = new Set(getNetworkInterfaces().map(iface => iface.address));
+  getScanRanges().forEach(range => {
+    expandCidr(range).forEach(ip => {
+      if (!targets.has(ip) && !ownAddresses.has(ip)) {
+        targets.set(ip, undefined);
+      }
+    });
+  });
+  const ipRange = Array.from(targets.keys()).filter(ip => !isExcluded(ip));
+  onProgress?.(0, ipRange.length);
   
   // Process in batches to avoid overwhelming the network
-  for (let i = 0; i < ipRange.length; i += batchSize) {
+  for (let i = 0; i < ipRange.length && !signal?.aborted; i += batchSize) {
     const batch = ipRange.slice(i, i + batchSize);
     const scanPromises = batch.map(ip => 
-      checkPeerServer(ip).catch(() => null)
+      checkPeerServer(ip, targets.get(ip), 'scan').catch(() => null)
     );
     
     await Promise.allSettled(scanPromises);
+    onProgress?.(Math.min(i + batchSize, ipRange.length), ipRange.length);
     
     // Small delay between batches to avoid network congestion
     if (i + batchSize < ipRange.length) {
@@ -217,33 +323,158 @@ export async function scanNetwork(batchSize = 20) {
   }
 }
 
-import { clearPeers, getPeers, getPeerCount } from './peerManager.js';
+/**
+ * Health-check the configured static peers (see discoveryConfig.js)
+ * Those that answer are added to the peers, or stay there.
+ * @returns {Promise<void>}
+ */
+export async function checkStaticPeers() {
+  const staticPeers = await resolveStaticPeers();
+  await Promise.allSettled(staticPeers.map(({ ip }) => checkPeerServer(ip, undefined, 'static')));
+}
+
+/**
+ * Keep the peer list current (run every 10 seconds)
+ * Asks the network again, health-checks the static peers and peers not heard from for half
+ * their TTL (they may only be reachable by the scan, or added by IP), and expires the rest.
+ */
+export function refreshPresence() {
+  broadcastDiscovery();
+  queryMdns();
+  checkStaticPeers();
+
+  const staleBefore = Date.now() - PEER_TTL / 2;
+  getPeers()
+    .filter(peer => Date.parse(peer.lastSeen) < staleBefore)
+    .forEach(peer => checkPeerServer(peer.ip).catch(() => null));
+
+  expirePeers();
+}
 
 /**
- * Discover peers using both UDP broadcast and network scanning
- * @returns {Promise<Array>} Array of discovered peers
+ * Describe a discovery for the API and the frontends
+ * @param {Object} discovery - Discovery (see startDiscovery)
+ * @returns {Object} id, phase ('scanning', 'listening' for late answers, 'done'), scanned and total
+ *   addresses, percent, startedAt, cancelled and partialSubnets (see getPartialSubnets)
  */
-export async function discoverPeers() {
-  // Clear previous discoveries
-  clearPeers();
-  
-  console.log('🔍 Starting peer discovery...');
+function describeDiscovery(discovery) {
+  const { id, phase, scanned, total, startedAt, controller, partialSubnets } = discovery;
+  const PERCENT_SCANNING = 95; // The rest is listening for late answers
+  const percent = {
+    scanning: total > 0 ? Math.floor(scanned / total * PERCENT_SCANNING) : 0,
+    listening: PERCENT_SCANNING,
+    done: 100
+  }[phase];
+  return { id, phase, scanned, total, percent, startedAt, cancelled: controller.signal.aborted, partialSubnets };
+}
+
+/**
+ * Tell the frontends how a discovery is doing
+ * @param {Object} discovery - Discovery (see startDiscovery)
+ */
+function reportProgress(discovery) {
+  broadcast({ type: 'discovery_progress', discovery: describeDiscovery(discovery) });
+}
+
+/**
+ * Run a discovery: UDP broadcast, mDNS, network scanning and static peers
+ * Peers are pushed to the frontends as they are found (peer_joined), the progress of the scan with
+ * discovery_progress and the end with discovery_complete.
+ * @param {Object} discovery - Discovery (see startDiscovery)
+ * @returns {Promise<Array>} Peers known when it ended
+ */
+async function runDiscovery(discovery) {
+  const { signal } = discovery.controller;
+  console.log(`🔍 Starting peer discovery #${discovery.id}...`);
   
   // Method 1: Broadcast UDP discovery request
   broadcastDiscovery();
+
+  // Method 2: Query _peerdrop._tcp.local over mDNS (see mdns.js)
+  queryMdns();
   
-  // Method 2: Scan network for other PeerDrop servers
-  await scanNetwork();
-  
-  // Wait a bit for UDP responses
-  await new Promise(resolve => setTimeout(resolve, 1000));
-  
-  // Broadcast again to catch any late responders
-  broadcastDiscovery();
-  await new Promise(resolve => setTimeout(resolve, 500));
-  
-  console.log(`✅ Discovery complete. Found ${getPeerCount()} peer(s)`);
-  
-  return getPeers();
+  // Method 3: Scan network for other PeerDrop servers, and check the static ones
+  discovery.partialSubnets.forEach(({ interface: name, subnet, scanned }) => {
+    console.log(`ℹ️ ${subnet} on ${name} is too large to scan, scanning ${scanned} around us (add the rest to PEERDROP_SCAN_RANGES)`);
+  });
+  const onProgress = (scanned, total) => {
+    Object.assign(discovery, { scanned, total });
+    reportProgress(discovery);
+  };
+  await Promise.all([scanNetwork({ onProgress, signal }), checkStaticPeers()]);
+
+  // Wait a bit for UDP and mDNS responses, and broadcast again to catch any late responders
+  if (!signal.aborted) {
+    discovery.phase = 'listening';
+    reportProgress(discovery);
+    try {
+      await sleep(1000, undefined, { signal });
+      broadcastDiscovery();
+      await sleep(500, undefined, { signal });
+    } catch {
+      // Cancelled
+    }
+  }
+
+  discovery.phase = 'done';
+  const peers = getPeers();
+  const outcome = signal.aborted ? 'cancelled' : 'complete';
+  console.log(`✅ Discovery #${discovery.id} ${outcome}. Found ${peers.length} peer(s) in ${Date.now() - discovery.startedAt}ms`);
+  broadcast({ type: 'discovery_complete', discovery: describeDiscovery(discovery), found: peers.length });
+  return peers;
 }
 
+/**
+ * Start discovering peers, or join the discovery already running
+ * Concurrent callers share one scan rather than each scanning the network.
+ * Peers found earlier stay in the list until they expire (see peerManager.js).
+ * @returns {Object} Discovery, with promise (resolves to the peers known when it ended)
+ */
+export function startDiscovery() {
+  if (!currentDiscovery) {
+    const discovery = {
+      id: ++discoveryCount,
+      phase: 'scanning',
+      scanned: 0,
+      total: 0,
+      startedAt: Date.now(),
+      controller: new AbortController(),
+      partialSubnets: getPartialSubnets()
+    };
+    discovery.promise = runDiscovery(discovery).finally(() => {
+      currentDiscovery = null;
+    });
+    currentDiscovery = discovery;
+  }
+  return currentDiscovery;
+}
+
+/**
+ * Discover peers, waiting for the discovery to end (see startDiscovery)
+ * @returns {Promise<Array>} Array of discovered peers
+ */
+export async function discoverPeers() {
+  return startDiscovery().promise;
+}
+
+/**
+ * Get the discovery in flight
+ * @returns {Object|null} Its progress (see describeDiscovery), or null if none is running
+ */
+export function getDiscoveryStatus() {
+  return currentDiscovery ? describeDiscovery(currentDiscovery) : null;
+}
+
+/**
+ * Cancel the discovery in flight
+ * The scan stops after its current batch; peers found so far stay.
+ * @returns {boolean} True if a discovery was running
+ */
+export function cancelDiscovery() {
+  if (!currentDiscovery) {
+    return false;
+  }
+  console.log(`⏹️ Cancelling peer discovery #${currentDiscovery.id}`);
+  currentDiscovery.controller.abort();
+  return true;
+}
@@ -0,0 +1,142 @@
+import dns from 'dns';
+import net from 'net';
+import process from 'process';
+import { parseCidr, cidrContains } from '../utils/cidr.js';
+
+/**
+ * Discovery Config Service
+ * Extra places to look for peers, for networks that span several subnets (configured with
+ * environment variables, comma-separated):
+ *
+ * - PEERDROP_SCAN_RANGES: IPv4 CIDR ranges scanned next to our own subnets, e.g. "10.1.4.0/23,10.1.8.0/24"
+ * - PEERDROP_SCAN_EXCLUDE: addresses or ranges never scanned, e.g. "10.1.4.1,10.1.5.240/28"
+ * - PEERDROP_STATIC_PEERS: hosts (addresses or names) of known PeerDrop servers, health-checked on a schedule
+ *
+ * Addresses in configured ranges and of static peers count as local (see isLanAddress), so
+ * signaling and relaying to routed subnets works.
+ *
+ * Invalid entries and scan ranges larger than MAX_RANGE_SIZE are configuration errors (see
+ * getConfigErrors) that stop the server from starting, rather than being skipped unnoticed.
+ */
+
+export const MAX_RANGE_SIZE = 4096; // A /20; larger ranges would take minutes to scan
+
+/**
+ * Split a comma-separated list
+ * @param {string|undefined} value - List
+ * @returns {string[]} Non-empty entries
+ */
+function splitList(value) {
+  return (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a comma-separated list of CIDR ranges
+ * @param {string} name - Name of the setting, for the error messages
+ * @param {string|undefined} value - List, e.g. "10.1.4.0/23,10.1.8.0/24"
+ * @param {number} maxSize - Largest range accepted
+ * @returns {{ranges: Array, errors: string[]}} Valid ranges (see parseCidr) and what was wrong with the others
+ */
+export function parseRanges(name, value, maxSize = Infinity) {
+  const ranges = [];
+  const errors = [];
+  for (const entry of splitList(value)) {
+    const range = parseCidr(entry);
+    if (!range) {
+      errors.push(`${name}: "${entry}" is not an IPv4 address or CIDR range`);
+    } else if (range.size > maxSize) {
+      errors.push(`${name}: ${range.cidr} has ${range.size} addresses, more than the ${maxSize} a range may have (split it into smaller ranges)`);
+    } else {
+      ranges.push(range);
+    }
+  }
+  return { ranges, errors };
+}
+
+const scanConfig = parseRanges('PEERDROP_SCAN_RANGES', process.env.PEERDROP_SCAN_RANGES, MAX_RANGE_SIZE);
+const exclusionConfig = parseRanges('PEERDROP_SCAN_EXCLUDE', process.env.PEERDROP_SCAN_EXCLUDE);
+const configErrors = [...scanConfig.errors, ...exclusionConfig.errors];
+const scanRanges = scanConfig.ranges;
+const scanExclusions = exclusionConfig.ranges;
+const staticPeers = splitList(process.env.PEERDROP_STATIC_PEERS);
+const staticAddresses = new Set(staticPeers.filter(host => net.isIP(host))); // Grows as names are resolved
+const unresolvedPeers = new Set(); // Static peer names that failed to resolve last time (warned about once)
+
+/**
+ * Get what is wrong with the configuration
+ * @returns {string[]} Error messages; empty if the configuration is valid
+ */
+export function getConfigErrors() {
+  return configErrors;
+}
+
+/**
+ * Get the configured scan ranges
+ * @returns {Array} Ranges (see parseCidr)
+ */
+export function getScanRanges() {
+  return scanRanges;
+}
+
+/**
+ * Check whether an address must not be scanned
+ * @param {string} ip - Address
+ * @returns {boolean} True if excluded
+ */
+export function isExcluded(ip) {
+  return scanExclusions.some(range => cidrContains(range, ip));
+}
+
+/**
+ * Check whether an address is in a configured range or belongs to a static peer
+ * @param {string} ip - Address
+ * @returns {boolean} True if configured
+ */
+export function isConfiguredAddress(ip) {
+  return staticAddresses.has(ip) || scanRanges.some(range => cidrContains(range, ip));
+}
+
+/**
+ * Resolve the static peers to addresses
+ * Names are looked up every time, so a peer whose DNS entry changes is followed.
+ * @returns {Promise<Array<{host: string, ip: string}>>} Resolved peers (unresolvable ones are left out)
+ */
+export async function resolveStaticPeers() {
+  const resolved = await Promise.all(staticPeers.map(async (host) => {
+    if (net.isIP(host)) {
+      return { host, ip: host };
+    }
+    try {
+      const addresses = await dns.promises.lookup(host, { all: true });
+      const { address } = addresses.find(entry => entry.family === 4) || addresses[0]; // IPv4 first, like everywhere else
+      staticAddresses.add(address);
+      unresolvedPeers.delete(host);
+      return { host, ip: address };
+    } catch (error) {
+      if (!unresolvedPeers.has(host)) {
+        console.warn(`⚠️ Static peer ${host} could not be resolved: ${error.code || error.message}`);
+        unresolvedPeers.add(host);
+      }
+      return null;
+    }
+  }));
+  return resolved.filter(Boolean);
+}
+
+/**
+ * Describe the configuration for the startup log
+ * @returns {string|null} Summary, or null if nothing is configured
+ */
+export function describeDiscoveryConfig() {
+  const parts = [];
+  if (scanRanges.length > 0) {
+    parts.push(`scanning ${scanRanges.map(range => range.cidr).join(', ')}`);
+  }
+  if (scanExclusions.length > 0) {
+    parts.push(`excluding ${scanExclusions.map(range => range.cidr).join(', ')}`);
+  }
+  if (staticPeers.length > 0) {
+    parts.push(`static peers ${staticPeers.join(', ')}`);
+  }
+  return parts.length > 0 ? parts.join('; ') : null;
+}
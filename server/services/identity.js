@@ -0,0 +1,124 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import process from 'process';
+import { Buffer } from 'buffer';
+import { getHostname } from '../utils/network.js';
+
+/**
+ * Identity Service
+ * Persistent identity of this device, so peers are recognised by who they are rather than by
+ * the IP address they happen to have (which changes with DHCP and can be shared behind NAT).
+ *
+ * An Ed25519 key pair is generated on first start and kept in the data directory
+ * (PEERDROP_DATA_DIR, default ~/.peerdrop). The device ID is derived from the public key:
+ * the first 16 bytes of its SHA-256, hex encoded.
+ */
+
+export const DATA_DIR = process.env.PEERDROP_DATA_DIR || path.join(os.homedir(), '.peerdrop');
+const IDENTITY_FILE = path.join(DATA_DIR, 'identity.json');
+const DEVICE_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+let identity = null;
+
+/**
+ * Derive a device ID from a raw public key
+ * @param {Buffer} publicKey - Raw Ed25519 public key (32 bytes)
+ * @returns {string} Device ID (32 hex characters)
+ */
+export function deviceIdFromPublicKey(publicKey) {
+  return crypto.createHash('sha256').update(publicKey).digest('hex').slice(0, 32);
+}
+
+/**
+ * Check that a value looks like a device ID
+ * @param {any} value - Value to check
+ * @returns {boolean}
+ */
+export function isDeviceId(value) {
+  return typeof value === 'string' && DEVICE_ID_PATTERN.test(value);
+}
+
+/**
+ * Check that a public key announced by a device is the one its device ID is derived from
+ * @param {any} publicKey - Base64 raw Ed25519 public key
+ * @param {string} deviceId - Device ID it was announced with
+ * @returns {boolean}
+ */
+export function isKeyOfDevice(publicKey, deviceId) {
+  if (typeof publicKey !== 'string') {
+    return false;
+  }
+  const rawPublicKey = Buffer.from(publicKey, 'base64');
+  return rawPublicKey.length === 32 && deviceIdFromPublicKey(rawPublicKey) === deviceId;
+}
+
+/**
+ * Build the identity object from a private key
+ * @param {crypto.KeyObject} privateKey - Ed25519 private key
+ * @returns {{deviceId: string, publicKey: string, privateKey: crypto.KeyObject}}
+ */
+function fromPrivateKey(privateKey) {
+  const rawPublicKey = Buffer.from(crypto.createPublicKey(privateKey).export({ format: 'jwk' }).x, 'base64url');
+  return {
+    deviceId: deviceIdFromPublicKey(rawPublicKey),
+    publicKey: rawPublicKey.toString('base64'),
+    privateKey
+  };
+}
+
+/**
+ * Load the identity from disk, creating it on first start
+ * @returns {{deviceId: string, publicKey: string, privateKey: crypto.KeyObject}}
+ */
+function loadOrCreateIdentity() {
+  try {
+    const stored = JSON.parse(fs.readFileSync(IDENTITY_FILE, 'utf8'));
+    return fromPrivateKey(crypto.createPrivateKey(stored.privateKey));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      // Never silently replace an identity peers may already know
+      throw new Error(`Could not read device identity from ${IDENTITY_FILE}: ${error.message}`);
+    }
+  }
+
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  const created = fromPrivateKey(privateKey);
+  fs.mkdirSync(DATA_DIR, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(IDENTITY_FILE, JSON.stringify({
+    deviceId: created.deviceId,
+    privateKey: privateKey.export({ format: 'pem', type: 'pkcs8' }),
+    createdAt: new Date().toISOString()
+  }, null, 2), { mode: 0o600 });
+  console.log(`🆔 Created device identity ${created.deviceId} in ${IDENTITY_FILE}`);
+  return created;
+}
+
+/**
+ * Get this device's identity
+ * @returns {{deviceId: string, publicKey: string, privateKey: crypto.KeyObject}}
+ */
+export function getIdentity() {
+  if (!identity) {
+    identity = loadOrCreateIdentity();
+  }
+  return identity;
+}
+
+/**
+ * Get this device's ID
+ * @returns {string} Device ID
+ */
+export function getDeviceId() {
+  return getIdentity().deviceId;
+}
+
+/**
+ * Describe this device for discovery and health responses
+ * @returns {{deviceId: string, publicKey: string, name: string}}
+ */
+export function getDeviceInfo() {
+  const { deviceId, publicKey } = getIdentity();
+  return { deviceId, publicKey, name: getHostname() };
+}
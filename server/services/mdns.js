@@ -0,0 +1,205 @@
+import net from 'net';
+import { Bonjour } from 'bonjour-service';
+import { getHostname, isLanAddress, findInterfaceFor, isLinkLocalIPv6, addressPreference } from '../utils/network.js';
+import { getPeer, removePeer } from './peerManager.js';
+import { getDeviceId, isDeviceId } from './identity.js';
+import { TLS_ENABLED } from './tls.js';
+import { getAnnouncement } from './profile.js';
+import { checkPeerServer } from './discovery.js';
+
+/**
+ * mDNS Service
+ * Advertises this server as a `_peerdrop._tcp.local` DNS-SD service and browses for others,
+ * next to the UDP broadcast and subnet scan in discovery.js. Multicast DNS gets through on many
+ * networks that drop broadcasts and scans, and lets other DNS-SD tools find PeerDrop servers
+ * (e.g. `dns-sd -B _peerdrop._tcp` or `avahi-browse _peerdrop._tcp`).
+ *
+ * TXT record: name (device name), id (device ID), port, proto (protocol version), tls (1 in TLS mode),
+ * and the rest of the profile (see profile.js): type, os, color, features (comma-separated) and availability.
+ *
+ * Anyone on the network can advertise any TXT record, so a service found here is only a hint: the
+ * peer is added once the server at its address proves the device ID (see checkPeerServer).
+ */
+
+const SERVICE_TYPE = 'peerdrop';
+const SERVER_PORT = 3001;
+
+let bonjour = null;
+let browser = null;
+let advertisement = null; // Our published service
+let republishing = Promise.resolve(); // Advertisement updates, one after the other
+const checking = new Set(); // Addresses of advertised servers being checked
+
+/**
+ * Build the TXT record of our service
+ * @returns {Object} TXT key/value pairs
+ */
+function buildTxt() {
+  const announcement = getAnnouncement();
+  return {
+    name: announcement.name,
+    id: announcement.deviceId,
+    port: String(SERVER_PORT),
+    proto: String(announcement.protocolVersion),
+    tls: TLS_ENABLED ? '1' : '0',
+    type: announcement.deviceType,
+    os: announcement.os,
+    color: announcement.color,
+    features: announcement.features.join(','),
+    availability: announcement.availability
+  };
+}
+
+/**
+ * Publish our service
+ * @param {Object} options - Extra bonjour publish options
+ * @returns {Object} Published service (bonjour-service Service)
+ */
+function publishAdvertisement(options = {}) {
+  return bonjour.publish({
+    // Instance names must be unique on the network, and host names alone often aren't
+    name: `PeerDrop ${getHostname()} (${getDeviceId().slice(0, 8)})`,
+    type: SERVICE_TYPE,
+    port: SERVER_PORT,
+    txt: buildTxt(),
+    ...options
+  });
+}
+
+/**
+ * Start advertising this server and browsing for others
+ */
+export function initializeMdns() {
+  if (bonjour) {
+    return;
+  }
+
+  bonjour = new Bonjour(undefined, (error) => {
+    console.error('mDNS error:', error);
+  });
+
+  advertisement = publishAdvertisement();
+
+  browser = bonjour.find({ type: SERVICE_TYPE });
+  browser.on('up', handleService);
+  browser.on('txt-update', handleService);
+  browser.on('srv-update', handleService);
+  browser.on('down', (service) => {
+    // The server said goodbye (shutting down) or its records expired. Only trust that for the
+    // address it went away from: a goodbye naming a device at another address says nothing about it.
+    const peer = isDeviceId(service.txt?.id) ? getPeer(service.txt.id) : null;
+    if (peer && serviceAddresses(service).includes(peer.ip)) {
+      removePeer(peer.id, 'its mDNS service went away');
+    }
+  });
+
+  console.log(`📡 Advertising _${SERVICE_TYPE}._tcp.local over mDNS`);
+}
+
+/**
+ * Stop a published service, sending the goodbye that withdraws its records
+ * @param {Object} service - Published service (bonjour-service Service)
+ * @returns {Promise<void>} Resolves once the goodbye went out
+ */
+function stopService(service) {
+  return new Promise((resolve) => service.stop(resolve));
+}
+
+/**
+ * Announce the current profile in our TXT record (after it changed)
+ * A published service keeps re-announcing the records it started with, so it is stopped and
+ * published again once its goodbye is out. Other devices see us leave and come straight back with
+ * the new records. Updates run one after the other, so quick changes never leave two services.
+ * @returns {Promise<void>} Resolves once the new service is published
+ */
+export function updateMdnsAdvertisement() {
+  republishing = republishing.then(async () => {
+    if (!advertisement) {
+      return; // Not started, or shut down meanwhile
+    }
+    await stopService(advertisement);
+    if (bonjour) {
+      advertisement = publishAdvertisement({ probe: false }); // The name is ours already
+    }
+  }).catch((error) => {
+    console.error('mDNS error:', error);
+  });
+  return republishing;
+}
+
+/**
+ * Withdraw our service and stop browsing, e.g. when the server shuts down
+ * Other devices drop us right away instead of when our records expire.
+ * @returns {Promise<void>} Resolves once the goodbye went out and the mDNS socket is closed
+ */
+export async function stopMdns() {
+  if (!bonjour) {
+    return;
+  }
+  await republishing;
+  const current = bonjour;
+  bonjour = null;
+  advertisement = null;
+  browser.stop();
+  browser = null;
+  await new Promise((resolve) => current.unpublishAll(resolve));
+  await new Promise((resolve) => current.destroy(resolve));
+  console.log(`📡 Stopped advertising _${SERVICE_TYPE}._tcp.local`);
+}
+
+/**
+ * Ask the network for PeerDrop services again
+ * Services the browser already knows (and whose records haven't expired) are checked right away,
+ * since discovery starts from an empty peer list; new ones arrive through the browser's events.
+ */
+export function queryMdns() {
+  if (!browser) {
+    console.warn('mDNS not initialized');
+    return;
+  }
+  browser.expire();
+  browser.services.forEach(handleService);
+  browser.update();
+}
+
+/**
+ * List the usable LAN addresses of a DNS-SD service
+ * The advertised addresses, and the address the answer came from. Advertised link-local IPv6
+ * addresses come without a zone, so they can't be used.
+ * @param {Object} service - DNS-SD service (bonjour-service Service)
+ * @returns {Array<string>} Addresses, most widely usable first
+ */
+function serviceAddresses(service) {
+  return [...(service.addresses || []), service.referer?.address]
+    .filter(address => net.isIP(address || '') && isLanAddress(address) && !(isLinkLocalIPv6(address) && !address.includes('%')))
+    .sort((a, b) => addressPreference(a) - addressPreference(b));
+}
+
+/**
+ * Check a PeerDrop server found over mDNS, which adds it to the peers if it is one
+ * @param {Object} service - Resolved DNS-SD service (bonjour-service Service)
+ */
+function handleService(service) {
+  const txt = service.txt || {};
+  if (!isDeviceId(txt.id) || txt.id === getDeviceId()) {
+    return;
+  }
+
+  const ip = serviceAddresses(service)[0];
+  if (!ip || checking.has(ip)) {
+    return;
+  }
+
+  // The server's /api/health, not the TXT record, says which device it is (and with which profile)
+  checking.add(ip);
+  checkPeerServer(ip, findInterfaceFor(ip)?.name ?? null, 'mdns')
+    .then((info) => {
+      if (info?.deviceId !== txt.id) {
+        console.warn(`⚠️ mDNS service at ${ip} claims device ${txt.id}, but the server there is ${info?.deviceId}`);
+      }
+    })
+    .catch(() => {
+      // Not reachable (yet); the next announcement or query tries again
+    })
+    .finally(() => checking.delete(ip));
+}
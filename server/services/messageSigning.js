@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+import { getIdentity, deviceIdFromPublicKey, isDeviceId } from './identity.js';
+
+/**
+ * Message Signing Service
+ * Authenticates signaling messages that servers forward to each other (/api/forward).
+ *
+ * The sending server signs the message with its device key (see identity.js) and adds a random
+ * nonce, a timestamp and its public key. The receiver checks that the public key hashes to the
+ * claimed device ID (so a signature can't be made under someone else's ID), that the signature
+ * covers the whole message, that the timestamp is recent, and that the nonce hasn't been seen
+ * before within that window. Anything else never reaches the browser.
+ */
+
+const MAX_MESSAGE_AGE = 60 * 1000; // Accept messages signed at most 60s ago (or ahead, for clock skew)
+
+const seenNonces = new Map(); // Map of "deviceId:nonce" -> time after which it can be forgotten
+
+/**
+ * Serialize a message deterministically (object keys sorted), so both sides sign the same bytes
+ * @param {any} value - Message or part of it
+ * @returns {string} Canonical JSON
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalize).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Get the bytes covered by a message's signature
+ * @param {Object} message - Signed message
+ * @returns {Buffer} Signed payload
+ */
+function signedPayload(message) {
+  const unsigned = { ...message };
+  delete unsigned.signature;
+  return Buffer.from(canonicalize(unsigned), 'utf8');
+}
+
+/**
+ * Sign an outgoing signaling message with this device's key
+ * @param {Object} message - Message, including fromDeviceId and targetDeviceId
+ * @returns {Object} Message with nonce, timestamp, fromPublicKey and signature added
+ */
+export function signMessage(message) {
+  const { publicKey, privateKey } = getIdentity();
+  const signed = {
+    ...message,
+    nonce: crypto.randomBytes(16).toString('hex'),
+    timestamp: new Date().toISOString(),
+    fromPublicKey: publicKey
+  };
+  signed.signature = crypto.sign(null, signedPayload(signed), privateKey).toString('base64');
+  return signed;
+}
+
+/**
+ * Forget nonces whose messages would be rejected as too old anyway
+ */
+function pruneNonces() {
+  const now = Date.now();
+  for (const [key, expiresAt] of seenNonces) {
+    if (expiresAt < now) {
+      seenNonces.delete(key);
+    }
+  }
+}
+
+/**
+ * Check an incoming signaling message
+ * Records the nonce of a valid message, so verifying the same message twice fails the second time.
+ * Never throws: malformed messages are rejected like any other invalid one.
+ * @param {any} message - Message received from another server
+ * @returns {{valid: boolean, reason?: string}} Result, with the reason if it was rejected
+ */
+export function verifyMessage(message) {
+  if (!message?.signature || !message.fromPublicKey || !message.nonce || !message.timestamp) {
+    return { valid: false, reason: 'unsigned' };
+  }
+  // Everything below decodes these as strings; anything else would throw instead of failing
+  if ([message.signature, message.fromPublicKey, message.nonce, message.timestamp].some(field => typeof field !== 'string')) {
+    return { valid: false, reason: 'malformed signature fields' };
+  }
+  if (!isDeviceId(message.fromDeviceId)) {
+    return { valid: false, reason: 'invalid sender device ID' };
+  }
+
+  const rawPublicKey = Buffer.from(message.fromPublicKey, 'base64');
+  if (rawPublicKey.length !== 32 || deviceIdFromPublicKey(rawPublicKey) !== message.fromDeviceId) {
+    return { valid: false, reason: 'public key does not match the sender device ID' };
+  }
+
+  const signedAt = Date.parse(message.timestamp);
+  if (!Number.isFinite(signedAt) || Math.abs(Date.now() - signedAt) > MAX_MESSAGE_AGE) {
+    return { valid: false, reason: 'timestamp outside the accepted window' };
+  }
+
+  let signatureValid = false;
+  try {
+    const publicKey = crypto.createPublicKey({
+      key: { kty: 'OKP', crv: 'Ed25519', x: rawPublicKey.toString('base64url') },
+      format: 'jwk'
+    });
+    signatureValid = crypto.verify(null, signedPayload(message), publicKey, Buffer.from(message.signature, 'base64'));
+  } catch {
+    signatureValid = false;
+  }
+  if (!signatureValid) {
+    return { valid: false, reason: 'bad signature' };
+  }
+
+  pruneNonces();
+  const nonceKey = `${message.fromDeviceId}:${message.nonce}`;
+  if (seenNonces.has(nonceKey)) {
+    return { valid: false, reason: 'replayed message' };
+  }
+  seenNonces.set(nonceKey, signedAt + MAX_MESSAGE_AGE);
+
+  return { valid: true };
+}
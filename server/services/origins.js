@@ -0,0 +1,93 @@
+import os from 'os';
+import process from 'process';
+import { TLS_ENABLED } from './tls.js';
+
+/**
+ * Origins Service
+ * Which web pages may use this server from a browser (REST via CORS, and the WebSocket).
+ * Without this, any website open in the user's browser could call localhost:3001 and act as the
+ * user, e.g. start discovery or send connection requests.
+ *
+ * Allowed by default: the UI this server serves itself, at any of this machine's addresses on
+ * port 3001, and the Vite dev server on this machine. More origins can be added with
+ * PEERDROP_ALLOWED_ORIGINS (comma-separated, e.g. "http://localhost:4173").
+ *
+ * Requests without an Origin header (other PeerDrop servers, curl) are not affected: browsers
+ * always send one on cross-origin requests.
+ */
+
+const SERVER_PORT = '3001';
+const DEV_ORIGINS = ['http://localhost:5173', 'http://127.0.0.1:5173'];
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+const configuredOrigins = (process.env.PEERDROP_ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/$/, ''))
+  .filter(Boolean);
+
+/**
+ * Get the host names this machine can be reached at
+ * @returns {Set<string>} Loopback names, hostname and interface addresses (IPv6 in brackets, as in URLs)
+ */
+function getLocalHosts() {
+  const hosts = new Set([...LOOPBACK_HOSTS, os.hostname().toLowerCase()]);
+  Object.values(os.networkInterfaces()).flat().forEach(iface => {
+    if (iface) {
+      hosts.add(iface.family === 'IPv6' || iface.family === 6 ? `[${iface.address.split('%')[0]}]` : iface.address);
+    }
+  });
+  return hosts;
+}
+
+/**
+ * Check whether a page at this origin may use the server
+ * @param {string} origin - Value of the Origin header
+ * @returns {boolean} True if allowed
+ */
+export function isAllowedOrigin(origin) {
+  if (DEV_ORIGINS.includes(origin) || configuredOrigins.includes(origin)) {
+    return true;
+  }
+
+  let url;
+  try {
+    url = new URL(origin);
+  } catch {
+    return false;
+  }
+  // The bundled UI, served by this server at one of its own addresses
+  return url.protocol === (TLS_ENABLED ? 'https:' : 'http:') &&
+         url.port === SERVER_PORT &&
+         getLocalHosts().has(url.hostname.toLowerCase());
+}
+
+/**
+ * Express middleware refusing requests from pages whose origin isn't allowed
+ * CORS headers alone would only hide the response; the request itself must not run.
+ */
+export function checkOrigin(req, res, next) {
+  const origin = req.headers.origin;
+  if (origin && !isAllowedOrigin(origin)) {
+    console.warn(`❌ [HTTP ${req.method}] ${req.originalUrl} refused for origin ${origin}`);
+    return res.status(403).json({
+      success: false,
+      error: 'Origin not allowed'
+    });
+  }
+  next();
+}
+
+/**
+ * Options for the cors middleware
+ */
+export const corsOptions = {
+  origin: (origin, callback) => callback(null, !origin || isAllowedOrigin(origin))
+};
+
+/**
+ * Describe the allowed origins for the startup log
+ * @returns {string} Summary
+ */
+export function describeAllowedOrigins() {
+  return [`this server's own UI (port ${SERVER_PORT})`, ...DEV_ORIGINS, ...configuredOrigins].join(', ');
+}
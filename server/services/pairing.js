@@ -0,0 +1,347 @@
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+import { getLocalIP } from '../utils/network.js';
+import { getDeviceId } from './identity.js';
+import { getProfile } from './profile.js';
+import { signMessage, verifyMessage } from './messageSigning.js';
+import { trustDevice } from './trustStore.js';
+import { broadcast } from './websocket.js';
+import { peerRequest, getCertificatePem, TLS_ENABLED } from './tls.js';
+import { startExchange, finishExchange } from './pake.js';
+
+/**
+ * Pairing Service
+ * One-time pairing of two devices, after which each keeps the other in its trust store.
+ *
+ * One device shows a 6-digit PIN (also as a QR code, see PairingPanel in the frontend); the user
+ * of the other device types or scans it. The two servers then run a PIN-authenticated key
+ * exchange (CPace, see pake.js) over three signed messages to /api/pair:
+ *   joining -> pair_request { sessionId, share }
+ *   showing -> pair_accept  { sessionId, share, proof }  proof = HMAC of the exchanged key
+ *   joining -> pair_confirm { sessionId, proof }
+ * Each proof shows the sender derived the same key, which it can only have with the same PIN.
+ * Unlike an HMAC keyed with the PIN itself, nothing sent lets anyone try PINs offline: every
+ * pair_request is one guess, and a shown PIN is withdrawn after MAX_ATTEMPTS of them. The
+ * signatures (see messageSigning.js) bind the identities being exchanged to the key pairs behind
+ * the device IDs. A PIN is valid for one pairing and a few minutes.
+ *
+ * In TLS mode both messages also carry the sender's TLS certificate, which the other side pins
+ * for all later connections to that device (see tls.js). The joining side also checks that the
+ * certificate it was served during pairing is the one the other device signed.
+ */
+
+const PIN_LIFETIME = 2 * 60 * 1000; // A shown PIN expires after 2 minutes
+const MAX_ATTEMPTS = 5; // Pair requests (each one guess at the PIN) before the shown PIN is withdrawn
+const REQUEST_TIMEOUT = 5000;
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{22}$/; // 16 random bytes, base64url
+
+let session = null; // { pin, expiresAt, attemptsLeft, handshake } while this device shows a PIN
+
+/**
+ * Compute a party's proof of having derived the exchanged key
+ * @param {Buffer} key - Key from finishExchange
+ * @param {string} role - 'request' or 'accept'
+ * @param {string} fromDeviceId - Device the proof comes from
+ * @param {string} toDeviceId - Device the proof is for
+ * @returns {string} Hex HMAC
+ */
+function keyProof(key, role, fromDeviceId, toDeviceId) {
+  return crypto.createHmac('sha256', key).update(`peerdrop-pair|${role}|${fromDeviceId}|${toDeviceId}`).digest('hex');
+}
+
+/**
+ * Build the session ID both sides feed into the key exchange
+ * @param {string} id - Random ID chosen by the joining device
+ * @param {string} joiningDeviceId - Device entering the PIN
+ * @param {string} showingDeviceId - Device showing the PIN
+ * @returns {string}
+ */
+function exchangeSessionId(id, joiningDeviceId, showingDeviceId) {
+  return `${id}|${joiningDeviceId}|${showingDeviceId}`;
+}
+
+/**
+ * Compare two proofs in constant time
+ * @param {string} a - Proof
+ * @param {string} b - Proof
+ * @returns {boolean}
+ */
+function proofsMatch(a, b) {
+  const bufferA = Buffer.from(String(a), 'utf8');
+  const bufferB = Buffer.from(String(b), 'utf8');
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Parse a PEM certificate sent while pairing
+ * @param {any} pem - Value of a tlsCertificate field
+ * @returns {crypto.X509Certificate|null} Certificate, or null if absent or invalid
+ */
+function parseCertificate(pem) {
+  if (typeof pem !== 'string') {
+    return null;
+  }
+  try {
+    return new crypto.X509Certificate(pem);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Get the shown PIN, unless it has expired
+ * @returns {Object|null} Session
+ */
+function getSession() {
+  if (session && session.expiresAt < Date.now()) {
+    console.log('⌛ Pairing PIN expired');
+    session = null;
+  }
+  return session;
+}
+
+/**
+ * Start showing a new pairing PIN (replaces any PIN shown before)
+ * @returns {{pin: string, expiresAt: number}} PIN and when it expires
+ */
+export function startPairing() {
+  session = {
+    pin: crypto.randomInt(0, 1000000).toString().padStart(6, '0'),
+    expiresAt: Date.now() + PIN_LIFETIME,
+    attemptsLeft: MAX_ATTEMPTS
+  };
+  console.log('🔢 Showing a pairing PIN');
+  return { pin: session.pin, expiresAt: session.expiresAt };
+}
+
+/**
+ * Stop showing the pairing PIN
+ */
+export function cancelPairing() {
+  session = null;
+}
+
+/**
+ * Withdraw the shown PIN after too many attempts
+ */
+function withdrawPin() {
+  session = null;
+  broadcast({ type: 'pairing_failed', error: 'Too many wrong PINs, the PIN was withdrawn' });
+}
+
+/**
+ * Handle a pair_request or pair_confirm from another server (signature not yet checked)
+ * @param {Object} message - Signed message
+ * @returns {{status: number, body: Object}} HTTP response for the requester
+ */
+export function handlePairMessage(message) {
+  const verification = verifyMessage(message);
+  if (!['pair_request', 'pair_confirm'].includes(message?.type) || !verification.valid) {
+    console.warn(`❌ Rejected pair message: ${verification.reason || 'not a pair_request or pair_confirm'}`);
+    return { status: 401, body: { success: false, error: `Pair message rejected: ${verification.reason || 'invalid'}` } };
+  }
+  if (message.targetDeviceId !== getDeviceId()) {
+    return { status: 409, body: { success: false, error: 'Wrong device', deviceId: getDeviceId() } };
+  }
+
+  const current = getSession();
+  if (!current) {
+    return { status: 403, body: { success: false, error: 'No pairing PIN is shown on that device' } };
+  }
+  return message.type === 'pair_request' ? handlePairRequest(current, message) : handlePairConfirm(current, message);
+}
+
+/**
+ * Answer a pair_request with this device's share of the key exchange
+ * Every request uses up one attempt, since it lets the requester test one PIN.
+ * @param {Object} current - Shown PIN
+ * @param {Object} message - Verified pair_request
+ * @returns {{status: number, body: Object}} HTTP response for the requester
+ */
+function handlePairRequest(current, message) {
+  if (typeof message.sessionId !== 'string' || !SESSION_ID_PATTERN.test(message.sessionId)) {
+    return { status: 400, body: { success: false, error: 'Invalid pair request' } };
+  }
+  if (current.attemptsLeft <= 0) {
+    withdrawPin();
+    return { status: 403, body: { success: false, error: 'Too many attempts, the PIN was withdrawn' } };
+  }
+
+  const exchange = startExchange(current.pin, exchangeSessionId(message.sessionId, message.fromDeviceId, getDeviceId()));
+  const key = finishExchange(exchange, message.share, false);
+  if (!key) {
+    return { status: 400, body: { success: false, error: 'Invalid pair request' } };
+  }
+
+  current.attemptsLeft--;
+  current.handshake = { // Replaces any earlier unconfirmed request
+    deviceId: message.fromDeviceId,
+    sessionId: message.sessionId,
+    key,
+    name: String(message.fromName || `Peer ${message.fromIP}`).slice(0, 64),
+    publicKey: message.fromPublicKey,
+    tlsCertificate: parseCertificate(message.tlsCertificate) ? message.tlsCertificate : null
+  };
+  console.log(`🤝 Pair request from ${current.handshake.name} (${message.fromDeviceId}), ${current.attemptsLeft} attempt(s) left`);
+
+  return {
+    status: 200,
+    body: {
+      success: true,
+      accept: signMessage({
+        type: 'pair_accept',
+        fromDeviceId: getDeviceId(),
+        fromName: getProfile().name,
+        fromIP: getLocalIP(),
+        targetDeviceId: message.fromDeviceId,
+        sessionId: message.sessionId,
+        share: exchange.share,
+        proof: keyProof(key, 'accept', getDeviceId(), message.fromDeviceId),
+        tlsCertificate: getCertificatePem() ?? undefined
+      })
+    }
+  };
+}
+
+/**
+ * Trust the device behind a pair_confirm if it derived the same key, i.e. used the shown PIN
+ * @param {Object} current - Shown PIN
+ * @param {Object} message - Verified pair_confirm
+ * @returns {{status: number, body: Object}} HTTP response for the requester
+ */
+function handlePairConfirm(current, message) {
+  const { handshake } = current;
+  if (!handshake || handshake.deviceId !== message.fromDeviceId || handshake.sessionId !== message.sessionId) {
+    return { status: 409, body: { success: false, error: 'No pair request to confirm' } };
+  }
+
+  current.handshake = null;
+  if (!proofsMatch(message.proof, keyProof(handshake.key, 'request', message.fromDeviceId, getDeviceId()))) {
+    console.warn(`❌ Wrong pairing PIN from ${handshake.name} (${message.fromDeviceId}), ${current.attemptsLeft} attempt(s) left`);
+    if (current.attemptsLeft <= 0) {
+      withdrawPin();
+    }
+    return { status: 403, body: { success: false, error: 'Wrong PIN' } };
+  }
+
+  session = null;
+  const device = trustDevice({
+    deviceId: handshake.deviceId,
+    name: handshake.name,
+    publicKey: handshake.publicKey,
+    tlsCertificate: handshake.tlsCertificate
+  });
+  broadcast({ type: 'pairing_complete', deviceId: device.deviceId, name: device.name });
+  broadcast({ type: 'trust_update' });
+  return { status: 200, body: { success: true } };
+}
+
+/**
+ * POST a pair_request or pair_confirm to another server
+ * @param {string} ip - Address of the other server
+ * @param {Object} message - Signed message
+ * @returns {Promise<{status: number, body: Object, certificate: Buffer|null}>} Response, with the
+ *   DER certificate the server presented in TLS mode
+ */
+function postPairMessage(ip, message) {
+  return new Promise((resolve, reject) => {
+    const postData = JSON.stringify(message);
+    const req = peerRequest(ip, {
+      path: '/api/pair',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(postData)
+      },
+      timeout: REQUEST_TIMEOUT
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => {
+        data += chunk;
+      });
+      const certificate = res.socket.getPeerCertificate?.()?.raw ?? null;
+      res.on('end', () => {
+        try {
+          resolve({ status: res.statusCode, body: JSON.parse(data), certificate });
+        } catch {
+          reject(new Error(`Unexpected answer from ${ip}`));
+        }
+      });
+    });
+
+    req.on('error', () => reject(new Error(`No PeerDrop server answered at ${ip}`)));
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error(`Timed out pairing with ${ip}`));
+    });
+
+    req.write(postData);
+    req.end();
+  });
+}
+
+/**
+ * Pair with a device that shows a PIN
+ * @param {{ip: string, deviceId: string, pin: string}} target - The device and the PIN it shows
+ * @returns {Promise<Object>} The trusted device
+ * @throws {Error} If the PIN is wrong or the other device can't prove it knows it
+ */
+export async function joinPairing({ ip, deviceId, pin }) {
+  const localId = getDeviceId();
+  const sessionId = crypto.randomBytes(16).toString('base64url');
+  const exchange = startExchange(pin, exchangeSessionId(sessionId, localId, deviceId));
+  const request = signMessage({
+    type: 'pair_request',
+    fromDeviceId: localId,
+    fromName: getProfile().name,
+    fromIP: getLocalIP(),
+    targetDeviceId: deviceId,
+    sessionId,
+    share: exchange.share,
+    tlsCertificate: getCertificatePem() ?? undefined
+  });
+
+  console.log(`🤝 Pairing with ${deviceId} at ${ip}`);
+  const { status, body, certificate } = await postPairMessage(ip, request);
+  if (status !== 200 || !body.accept) {
+    throw new Error(body.error || `Pairing failed (${status})`);
+  }
+
+  const accept = body.accept;
+  const verification = verifyMessage(accept);
+  if (!verification.valid || accept.type !== 'pair_accept' ||
+      accept.fromDeviceId !== deviceId || accept.targetDeviceId !== localId || accept.sessionId !== sessionId) {
+    // Whoever answered at that address doesn't hold the device key
+    throw new Error(`The device at ${ip} could not prove it is ${deviceId}`);
+  }
+  const key = finishExchange(exchange, accept.share, true);
+  if (!key || !proofsMatch(accept.proof, keyProof(key, 'accept', deviceId, localId))) {
+    throw new Error('Wrong PIN');
+  }
+
+  const signedCertificate = parseCertificate(accept.tlsCertificate);
+  if (TLS_ENABLED && (!signedCertificate || !certificate || !signedCertificate.raw.equals(certificate))) {
+    // Someone in between terminated TLS; the messages were relayed intact, but later connections wouldn't be
+    throw new Error(`The TLS certificate of ${ip} is not the one ${deviceId} vouched for`);
+  }
+
+  const confirm = await postPairMessage(ip, signMessage({
+    type: 'pair_confirm',
+    fromDeviceId: localId,
+    targetDeviceId: deviceId,
+    sessionId,
+    proof: keyProof(key, 'request', localId, deviceId)
+  }));
+  if (confirm.status !== 200 || !confirm.body.success) {
+    throw new Error(confirm.body.error || `Pairing failed (${confirm.status})`);
+  }
+
+  const device = trustDevice({
+    deviceId,
+    name: String(accept.fromName || `Peer ${ip}`).slice(0, 64),
+    publicKey: accept.fromPublicKey,
+    tlsCertificate: signedCertificate ? accept.tlsCertificate : null
+  });
+  broadcast({ type: 'trust_update' });
+  return device;
+}
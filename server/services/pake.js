@@ -0,0 +1,143 @@
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+
+/**
+ * PAKE Service
+ * CPace over X25519: a password-authenticated key exchange that turns a short shared secret (the
+ * pairing PIN) into a strong shared key, see pairing.js.
+ *
+ * Both sides map the PIN and a session ID to a point on Curve25519 (Elligator2), multiply it by a
+ * random scalar and exchange the results ("shares"). Only parties that used the same PIN end up
+ * with the same key. Neither the shares nor anything derived from the key let someone test PIN
+ * guesses offline: an attacker taking part in an exchange gets one guess at the PIN per exchange,
+ * and an eavesdropper none.
+ *
+ * Scalar multiplication is plain X25519 from Node's crypto; only the mapping to the curve is done
+ * here, with BigInt field arithmetic (it only runs a few times per pairing).
+ */
+
+const P = 2n ** 255n - 19n; // Field prime of Curve25519
+const J = 486662n; // Montgomery curve coefficient A
+const Z = 2n; // Non-square used by Elligator2 for Curve25519 (RFC 9380)
+const SHARE_LENGTH = 32;
+const DOMAIN = 'PeerDrop CPace X25519';
+
+/**
+ * Reduce a number into the field
+ * @param {bigint} a - Number
+ * @returns {bigint} a mod P, non-negative
+ */
+function mod(a) {
+  const result = a % P;
+  return result < 0n ? result + P : result;
+}
+
+/**
+ * Raise a field element to a power
+ * @param {bigint} base - Field element
+ * @param {bigint} exponent - Non-negative exponent
+ * @returns {bigint} base^exponent mod P
+ */
+function power(base, exponent) {
+  let result = 1n;
+  let square = mod(base);
+  for (let e = exponent; e > 0n; e >>= 1n) {
+    if (e & 1n) {
+      result = (result * square) % P;
+    }
+    square = (square * square) % P;
+  }
+  return result;
+}
+
+/**
+ * Check whether a field element is a square
+ * @param {bigint} a - Field element
+ * @returns {boolean}
+ */
+function isSquare(a) {
+  const value = mod(a);
+  return value === 0n || power(value, (P - 1n) / 2n) === 1n;
+}
+
+/**
+ * Map a field element to the u-coordinate of a point on Curve25519 (Elligator2, RFC 9380 6.7.1)
+ * @param {bigint} r - Field element
+ * @returns {bigint} u-coordinate
+ */
+function elligator2(r) {
+  let denominator = mod(Z * r * r + 1n);
+  if (denominator === 0n) {
+    denominator = 1n; // Exceptional case: x1 = -J
+  }
+  const x1 = mod(-J * power(denominator, P - 2n));
+  const gx1 = mod(x1 * x1 * x1 + J * x1 * x1 + x1);
+  return isSquare(gx1) ? x1 : mod(-x1 - J);
+}
+
+/**
+ * Encode a u-coordinate as an X25519 public key
+ * @param {Buffer} bytes - 32 bytes, little-endian
+ * @returns {crypto.KeyObject} Public key
+ */
+function toPublicKey(bytes) {
+  return crypto.createPublicKey({
+    key: { kty: 'OKP', crv: 'X25519', x: bytes.toString('base64url') },
+    format: 'jwk'
+  });
+}
+
+/**
+ * Derive the PIN-dependent base point of an exchange
+ * @param {string} password - Shared secret (the PIN)
+ * @param {string} sessionId - Identifies the exchange, including both parties
+ * @returns {crypto.KeyObject} Base point as an X25519 public key
+ */
+function generator(password, sessionId) {
+  const hash = crypto.createHash('sha512').update(`${DOMAIN}|${password.length}|${password}|${sessionId}`).digest();
+  const r = BigInt(`0x${Buffer.from(hash.subarray(0, 32)).reverse().toString('hex')}`) & ((1n << 255n) - 1n);
+  const u = elligator2(mod(r));
+  return toPublicKey(Buffer.from(u.toString(16).padStart(64, '0'), 'hex').reverse());
+}
+
+/**
+ * Start an exchange
+ * @param {string} password - Shared secret (the PIN)
+ * @param {string} sessionId - Identifies the exchange; both sides must use the same one
+ * @returns {{privateKey: crypto.KeyObject, sessionId: string, share: string}} Exchange state, with
+ *   the base64 share to send to the other side
+ */
+export function startExchange(password, sessionId) {
+  const { privateKey } = crypto.generateKeyPairSync('x25519');
+  const share = crypto.diffieHellman({ privateKey, publicKey: generator(password, sessionId) });
+  return { privateKey, sessionId, share: share.toString('base64') };
+}
+
+/**
+ * Finish an exchange with the other side's share
+ * @param {Object} exchange - State returned by startExchange
+ * @param {any} remoteShare - Share received from the other side
+ * @param {boolean} initiator - True on the side that sent its share first
+ * @returns {Buffer|null} Shared key (same on both sides only if both used the same password), or
+ *   null if the share is invalid
+ */
+export function finishExchange(exchange, remoteShare, initiator) {
+  const remote = typeof remoteShare === 'string' ? Buffer.from(remoteShare, 'base64') : null;
+  if (!remote || remote.length !== SHARE_LENGTH || remote.toString('base64') !== remoteShare) {
+    return null;
+  }
+
+  let secret;
+  try {
+    // Fails for low-order shares, which would give a key independent of the password
+    secret = crypto.diffieHellman({ privateKey: exchange.privateKey, publicKey: toPublicKey(remote) });
+  } catch {
+    return null;
+  }
+
+  const [first, second] = initiator ? [exchange.share, remoteShare] : [remoteShare, exchange.share];
+  return crypto.createHash('sha512')
+    .update(`${DOMAIN} key|${exchange.sessionId}|${first}|${second}|`)
+    .update(secret)
+    .digest();
+}
@@ -1,21 +1,147 @@
+import { broadcast } from './websocket.js';
+import { addressPreference } from '../utils/network.js';
+
 /**
  * Peer Manager Service
  * Manages discovered peers and prevents duplicates
+ * Peers are keyed by device ID (see identity.js); the IP is only where the device was last seen.
+ *
+ * A peer stays in the list while it keeps being seen (discovery answers, mDNS, health checks, see
+ * refreshPresence in discovery.js) and expires PEER_TTL after it was last seen. Connected frontends
+ * are told about every change with peer_joined, peer_updated and peer_left messages.
+ *
+ * Each peer lists the methods that found it in `sources` (see SOURCES), and connected frontends get
+ * a peer_updated at least every LAST_SEEN_INTERVAL while it keeps being seen, so they can show
+ * when it was last seen.
+ *
+ * A dual-stack device is seen at several addresses (IPv4, IPv6, link-local IPv6). Each peer keeps
+ * the ones seen within PEER_TTL in `addresses`, and `ip` is the most widely usable of them
+ * (see addressPreference), so the entry doesn't flip between them with every discovery answer.
+ */
+
+export const PEER_TTL = 35 * 1000; // Three missed 10s discovery rounds, plus some slack
+const LAST_SEEN_INTERVAL = 10 * 1000; // One discovery round
+
+// How a peer can be found: UDP broadcast, mDNS, subnet scan, configured static peer,
+// its connection request, or entered by IP on this device
+export const SOURCES = ['udp', 'mdns', 'scan', 'static', 'request', 'manual'];
+
+const peerMap = new Map(); // Track peers by device ID to avoid duplicates
+const reportedAt = new Map(); // Device ID -> lastSeen the frontends were last told about
+
+/**
+ * Check whether a peer's name, address or profile differs between two entries
+ * @param {Object} a - Peer
+ * @param {Object} b - Peer
+ * @returns {boolean} True if something the UI shows has changed
  */
+function hasChanged(a, b) {
+  const addressList = (peer) => peer.addresses.map(address => address.ip).sort().join(' ');
+  const profileFields = ['deviceType', 'os', 'color', 'availability', 'protocolVersion'];
+  return a.name !== b.name || a.ip !== b.ip || a.port !== b.port || a.publicKey !== b.publicKey ||
+         a.interface !== b.interface || addressList(a) !== addressList(b) ||
+         profileFields.some(field => a[field] !== b[field]) || String(a.features) !== String(b.features) ||
+         String(a.sources) !== String(b.sources);
+}
 
-const peerMap = new Map(); // Track peers by IP to avoid duplicates
+/**
+ * Merge a newly seen address into a peer's recent addresses
+ * @param {Object|undefined} existingPeer - Current entry
+ * @param {Object} peer - New sighting with ip, interface and lastSeen
+ * @returns {Array<{ip: string, interface: string|null, lastSeen: string}>} Addresses, most usable first
+ */
+function mergeAddresses(existingPeer, peer) {
+  const cutoff = Date.now() - PEER_TTL;
+  const addresses = (existingPeer?.addresses || [])
+    .filter(address => address.ip !== peer.ip && Date.parse(address.lastSeen) >= cutoff);
+  addresses.push({ ip: peer.ip, interface: peer.interface ?? null, lastSeen: peer.lastSeen });
+  return addresses.sort((a, b) => addressPreference(a.ip) - addressPreference(b.ip) || b.lastSeen.localeCompare(a.lastSeen));
+}
 
 /**
  * Add or update a peer
- * @param {Object} peer - Peer object with id, name, ip, port, lastSeen
+ * A device seen at a new IP replaces its old entry rather than showing up twice.
+ * @param {Object} sighting - Peer object with id (device ID), name, ip, port, publicKey, interface
+ *   (network interface it was reached through), lastSeen, source (see SOURCES; none for a health check
+ *   of a known peer), and what it announced of its profile (see sanitizeAnnouncement in profile.js)
  */
-export function addPeer(peer) {
-  const existingPeer = peerMap.get(peer.ip);
-  if (!existingPeer || existingPeer.lastSeen < peer.lastSeen) {
-    peerMap.set(peer.ip, peer);
+export function addPeer(sighting) {
+  const { source, ...peer } = sighting;
+  const existingPeer = peerMap.get(peer.id);
+  if (existingPeer && existingPeer.lastSeen >= peer.lastSeen) {
+    return;
+  }
+  const sources = existingPeer?.sources || [];
+
+  // Not every method learns everything (mDNS doesn't carry the public key)
+  const addresses = mergeAddresses(existingPeer, peer);
+  const updatedPeer = {
+    ...existingPeer,
+    ...peer,
+    ip: addresses[0].ip,
+    interface: addresses[0].interface,
+    addresses,
+    publicKey: peer.publicKey || existingPeer?.publicKey,
+    sources: source && !sources.includes(source) ? [...sources, source] : sources
+  };
+  peerMap.set(peer.id, updatedPeer);
+
+  const report = !existingPeer || hasChanged(existingPeer, updatedPeer) ||
+                 Date.parse(updatedPeer.lastSeen) - Date.parse(reportedAt.get(peer.id)) >= LAST_SEEN_INTERVAL;
+  if (report) {
+    reportedAt.set(peer.id, updatedPeer.lastSeen);
+  }
+
+  if (!existingPeer) {
+    console.log(`👋 Peer joined: ${updatedPeer.name} (${updatedPeer.id}) at ${updatedPeer.ip}`);
+    if (updatedPeer.compatible === false) {
+      console.warn(`⚠️ ${updatedPeer.name} speaks protocol version ${updatedPeer.protocolVersion}, connections to it won't work`);
+    }
+    broadcast({ type: 'peer_joined', peer: updatedPeer });
+  } else if (report) {
+    broadcast({ type: 'peer_updated', peer: updatedPeer });
   }
 }
 
+/**
+ * Remove a peer
+ * @param {string} deviceId - Device ID of the peer
+ * @param {string} reason - Why it left, for the log and the UI
+ * @returns {boolean} True if the peer was known
+ */
+export function removePeer(deviceId, reason) {
+  const peer = peerMap.get(deviceId);
+  if (!peer) {
+    return false;
+  }
+
+  peerMap.delete(deviceId);
+  reportedAt.delete(deviceId);
+  console.log(`👋 Peer left: ${peer.name} (${deviceId}), ${reason}`);
+  broadcast({ type: 'peer_left', peer, reason });
+  return true;
+}
+
+/**
+ * Remove peers that haven't been seen for PEER_TTL
+ * @returns {number} Number of peers removed
+ */
+export function expirePeers() {
+  const cutoff = Date.now() - PEER_TTL;
+  const expired = getPeers().filter(peer => Date.parse(peer.lastSeen) < cutoff);
+  expired.forEach(peer => removePeer(peer.id, 'not seen for a while'));
+  return expired.length;
+}
+
+/**
+ * Get a discovered peer
+ * @param {string} deviceId - Device ID of the peer
+ * @returns {Object|undefined} Peer object
+ */
+export function getPeer(deviceId) {
+  return peerMap.get(deviceId);
+}
+
 /**
  * Get all discovered peers
  * @returns {Array} Array of peer objects
@@ -28,7 +154,7 @@ export function getPeers() {
  * Clear all discovered peers
  */
 export function clearPeers() {
-  peerMap.clear();
+  getPeers().forEach(peer => removePeer(peer.id, 'list cleared'));
 }
 
 /**
@@ -38,4 +164,3 @@ export function clearPeers() {
 export function getPeerCount() {
   return peerMap.size;
 }
-
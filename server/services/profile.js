@@ -0,0 +1,213 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { getHostname } from '../utils/network.js';
+import { DATA_DIR, getDeviceId, getDeviceInfo } from './identity.js';
+
+/**
+ * Profile Service
+ * How this device presents itself to others in discovery announcements (UDP, mDNS, /api/health):
+ * a user-chosen name, device type, OS, avatar color, protocol version, supported features and
+ * whether the user is available for transfers.
+ *
+ * Name, type and color are kept in the data directory; the availability starts out available
+ * on every start. Announcements from other devices are untrusted and go through sanitizeAnnouncement.
+ */
+
+const PROFILE_FILE = path.join(DATA_DIR, 'profile.json');
+
+export const PROTOCOL_VERSION = 2; // Bump when signaling or transfer messages change incompatibly
+export const FEATURES = ['encryption', 'resume', 'relay'];
+export const DEVICE_TYPES = ['desktop', 'phone', 'server'];
+export const AVAILABILITIES = ['available', 'busy'];
+export const MAX_NAME = 64;
+
+// Avatar colors picked from the device ID until the user chooses one
+const PALETTE = ['#2563eb', '#7c3aed', '#db2777', '#dc2626', '#ea580c', '#ca8a04', '#16a34a', '#0d9488'];
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const OS_NAMES = { darwin: 'macOS', win32: 'Windows', linux: 'Linux', android: 'Android', freebsd: 'FreeBSD' };
+
+let profile = null; // { name, deviceType, color }, without defaults filled in
+let availability = 'available';
+
+/**
+ * Load the profile from disk on first use
+ * @returns {Object} Stored profile
+ */
+function load() {
+  if (profile) {
+    return profile;
+  }
+
+  profile = {};
+  try {
+    profile = JSON.parse(fs.readFileSync(PROFILE_FILE, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`❌ Could not read profile from ${PROFILE_FILE}:`, error.message);
+    }
+  }
+  return profile;
+}
+
+/**
+ * Write the profile to disk
+ */
+function save() {
+  fs.mkdirSync(DATA_DIR, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(PROFILE_FILE, JSON.stringify(load(), null, 2), { mode: 0o600 });
+}
+
+/**
+ * Pick a stable default avatar color for a device
+ * @param {string} deviceId - Device ID
+ * @returns {string} Color as #rrggbb
+ */
+function defaultColor(deviceId) {
+  const hash = crypto.createHash('sha256').update(deviceId).digest();
+  return PALETTE[hash[0] % PALETTE.length];
+}
+
+/**
+ * Get a readable name of the operating system
+ * @returns {string} e.g. "macOS" or "Linux"
+ */
+function getOSName() {
+  return OS_NAMES[os.platform()] || os.type();
+}
+
+/**
+ * Get this device's profile
+ * @returns {{name: string, deviceType: string, color: string, availability: string}} Profile, with defaults filled in
+ */
+export function getProfile() {
+  const stored = load();
+  return {
+    name: stored.name || getHostname(),
+    deviceType: stored.deviceType || 'desktop',
+    color: stored.color || defaultColor(getDeviceId()),
+    availability
+  };
+}
+
+/**
+ * Change this device's profile
+ * Nothing is changed if any value is invalid. An empty name goes back to the host name.
+ * @param {Object} changes - Any of name, deviceType, color and availability
+ * @returns {{profile: Object, errors: string[]}} Profile (updated if there are no errors) and what was invalid
+ */
+export function updateProfile(changes) {
+  const { name, deviceType, color, availability: newAvailability } = changes || {};
+  const errors = [];
+  if (name !== undefined && !(typeof name === 'string' && name.trim().length <= MAX_NAME)) {
+    errors.push(`name must be a string of at most ${MAX_NAME} characters`);
+  }
+  if (deviceType !== undefined && !DEVICE_TYPES.includes(deviceType)) {
+    errors.push(`deviceType must be one of ${DEVICE_TYPES.join(', ')}`);
+  }
+  if (color !== undefined && !(typeof color === 'string' && COLOR_PATTERN.test(color))) {
+    errors.push('color must be a #rrggbb color');
+  }
+  if (newAvailability !== undefined && !AVAILABILITIES.includes(newAvailability)) {
+    errors.push(`availability must be one of ${AVAILABILITIES.join(', ')}`);
+  }
+  if (errors.length > 0) {
+    return { profile: getProfile(), errors };
+  }
+
+  const stored = load();
+  if (name !== undefined) {
+    stored.name = name.trim() || undefined;
+  }
+  if (deviceType !== undefined) {
+    stored.deviceType = deviceType;
+  }
+  if (color !== undefined) {
+    stored.color = color.toLowerCase();
+  }
+  if (newAvailability !== undefined) {
+    availability = newAvailability;
+  }
+  if (name !== undefined || deviceType !== undefined || color !== undefined) {
+    save();
+  }
+  return { profile: getProfile(), errors };
+}
+
+/**
+ * Build what this device announces about itself
+ * @returns {Object} deviceId, publicKey, name, deviceType, os, color, protocolVersion, features and availability
+ */
+export function getAnnouncement() {
+  const { deviceId, publicKey } = getDeviceInfo();
+  return {
+    deviceId,
+    publicKey,
+    ...getProfile(),
+    os: getOSName(),
+    protocolVersion: PROTOCOL_VERSION,
+    features: FEATURES
+  };
+}
+
+/**
+ * Check whether a device speaking a protocol version can connect to this one
+ * @param {number} version - Its protocol version
+ * @returns {boolean} True if compatible
+ */
+export function isCompatibleVersion(version) {
+  return version === PROTOCOL_VERSION;
+}
+
+/**
+ * Check a short string from another device
+ * @param {any} value - Value
+ * @param {number} maxLength - Longest accepted length
+ * @returns {string|null} Trimmed string, or null if missing or invalid
+ */
+function shortString(value, maxLength) {
+  return typeof value === 'string' && value.trim() && value.length <= maxLength ? value.trim() : null;
+}
+
+/**
+ * Take the profile fields of another device's announcement (UDP message, health answer or mDNS TXT
+ * record), leaving out anything missing or invalid so what other methods learned is kept
+ * @param {Object} data - Announcement (servers from before profiles send hostname instead of name;
+ *   TXT records have type and proto instead of deviceType and protocolVersion)
+ * @returns {Object} Any of name, deviceType, os, color, features and availability, and protocolVersion with
+ *   compatible (see isCompatibleVersion) if the version is known
+ */
+export function sanitizeAnnouncement(data) {
+  const announcement = {};
+
+  const name = shortString(data.name ?? data.hostname, MAX_NAME);
+  if (name) {
+    announcement.name = name;
+  }
+  const deviceType = data.deviceType ?? data.type;
+  if (DEVICE_TYPES.includes(deviceType)) {
+    announcement.deviceType = deviceType;
+  }
+  const osName = shortString(data.os, 32);
+  if (osName) {
+    announcement.os = osName;
+  }
+  if (typeof data.color === 'string' && COLOR_PATTERN.test(data.color)) {
+    announcement.color = data.color.toLowerCase();
+  }
+  if (data.features !== undefined) {
+    const features = Array.isArray(data.features) ? data.features : String(data.features).split(',');
+    announcement.features = FEATURES.filter(feature => features.includes(feature)); // Only the ones we know of matter
+  }
+  if (AVAILABILITIES.includes(data.availability)) {
+    announcement.availability = data.availability;
+  }
+
+  const version = Number(data.protocolVersion ?? data.proto);
+  if (Number.isInteger(version) && version > 0) {
+    announcement.protocolVersion = version;
+    announcement.compatible = isCompatibleVersion(version);
+  }
+  return announcement;
+}
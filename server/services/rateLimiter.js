@@ -0,0 +1,76 @@
+/**
+ * Rate Limiter Service
+ * Token buckets keyed by client (IP address, device ID or WebSocket connection), so a single
+ * misbehaving device can't flood the signaling endpoints or the local client.
+ */
+
+const PRUNE_INTERVAL = 60 * 1000; // Drop idle buckets once a minute
+
+/**
+ * Create a rate limiter
+ * Each key may make `burst` requests at once and `perSecond` on average after that.
+ * @param {{name: string, burst: number, perSecond: number}} options - Limits
+ * @returns {{take: function(string): boolean}} Limiter; take(key) is false once the key is over its limit
+ */
+export function createRateLimiter({ name, burst, perSecond }) {
+  const buckets = new Map(); // Map of key -> { tokens, updatedAt, warned }
+  let prunedAt = Date.now();
+
+  /**
+   * Forget keys whose bucket has filled up again (they are indistinguishable from new ones)
+   * @param {number} now - Current time
+   */
+  function prune(now) {
+    if (now - prunedAt < PRUNE_INTERVAL) {
+      return;
+    }
+    prunedAt = now;
+    for (const [key, bucket] of buckets) {
+      if (bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond >= burst) {
+        buckets.delete(key);
+      }
+    }
+  }
+
+  return {
+    take(key) {
+      const now = Date.now();
+      prune(now);
+
+      const bucket = buckets.get(key) || { tokens: burst, updatedAt: now, warned: false };
+      bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+      bucket.updatedAt = now;
+      buckets.set(key, bucket);
+
+      if (bucket.tokens < 1) {
+        if (!bucket.warned) {
+          // Once per episode, not for every dropped request
+          console.warn(`🚦 Rate limit (${name}) hit by ${key}`);
+          bucket.warned = true;
+        }
+        return false;
+      }
+      bucket.tokens -= 1;
+      bucket.warned = false;
+      return true;
+    }
+  };
+}
+
+/**
+ * Express middleware rejecting requests over a limiter's per-IP limit with 429
+ * @param {Object} limiter - Limiter from createRateLimiter
+ * @returns {Function} Middleware
+ */
+export function rateLimitByIP(limiter) {
+  return (req, res, next) => {
+    const ip = req.socket.remoteAddress || 'unknown';
+    if (!limiter.take(ip)) {
+      return res.status(429).json({
+        success: false,
+        error: 'Too many requests'
+      });
+    }
+    next();
+  };
+}
@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import { Buffer } from 'buffer';
+import { peerRequest } from './tls.js';
+import { signMessage, verifyMessage } from './messageSigning.js';
+
+/**
+ * Relay Service
+ * Fallback data path for peers whose browsers cannot open a WebRTC connection to each other.
+ *
+ * The local browser POSTs each frame to /api/relay/send/:targetIP, we send it on to the
+ * target's server at /api/relay/deliver (the same server-to-server HTTP(S) link used to forward
+ * signaling), and that server pushes it to its browser over the WebSocket. Every hop answers
+ * only after the next one accepted the frame, so the sending browser gets backpressure.
+ *
+ * Each frame travels with a relay_frame envelope in the X-PeerDrop-Frame header, signed with the
+ * sending device's key like forwarded signaling (see messageSigning.js) and carrying the SHA-256
+ * of the body, so frames can't be forged, altered or replayed in another device's name.
+ */
+
+const SERVER_PORT = 3001;
+const RELAY_TIMEOUT = 15000; // A frame that is not delivered within 15s is reported as failed
+
+export const MAX_RELAY_FRAME = 1024 * 1024; // 1 MiB; file chunks are 64 KiB plus a small header
+export const RELAY_KINDS = ['message', 'binary'];
+
+/**
+ * Hash a frame body for its envelope
+ * @param {Buffer} body - Frame body
+ * @returns {string} Base64 SHA-256
+ */
+function digestOf(body) {
+  return crypto.createHash('sha256').update(body).digest('base64');
+}
+
+/**
+ * Check the envelope of a frame from another server
+ * @param {string} header - Value of the X-PeerDrop-Frame header
+ * @param {Buffer} body - Frame body
+ * @returns {{valid: boolean, reason?: string, frame?: Object}} Result, with the envelope
+ *   (fromDeviceId, targetDeviceId, kind) if valid
+ */
+export function verifyRelayFrame(header, body) {
+  let frame;
+  try {
+    frame = JSON.parse(Buffer.from(String(header || ''), 'base64').toString('utf8'));
+  } catch {
+    return { valid: false, reason: 'missing envelope' };
+  }
+  if (frame?.type !== 'relay_frame' || !RELAY_KINDS.includes(frame.kind)) {
+    return { valid: false, reason: 'not a relay frame' };
+  }
+
+  // Before verifyMessage, which records the nonce: an altered copy mustn't use up the real frame's
+  if (frame.digest !== digestOf(body)) {
+    return { valid: false, reason: 'body does not match the signed digest' };
+  }
+  const verification = verifyMessage(frame);
+  return verification.valid ? { valid: true, frame } : verification;
+}
+
+/**
+ * Send a relay frame from the local browser to the target peer's server
+ * @param {{ip: string, deviceId: string}} target - Receiving device and the IP it was last seen at
+ * @param {string} fromDeviceId - Device ID of the sending peer (ours)
+ * @param {string} kind - 'message' (JSON control message) or 'binary' (file chunk)
+ * @param {Buffer} body - Frame body
+ * @returns {Promise<number>} HTTP status returned by the remote server (409 if another device
+ *          answers at that IP), 502 if it could not be reached
+ */
+export function relayToRemoteServer(target, fromDeviceId, kind, body) {
+  const targetIP = target.ip;
+  const envelope = signMessage({
+    type: 'relay_frame',
+    fromDeviceId,
+    targetDeviceId: target.deviceId,
+    kind,
+    digest: digestOf(body)
+  });
+
+  return new Promise((resolve) => {
+    const options = {
+      deviceId: target.deviceId,
+      path: '/api/relay/deliver',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/octet-stream',
+        'Content-Length': body.length,
+        'X-PeerDrop-Frame': Buffer.from(JSON.stringify(envelope), 'utf8').toString('base64')
+      },
+      timeout: RELAY_TIMEOUT
+    };
+
+    const req = peerRequest(targetIP, options, (res) => {
+      res.resume(); // Only the status matters
+      res.on('end', () => resolve(res.statusCode));
+    });
+
+    req.on('error', (error) => {
+      console.warn(`❌ Failed to relay ${kind} to ${targetIP}:${SERVER_PORT}:`, error.message);
+      resolve(502);
+    });
+
+    req.on('timeout', () => {
+      console.warn(`⏱️ Timeout relaying ${kind} to ${targetIP}:${SERVER_PORT}`);
+      req.destroy();
+    });
+
+    req.end(body);
+  });
+}
@@ -0,0 +1,120 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import https from 'https';
+import process from 'process';
+import selfsigned from 'selfsigned';
+import { DATA_DIR } from './identity.js';
+import { getTrustedDevice } from './trustStore.js';
+
+/**
+ * TLS Service
+ * Optional HTTPS/WSS mode (PEERDROP_TLS=1), so the UI can be opened by LAN IP from a phone with
+ * a secure origin, and so servers talk to each other over TLS.
+ *
+ * A self-signed certificate is generated on first start and kept in the data directory. No CA
+ * vouches for it, so when connecting to another server we pin the certificate that device sent
+ * while pairing (see pairing.js); devices we haven't paired with are still encrypted against
+ * eavesdroppers but not authenticated at the TLS level (their signaling messages are signed anyway).
+ */
+
+export const TLS_ENABLED = process.env.PEERDROP_TLS === '1';
+
+const SERVER_PORT = 3001;
+const KEY_FILE = path.join(DATA_DIR, 'tls-key.pem');
+const CERT_FILE = path.join(DATA_DIR, 'tls-cert.pem');
+const CERT_LIFETIME_YEARS = 10;
+
+let credentials = null; // { key, cert } PEM strings
+
+/**
+ * Generate a self-signed certificate for this device
+ * @returns {Promise<{key: string, cert: string}>} PEM key and certificate
+ */
+async function generateCredentials() {
+  const notAfterDate = new Date();
+  notAfterDate.setFullYear(notAfterDate.getFullYear() + CERT_LIFETIME_YEARS);
+
+  // Name every address the UI might be opened at, so a browser only has to accept the certificate once
+  const addresses = Object.values(os.networkInterfaces())
+    .flat()
+    .filter(iface => iface && !iface.internal)
+    .map(iface => ({ type: 7, ip: iface.address }));
+
+  const pems = await selfsigned.generate([{ name: 'commonName', value: `PeerDrop ${os.hostname()}` }], {
+    keyType: 'ec',
+    algorithm: 'sha256',
+    notAfterDate,
+    extensions: [
+      { name: 'basicConstraints', cA: false, critical: true },
+      { name: 'keyUsage', digitalSignature: true, keyEncipherment: true, critical: true },
+      { name: 'extKeyUsage', serverAuth: true, clientAuth: true },
+      {
+        name: 'subjectAltName',
+        altNames: [
+          { type: 2, value: 'localhost' },
+          { type: 2, value: os.hostname() },
+          { type: 7, ip: '127.0.0.1' },
+          ...addresses
+        ]
+      }
+    ]
+  });
+  return { key: pems.private, cert: pems.cert };
+}
+
+/**
+ * Load this device's TLS key and certificate, creating them on first start
+ * @returns {Promise<{key: string, cert: string}>} PEM key and certificate
+ */
+export async function getTlsCredentials() {
+  if (credentials) {
+    return credentials;
+  }
+
+  try {
+    credentials = { key: fs.readFileSync(KEY_FILE, 'utf8'), cert: fs.readFileSync(CERT_FILE, 'utf8') };
+    return credentials;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw new Error(`Could not read TLS certificate from ${DATA_DIR}: ${error.message}`);
+    }
+  }
+
+  credentials = await generateCredentials();
+  fs.mkdirSync(DATA_DIR, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(KEY_FILE, credentials.key, { mode: 0o600 });
+  fs.writeFileSync(CERT_FILE, credentials.cert);
+  console.log(`🔏 Created self-signed TLS certificate in ${CERT_FILE}`);
+  return credentials;
+}
+
+/**
+ * Get this device's certificate, for paired devices to pin
+ * @returns {string|null} PEM certificate, or null when TLS is off
+ */
+export function getCertificatePem() {
+  return TLS_ENABLED ? credentials?.cert ?? null : null;
+}
+
+/**
+ * Start an HTTP(S) request to another PeerDrop server
+ * Uses HTTPS in TLS mode, pinned to the device's certificate if we paired with it.
+ * @param {string} ip - Address of the server
+ * @param {Object} options - http.request options (path, method, headers, timeout), plus the
+ *   deviceId we expect to answer there (optional)
+ * @param {Function} callback - Response callback
+ * @returns {http.ClientRequest} Request
+ */
+export function peerRequest(ip, { deviceId, ...options }, callback) {
+  if (!TLS_ENABLED) {
+    return http.request({ hostname: ip, port: SERVER_PORT, ...options }, callback);
+  }
+
+  const pinned = deviceId ? getTrustedDevice(deviceId)?.tlsCertificate : null;
+  const tlsOptions = pinned
+    ? { ca: pinned, checkServerIdentity: () => undefined } // The pinned certificate is the identity, whatever IP it's at
+    : { rejectUnauthorized: false };
+  return https.request({ hostname: ip, port: SERVER_PORT, ...options, ...tlsOptions }, callback);
+}
@@ -0,0 +1,121 @@
+import fs from 'fs';
+import path from 'path';
+import { DATA_DIR } from './identity.js';
+
+/**
+ * Trust Store Service
+ * Devices this device has paired with (see pairing.js), and what each may do without asking.
+ * Kept in the data directory next to the identity, so pairings survive restarts.
+ */
+
+const TRUST_FILE = path.join(DATA_DIR, 'trusted-devices.json');
+
+export const DEFAULT_RULES = {
+  autoAcceptConnections: true, // Connect without the Accept click
+  autoAcceptFilesUpTo: 0 // Accept offers of at most this many bytes without asking (0 = always ask)
+};
+
+let trusted = null; // Map of device ID -> { deviceId, name, publicKey, tlsCertificate, pairedAt, rules }
+
+/**
+ * Load the trusted devices from disk on first use
+ * @returns {Map} Trusted devices by device ID
+ */
+function load() {
+  if (trusted) {
+    return trusted;
+  }
+
+  trusted = new Map();
+  try {
+    const stored = JSON.parse(fs.readFileSync(TRUST_FILE, 'utf8'));
+    stored.forEach(device => trusted.set(device.deviceId, device));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`❌ Could not read trusted devices from ${TRUST_FILE}:`, error.message);
+    }
+  }
+  return trusted;
+}
+
+/**
+ * Write the trusted devices to disk
+ */
+function save() {
+  fs.mkdirSync(DATA_DIR, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(TRUST_FILE, JSON.stringify(Array.from(load().values()), null, 2), { mode: 0o600 });
+}
+
+/**
+ * Get all trusted devices
+ * @returns {Array} Trusted devices
+ */
+export function getTrustedDevices() {
+  return Array.from(load().values());
+}
+
+/**
+ * Get a trusted device
+ * @param {string} deviceId - Device ID
+ * @returns {Object|undefined} Trusted device
+ */
+export function getTrustedDevice(deviceId) {
+  return load().get(deviceId);
+}
+
+/**
+ * Trust a device after pairing with it
+ * Pairing again with a known device keeps its rules.
+ * @param {{deviceId: string, name: string, publicKey: string, tlsCertificate?: string|null}} device - Paired
+ *   device; tlsCertificate is its PEM certificate in TLS mode, pinned for connections to it
+ * @returns {Object} Trusted device
+ */
+export function trustDevice({ deviceId, name, publicKey, tlsCertificate = null }) {
+  const existing = load().get(deviceId);
+  const device = {
+    deviceId,
+    name,
+    publicKey,
+    tlsCertificate,
+    pairedAt: new Date().toISOString(),
+    rules: existing?.rules || { ...DEFAULT_RULES }
+  };
+  trusted.set(deviceId, device);
+  save();
+  console.log(`🤝 Trusted device ${name} (${deviceId})`);
+  return device;
+}
+
+/**
+ * Change what a trusted device may do without asking
+ * @param {string} deviceId - Device ID
+ * @param {Object} rules - Rules to change (see DEFAULT_RULES)
+ * @returns {Object|null} Updated device, or null if it isn't trusted
+ */
+export function updateRules(deviceId, rules) {
+  const device = load().get(deviceId);
+  if (!device) {
+    return null;
+  }
+
+  device.rules = { ...device.rules, ...rules };
+  save();
+  return device;
+}
+
+/**
+ * Stop trusting a device
+ * @param {string} deviceId - Device ID
+ * @returns {boolean} True if the device was trusted
+ */
+export function revokeDevice(deviceId) {
+  const device = load().get(deviceId);
+  if (!device) {
+    return false;
+  }
+
+  trusted.delete(deviceId);
+  save();
+  console.log(`🚫 Revoked trust in ${device.name} (${deviceId})`);
+  return true;
+}
@@ -0,0 +1,171 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Buffer } from 'buffer';
+import { DATA_DIR } from './identity.js';
+
+/**
+ * UI Sessions Service
+ * Which clients may use this server as its user: discover, pair, edit the profile, send files.
+ *
+ * Pages on this machine (loopback connections) always may. A browser on another device, e.g. a
+ * phone that opened https://192.168.1.20:3001, has to be linked first: the UI on this machine
+ * shows a one-time link (also as a QR code, see LinkedBrowsersPanel in the frontend), and opening
+ * it on the phone trades the code in it for a session token. The browser sends that token with
+ * every request (Authorization: Bearer) and WebSocket (?session=). Only hashes of the tokens are
+ * kept, in the data directory, so linked browsers stay linked across restarts until revoked.
+ *
+ * Without TLS mode the token crosses the network in the clear, so phones should be linked in TLS mode.
+ */
+
+const SESSIONS_FILE = path.join(DATA_DIR, 'ui-sessions.json');
+const LINK_LIFETIME = 5 * 60 * 1000; // A shown link expires after 5 minutes
+const LOOPBACK_ADDRESSES = ['127.0.0.1', '::1', '::ffff:127.0.0.1'];
+
+let sessions = null; // Map of token hash -> { id, name, linkedAt }
+let link = null; // { codeHash, expiresAt } while this device shows a link
+
+/**
+ * Load the linked browsers from disk on first use
+ * @returns {Map} Sessions by token hash
+ */
+function load() {
+  if (sessions) {
+    return sessions;
+  }
+
+  sessions = new Map();
+  try {
+    const stored = JSON.parse(fs.readFileSync(SESSIONS_FILE, 'utf8'));
+    stored.forEach(({ tokenHash, ...session }) => sessions.set(tokenHash, session));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`❌ Could not read linked browsers from ${SESSIONS_FILE}:`, error.message);
+    }
+  }
+  return sessions;
+}
+
+/**
+ * Write the linked browsers to disk
+ */
+function save() {
+  const stored = Array.from(load(), ([tokenHash, session]) => ({ tokenHash, ...session }));
+  fs.mkdirSync(DATA_DIR, { recursive: true, mode: 0o700 });
+  fs.writeFileSync(SESSIONS_FILE, JSON.stringify(stored, null, 2), { mode: 0o600 });
+}
+
+/**
+ * Hash a secret (link code or session token) for storing and looking it up
+ * @param {string} secret - Secret
+ * @returns {string} Hex SHA-256
+ */
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+/**
+ * Check whether a connection comes from this machine
+ * @param {string} address - Remote address of the socket
+ * @returns {boolean}
+ */
+export function isLoopback(address) {
+  return LOOPBACK_ADDRESSES.includes(address);
+}
+
+/**
+ * Start showing a new one-time link for another browser (replaces any link shown before)
+ * @returns {{code: string, expiresAt: number}} Code to put in the link, and when it expires
+ */
+export function createLink() {
+  const code = crypto.randomBytes(16).toString('base64url');
+  link = { codeHash: hashSecret(code), expiresAt: Date.now() + LINK_LIFETIME };
+  console.log('🔗 Showing a link for another browser');
+  return { code, expiresAt: link.expiresAt };
+}
+
+/**
+ * Stop showing the link
+ */
+export function cancelLink() {
+  link = null;
+}
+
+/**
+ * Link a browser that opened the shown link
+ * @param {string} code - Code from the link
+ * @param {string} name - What the browser calls itself, for the list of linked browsers
+ * @returns {{token: string, session: Object}|null} Session token for the browser, or null if the
+ *   code is wrong or expired
+ */
+export function redeemLink(code, name) {
+  if (!link || link.expiresAt < Date.now() || typeof code !== 'string') {
+    return null;
+  }
+  const expected = Buffer.from(link.codeHash, 'hex');
+  const given = Buffer.from(hashSecret(code), 'hex');
+  if (!crypto.timingSafeEqual(expected, given)) {
+    return null;
+  }
+
+  link = null;
+  const token = crypto.randomBytes(32).toString('base64url');
+  const session = {
+    id: crypto.randomBytes(8).toString('hex'),
+    name: String(name || 'Browser').slice(0, 64),
+    linkedAt: new Date().toISOString()
+  };
+  load().set(hashSecret(token), session);
+  save();
+  console.log(`🔗 Linked browser ${session.name} (${session.id})`);
+  return { token, session };
+}
+
+/**
+ * Get the linked browsers
+ * @returns {Array} Sessions ({ id, name, linkedAt }), without their tokens
+ */
+export function getUiSessions() {
+  return Array.from(load().values());
+}
+
+/**
+ * Unlink a browser
+ * @param {string} id - Session ID
+ * @returns {boolean} True if it was linked
+ */
+export function revokeUiSession(id) {
+  for (const [tokenHash, session] of load()) {
+    if (session.id === id) {
+      sessions.delete(tokenHash);
+      save();
+      console.log(`🚫 Unlinked browser ${session.name} (${id})`);
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Read the session token of a REST request
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string|null} Token from the Authorization header
+ */
+function bearerToken(req) {
+  const match = /^Bearer (\S+)$/.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Find out whether a request or WebSocket comes from this device's user
+ * @param {http.IncomingMessage} req - Request (or WebSocket upgrade request)
+ * @param {string|null} token - Session token; defaults to the Authorization header
+ * @returns {{id: string, name: string, local?: boolean}|null} 'local' for loopback, the linked
+ *   browser's session, or null for anyone else
+ */
+export function authenticateUi(req, token = bearerToken(req)) {
+  if (isLoopback(req.socket.remoteAddress)) {
+    return { id: 'local', name: 'this device', local: true };
+  }
+  return token ? load().get(hashSecret(token)) || null : null;
+}
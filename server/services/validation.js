@@ -0,0 +1,158 @@
+import net from 'net';
+import { isDeviceId } from './identity.js';
+
+/**
+ * Validation Service
+ * Schemas for the signaling messages the local client sends over the WebSocket and other servers
+ * send to /api/forward. Anything that doesn't match is dropped before it is logged, forwarded,
+ * stored or handed to the browser.
+ */
+
+export const MAX_SIGNALING_MESSAGE = 64 * 1024; // Serialized size limit (SDP with many candidates stays well below)
+const MAX_SDP = 48 * 1024;
+const MAX_CANDIDATE = 1024;
+const MAX_NAME = 64;
+
+// Fields added by signMessage (see messageSigning.js), with their maximum lengths
+const SIGNATURE_FIELDS = {
+  signature: 88, // Base64 Ed25519 signature
+  fromPublicKey: 44, // Base64 raw Ed25519 public key
+  nonce: 64,
+  timestamp: 32 // ISO 8601
+};
+
+/**
+ * Check an optional display name
+ * @param {any} value - Value
+ * @returns {string|null} Error, or null if valid
+ */
+function checkName(value) {
+  if (value === undefined) {
+    return null;
+  }
+  return typeof value === 'string' && value.length <= MAX_NAME ? null : `name must be a string of at most ${MAX_NAME} characters`;
+}
+
+/**
+ * Build a check for an SDP offer or answer
+ * @param {string} sdpType - 'offer' or 'answer'
+ * @returns {function(any): string|null} Check
+ */
+function sessionDescription(sdpType) {
+  return (value) => {
+    if (!value || typeof value !== 'object' || value.type !== sdpType) {
+      return `${sdpType} must be an RTCSessionDescription of type ${sdpType}`;
+    }
+    if (typeof value.sdp !== 'string' || value.sdp.length > MAX_SDP) {
+      return `${sdpType}.sdp must be a string of at most ${MAX_SDP} characters`;
+    }
+    return null;
+  };
+}
+
+/**
+ * Check an ICE candidate
+ * @param {any} value - Value
+ * @returns {string|null} Error, or null if valid
+ */
+function iceCandidate(value) {
+  if (!value || typeof value !== 'object') {
+    return 'candidate must be an RTCIceCandidate';
+  }
+  if (typeof value.candidate !== 'string' || value.candidate.length > MAX_CANDIDATE) {
+    return `candidate.candidate must be a string of at most ${MAX_CANDIDATE} characters`;
+  }
+  if (value.sdpMid != null && (typeof value.sdpMid !== 'string' || value.sdpMid.length > MAX_NAME)) {
+    return 'candidate.sdpMid must be a short string';
+  }
+  if (value.sdpMLineIndex != null && !(Number.isInteger(value.sdpMLineIndex) && value.sdpMLineIndex >= 0 && value.sdpMLineIndex < 256)) {
+    return 'candidate.sdpMLineIndex must be a small integer';
+  }
+  if (value.usernameFragment != null && (typeof value.usernameFragment !== 'string' || value.usernameFragment.length > 256)) {
+    return 'candidate.usernameFragment must be a short string';
+  }
+  return null;
+}
+
+// Payload fields of each signaling message type, with their checks
+const PAYLOADS = {
+  connection_request: {},
+  connection_accept: {},
+  connection_reject: {},
+  webrtc_offer: { offer: sessionDescription('offer') },
+  webrtc_answer: { answer: sessionDescription('answer') },
+  webrtc_ice_candidate: { candidate: iceCandidate }
+};
+
+/**
+ * Check the type and payload of a signaling message
+ * @param {Object} message - Message
+ * @returns {string|null} Error, or null if valid
+ */
+function checkPayload(message) {
+  const payload = PAYLOADS[message.type];
+  if (!payload) {
+    return `unknown message type ${String(message.type).slice(0, MAX_NAME)}`;
+  }
+  for (const [field, check] of Object.entries(payload)) {
+    const error = check(message[field]);
+    if (error) {
+      return error;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check the signature fields of a forwarded message (the signature itself is checked later)
+ * @param {Object} message - Message
+ * @returns {string|null} Error, or null if valid
+ */
+function checkSignatureFields(message) {
+  for (const [field, maxLength] of Object.entries(SIGNATURE_FIELDS)) {
+    const value = message[field];
+    if (typeof value !== 'string' || value.length === 0 || value.length > maxLength) {
+      return `${field} must be a string of at most ${maxLength} characters`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a message from the local client
+ * @param {any} data - Parsed WebSocket message
+ * @returns {string|null} Error, or null if valid
+ */
+export function validateClientMessage(data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return 'message must be an object';
+  }
+  if (data.type === 'ping') {
+    return null;
+  }
+  if (!isDeviceId(data.targetDeviceId)) {
+    return 'targetDeviceId must be a device ID';
+  }
+  if (data.targetIP !== undefined && !net.isIP(String(data.targetIP))) {
+    return 'targetIP must be an IP address';
+  }
+  return checkName(data.fromName) || checkPayload(data);
+}
+
+/**
+ * Validate a signaling message forwarded by another server (before its signature is checked)
+ * @param {any} message - Parsed /api/forward body
+ * @returns {string|null} Error, or null if valid
+ */
+export function validateForwardedMessage(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message)) {
+    return 'message must be an object';
+  }
+  if (!isDeviceId(message.fromDeviceId) || !isDeviceId(message.targetDeviceId)) {
+    return 'fromDeviceId and targetDeviceId must be device IDs';
+  }
+  if (!net.isIP(String(message.fromIP))) {
+    return 'fromIP must be an IP address';
+  }
+  return checkSignatureFields(message) || checkName(message.fromName) || checkPayload(message);
+}
@@ -1,12 +1,30 @@
 import { WebSocketServer } from 'ws';
-import { getLocalIP } from '../utils/network.js';
-import { addPeer } from './peerManager.js';
-import http from 'http';
+import net from 'net';
+import { getLocalIP, isLanAddress, getLocalAddressFor, normalizeAddress, isLinkLocalIPv6, formatHostPort } from '../utils/network.js';
+import { addPeer, getPeer } from './peerManager.js';
+import { getDeviceId } from './identity.js';
+import { getAnnouncement } from './profile.js';
+import { signMessage, verifyMessage } from './messageSigning.js';
+import { validateClientMessage, validateForwardedMessage, MAX_SIGNALING_MESSAGE } from './validation.js';
+import { createRateLimiter } from './rateLimiter.js';
+import { peerRequest } from './tls.js';
+import { isAllowedOrigin } from './origins.js';
+import { authenticateUi } from './uiSessions.js';
+import { Buffer } from 'buffer';
 
 let wss = null;
-const clients = new Map(); // Map of IP -> WebSocket connection
-const clientIPs = new Map(); // Map of WebSocket -> IP
-const pendingSignaling = new Map(); // Map of targetIP -> Array of pending signaling messages
+const clients = new Set(); // WebSocket connections of this device's frontends (on this machine or linked browsers)
+const pendingSignaling = new Map(); // Map of target device ID -> Array of { message, storedAt }, least recently stored first
+
+const MAX_PENDING_PER_DEVICE = 50; // Oldest messages for a device are dropped beyond this
+const MAX_PENDING_DEVICES = 100; // Devices with the least recently stored messages are dropped beyond this
+const PENDING_TTL = 60 * 1000; // Stored messages are dropped after 60 seconds, when the target would reject them as too old (see messageSigning.js)
+const MAX_POLL_RESPONSE = MAX_SIGNALING_MESSAGE * MAX_PENDING_PER_DEVICE; // A poll answer never legitimately holds more
+
+// A connection sets up a few peers at a time, each needing a burst of ICE candidates
+const connectionLimiter = createRateLimiter({ name: 'WebSocket connection', burst: 100, perSecond: 20 });
+const ipLimiter = createRateLimiter({ name: 'WebSocket IP', burst: 200, perSecond: 40 });
+let connectionCount = 0;
 
 /**
  * Initialize WebSocket server
@@ -17,73 +35,81 @@ export function initializeWebSocketServer(server) {
     return wss;
   }
 
-  wss = new WebSocketServer({ server });
+  wss = new WebSocketServer({
+    server,
+    maxPayload: MAX_SIGNALING_MESSAGE,
+    // Browsers send the page's origin; only our own UI may act as the user (see origins.js). The
+    // socket must also come from this machine or a linked browser (see uiSessions.js), whatever
+    // its Origin: non-browser clients can leave it out.
+    verifyClient: ({ origin, req }, callback) => {
+      if (origin && !isAllowedOrigin(origin)) {
+        console.warn(`❌ WebSocket from ${req.socket.remoteAddress} refused for origin ${origin}`);
+        return callback(false, 403, 'Origin not allowed');
+      }
+      const token = new URL(req.url, 'ws://localhost').searchParams.get('session');
+      const session = authenticateUi(req, token);
+      if (!session) {
+        console.warn(`❌ WebSocket from ${req.socket.remoteAddress} refused: not this device or a linked browser`);
+        return callback(false, 403, 'Not linked');
+      }
+      req.uiSession = session;
+      callback(true);
+    }
+  });
 
   wss.on('connection', (ws, req) => {
+    ws.uiSessionId = req.uiSession.id;
     // Get client IP from request
-    const clientIP = req.socket.remoteAddress?.replace('::ffff:', '') || 
+    const clientIP = (req.socket.remoteAddress && normalizeAddress(req.socket.remoteAddress)) || 
                      req.headers['x-forwarded-for']?.split(',')[0]?.trim() ||
                      'unknown';
     
-    console.log(`🔌 WebSocket client connected: ${clientIP}`);
-
-    // Store with connection IP as fallback
-    clients.set(clientIP, ws);
-    clientIPs.set(ws, clientIP);
+    const connectionKey = `${clientIP}#${++connectionCount}`;
+    console.log(`🔌 WebSocket client connected: ${clientIP} (${req.uiSession.name})`);
+    clients.add(ws);
 
     // Send welcome message
     ws.send(JSON.stringify({
       type: 'connected',
       message: 'Connected to PeerDrop server',
-      yourIP: getLocalIP()
+      yourIP: getLocalIP(),
+      ...getAnnouncement()
     }));
 
     // Handle incoming messages
     ws.on('message', (message) => {
+      if (!connectionLimiter.take(connectionKey) || !ipLimiter.take(clientIP)) {
+        return; // Dropped; WebRTC retries what matters
+      }
+
+      let data;
       try {
-        const data = JSON.parse(message.toString());
-        
-        console.log(`📥 [WebSocket] Received message from ${clientIP}:`);
-        console.log(`   Type: ${data.type}`);
-        console.log(`   Data:`, JSON.stringify(data, null, 2));
-        
-        // Handle registration
-        if (data.type === 'register' && data.clientIP) {
-          // Remove old mapping if exists
-          const oldIP = clientIPs.get(ws);
-          if (oldIP && oldIP !== data.clientIP) {
-            clients.delete(oldIP);
-          }
-          
-          // Update mapping with reported IP
-          clients.set(data.clientIP, ws);
-          clientIPs.set(ws, data.clientIP);
-          console.log(`📝 Client registered with IP: ${data.clientIP} (connection IP: ${clientIP})`);
-          console.log(`📋 Total clients: ${clients.size}`);
-          return;
-        }
-        
-        // Handle other messages
-        handleWebSocketMessage(ws, clientIP, data);
-      } catch (error) {
-        console.error(`❌ Error parsing WebSocket message from ${clientIP}:`, error);
+        data = JSON.parse(message.toString());
+      } catch {
+        console.warn(`❌ Invalid JSON over WebSocket from ${clientIP} (${message.length} bytes)`);
+        return;
+      }
+
+      const error = validateClientMessage(data);
+      if (error) {
+        console.warn(`❌ Invalid WebSocket message from ${clientIP}: ${error}`);
+        return;
       }
+
+      console.log(`📥 [WebSocket] ${data.type} from ${clientIP}${data.targetDeviceId ? ` for ${data.targetDeviceId}` : ''} (${message.length} bytes)`);
+      handleWebSocketMessage(ws, data);
     });
 
     // Handle disconnection
     ws.on('close', () => {
-      const ip = clientIPs.get(ws) || clientIP;
-      console.log(`🔌 WebSocket client disconnected: ${ip}`);
-      clients.delete(ip);
-      clientIPs.delete(ws);
+      console.log(`🔌 WebSocket client disconnected: ${clientIP}`);
+      clients.delete(ws);
     });
 
     // Handle errors
     ws.on('error', (error) => {
-      const ip = clientIPs.get(ws) || clientIP;
       console.error('WebSocket error:', error);
-      clients.delete(ip);
-      clientIPs.delete(ws);
+      clients.delete(ws);
     });
   });
 
@@ -93,181 +119,248 @@ export function initializeWebSocketServer(server) {
 
 /**
  * Handle incoming WebSocket messages
+ * Signaling messages from the frontend name the target device (targetDeviceId) and where it
+ * was last seen (targetIP); we stamp them with our own device ID before forwarding, and
+ * forwardSignalingMessage signs them.
  * @param {WebSocket} ws - WebSocket connection
- * @param {string} clientIP - Client IP address (connection IP)
  * @param {Object} data - Parsed message data
  */
-function handleWebSocketMessage(ws, clientIP, data) {
-  // Get the registered IP (preferred) or fall back to connection IP
-  const senderIP = clientIPs.get(ws) || clientIP;
+function handleWebSocketMessage(ws, data) {
+  if (data.type === 'ping') {
+    // Respond to ping
+    ws.send(JSON.stringify({ type: 'pong' }));
+    return;
+  }
+
+  if (data.targetIP && !isLanAddress(data.targetIP)) {
+    console.warn(`⚠️ Ignoring ${data.type}: ${data.targetIP} is not on the local network`);
+    return;
+  }
+  const target = { deviceId: data.targetDeviceId, ip: data.targetIP || getPeer(data.targetDeviceId)?.ip };
+
+  // Our address on the interface facing the target, so its answers come back the same way
+  const senderIP = target.ip ? getLocalAddressFor(target.ip) : getLocalIP();
+  const from = {
+    fromDeviceId: getDeviceId(),
+    fromIP: senderIP
+  };
   
   switch (data.type) {
     case 'connection_request':
-      // Forward connection request to target peer (signaling)
-      console.log(`📤 Signaling: Connection request from ${senderIP} to ${data.targetIP}`);
-      
-      // Automatically add the sender to discovered peers (if not already there)
-      // This ensures peers appear in the UI even if discovery didn't find them
-      addPeer({
-        id: senderIP,
-        name: data.fromName || `Peer ${senderIP}`,
-        ip: senderIP,
-        port: 3001,
-        lastSeen: new Date().toISOString()
-      });
-      console.log(`➕ Auto-added peer ${senderIP} to discovered peers`);
-      
-      forwardSignalingMessage(data.targetIP, {
-        type: 'connection_request',
-        fromIP: senderIP,
-        fromName: data.fromName || `Peer ${senderIP}`,
-        timestamp: new Date().toISOString()
-      });
-      break;
-
     case 'connection_accept':
     case 'connection_reject':
-      // Forward connection response (signaling)
-      console.log(`📤 Signaling: ${data.type} from ${senderIP} to ${data.targetIP}`);
-      forwardSignalingMessage(data.targetIP, {
+      // Forward connection request or response to target peer (signaling)
+      console.log(`📤 Signaling: ${data.type} from ${senderIP} to ${target.deviceId} at ${target.ip}`);
+      forwardSignalingMessage(target, {
         type: data.type,
-        fromIP: senderIP,
-        fromName: data.fromName || `Peer ${senderIP}`,
-        timestamp: new Date().toISOString()
+        ...from,
+        fromName: data.fromName || `Peer ${senderIP}`
       });
       break;
 
     case 'webrtc_offer':
       // Forward WebRTC offer (signaling)
-      console.log(`📤 Signaling: WebRTC offer from ${senderIP} to ${data.targetIP}`);
-      forwardSignalingMessage(data.targetIP, {
+      console.log(`📤 Signaling: WebRTC offer from ${senderIP} to ${target.deviceId} at ${target.ip}`);
+      forwardSignalingMessage(target, {
         type: 'webrtc_offer',
-        fromIP: senderIP,
-        offer: data.offer,
-        timestamp: new Date().toISOString()
+        ...from,
+        offer: data.offer
       });
       break;
 
     case 'webrtc_answer':
       // Forward WebRTC answer (signaling)
-      console.log(`📤 Signaling: WebRTC answer from ${senderIP} to ${data.targetIP}`);
-      forwardSignalingMessage(data.targetIP, {
+      console.log(`📤 Signaling: WebRTC answer from ${senderIP} to ${target.deviceId} at ${target.ip}`);
+      forwardSignalingMessage(target, {
         type: 'webrtc_answer',
-        fromIP: senderIP,
-        answer: data.answer,
-        timestamp: new Date().toISOString()
+        ...from,
+        answer: data.answer
       });
       break;
 
     case 'webrtc_ice_candidate':
       // Forward ICE candidate (signaling)
-      forwardSignalingMessage(data.targetIP, {
+      forwardSignalingMessage(target, {
         type: 'webrtc_ice_candidate',
-        fromIP: senderIP,
-        candidate: data.candidate,
-        timestamp: new Date().toISOString()
+        ...from,
+        candidate: data.candidate
       });
       break;
 
-    case 'ping':
-      // Respond to ping
-      ws.send(JSON.stringify({ type: 'pong' }));
-      break;
-
     default:
       console.log('Unknown message type:', data.type);
   }
 }
 
 /**
- * Forward signaling message to a peer's server
+ * Sign a signaling message and forward it to a peer's server
  * This is used only for WebRTC signaling (connection requests, SDP, ICE candidates)
- * @param {string} targetIP - Target peer IP address
+ * @param {{deviceId: string, ip: string|undefined}} target - Target device and where it was last seen
  * @param {Object} message - Signaling message to forward
  */
-function forwardSignalingMessage(targetIP, message) {
-  const localIP = getLocalIP();
-  
-  // If target is ourselves, send directly to local WebSocket client
-  if (targetIP === localIP) {
-    const ws = clients.get(localIP);
-    if (ws && ws.readyState === ws.OPEN) {
-      ws.send(JSON.stringify(message));
-      console.log(`✅ Signaling message sent locally to ${targetIP}`);
-      return;
-    }
+function forwardSignalingMessage(target, message) {
+  // The signature covers the target too, so the message can't be redirected to another device
+  const envelope = signMessage({ ...message, targetDeviceId: target.deviceId });
+
+  if (target.deviceId === getDeviceId()) {
+    console.warn(`⚠️ Ignoring ${message.type} addressed to our own device`);
+    return;
+  }
+
+  if (!target.ip) {
+    storePendingSignaling(target.deviceId, envelope);
+    return;
+  }
+
+  if (!isLanAddress(target.ip)) {
+    console.warn(`⚠️ Not forwarding ${message.type} to ${target.ip}: not on the local network`);
+    return;
   }
   
   // Forward to remote peer's server via HTTP
-  forwardToRemoteServer(targetIP, message).then(success => {
-    if (!success) {
+  forwardToRemoteServer(target.ip, envelope).then(status => {
+    if (status === 409) {
+      // Another device answers at that address now (e.g. after a DHCP change); don't queue for it
+      console.warn(`⚠️ ${target.ip} is no longer device ${target.deviceId}; dropped ${message.type}`);
+    } else if (status === 401) {
+      // Resending the same signed message would only be rejected again
+      console.warn(`⚠️ ${target.ip} rejected our signed ${message.type} (are both clocks right?)`);
+    } else if (status !== 200) {
       // If forwarding failed, store for polling (one-way network scenario)
-      if (!pendingSignaling.has(targetIP)) {
-        pendingSignaling.set(targetIP, []);
-      }
-      pendingSignaling.get(targetIP).push({
-        ...message,
-        storedAt: new Date().toISOString()
-      });
-      console.log(`💾 Stored signaling message for ${targetIP} (will be available via polling)`);
-      console.log(`   Message type: ${message.type}`);
-    }
-  }).catch(err => {
-    console.error(`❌ Failed to forward signaling to ${targetIP}:`, err.message);
-    // Store for polling even on error
-    if (!pendingSignaling.has(targetIP)) {
-      pendingSignaling.set(targetIP, []);
+      storePendingSignaling(target.deviceId, envelope);
     }
-    pendingSignaling.get(targetIP).push({
-      ...message,
-      storedAt: new Date().toISOString()
-    });
-    console.log(`💾 Stored signaling message for ${targetIP} (will be available via polling)`);
   });
 }
 
+/**
+ * Keep a signaling message until the target device polls for it
+ * @param {string} deviceId - Target device ID
+ * @param {Object} message - Signaling message
+ */
+function storePendingSignaling(deviceId, message) {
+  prunePendingSignaling();
+
+  // Re-insert so the Map stays ordered by when a device last had a message stored
+  const messages = pendingSignaling.get(deviceId) || [];
+  pendingSignaling.delete(deviceId);
+  pendingSignaling.set(deviceId, messages);
+
+  messages.push({ message, storedAt: Date.now() });
+  if (messages.length > MAX_PENDING_PER_DEVICE) {
+    messages.shift();
+  }
+  if (pendingSignaling.size > MAX_PENDING_DEVICES) {
+    const [oldest] = pendingSignaling.keys();
+    pendingSignaling.delete(oldest);
+    console.warn(`⚠️ Too many devices with pending signaling; dropped messages for ${oldest}`);
+  }
+  console.log(`💾 Stored ${message.type} for ${deviceId} (will be available via polling)`);
+}
+
+/**
+ * Drop stored signaling messages older than PENDING_TTL
+ */
+function prunePendingSignaling() {
+  const cutoff = Date.now() - PENDING_TTL;
+  for (const [deviceId, messages] of pendingSignaling) {
+    const fresh = messages.filter(entry => entry.storedAt >= cutoff);
+    if (fresh.length === 0) {
+      pendingSignaling.delete(deviceId);
+    } else if (fresh.length < messages.length) {
+      pendingSignaling.set(deviceId, fresh);
+    }
+  }
+}
+
 /**
  * Handle incoming forwarded signaling message from another server
  * Delivers the signaling message to the local WebSocket client if connected
- * @param {Object} message - Signaling message to deliver
+ * @param {Object} message - Signaling message to deliver (signature already checked)
+ * @param {string} remoteAddress - Address the message arrived from (optional)
  * @returns {boolean} - True if message was delivered
  */
-export function handleForwardedMessage(message) {
+export function handleForwardedMessage(message, remoteAddress) {
   console.log(`📥 Received signaling message:`, message.type);
-  
-  const localIP = getLocalIP();
+
+  // A link-local fromIP carries the sender's zone, which means nothing here; answer where it came from
+  if (isLinkLocalIPv6(message.fromIP) && isLinkLocalIPv6(remoteAddress)) {
+    message = { ...message, fromIP: normalizeAddress(remoteAddress) };
+  }
   
   // Don't deliver messages from ourselves (sender shouldn't receive their own messages)
-  if (message.fromIP === localIP) {
-    console.log(`⚠️ Ignoring signaling message from own IP (${localIP}) - sender shouldn't receive their own message`);
+  if (message.fromDeviceId === getDeviceId()) {
+    console.log(`⚠️ Ignoring signaling message from our own device - sender shouldn't receive their own message`);
     return false;
   }
-  
-  let delivered = false;
-  
-  // Try to find client registered with local IP first
-  const ws = clients.get(localIP);
-  if (ws && ws.readyState === ws.OPEN) {
-    ws.send(JSON.stringify(message));
-    console.log(`✅ Delivered signaling message to local client (${localIP})`);
-    delivered = true;
-  } else {
-    // If no exact match, send to first available connected client
-    for (const [ip, wsConnection] of clients.entries()) {
-      if (wsConnection.readyState === wsConnection.OPEN) {
-        wsConnection.send(JSON.stringify(message));
-        console.log(`✅ Delivered signaling message to local client (${ip})`);
-        delivered = true;
-        break;
-      }
-    }
+
+  if (message.type === 'connection_request') {
+    // Make the requester show up in discovered peers even if discovery didn't find it
+    addPeer({
+      id: message.fromDeviceId,
+      name: message.fromName || `Peer ${message.fromIP}`,
+      ip: message.fromIP,
+      publicKey: message.fromPublicKey,
+      port: 3001,
+      source: 'request',
+      lastSeen: new Date().toISOString()
+    });
   }
   
-  if (!delivered) {
+  const client = getLocalClient();
+  if (!client) {
     console.warn(`⚠️ Could not deliver signaling message - no local client connected`);
+    return false;
   }
-  
-  return delivered;
+
+  client.send(JSON.stringify(message));
+  console.log(`✅ Delivered signaling message to local client`);
+  return true;
+}
+
+/**
+ * Find the WebSocket client messages from other servers should go to
+ * Every client is this device's user (see verifyClient); the most recently connected open one gets them.
+ * @returns {WebSocket|null} Client, or null if none is connected
+ */
+function getLocalClient() {
+  let latest = null;
+  for (const ws of clients) {
+    if (ws.readyState === ws.OPEN) {
+      latest = ws;
+    }
+  }
+  return latest;
+}
+
+/**
+ * Deliver a relayed frame (see services/relay.js) to the local client as a binary WebSocket message
+ * Layout: [uint8 kind (0 = JSON message, 1 = binary data)][uint16 sender ID length][sender device ID][body]
+ * @param {string} fromDeviceId - Device ID of the sending peer
+ * @param {string} kind - 'message' or 'binary'
+ * @param {Buffer} body - Frame body
+ * @returns {Promise<boolean>} True once the frame was handed to the client's socket
+ */
+export function deliverRelayFrame(fromDeviceId, kind, body) {
+  const client = getLocalClient();
+  if (!client) {
+    console.warn(`⚠️ Could not deliver relayed ${kind} from ${fromDeviceId} - no local client connected`);
+    return Promise.resolve(false);
+  }
+
+  const idBytes = Buffer.from(fromDeviceId, 'utf8');
+  const header = Buffer.alloc(3);
+  header.writeUInt8(kind === 'binary' ? 1 : 0, 0);
+  header.writeUInt16BE(idBytes.length, 1);
+
+  return new Promise((resolve) => {
+    // The callback fires once the frame is written, which gives the relay its backpressure
+    client.send(Buffer.concat([header, idBytes, body]), { binary: true }, (error) => {
+      if (error) {
+        console.error(`❌ Error delivering relayed ${kind} from ${fromDeviceId}:`, error.message);
+      }
+      resolve(!error);
+    });
+  });
 }
 
 /**
@@ -278,6 +371,10 @@ export function handleForwardedMessage(message) {
  * @returns {boolean} True if IP should be skipped
  */
 function shouldSkipIP(ip) {
+  if (!net.isIPv4(ip)) {
+    return false; // IPv6 link-local addresses are usable, with their zone
+  }
+
   const parts = ip.split('.');
   const firstOctet = parseInt(parts[0]);
   const secondOctet = parseInt(parts[1]);
@@ -295,19 +392,24 @@ function shouldSkipIP(ip) {
   return false;
 }
 
+/**
+ * POST a signaling message to another server's /api/forward
+ * @param {string} targetIP - IP address of the target device's server
+ * @param {Object} message - Signaling message including targetDeviceId
+ * @returns {Promise<number>} HTTP status of the remote server, 502 if it could not be reached
+ */
 function forwardToRemoteServer(targetIP, message) {
   // Only skip obviously unreachable IPs
   if (shouldSkipIP(targetIP)) {
     console.warn(`⚠️ Skipping forward to unreachable IP: ${targetIP}`);
-    return Promise.resolve(false);
+    return Promise.resolve(502);
   }
   
   return new Promise((resolve) => {
     const postData = JSON.stringify(message);
     
     const options = {
-      hostname: targetIP,
-      port: 3001,
+      deviceId: message.targetDeviceId,
       path: '/api/forward',
       method: 'POST',
       headers: {
@@ -317,35 +419,39 @@ function forwardToRemoteServer(targetIP, message) {
       timeout: 3000
     };
 
-    const req = http.request(options, (res) => {
-      let data = '';
-      
+    const req = peerRequest(targetIP, options, (res) => {
+      // Only the status matters; the body is read (up to a limit) so the connection can finish
+      let received = 0;
       res.on('data', (chunk) => {
-        data += chunk;
+        received += chunk.length;
+        if (received > MAX_SIGNALING_MESSAGE) {
+          console.warn(`⚠️ Remote server ${formatHostPort(targetIP, 3001)} sent an oversized answer`);
+          res.destroy();
+          resolve(502);
+        }
       });
       
       res.on('end', () => {
         if (res.statusCode === 200) {
-          console.log(`✅ Signaling forwarded to remote server ${targetIP}:3001`);
-          resolve(true);
+          console.log(`✅ Signaling forwarded to remote server ${formatHostPort(targetIP, 3001)}`);
         } else {
-          console.warn(`⚠️ Remote server ${targetIP}:3001 returned status ${res.statusCode}`);
-          resolve(false);
+          console.warn(`⚠️ Remote server ${formatHostPort(targetIP, 3001)} returned status ${res.statusCode}`);
         }
+        resolve(res.statusCode);
       });
     });
 
     req.on('error', (error) => {
       if (error.code !== 'ECONNRESET' && error.code !== 'ETIMEDOUT') {
-        console.warn(`❌ Failed to forward signaling to ${targetIP}:3001:`, error.message);
+        console.warn(`❌ Failed to forward signaling to ${formatHostPort(targetIP, 3001)}:`, error.message);
       }
-      resolve(false);
+      resolve(502);
     });
 
     req.on('timeout', () => {
       req.destroy();
-      console.warn(`⏱️ Timeout forwarding signaling to ${targetIP}:3001`);
-      resolve(false);
+      console.warn(`⏱️ Timeout forwarding signaling to ${formatHostPort(targetIP, 3001)}`);
+      resolve(502);
     });
 
     req.write(postData);
@@ -353,6 +459,99 @@ function forwardToRemoteServer(targetIP, message) {
   });
 }
 
+/**
+ * Collect the signaling messages a peer's server holds for us (see storePendingSignaling)
+ * Used when one-way connectivity keeps that server from forwarding them. The poll is signed, so
+ * only we can collect our messages; each message must carry the peer's valid signature and be
+ * addressed to us, like on /api/forward, before it is delivered to the local client.
+ * @param {string} targetIP - IP address of the peer's server
+ * @param {string} deviceId - Device ID of the peer
+ * @returns {Promise<number>} Number of messages delivered
+ * @throws {Error} If the peer's server could not be polled
+ */
+export function pollRemoteSignaling(targetIP, deviceId) {
+  return new Promise((resolve, reject) => {
+    const postData = JSON.stringify(signMessage({
+      type: 'signaling_poll',
+      fromDeviceId: getDeviceId(),
+      fromIP: getLocalAddressFor(targetIP),
+      targetDeviceId: deviceId
+    }));
+
+    const req = peerRequest(targetIP, {
+      deviceId,
+      path: '/api/poll-signaling',
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(postData)
+      },
+      timeout: 3000
+    }, (res) => {
+      let data = '';
+      res.on('data', (chunk) => {
+        data += chunk;
+        if (data.length > MAX_POLL_RESPONSE) {
+          res.destroy();
+          reject(new Error(`${formatHostPort(targetIP, 3001)} sent an oversized answer`));
+        }
+      });
+      res.on('end', () => {
+        let messages;
+        try {
+          messages = res.statusCode === 200 ? JSON.parse(data).messages : null;
+        } catch {
+          messages = null;
+        }
+        if (!Array.isArray(messages)) {
+          reject(new Error(`${formatHostPort(targetIP, 3001)} answered ${res.statusCode}`));
+          return;
+        }
+
+        let delivered = 0;
+        messages.forEach(message => {
+          // One bad message must neither take the others down nor escape this callback (nothing would catch it)
+          try {
+            const invalid = validateForwardedMessage(message);
+            const verification = invalid ? { valid: false, reason: invalid } : verifyMessage(message);
+            if (!verification.valid || message.fromDeviceId !== deviceId || message.targetDeviceId !== getDeviceId()) {
+              console.warn(`❌ Dropped polled ${message?.type} from ${formatHostPort(targetIP, 3001)}: ${verification.reason || 'wrong sender or target'}`);
+              return;
+            }
+            if (handleForwardedMessage(message, targetIP)) {
+              delivered++;
+            }
+          } catch (error) {
+            console.warn(`❌ Dropped polled message from ${formatHostPort(targetIP, 3001)}:`, error.message);
+          }
+        });
+        resolve(delivered);
+      });
+    });
+
+    req.on('error', (error) => reject(error));
+    req.on('timeout', () => {
+      req.destroy();
+      reject(new Error(`Timeout polling ${formatHostPort(targetIP, 3001)}`));
+    });
+
+    req.write(postData);
+    req.end();
+  });
+}
+
+/**
+ * Close the WebSockets of a browser that was unlinked (see uiSessions.js)
+ * @param {string} id - Session ID
+ */
+export function disconnectUiSession(id) {
+  clients.forEach((ws) => {
+    if (ws.uiSessionId === id) {
+      ws.close(4003, 'Unlinked');
+    }
+  });
+}
+
 /**
  * Broadcast message to all connected clients
  * @param {Object} message - Message to broadcast
@@ -376,25 +575,26 @@ export function getConnectedClientsCount() {
 
 /**
  * Get pending signaling messages for a peer (for polling)
- * @param {string} peerIP - IP address of the peer requesting messages
- * @returns {Array} Array of pending signaling messages
+ * @param {string} deviceId - Device ID of the peer requesting messages (already authenticated)
+ * @returns {Array} Array of pending signaling messages, as signed
  */
-export function getPendingSignaling(peerIP) {
-  const messages = pendingSignaling.get(peerIP) || [];
+export function getPendingSignaling(deviceId) {
+  prunePendingSignaling();
+  const messages = (pendingSignaling.get(deviceId) || []).map(entry => entry.message);
   // Clear the messages after retrieving them
-  pendingSignaling.delete(peerIP);
+  pendingSignaling.delete(deviceId);
   if (messages.length > 0) {
-    console.log(`📬 Returning ${messages.length} pending signaling message(s) for ${peerIP}`);
+    console.log(`📬 Returning ${messages.length} pending signaling message(s) for ${deviceId}`);
   }
   return messages;
 }
 
 /**
  * Clear pending signaling messages for a peer
- * @param {string} peerIP - IP address of the peer
+ * @param {string} deviceId - Device ID of the peer
  */
-export function clearPendingSignaling(peerIP) {
-  pendingSignaling.delete(peerIP);
+export function clearPendingSignaling(deviceId) {
+  pendingSignaling.delete(deviceId);
 }
 
 
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRanges, MAX_RANGE_SIZE } from '../services/discoveryConfig.js';
+
+test('accepts ranges up to MAX_RANGE_SIZE addresses', () => {
+  assert.equal(MAX_RANGE_SIZE, 4096);
+  const { ranges, errors } = parseRanges('PEERDROP_SCAN_RANGES', '10.1.0.0/20, 10.2.0.7', MAX_RANGE_SIZE);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(ranges.map(range => range.cidr), ['10.1.0.0/20', '10.2.0.7/32']);
+  assert.equal(ranges[0].size, MAX_RANGE_SIZE);
+});
+
+test('reports ranges larger than MAX_RANGE_SIZE instead of ignoring them', () => {
+  const { ranges, errors } = parseRanges('PEERDROP_SCAN_RANGES', '10.1.0.0/19,10.3.0.0/24', MAX_RANGE_SIZE);
+  assert.deepEqual(ranges.map(range => range.cidr), ['10.3.0.0/24']);
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^PEERDROP_SCAN_RANGES: 10\.1\.0\.0\/19 has 8192 addresses/);
+});
+
+test('reports entries that are not addresses or ranges', () => {
+  const { ranges, errors } = parseRanges('PEERDROP_SCAN_EXCLUDE', '10.1.4.1,10.1.4.0/33,printer');
+  assert.deepEqual(ranges.map(range => range.cidr), ['10.1.4.1/32']);
+  assert.deepEqual(errors, [
+    'PEERDROP_SCAN_EXCLUDE: "10.1.4.0/33" is not an IPv4 address or CIDR range',
+    'PEERDROP_SCAN_EXCLUDE: "printer" is not an IPv4 address or CIDR range'
+  ]);
+});
+
+test('has no limit unless one is given', () => {
+  const { ranges, errors } = parseRanges('PEERDROP_SCAN_EXCLUDE', '10.0.0.0/8');
+  assert.deepEqual(errors, []);
+  assert.equal(ranges[0].size, 2 ** 24);
+});
+
+test('treats an unset or empty setting as no ranges', () => {
+  assert.deepEqual(parseRanges('PEERDROP_SCAN_RANGES', undefined), { ranges: [], errors: [] });
+  assert.deepEqual(parseRanges('PEERDROP_SCAN_RANGES', ' , '), { ranges: [], errors: [] });
+});
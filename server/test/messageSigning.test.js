@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import process from 'process';
+
+// The identity is stored in PEERDROP_DATA_DIR, which is read when identity.js is loaded
+process.env.PEERDROP_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'peerdrop-test-'));
+const { signMessage, verifyMessage } = await import('../services/messageSigning.js');
+const { getDeviceId } = await import('../services/identity.js');
+
+const sign = () => signMessage({
+  type: 'connection_request',
+  fromDeviceId: getDeviceId(),
+  targetDeviceId: 'b'.repeat(32),
+  fromIP: '192.168.1.20'
+});
+
+test('accepts a signed message once', () => {
+  const message = sign();
+  assert.deepEqual(verifyMessage(message), { valid: true });
+  assert.equal(verifyMessage(message).reason, 'replayed message');
+});
+
+test('rejects signature fields that are not strings instead of throwing', () => {
+  for (const field of ['signature', 'fromPublicKey', 'nonce', 'timestamp']) {
+    for (const value of [1, true, ['a'], { length: 32 }]) {
+      const result = verifyMessage({ ...sign(), [field]: value });
+      assert.equal(result.valid, false, `${field}: ${JSON.stringify(value)}`);
+    }
+  }
+  assert.equal(verifyMessage(null).valid, false);
+  assert.equal(verifyMessage('message').valid, false);
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getScanRange, getScanSubnet, MAX_SCAN_PREFIX } from '../utils/network.js';
+
+const iface = (address, prefixLength) => ({ name: 'eth0', address, prefixLength });
+
+test('scans the whole subnet up to a /MAX_SCAN_PREFIX', () => {
+  assert.equal(MAX_SCAN_PREFIX, 22);
+  const addresses = getScanRange(iface('192.168.1.20', 24));
+  assert.equal(addresses.length, 253); // 254 hosts without our own
+  assert.ok(!addresses.includes('192.168.1.20'));
+
+  const { range, partial } = getScanSubnet(iface('10.1.6.9', 22));
+  assert.equal(range.cidr, '10.1.4.0/22');
+  assert.equal(partial, false);
+  assert.equal(getScanRange(iface('10.1.6.9', 22)).length, 1021);
+});
+
+test('scans the /MAX_SCAN_PREFIX around our address of larger subnets and says so', () => {
+  const { range, subnet, partial } = getScanSubnet(iface('10.20.130.7', 16));
+  assert.equal(range.cidr, '10.20.128.0/22');
+  assert.equal(subnet, '10.20.0.0/16');
+  assert.equal(partial, true);
+
+  const addresses = getScanRange(iface('10.20.130.7', 16));
+  assert.equal(addresses.length, 1021);
+  assert.equal(addresses[0], '10.20.128.1');
+  assert.equal(addresses.at(-1), '10.20.131.254');
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateForwardedMessage } from '../services/validation.js';
+
+const message = {
+  type: 'connection_request',
+  fromDeviceId: 'a'.repeat(32),
+  targetDeviceId: 'b'.repeat(32),
+  fromIP: '192.168.1.20',
+  nonce: '0'.repeat(32),
+  timestamp: '2026-10-19T12:00:00.000Z',
+  fromPublicKey: 'A'.repeat(43) + '=',
+  signature: 'A'.repeat(86) + '=='
+};
+
+test('accepts a well-formed forwarded message', () => {
+  assert.equal(validateForwardedMessage(message), null);
+});
+
+test('rejects signature fields that are missing, not strings or too long', () => {
+  for (const field of ['signature', 'fromPublicKey', 'nonce', 'timestamp']) {
+    for (const value of [undefined, '', 1, Date.now(), ['a'], { length: 1 }, message[field] + 'A'.repeat(64)]) {
+      assert.match(validateForwardedMessage({ ...message, [field]: value }) ?? '', new RegExp(`^${field} `), `${field}: ${JSON.stringify(value)}`);
+    }
+  }
+});
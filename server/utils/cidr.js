@@ -0,0 +1,80 @@
+import net from 'net';
+
+/**
+ * IPv4 address arithmetic and CIDR ranges ("10.1.4.0/23"), for subnets and configured scan ranges
+ */
+
+/**
+ * Convert a dotted IPv4 address to a 32-bit number
+ * @param {string} ip - IPv4 address
+ * @returns {number} Unsigned 32-bit number
+ */
+export function ipToNumber(ip) {
+  return ip.split('.').reduce((number, part) => ((number << 8) | parseInt(part)) >>> 0, 0);
+}
+
+/**
+ * Convert a 32-bit number to a dotted IPv4 address
+ * @param {number} number - Unsigned 32-bit number
+ * @returns {string} IPv4 address
+ */
+export function numberToIp(number) {
+  return [24, 16, 8, 0].map(shift => (number >>> shift) & 255).join('.');
+}
+
+/**
+ * Get the netmask of a prefix length as a number
+ * @param {number} prefixLength - Prefix length (0-32)
+ * @returns {number} Unsigned 32-bit mask
+ */
+export function prefixMask(prefixLength) {
+  return prefixLength === 0 ? 0 : (~0 << (32 - prefixLength)) >>> 0;
+}
+
+/**
+ * Parse an IPv4 CIDR range; a bare address is a /32
+ * @param {string} text - e.g. "10.1.4.0/23" or "10.1.4.7"
+ * @returns {{cidr: string, network: number, prefixLength: number, size: number}|null} Range, or null if invalid
+ */
+export function parseCidr(text) {
+  const [address, prefix = '32', extra] = String(text).trim().split('/');
+  const prefixLength = Number(prefix);
+  if (extra !== undefined || !net.isIPv4(address) || !/^\d+$/.test(prefix) || prefixLength > 32) {
+    return null;
+  }
+
+  const network = (ipToNumber(address) & prefixMask(prefixLength)) >>> 0;
+  return {
+    cidr: `${numberToIp(network)}/${prefixLength}`,
+    network,
+    prefixLength,
+    size: 2 ** (32 - prefixLength)
+  };
+}
+
+/**
+ * Check whether a range contains an address
+ * @param {Object} range - Range (see parseCidr)
+ * @param {string} ip - Address
+ * @returns {boolean} True if the address is in the range
+ */
+export function cidrContains(range, ip) {
+  return net.isIPv4(ip || '') && ((ipToNumber(ip) & prefixMask(range.prefixLength)) >>> 0) === range.network;
+}
+
+/**
+ * List the host addresses of a range
+ * The network and broadcast addresses are left out, except in /31 and /32 ranges which have none.
+ * @param {Object} range - Range (see parseCidr)
+ * @returns {string[]} Addresses
+ */
+export function expandCidr(range) {
+  const first = range.prefixLength >= 31 ? range.network : range.network + 1;
+  const last = range.prefixLength >= 31 ? range.network + range.size - 1 : range.network + range.size - 2;
+
+  const addresses = [];
+  for (let number = first; number <= last; number++) {
+    addresses.push(numberToIp(number));
+  }
+  return addresses;
+}
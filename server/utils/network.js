@@ -1,4 +1,10 @@
 import os from 'os';
+import net from 'net';
+import process from 'process';
+import { ipToNumber, numberToIp, prefixMask, parseCidr, expandCidr } from './cidr.js';
+import { isConfiguredAddress } from '../services/discoveryConfig.js';
+
+export const MAX_SCAN_PREFIX = 22; // Subnets are scanned up to 1024 addresses; a scan of 20 every 0.5 s takes ~30 s
 
 // Cache for selected IP to avoid repeated logging
 let cachedIP = null;
@@ -50,6 +56,8 @@ function isRealAdapter(name) {
 
 /**
  * Get local IP address, prioritizing real network interfaces over virtual ones
+ * IPv4 is preferred; on IPv6-only networks a unique local or global IPv6 address is returned
+ * (link-local ones aren't, as other devices can't use them without knowing our interface).
  * @param {boolean} forceLog - Force logging even if cached (default: false)
  * @returns {string} Local IP address
  */
@@ -57,10 +65,10 @@ export function getLocalIP(forceLog = false) {
   const interfaces = os.networkInterfaces();
   const candidates = [];
   
-  // First pass: collect all non-loopback IPv4 addresses
+  // First pass: collect all non-loopback IPv4 and routable IPv6 addresses
   for (const name of Object.keys(interfaces)) {
     for (const iface of interfaces[name]) {
-      if (iface.family === 'IPv4' && !iface.internal) {
+      if (!iface.internal && (iface.family === 'IPv4' || (iface.family === 'IPv6' && !isLinkLocalIPv6(iface.address)))) {
         const isVirtual = isVirtualAdapter(name);
         const isReal = isRealAdapter(name);
         // Priority: Real adapters (20) > Unknown adapters (10) > Virtual adapters (1)
@@ -72,6 +80,7 @@ export function getLocalIP(forceLog = false) {
         }
         candidates.push({
           address: iface.address,
+          family: iface.family,
           name: name,
           isVirtual: isVirtual,
           isReal: isReal,
@@ -87,6 +96,9 @@ export function getLocalIP(forceLog = false) {
   
   // Sort: real interfaces first (higher priority), then virtual
   candidates.sort((a, b) => {
+    if (a.family !== b.family) {
+      return a.family === 'IPv4' ? -1 : 1; // IPv4 first, it's what every peer can reach
+    }
     if (a.priority !== b.priority) {
       return b.priority - a.priority; // Higher priority first (20 before 10 before 1)
     }
@@ -115,37 +127,239 @@ export function getLocalIP(forceLog = false) {
 }
 
 /**
- * Get network subnet from IP address
- * @param {string} ip - IP address (e.g., "192.168.1.100")
- * @returns {string} Network subnet (e.g., "192.168.1.0")
+ * Check whether an address is an IPv6 link-local address (fe80::/10)
+ * These are only meaningful together with the interface (zone) they were seen on, e.g. "fe80::1%eth0".
+ * @param {string} ip - IP address
+ * @returns {boolean} True if link-local IPv6
  */
-export function getNetworkSubnet(ip) {
-  const parts = ip.split('.');
-  return `${parts[0]}.${parts[1]}.${parts[2]}.0`;
+export function isLinkLocalIPv6(ip) {
+  return net.isIPv6(ip || '') && /^fe[89ab]/i.test(ip);
 }
 
 /**
- * Get hostname
- * @returns {string} System hostname
+ * Convert an IPv6 address (zone ignored) to a 128-bit number
+ * @param {string} ip - IPv6 address
+ * @returns {bigint} Number
  */
-export function getHostname() {
-  return os.hostname();
+function ipv6ToBigInt(ip) {
+  const [head, tail] = ip.split('%')[0].split('::');
+  const toGroups = (part) => (part ? part.split(':') : []).flatMap(group => {
+    if (!group.includes('.')) {
+      return [group];
+    }
+    const number = ipToNumber(group); // Embedded IPv4, e.g. ::ffff:192.168.1.2
+    return [(number >>> 16).toString(16), (number & 0xffff).toString(16)];
+  });
+
+  const headGroups = toGroups(head);
+  const tailGroups = toGroups(tail);
+  const groups = tail === undefined
+    ? headGroups
+    : [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+  return groups.reduce((number, group) => (number << 16n) | BigInt(parseInt(group, 16) || 0), 0n);
+}
+
+/**
+ * Get this device's IPv6 addresses, one entry per interface address
+ * Link-local addresses carry their zone, as other parts of the server need it to use them.
+ * @returns {Array<{name: string, address: string, prefixLength: number, linkLocal: boolean}>} Addresses
+ */
+export function getIPv6Interfaces() {
+  const interfaces = [];
+  for (const [name, addresses] of Object.entries(os.networkInterfaces())) {
+    for (const iface of addresses) {
+      if (iface.family !== 'IPv6' || iface.internal) {
+        continue;
+      }
+      const linkLocal = isLinkLocalIPv6(iface.address);
+      // Zones are interface names, except on Windows where they are numeric
+      const zone = process.platform === 'win32' ? iface.scopeid : name;
+      interfaces.push({
+        name,
+        address: linkLocal ? `${iface.address}%${zone}` : iface.address,
+        prefixLength: parseInt(iface.cidr?.split('/')[1]) || 64,
+        linkLocal
+      });
+    }
+  }
+  return interfaces;
+}
+
+/**
+ * Rank an address by how widely it can be used, for picking one of a peer's addresses
+ * @param {string} ip - IP address
+ * @returns {number} 0 for IPv4, 1 for other IPv6 (reachable from browsers), 2 for link-local IPv6
+ */
+export function addressPreference(ip) {
+  if (net.isIPv4(ip)) {
+    return 0;
+  }
+  return isLinkLocalIPv6(ip) ? 2 : 1;
+}
+
+/**
+ * Normalize an address reported for a socket
+ * IPv4 clients of the dual-stack server show up as IPv4-mapped IPv6 addresses (::ffff:1.2.3.4).
+ * @param {string} ip - Address
+ * @returns {string} The IPv4 address for mapped ones, else the lowercased address
+ */
+export function normalizeAddress(ip) {
+  const lower = String(ip).toLowerCase();
+  return lower.startsWith('::ffff:') && net.isIPv4(lower.slice(7)) ? lower.slice(7) : lower;
+}
+
+/**
+ * Format an address with the port, for logs ("[fd00::2]:3001" for IPv6)
+ * @param {string} ip - IP address
+ * @param {number} port - Port
+ * @returns {string} Host and port
+ */
+export function formatHostPort(ip, port) {
+  return net.isIPv6(ip || '') ? `[${ip}]:${port}` : `${ip}:${port}`;
 }
 
 /**
- * Generate IP range for network scanning
- * @param {string} baseIP - Base IP (e.g., "192.168.1")
- * @param {string} excludeIP - IP to exclude from range
- * @returns {string[]} Array of IP addresses to scan
+ * Get every interface discovery should run on
+ * All non-loopback IPv4 interfaces with a subnet to search, so a device on Ethernet and Wi-Fi at
+ * once, or with a VPN, finds peers on each. Link-local (169.254.x.x) and /32 point-to-point
+ * addresses are left out.
+ * @returns {Array<{name: string, address: string, prefixLength: number, network: string, broadcast: string, isVirtual: boolean}>}
+ *   Interfaces, most likely to be the main one first (see getLocalIP)
  */
-export function generateIPRange(baseIP, excludeIP) {
-  const ipRange = [];
-  for (let i = 1; i <= 254; i++) {
-    const targetIP = `${baseIP}.${i}`;
-    if (targetIP !== excludeIP) {
-      ipRange.push(targetIP);
+export function getNetworkInterfaces() {
+  const interfaces = [];
+  for (const [name, addresses] of Object.entries(os.networkInterfaces())) {
+    for (const iface of addresses) {
+      if (iface.family !== 'IPv4' || iface.internal || iface.address.startsWith('169.254.')) {
+        continue;
+      }
+      const prefixLength = parseInt(iface.cidr?.split('/')[1]);
+      if (!(prefixLength <= 30)) {
+        continue;
+      }
+      const mask = prefixMask(prefixLength);
+      const network = ipToNumber(iface.address) & mask;
+      interfaces.push({
+        name,
+        address: iface.address,
+        prefixLength,
+        network: numberToIp(network >>> 0),
+        broadcast: numberToIp((network | ~mask) >>> 0),
+        isVirtual: isVirtualAdapter(name)
+      });
     }
   }
-  return ipRange;
+
+  const localIP = getLocalIP();
+  return interfaces.sort((a, b) => (b.address === localIP) - (a.address === localIP) || a.isVirtual - b.isVirtual);
 }
 
+/**
+ * Find the interface whose subnet contains an address
+ * A link-local IPv6 address belongs to the interface named by its zone.
+ * @param {string} ip - IP address
+ * @returns {Object|null} Interface (see getNetworkInterfaces, getIPv6Interfaces for IPv6) with our
+ *   address on it, or null if no subnet of ours contains it
+ */
+export function findInterfaceFor(ip) {
+  if (net.isIPv6(ip || '')) {
+    const zone = ip.split('%')[1];
+    const ipv6Interfaces = getIPv6Interfaces();
+    if (isLinkLocalIPv6(ip)) {
+      return ipv6Interfaces.find(iface => iface.linkLocal && zone && iface.address.endsWith(`%${zone}`)) || null;
+    }
+    const target = ipv6ToBigInt(ip);
+    return ipv6Interfaces.find(iface => {
+      const shift = BigInt(128 - iface.prefixLength);
+      return !iface.linkLocal && (ipv6ToBigInt(iface.address) >> shift) === (target >> shift);
+    }) || null;
+  }
+  if (!net.isIPv4(ip || '')) {
+    return null;
+  }
+  const target = ipToNumber(ip);
+  return getNetworkInterfaces().find(iface => {
+    return ((target & prefixMask(iface.prefixLength)) >>> 0) === ipToNumber(iface.network);
+  }) || null;
+}
+
+/**
+ * Get our address on the network an address is on, for telling the device there where to answer
+ * On an IPv6 link our unique local or global address is preferred over the link-local one.
+ * @param {string} ip - Address of the other device
+ * @returns {string} Our address facing it, or getLocalIP() if no network of ours contains it
+ */
+export function getLocalAddressFor(ip) {
+  const iface = findInterfaceFor(ip);
+  if (iface?.linkLocal) {
+    return getIPv6Interfaces().find(other => other.name === iface.name && !other.linkLocal)?.address || iface.address;
+  }
+  return iface?.address || getLocalIP();
+}
+
+/**
+ * Get the part of an interface's subnet that is scanned
+ * The whole subnet up to a /MAX_SCAN_PREFIX; of larger subnets, the /MAX_SCAN_PREFIX around our
+ * own address (the rest can be listed in PEERDROP_SCAN_RANGES, see discoveryConfig.js).
+ * @param {Object} iface - Interface (see getNetworkInterfaces)
+ * @returns {{range: Object, subnet: string, partial: boolean}} Scanned range (see parseCidr), the
+ *   interface's subnet as CIDR, and whether the range is only part of it
+ */
+export function getScanSubnet(iface) {
+  return {
+    range: parseCidr(`${iface.address}/${Math.max(iface.prefixLength, MAX_SCAN_PREFIX)}`),
+    subnet: parseCidr(`${iface.address}/${iface.prefixLength}`).cidr,
+    partial: iface.prefixLength < MAX_SCAN_PREFIX
+  };
+}
+
+/**
+ * Get the addresses to scan on an interface's subnet (see getScanSubnet)
+ * @param {Object} iface - Interface (see getNetworkInterfaces)
+ * @returns {string[]} Host addresses, without our own
+ */
+export function getScanRange(iface) {
+  return expandCidr(getScanSubnet(iface).range).filter(ip => ip !== iface.address);
+}
+
+/**
+ * Check whether an address can belong to a PeerDrop device on the local network
+ * Signaling and relay requests are only sent to such addresses, so the server can't be used
+ * to reach arbitrary hosts. Accepts private, link-local and CGNAT ranges, the subnets of our
+ * interfaces, and configured scan ranges and static peers (see discoveryConfig.js).
+ * @param {string} ip - IP address (hostnames are rejected)
+ * @returns {boolean} True if the address is on the local network
+ */
+export function isLanAddress(ip) {
+  if (isConfiguredAddress(ip)) {
+    return true;
+  }
+
+  const family = net.isIP(ip);
+  if (family === 6) {
+    const lower = ip.toLowerCase();
+    if (lower.startsWith('::ffff:') && net.isIPv4(lower.slice(7))) {
+      return isLanAddress(lower.slice(7));
+    }
+    // Unique local fc00::/7, link-local fe80::/10, or a global address in one of our prefixes
+    return /^f[cd]/.test(lower) || /^fe[89ab]/.test(lower) || findInterfaceFor(ip) !== null;
+  }
+  if (family !== 4) {
+    return false;
+  }
+
+  const [a, b] = ip.split('.').map(Number);
+  if (a === 10 || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168) ||
+      (a === 169 && b === 254) || (a === 100 && b >= 64 && b <= 127)) {
+    return true;
+  }
+  return findInterfaceFor(ip) !== null;
+}
+
+/**
+ * Get hostname
+ * @returns {string} System hostname
+ */
+export function getHostname() {
+  return os.hostname();
+}
@@ -1,15 +1,36 @@
 import { useEffect, useState } from 'react'
 import { wsService } from './services/websocket'
+import { webrtcService } from './services/webrtc'
+import { relayService } from './services/relay'
+import { discoveryService } from './services/discovery'
+import { deviceDirectory, formatDeviceId, formatAddress } from './services/devices'
 import PeerCard from './components/PeerCard'
+import MultiSend from './components/MultiSend'
+import HistoryPanel from './components/HistoryPanel'
+import PairingPanel from './components/PairingPanel'
+import ProfilePanel from './components/ProfilePanel'
+import DiscoveryStatus from './components/DiscoveryStatus'
+import LinkedBrowsersPanel from './components/LinkedBrowsersPanel'
+import { SERVER_URL, linkFromLocation, isLocalUi } from './services/server'
 
-const SERVER_URL = 'http://localhost:3001'
+// Replace a peer's entry by device ID; add it only when asked to
+function upsertPeer(list, device, add) {
+  const index = list.findIndex((p) => p.id === device.id)
+  if (index === -1) return add ? [...list, device] : list
+  const next = [...list]
+  next[index] = device
+  return next
+}
 
 function App() {
   const [peers, setPeers] = useState([])
   const [serverConnected, setServerConnected] = useState(false)
   const [localIP, setLocalIP] = useState('')
+  const [localDevice, setLocalDevice] = useState(null)
   const [wsConnected, setWsConnected] = useState(false)
+  const [linked, setLinked] = useState(true)
   const [newPeerIP, setNewPeerIP] = useState('')
+  const [addError, setAddError] = useState('')
 
   useEffect(() => {
     const checkServer = async () => {
@@ -19,8 +40,11 @@ function App() {
           const data = await response.json()
           setServerConnected(true)
           if (data.localIP) setLocalIP(data.localIP)
-          if (!wsService.isConnected()) {
-            wsService.setClientIP(data.localIP)
+          if (data.deviceId) deviceDirectory.setLocal(data)
+          // A browser on another device needs a link from the server's machine first
+          const isLinked = await linkFromLocation()
+          setLinked(isLinked)
+          if (isLinked && !wsService.isConnected()) {
             wsService.connect()
           }
         } else {
@@ -40,45 +64,107 @@ function App() {
 
     // If we get a connection request from a peer not in the list, add it so the card shows up
     const onRequest = (data) => {
-      if (data.fromIP && data.fromIP !== localIP) {
-        setPeers((prev) => {
-          const exists = prev.find((p) => p.ip === data.fromIP)
-          if (exists) return prev
-          return [
-            ...prev,
-            {
-              id: data.fromIP,
-              name: data.fromName || `Peer ${data.fromIP}`,
-              ip: data.fromIP
-            }
-          ]
+      const device = deviceDirectory.get(data.fromDeviceId)
+      if (device) setPeers((prev) => upsertPeer(prev, device, true))
+    }
+    // Keep names and addresses current, e.g. when a peer shows up at a new IP
+    const onDeviceUpdate = (device) => setPeers((prev) => upsertPeer(prev, device, false))
+    // Follow edits of this device's profile (see ProfilePanel)
+    const onLocalUpdate = (local) => setLocalDevice(local)
+
+    // Follow the peers the local server sees: the list it has now, then its presence updates
+    const onPeerSeen = ({ peer }) => {
+      const device = deviceDirectory.update(peer)
+      if (device) setPeers((prev) => upsertPeer(prev, device, true))
+    }
+    // Keep the card of a peer we're still connected to, e.g. over a route discovery can't see
+    const onPeerLeft = ({ peer }) => {
+      if (webrtcService.isConnected(peer.id) || relayService.isEnabled(peer.id)) return
+      setPeers((prev) => prev.filter((p) => p.id !== peer.id))
+    }
+    // On first load, scan right away if the server hasn't found anyone yet
+    let scannedOnStart = false
+    const loadPeers = () => {
+      discoveryService
+        .loadPeers()
+        .then((found) => {
+          found.forEach((peer) => onPeerSeen({ peer }))
+          if (found.length === 0 && !scannedOnStart) {
+            scannedOnStart = true
+            return discoveryService.scan()
+          }
         })
-      }
+        .catch(() => {})
     }
 
     wsService.on('connection_request', onRequest)
+    wsService.on('connected', loadPeers)
+    wsService.on('peer_joined', onPeerSeen)
+    wsService.on('peer_updated', onPeerSeen)
+    wsService.on('peer_left', onPeerLeft)
+    deviceDirectory.on('device_update', onDeviceUpdate)
+    deviceDirectory.on('local_update', onLocalUpdate)
 
     return () => {
       wsService.off('connected')
       wsService.off('disconnected')
       wsService.off('connection_request', onRequest)
+      wsService.off('connected', loadPeers)
+      wsService.off('peer_joined', onPeerSeen)
+      wsService.off('peer_updated', onPeerSeen)
+      wsService.off('peer_left', onPeerLeft)
+      deviceDirectory.off('device_update', onDeviceUpdate)
+      deviceDirectory.off('local_update', onLocalUpdate)
     }
-  }, [localIP])
+  }, [])
+
+  // Route WebRTC signaling between the local server and the WebRTC service
+  useEffect(() => {
+    const sendSignaling = (message) => wsService.sendSignaling(message)
+
+    const onOffer = (data) => {
+      webrtcService.handleOffer(data.fromDeviceId, data.offer, sendSignaling).catch(() => {})
+    }
+    const onAnswer = (data) => {
+      webrtcService.handleAnswer(data.fromDeviceId, data.answer).catch(() => {})
+    }
+    const onRemoteCandidate = (data) => {
+      webrtcService.handleIceCandidate(data.fromDeviceId, data.candidate)
+    }
+    const onLocalCandidate = ({ peerId, candidate }) => {
+      sendSignaling({ type: 'webrtc_ice_candidate', targetDeviceId: peerId, candidate })
+    }
+
+    wsService.on('webrtc_offer', onOffer)
+    wsService.on('webrtc_answer', onAnswer)
+    wsService.on('webrtc_ice_candidate', onRemoteCandidate)
+    webrtcService.on('ice_candidate', onLocalCandidate)
+
+    return () => {
+      wsService.off('webrtc_offer', onOffer)
+      wsService.off('webrtc_answer', onAnswer)
+      wsService.off('webrtc_ice_candidate', onRemoteCandidate)
+      webrtcService.off('ice_candidate', onLocalCandidate)
+    }
+  }, [])
 
   const addPeerManually = () => {
-    const ip = newPeerIP.trim()
+    const ip = newPeerIP.trim().replace(/^\[(.*)\]$/, '$1') // Accept IPv6 in URL brackets too
     if (!ip) return
-    setPeers((prev) => {
-      const exists = prev.find((p) => p.ip === ip)
-      if (exists) return prev
-      return [...prev, { id: ip, name: `Peer ${ip}`, ip }]
-    })
-    setNewPeerIP('')
+    // Ask the server there which device it is, so the card follows the device rather than the IP
+    setAddError('')
+    deviceDirectory
+      .lookup(ip)
+      .then((device) => {
+        setPeers((prev) => upsertPeer(prev, device, true))
+        setNewPeerIP('')
+      })
+      .catch((error) => setAddError(error.message))
   }
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex flex-col items-center p-6">
-      <h2 className="text-3xl font-bold text-gray-800 mb-4">PeerDrop (Manual)</h2>
+      <h2 className="text-3xl font-bold text-gray-800 mb-4">PeerDrop</h2>
 
       {!serverConnected && (
         <div className="mb-4 px-4 py-2 bg-yellow-100 border border-yellow-400 rounded-lg shadow-sm text-sm text-yellow-800">
@@ -86,22 +172,63 @@ function App() {
         </div>
       )}
 
+      {serverConnected && !linked && (
+        <div className="mb-4 px-4 py-2 bg-yellow-100 border border-yellow-400 rounded-lg shadow-sm text-sm text-yellow-800">
+          🔗 This browser isn&apos;t linked yet. On the device running PeerDrop, click &quot;Link a phone or
+          browser&quot; and open the link (or scan the code) here.
+        </div>
+      )}
+
       {serverConnected && localIP && (
         <div className="mb-4 px-4 py-2 bg-white rounded-full shadow-sm text-sm text-gray-700">
-          Your IP: <span className="font-semibold text-indigo-600">{localIP}</span> · WS:{' '}
+          {localDevice && (
+            <>
+              This device: <span className="font-semibold">{localDevice.name}</span>{' '}
+              <span className="font-mono text-gray-500" title={localDevice.id}>
+                ({formatDeviceId(localDevice.id)})
+              </span>{' '}
+              ·{' '}
+            </>
+          )}
+          Your IP: <span className="font-semibold text-indigo-600 break-all">{formatAddress(localIP)}</span> · WS:{' '}
           <span className={wsConnected ? 'text-green-600' : 'text-red-600'}>
             {wsConnected ? 'connected' : 'disconnected'}
           </span>
         </div>
       )}
 
-      <div className="w-full max-w-xl bg-white shadow-sm rounded-lg p-4 space-y-3">
-        <div className="text-sm font-semibold text-gray-700">Add peer by IP</div>
+      {serverConnected && <ProfilePanel />}
+
+      {serverConnected && (
+        <PairingPanel
+          localIP={localIP}
+          onPaired={(device) => {
+            if (device) setPeers((prev) => upsertPeer(prev, device, true))
+          }}
+        />
+      )}
+
+      {serverConnected && isLocalUi() && <LinkedBrowsersPanel localIP={localIP} />}
+
+      {serverConnected && <DiscoveryStatus count={peers.length} />}
+
+      <div className="w-full max-w-4xl mt-3 grid grid-cols-1 md:grid-cols-2 gap-3">
+        {peers.length === 0 ? (
+          <div className="text-sm text-gray-600 col-span-2 text-center">
+            No devices found yet. Open PeerDrop on another device on this network, or add it by IP below.
+          </div>
+        ) : (
+          peers.map((peer) => <PeerCard key={peer.id} peer={peer} localName={localDevice?.name || localIP} />)
+        )}
+      </div>
+
+      <div className="w-full max-w-xl mt-6 bg-white shadow-sm rounded-lg p-4 space-y-3">
+        <div className="text-sm font-semibold text-gray-700">Device not showing up? Add it by IP</div>
         <div className="flex gap-2">
           <input
             value={newPeerIP}
             onChange={(e) => setNewPeerIP(e.target.value)}
-            placeholder="e.g. 192.168.0.107"
+            placeholder="e.g. 192.168.0.107 or fd00::107"
             className="flex-1 border rounded px-3 py-2 text-sm"
           />
           <button
@@ -111,18 +238,16 @@ function App() {
             Add
           </button>
         </div>
+        {addError && <p className="text-xs text-red-600">{addError}</p>}
         <p className="text-xs text-gray-500">
-          Enter the peer's IP (port 3001). Then use Connect/Accept/Reject on the card.
+          Discovery only sees devices on the networks this one is on. Enter the peer's IPv4 or IPv6 address
+          (port 3001), e.g. for a device on another subnet. Then use Connect/Accept/Reject on the card.
         </p>
       </div>
 
-      <div className="w-full max-w-4xl mt-6 grid grid-cols-1 md:grid-cols-2 gap-3">
-        {peers.length === 0 ? (
-          <div className="text-sm text-gray-600 col-span-2 text-center">No peers added yet.</div>
-        ) : (
-          peers.map((peer) => <PeerCard key={peer.id} peer={peer} localIP={localIP} />)
-        )}
-      </div>
+      <MultiSend peers={peers} />
+
+      <HistoryPanel />
     </div>
   )
 }
@@ -0,0 +1,153 @@
+import { useEffect, useRef, useState } from 'react'
+import { chatService, MAX_MESSAGE_LENGTH } from '../services/chat'
+
+// ChatPanel:
+// - Text chat with one peer over the DataChannel (or server relay)
+// - Delivery/read receipts on our messages, "typing…" while the peer types
+// - Scrollable history; links are clickable, whitespace is kept so commands paste cleanly
+// - Enter sends, Shift+Enter adds a line break
+
+const RECEIPTS = {
+  pending: { text: '🕓', title: 'Waiting for a connection' },
+  sent: { text: '✓', title: 'Sent' },
+  delivered: { text: '✓✓', title: 'Delivered' },
+  read: { text: '✓✓', title: 'Read', className: 'text-blue-600' }
+}
+
+const URL_PATTERN = /(https?:\/\/[^\s<]+[^\s<.,;:!?)'"\]])/g
+
+function formatTime(timestamp) {
+  return new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+}
+
+function MessageText({ text }) {
+  // split() with a capturing group puts the URLs at odd indexes
+  return text.split(URL_PATTERN).map((part, index) =>
+    index % 2 === 1 ? (
+      <a key={index} href={part} target="_blank" rel="noopener noreferrer" className="underline break-all">
+        {part}
+      </a>
+    ) : (
+      part
+    )
+  )
+}
+
+export default function ChatPanel({ peerId, peerName, canSend }) {
+  const [messages, setMessages] = useState(() => chatService.getMessages(peerId))
+  const [peerTyping, setPeerTyping] = useState(() => chatService.isPeerTyping(peerId))
+  const [open, setOpen] = useState(false)
+  const [draft, setDraft] = useState('')
+  const listRef = useRef(null)
+
+  useEffect(() => {
+    const onUpdate = (data) => {
+      if (data.peerId === peerId) setMessages(data.messages)
+    }
+    const onTyping = (data) => {
+      if (data.peerId === peerId) setPeerTyping(data.typing)
+    }
+
+    chatService.on('chat_update', onUpdate)
+    chatService.on('typing', onTyping)
+
+    return () => {
+      chatService.off('chat_update', onUpdate)
+      chatService.off('typing', onTyping)
+    }
+  }, [peerId])
+
+  useEffect(() => {
+    if (!open) return
+    chatService.markRead(peerId)
+    // Keep the newest message in view
+    listRef.current?.scrollTo({ top: listRef.current.scrollHeight })
+  }, [open, messages, peerTyping, peerId])
+
+  const unread = messages.filter((m) => m.direction === 'incoming' && m.status !== 'read').length
+
+  const send = () => {
+    if (chatService.sendMessage(peerId, draft)) setDraft('')
+  }
+
+  const onKeyDown = (event) => {
+    if (event.key === 'Enter' && !event.shiftKey) {
+      event.preventDefault()
+      send()
+    }
+  }
+
+  const onChange = (event) => {
+    setDraft(event.target.value)
+    if (event.target.value) chatService.notifyTyping(peerId)
+    else chatService.stopTyping(peerId)
+  }
+
+  if (!open) {
+    return (
+      <button onClick={() => setOpen(true)} className="text-xs text-indigo-600 hover:underline">
+        💬 Chat{messages.length > 0 ? ` (${messages.length})` : ''}
+        {unread > 0 && <span className="ml-1 px-1.5 rounded-full bg-red-500 text-white">{unread}</span>}
+        {peerTyping && <span className="ml-1 text-gray-500">typing…</span>}
+      </button>
+    )
+  }
+
+  return (
+    <div className="border rounded text-xs">
+      <div className="flex justify-between items-center px-2 py-1 border-b bg-gray-50">
+        <span className="font-semibold">💬 Chat</span>
+        <button onClick={() => setOpen(false)} className="text-gray-500 hover:text-gray-700">
+          Hide
+        </button>
+      </div>
+
+      <div ref={listRef} className="max-h-60 overflow-y-auto p-2 space-y-1">
+        {messages.length === 0 && <div className="text-gray-500 text-center">No messages yet.</div>}
+        {messages.map((message) => {
+          const outgoing = message.direction === 'outgoing'
+          const receipt = outgoing ? RECEIPTS[message.status] : null
+          return (
+            <div key={message.id} className={`flex ${outgoing ? 'justify-end' : 'justify-start'}`}>
+              <div
+                className={`max-w-[85%] rounded px-2 py-1 ${outgoing ? 'bg-indigo-100' : 'bg-gray-100'}`}
+              >
+                <div className="whitespace-pre-wrap break-words">
+                  <MessageText text={message.text} />
+                </div>
+                <div className="text-[10px] text-gray-500 text-right">
+                  {formatTime(message.sentAt)}
+                  {receipt && (
+                    <span className={`ml-1 ${receipt.className || ''}`} title={receipt.title}>
+                      {receipt.text}
+                    </span>
+                  )}
+                </div>
+              </div>
+            </div>
+          )
+        })}
+        {peerTyping && <div className="text-gray-500 italic">{peerName} is typing…</div>}
+      </div>
+
+      <div className="flex gap-1 p-2 border-t">
+        <textarea
+          value={draft}
+          onChange={onChange}
+          onKeyDown={onKeyDown}
+          rows={1}
+          maxLength={MAX_MESSAGE_LENGTH}
+          placeholder={canSend ? 'Message…' : 'Message (sent once connected)…'}
+          className="flex-1 border rounded px-2 py-1 resize-y font-mono"
+        />
+        <button
+          onClick={send}
+          disabled={!draft.trim()}
+          className="px-3 py-1 bg-indigo-500 text-white rounded disabled:opacity-50"
+        >
+          Send
+        </button>
+      </div>
+    </div>
+  )
+}
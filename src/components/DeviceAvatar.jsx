@@ -0,0 +1,28 @@
+import { DEVICE_TYPE_LABELS } from '../services/profile'
+
+// DeviceAvatar:
+// - Round badge in the device's avatar color with an icon for its type (desktop, phone, server)
+// - Busy devices get a red dot, available ones a green one
+
+const TYPE_ICONS = { desktop: '💻', phone: '📱', server: '🗄️' }
+
+export default function DeviceAvatar({ device, size = 'w-10 h-10 text-lg' }) {
+  const title = [DEVICE_TYPE_LABELS[device.deviceType], device.os].filter(Boolean).join(' · ')
+  return (
+    <div
+      className={`relative shrink-0 rounded-full flex items-center justify-center ${size}`}
+      style={{ backgroundColor: device.color || '#9ca3af' }}
+      title={title || undefined}
+    >
+      <span aria-hidden="true">{TYPE_ICONS[device.deviceType] || '❔'}</span>
+      {device.availability && (
+        <span
+          className={`absolute bottom-0 right-0 w-3 h-3 rounded-full border-2 border-white ${
+            device.availability === 'busy' ? 'bg-red-500' : 'bg-green-500'
+          }`}
+          title={device.availability}
+        />
+      )}
+    </div>
+  )
+}
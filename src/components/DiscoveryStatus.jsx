@@ -0,0 +1,92 @@
+import { useEffect, useState } from 'react'
+import { discoveryService } from '../services/discovery'
+import { formatAge } from '../utils/format'
+
+// DiscoveryStatus:
+// - Header of the nearby devices list: how many were found and when the last scan ran
+// - "Scan network" asks the local server to look again (broadcast, mDNS and subnet scans);
+//   devices show up in the list as they are found, with the scan's progress here
+// - Cancel stops the scan; devices found so far stay
+// - One scan runs at a time: scans started in other tabs or by other devices show up here too
+// - Devices also come and go on their own between scans; the server keeps checking every 10s
+// - Subnets too large to scan completely say which part was scanned, and how to cover the rest
+
+export default function DiscoveryStatus({ count }) {
+  const [progress, setProgress] = useState(() => discoveryService.getProgress())
+  const [lastScan, setLastScan] = useState(() => discoveryService.lastScan)
+  const [error, setError] = useState('')
+  const [, setTick] = useState(0)
+
+  useEffect(() => {
+    const onProgress = (discovery) => setProgress(discovery)
+    const onComplete = (result) => {
+      setProgress(null)
+      setLastScan(result)
+    }
+    discoveryService.on('scan_progress', onProgress)
+    discoveryService.on('scan_complete', onComplete)
+    // Keep "last scan 2m ago" current
+    const timer = setInterval(() => setTick((tick) => tick + 1), 5000)
+    return () => {
+      discoveryService.off('scan_progress', onProgress)
+      discoveryService.off('scan_complete', onComplete)
+      clearInterval(timer)
+    }
+  }, [])
+
+  const scan = () => {
+    setError('')
+    discoveryService.scan().catch((err) => setError(`Could not start a scan: ${err.message}`))
+  }
+
+  const cancel = () => {
+    discoveryService.cancel().catch((err) => setError(`Could not cancel the scan: ${err.message}`))
+  }
+
+  const summary = lastScan?.error
+    ? `Last scan failed: ${lastScan.error}`
+    : lastScan
+    ? `Last scan ${formatAge(lastScan.finishedAt)} ${lastScan.cancelled ? 'was cancelled after finding' : 'found'} ${lastScan.found} device(s); the list updates live`
+    : 'The list updates live as devices come and go'
+  const partialSubnets = (progress || lastScan)?.partialSubnets || []
+
+  return (
+    <div className="w-full max-w-4xl mt-6 space-y-2">
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <div className="text-lg font-semibold text-gray-800">
+            Nearby devices <span className="text-gray-500 font-normal">({count})</span>
+          </div>
+          <div className="text-xs text-gray-600">
+            {progress
+              ? progress.phase === 'listening'
+                ? 'Waiting for late answers…'
+                : `Scanning the network… ${progress.scanned} of ${progress.total} addresses`
+              : summary}
+          </div>
+          {partialSubnets.map(({ interface: name, subnet, scanned }) => (
+            <div key={subnet} className="text-xs text-amber-700">
+              {subnet} ({name}) is too large to scan completely; only {scanned} around this device is scanned.
+              Add devices elsewhere on it by IP, or list their ranges in PEERDROP_SCAN_RANGES on the server.
+            </div>
+          ))}
+          {error && <div className="text-xs text-red-600">{error}</div>}
+        </div>
+        {progress ? (
+          <button onClick={cancel} className="px-4 py-2 bg-gray-200 text-gray-700 rounded text-sm hover:bg-gray-300">
+            Cancel
+          </button>
+        ) : (
+          <button onClick={scan} className="px-4 py-2 bg-indigo-500 text-white rounded text-sm hover:bg-indigo-600">
+            🔍 Scan network
+          </button>
+        )}
+      </div>
+      {progress && (
+        <div className="h-1.5 bg-gray-200 rounded overflow-hidden" title={`${progress.percent}%`}>
+          <div className="h-full bg-indigo-500 transition-all" style={{ width: `${progress.percent}%` }} />
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,174 @@
+import { useEffect, useState } from 'react'
+import { historyService } from '../services/history'
+import { formatBytes, formatDuration } from '../utils/format'
+
+// HistoryPanel:
+// - Past transfers in both directions, kept in IndexedDB across reloads
+// - Search by name, path, peer or hash; filter by direction and outcome
+// - Re-send a past outgoing item while its files are still reachable
+
+const OUTCOME_CLASSES = {
+  complete: 'text-green-600',
+  failed: 'text-red-600',
+  rejected: 'text-red-600',
+  cancelled: 'text-gray-500'
+}
+
+const PATH_NAMES = { webrtc: 'WebRTC', relay: 'server relay' }
+
+function HistoryItem({ entry }) {
+  const [resendStatus, setResendStatus] = useState('')
+
+  const resend = () => {
+    setResendStatus('Offering…')
+    historyService
+      .resend(entry)
+      .then(() => setResendStatus('Offered again'))
+      .catch((error) => setResendStatus(error.message))
+  }
+
+  const remove = () => {
+    historyService.deleteEntry(entry.id).catch((error) => setResendStatus(error.message))
+  }
+
+  return (
+    <div className="border rounded p-2 text-xs space-y-1">
+      <div className="flex justify-between gap-2">
+        <span className="font-semibold truncate" title={entry.name}>
+          {entry.direction === 'outgoing' ? '⬆️' : '⬇️'} {entry.files.length > 1 ? '📁 ' : ''}
+          {entry.name}
+        </span>
+        <span className="text-gray-600 whitespace-nowrap">
+          {entry.files.length > 1 ? `${entry.files.length} files · ` : ''}
+          {formatBytes(entry.size)}
+        </span>
+      </div>
+
+      <div className="text-gray-600">
+        {entry.direction === 'outgoing' ? 'to' : 'from'} {entry.peerName || entry.peerIP} · {new Date(entry.endedAt).toLocaleString()}
+        {entry.duration != null && ` · took ${formatDuration(entry.duration / 1000)}`}
+        {entry.paths.length > 0 && ` · via ${entry.paths.map((path) => PATH_NAMES[path]).join(' → ')}`}
+      </div>
+
+      {entry.files.length > 1 && (
+        <details className="text-gray-600">
+          <summary className="cursor-pointer">Contents</summary>
+          <ul className="max-h-32 overflow-y-auto pl-2">
+            {entry.files.map((file) => (
+              <li key={file.path} className="flex justify-between gap-2">
+                <span className="truncate">{file.path}</span>
+                <span className="whitespace-nowrap">{formatBytes(file.size)}</span>
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {entry.fileDigest && (
+        <div className="text-gray-500 font-mono truncate" title="SHA-256 over the chunk digests">
+          SHA-256 {entry.fileDigest}
+          {entry.integrity ? ` (${entry.integrity})` : ''}
+        </div>
+      )}
+
+      <div className="flex justify-between items-center">
+        <span className={OUTCOME_CLASSES[entry.outcome] || 'text-gray-700'}>
+          {entry.outcome}
+          {entry.error ? ` – ${entry.error}` : ''}
+        </span>
+        <div className="flex gap-1 items-center">
+          {resendStatus && <span className="text-gray-600">{resendStatus}</span>}
+          {historyService.canResend(entry) && (
+            <button onClick={resend} className="px-2 py-0.5 bg-indigo-500 text-white rounded">
+              Re-send
+            </button>
+          )}
+          <button onClick={remove} className="px-2 py-0.5 bg-gray-200 text-gray-700 rounded" title="Remove from history">
+            ✕
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default function HistoryPanel() {
+  const [entries, setEntries] = useState([])
+  const [query, setQuery] = useState('')
+  const [direction, setDirection] = useState('all')
+  const [outcome, setOutcome] = useState('all')
+  const [error, setError] = useState('')
+  const [version, setVersion] = useState(0) // Bumped whenever the stored history changes
+
+  useEffect(() => {
+    const onUpdate = () => setVersion((v) => v + 1)
+    historyService.on('history_update', onUpdate)
+    return () => historyService.off('history_update', onUpdate)
+  }, [])
+
+  useEffect(() => {
+    let stale = false
+    historyService
+      .getEntries({ query: query.trim(), direction, outcome })
+      .then((result) => {
+        if (!stale) {
+          setEntries(result)
+          setError('')
+        }
+      })
+      .catch((err) => {
+        if (!stale) setError(`History unavailable: ${err.message}`)
+      })
+    return () => {
+      stale = true
+    }
+  }, [query, direction, outcome, version])
+
+  const clear = () => {
+    if (window.confirm('Delete the whole transfer history?')) {
+      historyService.clear().catch((err) => setError(err.message))
+    }
+  }
+
+  return (
+    <div className="w-full max-w-4xl mt-6 bg-white shadow-sm rounded-lg p-4 space-y-3">
+      <div className="flex justify-between items-center">
+        <div className="text-sm font-semibold text-gray-700">Transfer history</div>
+        <button onClick={clear} className="text-xs text-gray-500 hover:text-red-600">
+          Clear history
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2 text-sm">
+        <input
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search name, path, peer or hash"
+          className="flex-1 min-w-[12rem] border rounded px-3 py-1.5"
+        />
+        <select value={direction} onChange={(e) => setDirection(e.target.value)} className="border rounded px-2 py-1.5">
+          <option value="all">Both directions</option>
+          <option value="outgoing">Sent</option>
+          <option value="incoming">Received</option>
+        </select>
+        <select value={outcome} onChange={(e) => setOutcome(e.target.value)} className="border rounded px-2 py-1.5">
+          <option value="all">Any outcome</option>
+          <option value="complete">Complete</option>
+          <option value="failed">Failed</option>
+          <option value="rejected">Rejected</option>
+          <option value="cancelled">Cancelled</option>
+        </select>
+      </div>
+
+      {error && <div className="text-xs text-red-600">{error}</div>}
+
+      <div className="space-y-1 max-h-96 overflow-y-auto">
+        {entries.length === 0 ? (
+          <div className="text-xs text-gray-500 text-center">No transfers match.</div>
+        ) : (
+          entries.map((entry) => <HistoryItem key={entry.id} entry={entry} />)
+        )}
+      </div>
+    </div>
+  )
+}
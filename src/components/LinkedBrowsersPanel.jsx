@@ -0,0 +1,114 @@
+import { useEffect, useState } from 'react'
+import QRCode from 'qrcode'
+import { apiFetch } from '../services/server'
+import { urlHost } from '../services/devices'
+import { wsService } from '../services/websocket'
+
+// LinkedBrowsersPanel (only on the server's own machine):
+// - Show a one-time link (and its QR code) that lets a phone or other browser use this device's PeerDrop
+// - Linked browsers, and Unlink
+
+// Call the link API of the local server; throws with the server's message
+async function request(path, method = 'GET') {
+  const response = await apiFetch(path, { method })
+  const data = await response.json()
+  if (!response.ok || !data.success) {
+    throw new Error(data.error || data.message || `Request failed (${response.status})`)
+  }
+  return data
+}
+
+export default function LinkedBrowsersPanel({ localIP }) {
+  const [sessions, setSessions] = useState([])
+  const [shown, setShown] = useState(null) // { url, expiresAt, qr } while showing a link
+  const [status, setStatus] = useState('')
+
+  useEffect(() => {
+    const load = () => {
+      request('/ui-sessions')
+        .then((data) => setSessions(data.sessions))
+        .catch((error) => setStatus(error.message))
+    }
+    // Someone opened the link, or a browser was unlinked
+    const onUpdate = () => {
+      setShown(null)
+      load()
+    }
+    load()
+    wsService.on('ui_sessions_update', onUpdate)
+    return () => wsService.off('ui_sessions_update', onUpdate)
+  }, [])
+
+  useEffect(() => {
+    if (!shown) return
+    const timer = setTimeout(() => setShown(null), shown.expiresAt - Date.now())
+    return () => clearTimeout(timer)
+  }, [shown])
+
+  const showLink = () => {
+    setStatus('')
+    request('/ui-sessions/link', 'POST')
+      .then(async ({ code, expiresAt }) => {
+        const url = `${window.location.protocol}//${urlHost(localIP)}:3001/?link=${encodeURIComponent(code)}`
+        const qr = await QRCode.toDataURL(url, { margin: 1, width: 160 })
+        setShown({ url, expiresAt, qr })
+      })
+      .catch((error) => setStatus(`Could not create a link: ${error.message}`))
+  }
+
+  const hideLink = () => {
+    setShown(null)
+    request('/ui-sessions/link', 'DELETE').catch(() => {})
+  }
+
+  const unlink = (session) => {
+    if (window.confirm(`Unlink ${session.name}? It will need a new link to use PeerDrop here.`)) {
+      request(`/ui-sessions/${session.id}`, 'DELETE').catch((error) => setStatus(error.message))
+    }
+  }
+
+  return (
+    <div className="w-full max-w-xl mt-6 bg-white shadow-sm rounded-lg p-4 space-y-3">
+      <div className="text-sm font-semibold text-gray-700">Use from a phone or other browser</div>
+
+      {shown ? (
+        <div className="flex items-center gap-4 border rounded p-3 bg-gray-50">
+          <img src={shown.qr} alt="Link QR code" className="w-32 h-32" />
+          <div className="space-y-1 text-sm min-w-0">
+            <div>Scan the code, or open this link on the other device (works once, for 5 minutes):</div>
+            <div className="font-mono text-xs break-all select-all">{shown.url}</div>
+            <button onClick={hideLink} className="text-xs text-gray-600 hover:underline">
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button onClick={showLink} disabled={!localIP} className="px-3 py-1.5 bg-indigo-500 text-white rounded text-sm disabled:opacity-50">
+          Link a phone or browser
+        </button>
+      )}
+
+      {status && <div className="text-xs text-gray-700">{status}</div>}
+
+      {sessions.length === 0 ? (
+        <div className="text-xs text-gray-500">
+          No linked browsers. Other devices opening this server&apos;s address can only use PeerDrop here after being linked.
+        </div>
+      ) : (
+        <div className="space-y-1">
+          {sessions.map((session) => (
+            <div key={session.id} className="flex justify-between items-center gap-2 border rounded p-2 text-xs">
+              <span>
+                <span className="font-semibold">🔗 {session.name}</span>
+                <span className="text-gray-500"> · linked {new Date(session.linkedAt).toLocaleDateString()}</span>
+              </span>
+              <button onClick={() => unlink(session)} className="px-2 py-0.5 bg-gray-200 text-gray-700 rounded hover:bg-red-100 hover:text-red-700">
+                Unlink
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,201 @@
+import { useEffect, useRef, useState } from 'react'
+import { webrtcService } from '../services/webrtc'
+import { fileTransferService } from '../services/fileTransfer'
+import { relayService } from '../services/relay'
+import { deviceDirectory } from '../services/devices'
+import { formatBytes } from '../utils/format'
+import { canPickFileHandles, entriesFromFileList, pickFileEntries, pickFolderEntries } from '../utils/files'
+
+// MultiSend:
+// - Pick several peers whose DataChannel (or server relay) is open and send the same files or folder to all of them
+// - Every recipient accepts/rejects on its own; progress is shown per recipient
+// - The files are read once and shared by all recipients (see offerFilesToPeers)
+
+const STATUS_CLASSES = {
+  complete: 'text-green-600',
+  failed: 'text-red-600',
+  rejected: 'text-red-600',
+  cancelled: 'text-gray-500',
+  interrupted: 'text-yellow-600'
+}
+
+function RecipientRow({ transfer }) {
+  const percent = transfer.size ? Math.round((transfer.bytesTransferred / transfer.size) * 100) : 100
+  const active = fileTransferService.isActive(transfer)
+
+  return (
+    <div className="flex items-center gap-2">
+      <span className="w-32 truncate text-gray-700" title={transfer.peerId}>
+        {deviceDirectory.getName(transfer.peerId)}
+      </span>
+      <div className="flex-1 bg-gray-200 rounded h-1.5">
+        <div className="bg-blue-500 h-1.5 rounded" style={{ width: `${percent}%` }} />
+      </div>
+      <span className={`w-24 text-right ${STATUS_CLASSES[transfer.status] || 'text-blue-600'}`}>
+        {transfer.status === 'offered' ? 'waiting' : transfer.status}
+        {transfer.status === 'sending' ? ` ${percent}%` : ''}
+      </span>
+      {active ? (
+        <button
+          onClick={() => fileTransferService.cancelTransfer(transfer.id)}
+          className="px-2 py-0.5 bg-gray-200 text-gray-700 rounded"
+        >
+          Cancel
+        </button>
+      ) : (
+        <span className="w-[52px]" />
+      )}
+    </div>
+  )
+}
+
+function GroupItem({ group }) {
+  const { name, size, transfers, unreachable } = group
+  const done = transfers.filter((t) => t.status === 'complete').length
+
+  return (
+    <div className="border rounded p-2 text-xs space-y-1">
+      <div className="flex justify-between gap-2">
+        <span className="font-semibold truncate" title={name}>
+          ⬆️ {name}
+        </span>
+        <span className="text-gray-600 whitespace-nowrap">
+          {formatBytes(size)} · {done}/{transfers.length} done
+        </span>
+      </div>
+      {transfers.map((transfer) => (
+        <RecipientRow key={transfer.id} transfer={transfer} />
+      ))}
+      {unreachable.length > 0 && (
+        <div className="text-red-600">Not sent (no open channel): {unreachable.map((id) => deviceDirectory.getName(id)).join(', ')}</div>
+      )}
+    </div>
+  )
+}
+
+export default function MultiSend({ peers }) {
+  const [openPeers, setOpenPeers] = useState(() =>
+    peers.filter((p) => webrtcService.isConnected(p.id) || relayService.isEnabled(p.id)).map((p) => p.id)
+  )
+  const [selected, setSelected] = useState([])
+  const [groups, setGroups] = useState([]) // { id, name, size, transfers, unreachable }
+  const fileInputRef = useRef(null)
+  const folderInputRef = useRef(null)
+
+  useEffect(() => {
+    const onChannelOpen = ({ peerId }) => {
+      setOpenPeers((prev) => (prev.includes(peerId) ? prev : [...prev, peerId]))
+    }
+    const onChannelClose = ({ peerId }) => {
+      if (webrtcService.isConnected(peerId) || relayService.isEnabled(peerId)) return // The other path is still up
+      setOpenPeers((prev) => prev.filter((id) => id !== peerId))
+      setSelected((prev) => prev.filter((id) => id !== peerId))
+    }
+    const onTransferUpdate = (transfer) => {
+      if (!transfer.groupId) return
+      setGroups((prev) =>
+        prev.map((group) =>
+          group.id === transfer.groupId
+            ? { ...group, transfers: group.transfers.map((t) => (t.id === transfer.id ? transfer : t)) }
+            : group
+        )
+      )
+    }
+
+    webrtcService.on('data_channel_open', onChannelOpen)
+    webrtcService.on('data_channel_close', onChannelClose)
+    relayService.on('relay_open', onChannelOpen)
+    relayService.on('relay_close', onChannelClose)
+    fileTransferService.on('transfer_update', onTransferUpdate)
+
+    return () => {
+      webrtcService.off('data_channel_open', onChannelOpen)
+      webrtcService.off('data_channel_close', onChannelClose)
+      relayService.off('relay_open', onChannelOpen)
+      relayService.off('relay_close', onChannelClose)
+      fileTransferService.off('transfer_update', onTransferUpdate)
+    }
+  }, [])
+
+  const available = peers.filter((p) => openPeers.includes(p.id))
+  if (available.length < 2 && groups.length === 0) return null
+
+  const toggle = (id) => {
+    setSelected((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id]))
+  }
+
+  const offerEntries = (entries) => {
+    const result = fileTransferService.offerFilesToPeers(selected, entries)
+    if (!result) return
+
+    const transfers = fileTransferService.getGroupTransfers(result.groupId).map((t) => ({ ...t }))
+    const first = transfers[0]
+    setGroups((prev) => [
+      {
+        id: result.groupId,
+        name: first?.name ?? entries[0].path,
+        size: first?.size ?? 0,
+        transfers,
+        unreachable: result.offers.filter((o) => !o.transferId).map((o) => o.peerId)
+      },
+      ...prev
+    ])
+  }
+
+  const sendFiles = (event) => {
+    offerEntries(entriesFromFileList(event.target.files))
+    event.target.value = ''
+  }
+
+  const pick = (pickEntries, inputRef) => {
+    // Picking through file handles lets the transfer be re-sent from history after a reload
+    if (!canPickFileHandles()) {
+      inputRef.current?.click()
+      return
+    }
+    pickEntries()
+      .then(offerEntries)
+      .catch((error) => {
+        if (error.name !== 'AbortError') console.error('❌ Error reading files:', error)
+      })
+  }
+
+  return (
+    <div className="w-full max-w-4xl mt-6 bg-white shadow-sm rounded-lg p-4 space-y-3">
+      <div className="text-sm font-semibold text-gray-700">Send to several peers</div>
+      {available.length === 0 ? (
+        <p className="text-xs text-gray-500">No peers with an open channel or relay.</p>
+      ) : (
+        <div className="flex flex-wrap gap-3">
+          {available.map((peer) => (
+            <label key={peer.id} className="flex items-center gap-1 text-sm">
+              <input type="checkbox" checked={selected.includes(peer.id)} onChange={() => toggle(peer.id)} />
+              {deviceDirectory.getName(peer.id)}
+            </label>
+          ))}
+        </div>
+      )}
+      <div className="flex gap-2">
+        <input ref={fileInputRef} type="file" multiple onChange={sendFiles} className="hidden" />
+        <input ref={folderInputRef} type="file" webkitdirectory="" onChange={sendFiles} className="hidden" />
+        <button
+          onClick={() => pick(pickFileEntries, fileInputRef)}
+          disabled={selected.length === 0}
+          className="px-3 py-1.5 bg-indigo-500 text-white rounded text-sm disabled:opacity-50"
+        >
+          Send files to {selected.length} peer{selected.length === 1 ? '' : 's'}
+        </button>
+        <button
+          onClick={() => pick(pickFolderEntries, folderInputRef)}
+          disabled={selected.length === 0}
+          className="px-3 py-1.5 bg-indigo-100 text-indigo-700 rounded text-sm disabled:opacity-50"
+        >
+          Send folder
+        </button>
+      </div>
+      {groups.map((group) => (
+        <GroupItem key={group.id} group={group} />
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,197 @@
+import { useEffect, useState } from 'react'
+import QRCode from 'qrcode'
+import { trustService, buildPairingLink, parsePairingLink } from '../services/trust'
+import { deviceDirectory, formatDeviceId } from '../services/devices'
+import { formatBytes } from '../utils/format'
+
+// PairingPanel:
+// - Show a one-time 6-digit PIN (and a QR code of a pairing link) for another device to enter or scan
+// - Pair with a device by pasting its pairing link; opening a scanned link pre-fills it
+// - Trusted devices with their auto-accept rules, and Revoke
+
+const FILE_LIMITS = [0, 1024 * 1024, 10 * 1024 * 1024, 100 * 1024 * 1024]
+
+// Pairing link this page was opened with (from a scanned QR code), if any
+function linkFromLocation() {
+  return new URLSearchParams(window.location.search).has('pair') ? window.location.href : ''
+}
+
+function TrustedDevice({ device }) {
+  const [error, setError] = useState('')
+
+  const update = (rules) => {
+    trustService.updateRules(device.deviceId, rules).catch((err) => setError(err.message))
+  }
+
+  const revoke = () => {
+    if (window.confirm(`Stop trusting ${device.name}? It will have to pair again.`)) {
+      trustService.revoke(device.deviceId).catch((err) => setError(err.message))
+    }
+  }
+
+  return (
+    <div className="border rounded p-2 text-xs space-y-1">
+      <div className="flex justify-between items-center gap-2">
+        <span>
+          <span className="font-semibold">🤝 {device.name}</span>{' '}
+          <span className="font-mono text-gray-500" title={device.deviceId}>
+            {formatDeviceId(device.deviceId)}
+          </span>
+          <span className="text-gray-500"> · paired {new Date(device.pairedAt).toLocaleDateString()}</span>
+        </span>
+        <button onClick={revoke} className="px-2 py-0.5 bg-gray-200 text-gray-700 rounded hover:bg-red-100 hover:text-red-700">
+          Revoke
+        </button>
+      </div>
+      <div className="flex flex-wrap gap-3 text-gray-700">
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={device.rules.autoAcceptConnections}
+            onChange={(e) => update({ autoAcceptConnections: e.target.checked })}
+          />
+          Accept connections automatically
+        </label>
+        <label className="flex items-center gap-1">
+          Accept files automatically:
+          <select
+            value={device.rules.autoAcceptFilesUpTo}
+            onChange={(e) => update({ autoAcceptFilesUpTo: Number(e.target.value) })}
+            className="border rounded px-1 py-0.5"
+          >
+            {FILE_LIMITS.map((limit) => (
+              <option key={limit} value={limit}>
+                {limit === 0 ? 'never' : `up to ${formatBytes(limit)}`}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+      {error && <div className="text-red-600">{error}</div>}
+    </div>
+  )
+}
+
+export default function PairingPanel({ localIP, onPaired }) {
+  const [devices, setDevices] = useState(() => trustService.getDevices())
+  const [shown, setShown] = useState(null) // { pin, expiresAt, qr } while showing a PIN
+  const [secondsLeft, setSecondsLeft] = useState(0)
+  const [link, setLink] = useState(linkFromLocation)
+  const [status, setStatus] = useState('')
+
+  useEffect(() => {
+    const onTrustUpdate = (list) => setDevices(list)
+    const onComplete = (data) => {
+      setShown(null)
+      setStatus(`Paired with ${data.name}`)
+    }
+    const onFailed = (data) => {
+      setShown(null)
+      setStatus(data.error)
+    }
+    trustService.on('trust_update', onTrustUpdate)
+    trustService.on('pairing_complete', onComplete)
+    trustService.on('pairing_failed', onFailed)
+    return () => {
+      trustService.off('trust_update', onTrustUpdate)
+      trustService.off('pairing_complete', onComplete)
+      trustService.off('pairing_failed', onFailed)
+    }
+  }, [])
+
+  useEffect(() => {
+    if (!shown) return
+    const tick = () => {
+      const left = Math.max(0, Math.round((shown.expiresAt - Date.now()) / 1000))
+      setSecondsLeft(left)
+      if (left === 0) setShown(null)
+    }
+    tick()
+    const timer = setInterval(tick, 1000)
+    return () => clearInterval(timer)
+  }, [shown])
+
+  const showPin = () => {
+    setStatus('')
+    trustService
+      .startPairing()
+      .then(async ({ pin, expiresAt }) => {
+        const deviceId = deviceDirectory.getLocalId()
+        const qr = await QRCode.toDataURL(buildPairingLink({ ip: localIP, deviceId, pin }), { margin: 1, width: 160 })
+        setShown({ pin, expiresAt, qr })
+      })
+      .catch((error) => setStatus(`Could not start pairing: ${error.message}`))
+  }
+
+  const hidePin = () => {
+    setShown(null)
+    trustService.cancelPairing().catch(() => {})
+  }
+
+  const join = (event) => {
+    event.preventDefault()
+    const target = parsePairingLink(link)
+    if (!target) {
+      setStatus('That is not a PeerDrop pairing link')
+      return
+    }
+    setStatus(`Pairing with ${target.ip}…`)
+    trustService
+      .pair(target)
+      .then((device) => {
+        setLink('')
+        setStatus(`Paired with ${device.name}`)
+        if (window.location.search) window.history.replaceState(null, '', window.location.pathname)
+        onPaired(deviceDirectory.update({ id: device.deviceId, name: device.name, ip: target.ip, publicKey: device.publicKey }))
+      })
+      .catch((error) => setStatus(`Pairing failed: ${error.message}`))
+  }
+
+  return (
+    <div className="w-full max-w-xl mt-6 bg-white shadow-sm rounded-lg p-4 space-y-3">
+      <div className="text-sm font-semibold text-gray-700">Paired devices</div>
+
+      {shown ? (
+        <div className="flex items-center gap-4 border rounded p-3 bg-gray-50">
+          <img src={shown.qr} alt="Pairing QR code" className="w-32 h-32" />
+          <div className="space-y-1 text-sm">
+            <div>Enter this PIN on the other device, or scan the code:</div>
+            <div className="text-3xl font-mono tracking-widest">{shown.pin}</div>
+            <div className="text-xs text-gray-500">Expires in {secondsLeft}s</div>
+            <button onClick={hidePin} className="text-xs text-gray-600 hover:underline">
+              Cancel
+            </button>
+          </div>
+        </div>
+      ) : (
+        <button onClick={showPin} className="px-3 py-1.5 bg-indigo-500 text-white rounded text-sm">
+          Show pairing PIN
+        </button>
+      )}
+
+      <form onSubmit={join} className="flex gap-2">
+        <input
+          value={link}
+          onChange={(e) => setLink(e.target.value)}
+          placeholder="Paste a pairing link from another device"
+          className="flex-1 border rounded px-3 py-1.5 text-sm"
+        />
+        <button type="submit" disabled={!link.trim()} className="px-3 py-1.5 bg-blue-500 text-white rounded text-sm disabled:opacity-50">
+          Pair
+        </button>
+      </form>
+
+      {status && <div className="text-xs text-gray-700">{status}</div>}
+
+      <div className="space-y-1">
+        {devices.length === 0 ? (
+          <div className="text-xs text-gray-500">
+            No paired devices. Paired devices can connect, and send small files, without you clicking Accept.
+          </div>
+        ) : (
+          devices.map((device) => <TrustedDevice key={device.deviceId} device={device} />)
+        )}
+      </div>
+    </div>
+  )
+}
@@ -1,32 +1,108 @@
-import { useEffect, useState } from 'react'
+import { useEffect, useRef, useState } from 'react'
 import { wsService } from '../services/websocket'
+import { webrtcService } from '../services/webrtc'
+import { fileTransferService } from '../services/fileTransfer'
+import { relayService } from '../services/relay'
+import { deviceDirectory, formatDeviceId, formatAddress } from '../services/devices'
+import { trustService } from '../services/trust'
+import { DEVICE_TYPE_LABELS } from '../services/profile'
+import { SOURCE_LABELS } from '../services/discovery'
+import { formatAge } from '../utils/format'
+import TransferList from './TransferList'
+import ChatPanel from './ChatPanel'
+import SecurityBadge from './SecurityBadge'
+import DeviceAvatar from './DeviceAvatar'
+import {
+  canPickFileHandles,
+  entriesFromDataTransfer,
+  entriesFromFileList,
+  pickFileEntries,
+  pickFolderEntries
+} from '../utils/files'
 
-// Simplified PeerCard:
-// - Only connection request/accept/reject via WebSocket signaling
-// - No WebRTC, no discovery, no polling
+// PeerCard:
+// - Peers are devices (persistent device ID); the IP is only where the device was last seen
+// - Connection request/accept/reject via WebSocket signaling
+// - Pair with the peer by entering the PIN it shows; paired peers connect without the Accept click
+// - Once accepted, the requester opens a WebRTC DataChannel to the peer
+// - Files and folders are sent and received over that DataChannel (pick or drag-and-drop)
+// - If WebRTC cannot connect, transfers fall back to relaying through both servers (only for an accepted connection)
+// - Chat with the peer over the same path once connected
+// - Everything sent is end-to-end encrypted; both cards show a code the users can compare
 // - Shows ack/status on both sides
+// - Shows when the peer was last seen and how it was found (UDP, mDNS, scan, its request...)
+// - Shows what the peer announced: type, OS, avatar color, features and whether it is busy;
+//   peers on another protocol version are flagged and can't be connected to
 
-export default function PeerCard({ peer, localIP }) {
+const sendSignaling = (message) => wsService.sendSignaling(message)
+
+function upsertTransfer(list, transfer) {
+  const index = list.findIndex((t) => t.id === transfer.id)
+  if (index === -1) return [...list, transfer]
+  const next = [...list]
+  next[index] = transfer
+  return next
+}
+
+// "Seen 20s ago via UDP broadcast, mDNS", kept current while nothing else re-renders the card
+function LastSeen({ peer }) {
+  const [, setTick] = useState(0)
+  useEffect(() => {
+    const timer = setInterval(() => setTick((tick) => tick + 1), 5000)
+    return () => clearInterval(timer)
+  }, [])
+
+  const sources = (peer.sources || []).map((source) => SOURCE_LABELS[source] || source)
+  return (
+    <div className="text-xs text-gray-500" title={peer.lastSeen ? new Date(peer.lastSeen).toLocaleString() : undefined}>
+      Seen {formatAge(peer.lastSeen)}
+      {sources.length > 0 && ` via ${sources.join(', ')}`}
+    </div>
+  )
+}
+
+export default function PeerCard({ peer, localName }) {
+  const peerName = peer.name || formatDeviceId(peer.id)
+  const incompatible = peer.compatible === false
   const [status, setStatus] = useState('disconnected') // disconnected | pending | requested | connected
   const [ack, setAck] = useState('')
+  const [channelOpen, setChannelOpen] = useState(() => webrtcService.isConnected(peer.id))
+  const [relayOpen, setRelayOpen] = useState(() => relayService.isEnabled(peer.id))
+  const [transfers, setTransfers] = useState(() =>
+    fileTransferService.getTransfers(peer.id).map((t) => ({ ...t }))
+  )
+  const [dragOver, setDragOver] = useState(false)
+  const [trusted, setTrusted] = useState(() => trustService.get(peer.id))
+  const [pin, setPin] = useState(null) // PIN being typed while pairing, null when not pairing
+  const fileInputRef = useRef(null)
+  const folderInputRef = useRef(null)
 
   useEffect(() => {
     const onRequest = (data) => {
-      if (data.fromIP === peer.ip) {
-        setStatus('requested')
-        setAck(`Incoming request from ${data.fromIP}`)
+      if (data.fromDeviceId !== peer.id) return
+      if (trustService.autoAcceptsConnections(peer.id)) {
+        wsService.acceptConnection(peer.id, localName)
+        setStatus('connected')
+        setAck(`Connected to ${peerName} automatically (paired device)`)
+        return
       }
+      setStatus('requested')
+      setAck(`Incoming request from ${peerName}`)
     }
     const onAccept = (data) => {
-      if (data.fromIP === peer.ip) {
+      if (data.fromDeviceId === peer.id) {
         setStatus('connected')
-        setAck(`Accepted by ${data.fromIP}`)
+        setAck(`Accepted by ${peerName}`)
+        // We asked for the connection, so we open the DataChannel
+        webrtcService.createOffer(peer.id, sendSignaling).catch(() => {
+          setAck(`Could not start WebRTC with ${peerName}`)
+        })
       }
     }
     const onReject = (data) => {
-      if (data.fromIP === peer.ip) {
+      if (data.fromDeviceId === peer.id) {
         setStatus('disconnected')
-        setAck(`Rejected by ${data.fromIP}`)
+        setAck(`Rejected by ${peerName}`)
       }
     }
 
@@ -39,51 +115,208 @@ export default function PeerCard({ peer, localIP }) {
       wsService.off('connection_accept', onAccept)
       wsService.off('connection_reject', onReject)
     }
-  }, [peer.ip])
+  }, [peer.id, peerName, localName])
+
+  // The peer asks to relay; only go along with it for a connection the user accepted or asked for
+  useEffect(() => {
+    const onRelayRequest = (data) => {
+      if (data.peerId !== peer.id) return
+      if (status === 'connected') {
+        relayService.enable(peer.id)
+      } else {
+        setAck(`${peerName} asked to use the server relay, but you are not connected`)
+      }
+    }
+    relayService.on('relay_request', onRelayRequest)
+    return () => relayService.off('relay_request', onRelayRequest)
+  }, [peer.id, peerName, status])
+
+  useEffect(() => {
+    const onTrustUpdate = () => setTrusted(trustService.get(peer.id))
+    trustService.on('trust_update', onTrustUpdate)
+    return () => trustService.off('trust_update', onTrustUpdate)
+  }, [peer.id])
+
+  useEffect(() => {
+    const onChannelOpen = (data) => {
+      if (data.peerId === peer.id) setChannelOpen(true)
+    }
+    const onChannelClose = (data) => {
+      if (data.peerId === peer.id) setChannelOpen(false)
+    }
+    const onReconnecting = (data) => {
+      if (data.peerId === peer.id) setAck(`Connection lost, reconnecting (attempt ${data.attempt})…`)
+    }
+    const onReconnectFailed = (data) => {
+      if (data.peerId === peer.id) setAck(`Could not reconnect to ${peerName}, falling back to the server relay`)
+    }
+    const onRelayOpen = (data) => {
+      if (data.peerId === peer.id) setRelayOpen(true)
+    }
+    const onRelayClose = (data) => {
+      if (data.peerId === peer.id) {
+        setRelayOpen(false)
+        setAck(`Server relay to ${peerName} failed`)
+      }
+    }
+    const onTransferUpdate = (transfer) => {
+      if (transfer.peerId === peer.id) setTransfers((prev) => upsertTransfer(prev, transfer))
+    }
+
+    webrtcService.on('data_channel_open', onChannelOpen)
+    webrtcService.on('data_channel_close', onChannelClose)
+    webrtcService.on('reconnecting', onReconnecting)
+    webrtcService.on('reconnect_failed', onReconnectFailed)
+    relayService.on('relay_open', onRelayOpen)
+    relayService.on('relay_close', onRelayClose)
+    fileTransferService.on('transfer_update', onTransferUpdate)
+
+    return () => {
+      webrtcService.off('data_channel_open', onChannelOpen)
+      webrtcService.off('data_channel_close', onChannelClose)
+      webrtcService.off('reconnecting', onReconnecting)
+      webrtcService.off('reconnect_failed', onReconnectFailed)
+      relayService.off('relay_open', onRelayOpen)
+      relayService.off('relay_close', onRelayClose)
+      fileTransferService.off('transfer_update', onTransferUpdate)
+    }
+  }, [peer.id, peerName])
 
   const connect = () => {
     if (!wsService.isConnected()) wsService.connect()
-    if (status === 'pending' || status === 'connected' || status === 'requested') return
+    if (status === 'pending' || status === 'connected' || status === 'requested' || incompatible) return
     setStatus('pending')
-    setAck(`Sent request to ${peer.ip}`)
-    wsService.sendConnectionRequest(peer.ip, `Peer ${localIP}`)
+    setAck(`Sent request to ${peerName}`)
+    wsService.sendConnectionRequest(peer.id, localName)
   }
 
   const accept = () => {
-    wsService.acceptConnection(peer.ip, `Peer ${localIP}`)
+    wsService.acceptConnection(peer.id, localName)
     setStatus('connected')
-    setAck(`You accepted ${peer.ip}`)
+    setAck(`You accepted ${peerName}`)
   }
 
   const reject = () => {
-    wsService.rejectConnection(peer.ip, `Peer ${localIP}`)
+    wsService.rejectConnection(peer.id, localName)
     setStatus('disconnected')
-    setAck(`You rejected ${peer.ip}`)
+    setAck(`You rejected ${peerName}`)
+  }
+
+  const pair = (event) => {
+    event.preventDefault()
+    setAck(`Pairing with ${peerName}…`)
+    trustService
+      .pair({ ip: peer.ip, deviceId: peer.id, pin })
+      .then(() => {
+        setPin(null)
+        setAck(`Paired with ${peerName}`)
+      })
+      .catch((error) => setAck(`Pairing failed: ${error.message}`))
+  }
+
+  const offerEntries = (entries) => {
+    if (entries.length === 0) return
+    if (!fileTransferService.offerFiles(peer.id, entries)) {
+      setAck('Could not offer files: no open channel or relay')
+    }
+  }
+
+  const sendFiles = (event) => {
+    // The whole selection (or folder) goes out as a single offer
+    offerEntries(entriesFromFileList(event.target.files))
+    event.target.value = ''
+  }
+
+  const pick = (pickEntries, inputRef) => {
+    // Picking through file handles lets the transfer be re-sent from history after a reload
+    if (!canPickFileHandles()) {
+      inputRef.current?.click()
+      return
+    }
+    pickEntries()
+      .then(offerEntries)
+      .catch((error) => {
+        if (error.name !== 'AbortError') setAck(`Could not read files: ${error.message}`)
+      })
+  }
+
+  const canSend = channelOpen || relayOpen
+
+  const onDragOver = (event) => {
+    if (!canSend) return
+    event.preventDefault()
+    setDragOver(true)
+  }
+
+  const onDrop = (event) => {
+    if (!canSend) return
+    event.preventDefault()
+    setDragOver(false)
+    entriesFromDataTransfer(event.dataTransfer)
+      .then(offerEntries)
+      .catch((error) => setAck(`Could not read dropped files: ${error.message}`))
   }
 
   return (
-    <div className="p-4 rounded-lg border shadow-sm space-y-2" data-peer-ip={peer.ip}>
+    <div
+      className={`p-4 rounded-lg border shadow-sm space-y-2 ${dragOver ? 'border-indigo-500 bg-indigo-50' : ''}`}
+      data-peer-id={peer.id}
+      onDragOver={onDragOver}
+      onDragLeave={() => setDragOver(false)}
+      onDrop={onDrop}
+    >
       <div className="flex justify-between items-center">
-        <div>
-          <div className="font-semibold">{peer.name || peer.ip}</div>
-          <div className="text-xs text-gray-600">{peer.ip}</div>
-          <div className="text-xs mt-1">
-            Status:{' '}
-            <span
-              className={
-                status === 'connected'
-                  ? 'text-green-600 font-semibold'
-                  : status === 'pending'
-                  ? 'text-blue-600 font-semibold'
-                  : status === 'requested'
-                  ? 'text-yellow-600 font-semibold'
-                  : 'text-gray-700'
-              }
-            >
-              {status}
-            </span>
+        <div className="flex items-center gap-3">
+          <DeviceAvatar device={peer} />
+          <div>
+            <div className="font-semibold">
+              {peerName}
+              {peer.availability === 'busy' && (
+                <span className="ml-2 px-1.5 py-0.5 bg-red-100 text-red-700 rounded text-xs font-normal">busy</span>
+              )}
+            </div>
+            {(peer.deviceType || peer.os || peer.features?.length > 0) && (
+              <div className="text-xs text-gray-600 flex flex-wrap items-center gap-1">
+                {[DEVICE_TYPE_LABELS[peer.deviceType], peer.os].filter(Boolean).join(' · ')}
+                {peer.features?.map((feature) => (
+                  <span key={feature} className="px-1.5 bg-gray-100 text-gray-600 rounded">
+                    {feature}
+                  </span>
+                ))}
+              </div>
+            )}
+            <div className="text-xs text-gray-600">
+              <span className="font-mono" title={`Device ID ${peer.id}`}>
+                {formatDeviceId(peer.id)}
+              </span>
+              {peer.ip && <span className="break-all"> · at {formatAddress(peer.ip)}</span>}
+              {trusted && <span className="text-green-700" title={`Paired ${new Date(trusted.pairedAt).toLocaleString()}`}> · 🤝 paired</span>}
+            </div>
+            <LastSeen peer={peer} />
+            <div className="text-xs mt-1">
+              Status:{' '}
+              <span
+                className={
+                  status === 'connected'
+                    ? 'text-green-600 font-semibold'
+                    : status === 'pending'
+                    ? 'text-blue-600 font-semibold'
+                    : status === 'requested'
+                    ? 'text-yellow-600 font-semibold'
+                    : 'text-gray-700'
+                }
+              >
+                {status}
+              </span>
+              {status === 'connected' && (
+                <span className="text-gray-600">
+                  {' '}
+                  · channel {channelOpen ? 'open' : relayOpen ? 'via server relay' : 'opening…'}
+                </span>
+              )}
+            </div>
+            {ack && <div className="text-xs text-gray-700 mt-1">Ack: {ack}</div>}
           </div>
-          {ack && <div className="text-xs text-gray-700 mt-1">Ack: {ack}</div>}
         </div>
         <div className="flex gap-2">
           {status === 'requested' ? (
@@ -96,17 +329,81 @@ export default function PeerCard({ peer, localIP }) {
               </button>
             </>
           ) : status === 'disconnected' ? (
-            <button onClick={connect} className="px-3 py-1.5 bg-blue-500 text-white rounded text-sm">
+            <button
+              onClick={connect}
+              disabled={incompatible}
+              className="px-3 py-1.5 bg-blue-500 text-white rounded text-sm disabled:opacity-50"
+            >
               Connect
             </button>
           ) : status === 'pending' ? (
             <span className="text-sm text-blue-600 font-semibold">Pending…</span>
+          ) : canSend ? (
+            <>
+              <input ref={fileInputRef} type="file" multiple onChange={sendFiles} className="hidden" />
+              <input ref={folderInputRef} type="file" webkitdirectory="" onChange={sendFiles} className="hidden" />
+              <button
+                onClick={() => pick(pickFileEntries, fileInputRef)}
+                className="px-3 py-1.5 bg-indigo-500 text-white rounded text-sm"
+              >
+                Send files
+              </button>
+              <button
+                onClick={() => pick(pickFolderEntries, folderInputRef)}
+                className="px-3 py-1.5 bg-indigo-100 text-indigo-700 rounded text-sm"
+              >
+                Send folder
+              </button>
+            </>
           ) : (
-            <span className="text-sm text-green-600 font-semibold">Connected</span>
+            <button
+              onClick={() => relayService.enable(peer.id)}
+              title="Send through both PeerDrop servers instead of a direct WebRTC connection"
+              className="px-3 py-1.5 bg-gray-200 text-gray-700 rounded text-sm"
+            >
+              Use server relay
+            </button>
           )}
         </div>
       </div>
+
+      {incompatible && (
+        <div className="text-xs text-red-600">
+          ⚠️ {peerName} runs an incompatible PeerDrop version (protocol {peer.protocolVersion}, this device{' '}
+          {deviceDirectory.local?.protocolVersion ?? 'unknown'}). Update PeerDrop on the older device to connect.
+        </div>
+      )}
+
+      {!trusted && peer.ip && (
+        pin === null ? (
+          <button onClick={() => setPin('')} className="text-xs text-indigo-600 hover:underline">
+            Pair with this device…
+          </button>
+        ) : (
+          <form onSubmit={pair} className="flex items-center gap-2 text-xs">
+            <span>PIN shown on {peerName}:</span>
+            <input
+              value={pin}
+              onChange={(e) => setPin(e.target.value.replace(/\D/g, '').slice(0, 6))}
+              inputMode="numeric"
+              autoFocus
+              className="w-20 border rounded px-2 py-0.5 font-mono tracking-widest"
+            />
+            <button type="submit" disabled={pin.length !== 6} className="px-2 py-0.5 bg-indigo-500 text-white rounded disabled:opacity-50">
+              Pair
+            </button>
+            <button type="button" onClick={() => setPin(null)} className="px-2 py-0.5 bg-gray-200 text-gray-700 rounded">
+              Cancel
+            </button>
+          </form>
+        )
+      )}
+
+      {status === 'connected' && canSend && <SecurityBadge peerId={peer.id} peerName={peerName} />}
+
+      {status === 'connected' && <ChatPanel peerId={peer.id} peerName={peerName} canSend={canSend} />}
+
+      <TransferList transfers={transfers} />
     </div>
   )
 }
-
@@ -0,0 +1,92 @@
+import { useEffect, useState } from 'react'
+import { profileService, DEVICE_TYPES, DEVICE_TYPE_LABELS, AVATAR_COLORS } from '../services/profile'
+import DeviceAvatar from './DeviceAvatar'
+
+// ProfilePanel:
+// - How this device shows up on other devices: name, device type and avatar color
+// - Available/Busy toggle, shown on other devices' cards
+// - Changes are announced to the network right away
+
+export default function ProfilePanel() {
+  const [profile, setProfile] = useState(() => profileService.getProfile())
+  const [name, setName] = useState(() => profileService.getProfile()?.name || '')
+  const [error, setError] = useState('')
+
+  useEffect(() => {
+    const onUpdate = (updated) => {
+      setProfile(updated)
+      setName(updated.name)
+    }
+    profileService.on('profile_update', onUpdate)
+    if (!profileService.getProfile()) profileService.load()
+    return () => profileService.off('profile_update', onUpdate)
+  }, [])
+
+  if (!profile) return null
+
+  const update = (changes) => {
+    setError('')
+    profileService.update(changes).catch((err) => setError(err.message))
+  }
+
+  const saveName = (event) => {
+    event.preventDefault()
+    if (name.trim() !== profile.name) update({ name })
+  }
+
+  const busy = profile.availability === 'busy'
+
+  return (
+    <div className="w-full max-w-xl bg-white shadow-sm rounded-lg p-4 space-y-3 mb-4">
+      <div className="flex items-center gap-3">
+        <DeviceAvatar device={profile} />
+        <form onSubmit={saveName} className="flex-1">
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onBlur={saveName}
+            maxLength={64}
+            placeholder="Device name (empty: host name)"
+            className="w-full border rounded px-3 py-2 text-sm font-semibold"
+          />
+        </form>
+        <button
+          onClick={() => update({ availability: busy ? 'available' : 'busy' })}
+          title="Other devices see whether you are available for transfers"
+          className={`px-3 py-2 rounded text-sm ${busy ? 'bg-red-100 text-red-700' : 'bg-green-100 text-green-700'}`}
+        >
+          {busy ? '⛔ Busy' : '✅ Available'}
+        </button>
+      </div>
+      <div className="flex flex-wrap items-center gap-4 text-xs text-gray-700">
+        <label className="flex items-center gap-1">
+          Device type:
+          <select
+            value={profile.deviceType}
+            onChange={(e) => update({ deviceType: e.target.value })}
+            className="border rounded px-1 py-0.5"
+          >
+            {DEVICE_TYPES.map((type) => (
+              <option key={type} value={type}>
+                {DEVICE_TYPE_LABELS[type]}
+              </option>
+            ))}
+          </select>
+        </label>
+        <div className="flex items-center gap-1">
+          Color:
+          {AVATAR_COLORS.map((color) => (
+            <button
+              key={color}
+              onClick={() => update({ color })}
+              title={color}
+              className={`w-5 h-5 rounded-full ${color === profile.color ? 'ring-2 ring-offset-1 ring-gray-700' : ''}`}
+              style={{ backgroundColor: color }}
+            />
+          ))}
+        </div>
+      </div>
+      {error && <p className="text-xs text-red-600">{error}</p>}
+    </div>
+  )
+}
@@ -0,0 +1,84 @@
+import { useEffect, useState } from 'react'
+import { peerChannel } from '../services/peerChannel'
+
+// SecurityBadge:
+// - End-to-end encryption state of the link to one peer
+// - The 5-emoji code both users compare (read aloud, or side by side) to rule out a server in the middle
+// - "They match" marks the peer verified; "They differ" drops the connection
+
+export default function SecurityBadge({ peerId, peerName }) {
+  const [security, setSecurity] = useState(() => peerChannel.getSecurity(peerId))
+  const [comparing, setComparing] = useState(false)
+
+  useEffect(() => {
+    const onUpdate = (data) => {
+      if (data.peerId === peerId) setSecurity(peerChannel.getSecurity(peerId))
+    }
+    peerChannel.on('security_update', onUpdate)
+    return () => peerChannel.off('security_update', onUpdate)
+  }, [peerId])
+
+  if (!security) return null
+
+  const confirm = (matches) => {
+    peerChannel.confirmCode(peerId, matches)
+    setComparing(false)
+  }
+
+  if (security.error) {
+    return <div className="text-xs text-red-600">⚠️ {security.error}</div>
+  }
+
+  if (security.status === 'waiting') {
+    return <div className="text-xs text-gray-500">🔐 Setting up encryption…</div>
+  }
+
+  if (security.status === 'unencrypted') {
+    return (
+      <div className="text-xs text-yellow-700" title="WebCrypto needs a secure context (https or localhost) on both sides">
+        🔓 Not end-to-end encrypted
+      </div>
+    )
+  }
+
+  const code = (
+    <span className="text-base tracking-wider" title={security.sas.map((s) => s.name).join(', ')}>
+      {security.sas.map((s) => s.emoji).join(' ')}
+    </span>
+  )
+
+  return (
+    <div className="text-xs space-y-1">
+      <div className="flex items-center gap-2">
+        <span className={security.verified ? 'text-green-600' : 'text-gray-700'}>
+          {security.verified ? '✅ Encrypted · verified' : '🔒 Encrypted · not verified'}
+        </span>
+        {code}
+        {!security.verified && !comparing && (
+          <button onClick={() => setComparing(true)} className="text-indigo-600 hover:underline">
+            Verify
+          </button>
+        )}
+      </div>
+
+      {comparing && (
+        <div className="border rounded p-2 bg-gray-50 space-y-1">
+          <div>
+            Check that {peerName} shows the same emoji, in the same order ({security.sas.map((s) => s.name).join(', ')}).
+          </div>
+          <div className="flex gap-2">
+            <button onClick={() => confirm(true)} className="px-2 py-0.5 bg-green-500 text-white rounded">
+              They match
+            </button>
+            <button onClick={() => confirm(false)} className="px-2 py-0.5 bg-red-500 text-white rounded">
+              They differ
+            </button>
+            <button onClick={() => setComparing(false)} className="px-2 py-0.5 bg-gray-200 text-gray-700 rounded">
+              Later
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
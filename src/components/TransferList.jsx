@@ -0,0 +1,158 @@
+import { fileTransferService } from '../services/fileTransfer'
+import { formatBytes, formatDuration } from '../utils/format'
+import { saveFiles } from '../utils/save'
+
+// Lists file transfers with one peer:
+// - Accept/Reject for incoming offers
+// - Progress and Cancel while a transfer is running
+// - Where incoming data is going (disk, download or memory), and Save for in-memory ones
+// - Marks offers a paired device's rule accepted without asking
+// - Which path the data took: direct WebRTC or the server relay fallback
+
+const STATUS_CLASSES = {
+  complete: 'text-green-600',
+  failed: 'text-red-600',
+  rejected: 'text-red-600',
+  cancelled: 'text-gray-500',
+  interrupted: 'text-yellow-600'
+}
+
+const INTEGRITY_LABELS = {
+  verified: { text: '✅ Verified', className: 'text-green-700 bg-green-50 border-green-300' },
+  corrupted: { text: '❌ Corrupted', className: 'text-red-700 bg-red-50 border-red-300' },
+  unverified: { text: '⚠️ Not verified', className: 'text-yellow-700 bg-yellow-50 border-yellow-300' }
+}
+
+const STORAGE_LABELS = {
+  filesystem: { active: 'writing to disk', done: 'saved to disk' },
+  download: { active: 'downloading', done: 'downloaded' },
+  memory: { active: 'in memory', done: 'in memory' }
+}
+
+const PATH_LABELS = {
+  webrtc: { text: '⚡ WebRTC', title: 'Direct browser-to-browser DataChannel' },
+  relay: { text: '🛰️ Server relay', title: 'Relayed through both PeerDrop servers because WebRTC could not connect' }
+}
+
+function save(transfer) {
+  saveFiles(fileTransferService.getReceivedFiles(transfer.id), transfer.name).catch((error) => {
+    // AbortError means the user closed the folder picker
+    if (error.name !== 'AbortError') console.error('❌ Error saving files:', error)
+  })
+}
+
+function TransferItem({ transfer }) {
+  const percent = transfer.size ? Math.round((transfer.bytesTransferred / transfer.size) * 100) : 100
+  const active = fileTransferService.isActive(transfer)
+  const integrity = INTEGRITY_LABELS[transfer.integrity]
+  const fileCount = transfer.manifest?.length || 1
+  const storage = STORAGE_LABELS[transfer.storage]
+
+  return (
+    <div className="border rounded p-2 text-xs space-y-1">
+      <div className="flex justify-between gap-2">
+        <span className="font-semibold truncate" title={transfer.name}>
+          {transfer.direction === 'outgoing' ? '⬆️' : '⬇️'} {fileCount > 1 ? '📁 ' : ''}
+          {transfer.name}
+        </span>
+        <span className="text-gray-600 whitespace-nowrap">
+          {fileCount > 1 ? `${fileCount} files · ` : ''}
+          {formatBytes(transfer.size)}
+        </span>
+      </div>
+
+      {fileCount > 1 && (
+        <details className="text-gray-600">
+          <summary className="cursor-pointer">Contents</summary>
+          <ul className="max-h-32 overflow-y-auto pl-2">
+            {transfer.manifest.map((entry) => (
+              <li key={entry.path} className="flex justify-between gap-2">
+                <span className="truncate">{entry.path}</span>
+                <span className="whitespace-nowrap">{formatBytes(entry.size)}</span>
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {transfer.paths?.length > 0 && (
+        <div className="text-gray-600" title={transfer.paths.map((path) => PATH_LABELS[path].title).join(', then ')}>
+          via {transfer.paths.map((path) => PATH_LABELS[path].text).join(' → ')}
+        </div>
+      )}
+
+      {integrity && (
+        <div
+          className={`inline-block border rounded px-1.5 py-0.5 font-semibold ${integrity.className}`}
+          title={transfer.fileDigest ? `SHA-256 (chunk digests): ${transfer.fileDigest}` : 'WebCrypto unavailable, digests were not checked'}
+        >
+          {integrity.text}
+        </div>
+      )}
+
+      <div className="w-full bg-gray-200 rounded h-1.5">
+        <div className="bg-blue-500 h-1.5 rounded" style={{ width: `${percent}%` }} />
+      </div>
+
+      <div className="flex justify-between items-center">
+        <span className={STATUS_CLASSES[transfer.status] || 'text-blue-600'}>
+          {transfer.status}
+          {transfer.error ? ` – ${transfer.error}` : ''}
+          {storage && (active || transfer.status === 'complete') && (
+            <span className="text-gray-600"> · {active ? storage.active : storage.done}</span>
+          )}
+          {transfer.autoAccepted && <span className="text-gray-600"> · accepted automatically (paired device)</span>}
+          {active && transfer.throughput > 0 && (
+            <span className="text-gray-600">
+              {' '}
+              · {formatBytes(transfer.throughput)}/s · {formatDuration((transfer.size - transfer.bytesTransferred) / transfer.throughput)} left
+            </span>
+          )}
+        </span>
+        <div className="flex gap-1">
+          {transfer.direction === 'incoming' && transfer.status === 'pending' && (
+            <>
+              <button
+                onClick={() => fileTransferService.acceptTransfer(transfer.id)}
+                className="px-2 py-0.5 bg-green-500 text-white rounded"
+              >
+                Accept
+              </button>
+              <button
+                onClick={() => fileTransferService.rejectTransfer(transfer.id)}
+                className="px-2 py-0.5 bg-red-500 text-white rounded"
+              >
+                Reject
+              </button>
+            </>
+          )}
+          {active && transfer.status !== 'pending' && (
+            <button
+              onClick={() => fileTransferService.cancelTransfer(transfer.id)}
+              className="px-2 py-0.5 bg-gray-200 text-gray-700 rounded"
+            >
+              Cancel
+            </button>
+          )}
+          {transfer.direction === 'incoming' && transfer.status === 'complete' && transfer.blob && (
+            <button onClick={() => save(transfer)} className="px-2 py-0.5 bg-blue-500 text-white rounded">
+              Save
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default function TransferList({ transfers }) {
+  if (transfers.length === 0) return null
+
+  return (
+    <div className="space-y-1">
+      {transfers.map((transfer) => (
+        <TransferItem key={transfer.id} transfer={transfer} />
+      ))}
+    </div>
+  )
+}
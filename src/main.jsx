@@ -3,6 +3,13 @@ import { createRoot } from 'react-dom/client'
 import './index.css'
 import App from './App.jsx'
 
+// The service worker streams received files to disk (see public/sw.js); it needs a secure origin
+if ('serviceWorker' in navigator && window.isSecureContext) {
+  navigator.serviceWorker.register('/sw.js').catch((error) => {
+    console.warn('Service worker registration failed, large downloads will be held in memory:', error)
+  })
+}
+
 createRoot(document.getElementById('root')).render(
   <StrictMode>
     <App />
@@ -0,0 +1,338 @@
+/**
+ * Chat service
+ *
+ * Text chat with connected peers, carried over the same end-to-end encrypted path as file
+ * transfers (the WebRTC DataChannel, or the server relay as a fallback; see peerChannel.js).
+ *
+ * Protocol (JSON messages):
+ *   chat_message { id, text, sentAt }   a chat message; the receiver ignores ids it already has
+ *   chat_receipt { id, status }         'delivered' once received, 'read' once shown to the user
+ *   chat_typing  { typing }             typing state, refreshed while the user keeps typing
+ *
+ * Messages written while no path is open stay 'pending' and are sent when one opens. Messages
+ * that were sent but never acknowledged are sent again at that point too, since they may have
+ * been lost with the old connection.
+ */
+
+import { peerChannel } from './peerChannel';
+
+export const MAX_MESSAGE_LENGTH = 4000; // Characters; keeps a message well inside one DataChannel message
+const TYPING_REFRESH = 3000; // Re-send 'typing' at most every 3s while the user types
+const TYPING_IDLE = 5000; // Stop showing 'typing' after 5s without a refresh or when the user pauses
+
+const STATUS_ORDER = ['pending', 'sent', 'delivered', 'read'];
+
+/**
+ * Generate a chat message ID
+ * @returns {string} Random message ID
+ */
+function createMessageId() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
+}
+
+class ChatService {
+  constructor() {
+    this.conversations = new Map(); // Map of peerId -> { messages, peerTyping, typingTimer, typingSentAt, idleTimer }
+    this.listeners = new Map(); // Event listeners
+
+    peerChannel.on('message', (message) => this.handleMessage(message));
+    peerChannel.on('path_open', ({ peerId }) => this.flush(peerId));
+  }
+
+  /**
+   * Get or create the conversation with a peer
+   * @param {string} peerId - Device ID of the peer
+   * @returns {Object} Conversation state
+   */
+  getConversation(peerId) {
+    if (!this.conversations.has(peerId)) {
+      this.conversations.set(peerId, {
+        messages: [], // { id, direction, text, sentAt, status } oldest first
+        peerTyping: false,
+        typingTimer: null, // Clears peerTyping when the peer stops refreshing it
+        typingSentAt: 0, // When we last sent typing: true
+        idleTimer: null // Sends typing: false once we stop typing
+      });
+    }
+    return this.conversations.get(peerId);
+  }
+
+  /**
+   * Get the messages exchanged with a peer
+   * @param {string} peerId - Device ID of the peer
+   * @returns {Array} Messages, oldest first
+   */
+  getMessages(peerId) {
+    return this.conversations.get(peerId)?.messages ?? [];
+  }
+
+  /**
+   * Check whether a peer is typing
+   * @param {string} peerId - Device ID of the peer
+   * @returns {boolean}
+   */
+  isPeerTyping(peerId) {
+    return this.conversations.get(peerId)?.peerTyping ?? false;
+  }
+
+  /**
+   * Send a chat message
+   * @param {string} peerId - Device ID of the peer
+   * @param {string} text - Message text
+   * @returns {Object|null} The message, or null if the text is empty or too long
+   */
+  sendMessage(peerId, text) {
+    if (!text.trim() || text.length > MAX_MESSAGE_LENGTH) {
+      return null;
+    }
+
+    const conversation = this.getConversation(peerId);
+    const message = {
+      id: createMessageId(),
+      direction: 'outgoing',
+      text,
+      sentAt: Date.now()
+    };
+    this.stopTyping(peerId);
+    message.status = this.transmit(peerId, message) ? 'sent' : 'pending'; // pending | sent | delivered | read
+    conversation.messages = [...conversation.messages, message];
+    this.emitUpdate(peerId);
+    return message;
+  }
+
+  /**
+   * Put an outgoing message on the wire
+   * @param {string} peerId - Device ID of the peer
+   * @param {Object} message - Outgoing message
+   * @returns {boolean} True if the message was sent
+   */
+  transmit(peerId, message) {
+    return peerChannel.sendMessage(peerId, {
+      type: 'chat_message',
+      id: message.id,
+      text: message.text,
+      sentAt: message.sentAt
+    });
+  }
+
+  /**
+   * Send every message the peer has not acknowledged, once a path to it opens
+   * @param {string} peerId - Device ID of the peer
+   */
+  flush(peerId) {
+    const unacknowledged = this.getMessages(peerId).filter(
+      m => m.direction === 'outgoing' && (m.status === 'pending' || m.status === 'sent')
+    );
+    if (unacknowledged.length > 0) {
+      console.log(`💬 [Chat] Sending ${unacknowledged.length} unacknowledged message(s) to ${peerId}`);
+      unacknowledged.forEach(message => {
+        if (this.transmit(peerId, message)) {
+          this.setStatus(peerId, message.id, 'sent');
+        }
+      });
+      this.emitUpdate(peerId);
+    }
+  }
+
+  /**
+   * Report that the local user is typing
+   * Call on every edit; refreshes are throttled and 'stopped typing' is sent after a pause.
+   * @param {string} peerId - Device ID of the peer
+   */
+  notifyTyping(peerId) {
+    const conversation = this.getConversation(peerId);
+    const now = Date.now();
+    if (now - conversation.typingSentAt >= TYPING_REFRESH && peerChannel.getPath(peerId)) {
+      conversation.typingSentAt = now;
+      peerChannel.sendMessage(peerId, { type: 'chat_typing', typing: true });
+    }
+
+    clearTimeout(conversation.idleTimer);
+    conversation.idleTimer = setTimeout(() => this.stopTyping(peerId), TYPING_IDLE);
+  }
+
+  /**
+   * Tell the peer we stopped typing, if we told it we were
+   * @param {string} peerId - Device ID of the peer
+   */
+  stopTyping(peerId) {
+    const conversation = this.getConversation(peerId);
+    clearTimeout(conversation.idleTimer);
+    conversation.idleTimer = null;
+    if (conversation.typingSentAt) {
+      conversation.typingSentAt = 0;
+      peerChannel.sendMessage(peerId, { type: 'chat_typing', typing: false });
+    }
+  }
+
+  /**
+   * Mark every incoming message from a peer as read and tell the peer
+   * Call while the conversation is visible to the user.
+   * @param {string} peerId - Device ID of the peer
+   */
+  markRead(peerId) {
+    const unread = this.getMessages(peerId).filter(m => m.direction === 'incoming' && m.status !== 'read');
+    if (unread.length === 0) {
+      return;
+    }
+
+    unread.forEach(message => {
+      this.setStatus(peerId, message.id, 'read');
+      peerChannel.sendMessage(peerId, { type: 'chat_receipt', id: message.id, status: 'read' });
+    });
+    this.emitUpdate(peerId);
+  }
+
+  /**
+   * Count incoming messages not read yet
+   * @param {string} peerId - Device ID of the peer
+   * @returns {number}
+   */
+  getUnreadCount(peerId) {
+    return this.getMessages(peerId).filter(m => m.direction === 'incoming' && m.status !== 'read').length;
+  }
+
+  /**
+   * Handle a JSON message from a peer
+   * @param {Object} message - Parsed message including peerId
+   */
+  handleMessage(message) {
+    const { peerId, type } = message;
+    if (!type?.startsWith('chat_')) {
+      return;
+    }
+
+    switch (type) {
+      case 'chat_message':
+        this.handleChatMessage(peerId, message);
+        break;
+
+      case 'chat_receipt':
+        if (this.setStatus(peerId, message.id, message.status)) {
+          this.emitUpdate(peerId);
+        }
+        break;
+
+      case 'chat_typing':
+        this.setPeerTyping(peerId, message.typing === true);
+        break;
+
+      default:
+        console.log(`[Chat] Unknown message type: ${type}`);
+    }
+  }
+
+  /**
+   * Store an incoming chat message and acknowledge it
+   * @param {string} peerId - Device ID of the sender
+   * @param {Object} message - chat_message
+   */
+  handleChatMessage(peerId, message) {
+    if (typeof message.id !== 'string' || typeof message.text !== 'string') {
+      console.warn(`⚠️ [Chat] Ignoring malformed message from ${peerId}`);
+      return;
+    }
+
+    const conversation = this.getConversation(peerId);
+    const existing = conversation.messages.find(m => m.id === message.id && m.direction === 'incoming');
+    // Acknowledge duplicates too: our earlier receipt may have been lost
+    peerChannel.sendMessage(peerId, { type: 'chat_receipt', id: message.id, status: existing?.status === 'read' ? 'read' : 'delivered' });
+    if (existing) {
+      return;
+    }
+
+    conversation.messages = [...conversation.messages, {
+      id: message.id,
+      direction: 'incoming',
+      text: message.text.slice(0, MAX_MESSAGE_LENGTH),
+      sentAt: Number.isFinite(message.sentAt) ? message.sentAt : Date.now(),
+      receivedAt: Date.now(),
+      status: 'delivered' // delivered | read
+    }];
+    this.setPeerTyping(peerId, false);
+    this.emitUpdate(peerId);
+    this.emit('chat_message', { peerId, text: message.text });
+  }
+
+  /**
+   * Advance a message's status; receipts never move a message backwards
+   * @param {string} peerId - Device ID of the peer
+   * @param {string} id - Message ID
+   * @param {string} status - New status
+   * @returns {boolean} True if the status changed
+   */
+  setStatus(peerId, id, status) {
+    const conversation = this.conversations.get(peerId);
+    const index = conversation?.messages.findIndex(m => m.id === id) ?? -1;
+    if (index === -1 || STATUS_ORDER.indexOf(status) <= STATUS_ORDER.indexOf(conversation.messages[index].status)) {
+      return false;
+    }
+
+    // Replace rather than mutate so snapshots handed to listeners stay unchanged
+    const messages = [...conversation.messages];
+    messages[index] = { ...messages[index], status };
+    conversation.messages = messages;
+    return true;
+  }
+
+  /**
+   * Update the peer's typing state
+   * @param {string} peerId - Device ID of the peer
+   * @param {boolean} typing - Whether the peer is typing
+   */
+  setPeerTyping(peerId, typing) {
+    const conversation = this.getConversation(peerId);
+    clearTimeout(conversation.typingTimer);
+    conversation.typingTimer = typing
+      ? setTimeout(() => this.setPeerTyping(peerId, false), TYPING_IDLE + TYPING_REFRESH)
+      : null;
+
+    if (conversation.peerTyping !== typing) {
+      conversation.peerTyping = typing;
+      this.emit('typing', { peerId, typing });
+    }
+  }
+
+  /**
+   * Notify listeners that a conversation changed
+   * @param {string} peerId - Device ID of the peer
+   */
+  emitUpdate(peerId) {
+    this.emit('chat_update', { peerId, messages: this.getMessages(peerId) });
+  }
+
+  /**
+   * Add event listener
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  /**
+   * Remove event listener
+   */
+  off(event, callback) {
+    if (this.listeners.has(event)) {
+      const callbacks = this.listeners.get(event);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Emit event to listeners
+   */
+  emit(event, data) {
+    if (this.listeners.has(event)) {
+      this.listeners.get(event).forEach(callback => callback(data));
+    }
+  }
+}
+
+// Export singleton instance
+export const chatService = new ChatService();
@@ -0,0 +1,227 @@
+/**
+ * Device directory
+ *
+ * Peers are identified by the device ID of their PeerDrop server (derived from the server's
+ * persistent key pair, see server/services/identity.js), not by IP address: a DHCP change
+ * must not turn a peer into a stranger, and two devices behind one IP must not merge.
+ *
+ * The directory remembers, for each device ID, its name, public key and the IP it was last
+ * seen at. The IP is only used to reach the device's server (signaling, relay), and is
+ * updated whenever the device shows up somewhere else.
+ *
+ * Devices also announce a profile (see server/services/profile.js): device type, OS, avatar
+ * color, protocol version, supported features and whether they are busy. `compatible` is false
+ * for devices speaking another protocol version, which can't be connected to. `sources` are the
+ * ways the local server found the device (see services/discovery.js).
+ */
+
+import { apiFetch } from './server';
+
+const LOOKUP_TIMEOUT = 3000; // Give up on a manually entered address after 3s
+const PROFILE_FIELDS = ['deviceType', 'os', 'color', 'protocolVersion', 'features', 'availability', 'compatible'];
+
+/**
+ * Pick the profile fields of an announcement
+ * @param {Object} info - Announced fields
+ * @param {Object} [existing] - What we knew, for the fields left out
+ * @returns {Object} Profile fields (null if unknown)
+ */
+function pickProfile(info, existing) {
+  return Object.fromEntries(PROFILE_FIELDS.map(field => [field, info[field] ?? existing?.[field] ?? null]));
+}
+
+class DeviceDirectory {
+  constructor() {
+    this.local = null; // { id, name, ip, publicKey, ...profile } of this device
+    this.devices = new Map(); // Map of deviceId -> { id, name, ip, publicKey, sources, lastSeen, ...profile }
+    this.listeners = new Map(); // Event listeners
+  }
+
+  /**
+   * Record this device's identity, as reported by the local server
+   * @param {{deviceId: string, name: string, publicKey: string, localIP: string}} info - /api/health response
+   */
+  setLocal(info) {
+    const { deviceId, name, publicKey, localIP } = info;
+    this.local = { id: deviceId, name, publicKey, ip: localIP, ...pickProfile(info) };
+    this.emit('local_update', this.local);
+  }
+
+  /**
+   * Take over a change of this device's profile
+   * @param {Object} profile - name, deviceType, color and availability (see services/profile.js)
+   */
+  updateLocalProfile(profile) {
+    if (!this.local) {
+      return;
+    }
+    this.local = { ...this.local, name: profile.name, ...pickProfile(profile, this.local) };
+    this.emit('local_update', this.local);
+  }
+
+  /**
+   * Get this device's ID
+   * @returns {string|null} Device ID, or null before the local server answered
+   */
+  getLocalId() {
+    return this.local?.id ?? null;
+  }
+
+  /**
+   * Add a device or refresh what we know about it
+   * @param {{id: string, name?: string, ip?: string, publicKey?: string}} device - Known fields, and
+   *   any profile fields it announced
+   * @returns {Object|null} The stored device, or null if the ID is missing or our own
+   */
+  update(info) {
+    const { id, name, ip, publicKey } = info;
+    if (!id || id === this.getLocalId()) {
+      return null;
+    }
+
+    const existing = this.devices.get(id);
+    const device = {
+      id,
+      name: name || existing?.name || null,
+      ip: ip || existing?.ip || null,
+      publicKey: publicKey || existing?.publicKey || null,
+      ...pickProfile(info, existing),
+      sources: info.sources ?? existing?.sources ?? [],
+      lastSeen: info.lastSeen ? Date.parse(info.lastSeen) : Date.now() // The server's, when it reports one
+    };
+    if (existing?.ip && ip && existing.ip !== ip) {
+      console.log(`🆔 [Devices] ${device.name || id} moved from ${existing.ip} to ${ip}`);
+    }
+    this.devices.set(id, device);
+    this.emit('device_update', device);
+    return device;
+  }
+
+  /**
+   * Get a known device
+   * @param {string} deviceId - Device ID
+   * @returns {Object|undefined} Device
+   */
+  get(deviceId) {
+    return this.devices.get(deviceId);
+  }
+
+  /**
+   * Get the IP address a device was last seen at
+   * @param {string} deviceId - Device ID
+   * @returns {string|null} IP address
+   */
+  getAddress(deviceId) {
+    return this.devices.get(deviceId)?.ip ?? null;
+  }
+
+  /**
+   * Get a display name for a device
+   * @param {string} deviceId - Device ID
+   * @returns {string} Name, or the short device ID if the device never told us its name
+   */
+  getName(deviceId) {
+    return this.devices.get(deviceId)?.name || formatDeviceId(deviceId);
+  }
+
+  /**
+   * Ask the PeerDrop server at an address which device it is
+   * The local server asks on our behalf, so this works when the other one uses a self-signed certificate.
+   * @param {string} ip - IP address entered by the user
+   * @returns {Promise<Object>} The device
+   * @throws {Error} If no PeerDrop server answers there, or it is this device
+   */
+  async lookup(ip) {
+    let data;
+    try {
+      const response = await apiFetch(`/lookup/${encodeURIComponent(ip)}`, {
+        signal: AbortSignal.timeout(LOOKUP_TIMEOUT)
+      });
+      data = await response.json();
+    } catch {
+      throw new Error(`No PeerDrop server answered at ${ip}`);
+    }
+    if (!data.success) {
+      throw new Error(data.error);
+    }
+
+    const info = data.device;
+    if (!info?.deviceId) {
+      throw new Error(`The server at ${ip} does not report a device ID (older PeerDrop version?)`);
+    }
+    if (info.deviceId === this.getLocalId()) {
+      throw new Error(`${ip} is this device`);
+    }
+    return this.update({ ...info, id: info.deviceId, ip });
+  }
+
+  /**
+   * Add event listener
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  /**
+   * Remove event listener
+   */
+  off(event, callback) {
+    if (this.listeners.has(event)) {
+      const callbacks = this.listeners.get(event);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Emit event to listeners
+   */
+  emit(event, data) {
+    if (this.listeners.has(event)) {
+      this.listeners.get(event).forEach(callback => callback(data));
+    }
+  }
+}
+
+/**
+ * Shorten a device ID for display
+ * @param {string} deviceId - Device ID (32 hex characters)
+ * @returns {string} First 8 characters as two groups, e.g. "3f9a-07c2"
+ */
+export function formatDeviceId(deviceId) {
+  return deviceId ? `${deviceId.slice(0, 4)}-${deviceId.slice(4, 8)}` : '';
+}
+
+/**
+ * Format an address for display
+ * A link-local IPv6 address shows the interface it was seen on separately: "fe80::1 (en0)".
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {string} Display form
+ */
+export function formatAddress(ip) {
+  if (!ip) {
+    return '';
+  }
+  const [address, zone] = ip.split('%');
+  return zone ? `${address} (${zone})` : address;
+}
+
+/**
+ * Get the host part of a URL for an address
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {string|null} "192.168.1.2" or "[fd00::2]"; null for link-local IPv6, which browsers can't reach
+ */
+export function urlHost(ip) {
+  if (!ip?.includes(':')) {
+    return ip || null;
+  }
+  return /^fe[89ab]/i.test(ip) ? null : `[${ip}]`;
+}
+
+// Export singleton instance
+export const deviceDirectory = new DeviceDirectory();
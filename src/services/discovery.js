@@ -0,0 +1,189 @@
+/**
+ * Peer discovery
+ *
+ * Asks the local server to look for PeerDrop devices on every network it is on (UDP broadcast,
+ * mDNS and subnet scans, see server/services/discovery.js). Peers it finds, now or later, reach
+ * the UI as peer_joined/peer_updated/peer_left over the WebSocket; this service starts scans,
+ * follows their progress (discovery_progress/discovery_complete) and cancels them.
+ *
+ * The server runs one discovery at a time and everyone asking shares it.
+ */
+
+import { wsService } from './websocket';
+import { apiFetch } from './server';
+
+// How each discovery source is shown (see SOURCES in server/services/peerManager.js)
+export const SOURCE_LABELS = {
+  udp: 'UDP broadcast',
+  mdns: 'mDNS',
+  scan: 'network scan',
+  static: 'static peer',
+  request: 'incoming request',
+  manual: 'added by IP'
+};
+
+class DiscoveryService {
+  constructor() {
+    this.current = null; // Progress of the discovery in flight: { id, phase, scanned, total, percent, partialSubnets }
+    this.lastScan = null; // { finishedAt, found, cancelled, partialSubnets } of the last discovery
+    this.waiting = []; // Resolvers of scan() calls waiting for the discovery to end
+    this.listeners = new Map(); // Event listeners
+
+    wsService.on('discovery_progress', ({ discovery }) => this.setProgress(discovery));
+    wsService.on('discovery_complete', ({ discovery, found }) => {
+      this.finish({ finishedAt: Date.now(), found, cancelled: discovery.cancelled, partialSubnets: discovery.partialSubnets });
+    });
+    wsService.on('connected', () => this.syncStatus());
+    // Without the WebSocket we won't hear how the discovery ends
+    wsService.on('disconnected', () => {
+      if (this.current) {
+        this.finish({ finishedAt: Date.now(), error: 'Lost the connection to the server' });
+      }
+    });
+  }
+
+  /**
+   * Call the local server's discovery API
+   * @param {string} path - Path below /api
+   * @param {string} method - HTTP method
+   * @returns {Promise<Object>} Response body
+   * @throws {Error} With the server's error message
+   */
+  async request(path, method = 'GET') {
+    const response = await apiFetch(path, { method });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || data.message || `Request failed (${response.status})`);
+    }
+    return data;
+  }
+
+  /**
+   * Load the peers the server knows about
+   * @returns {Promise<Array>} Peers (see GET /api/peers)
+   */
+  async loadPeers() {
+    const { peers } = await this.request('/peers');
+    return peers || [];
+  }
+
+  /**
+   * Pick up a discovery started before we connected (e.g. from another tab)
+   * @returns {Promise<void>}
+   */
+  async syncStatus() {
+    try {
+      const { discovery } = await this.request('/discover');
+      if (discovery) {
+        this.setProgress(discovery);
+      }
+    } catch (error) {
+      console.warn('⚠️ [Discovery] Could not get the discovery status:', error.message);
+    }
+  }
+
+  /**
+   * Take over the progress of the discovery in flight
+   * @param {Object} discovery - Progress reported by the server
+   */
+  setProgress(discovery) {
+    this.current = discovery;
+    this.emit('scan_progress', discovery);
+  }
+
+  /**
+   * Record the end of the discovery and release everyone waiting for it
+   * @param {Object} result - { finishedAt, found, cancelled, partialSubnets } or { finishedAt, error }
+   */
+  finish(result) {
+    this.current = null;
+    this.lastScan = result;
+    this.waiting.splice(0).forEach(resolve => resolve(result));
+    this.emit('scan_complete', result);
+  }
+
+  /**
+   * Scan the network for peers
+   * Peers show up through peer_joined as they are found, while the scan runs. If a discovery is
+   * already running (started here, in another tab or by another device), this joins it.
+   * @returns {Promise<Object>} { finishedAt, found, cancelled }, or { finishedAt, error }
+   * @throws {Error} If the server could not start scanning
+   */
+  async scan() {
+    let resolveDone;
+    const done = new Promise((resolve) => {
+      resolveDone = resolve;
+    });
+    this.waiting.push(resolveDone);
+
+    try {
+      const { discovery } = await this.request('/discover/start', 'POST');
+      if (discovery && this.current?.id !== discovery.id) {
+        this.setProgress(discovery);
+      }
+    } catch (error) {
+      this.waiting = this.waiting.filter(resolve => resolve !== resolveDone);
+      throw error;
+    }
+    return done;
+  }
+
+  /**
+   * Stop the discovery in flight; peers found so far stay
+   * @returns {Promise<void>}
+   */
+  async cancel() {
+    await this.request('/discover', 'DELETE');
+  }
+
+  /**
+   * Check whether a discovery is running
+   * @returns {boolean}
+   */
+  isScanning() {
+    return Boolean(this.current);
+  }
+
+  /**
+   * Get the progress of the discovery in flight
+   * @returns {Object|null} { id, phase, scanned, total, percent }, or null if none is running
+   */
+  getProgress() {
+    return this.current;
+  }
+
+  /**
+   * Add event listener
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  /**
+   * Remove event listener
+   */
+  off(event, callback) {
+    if (this.listeners.has(event)) {
+      const callbacks = this.listeners.get(event);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Emit event to listeners
+   */
+  emit(event, data) {
+    if (this.listeners.has(event)) {
+      this.listeners.get(event).forEach(callback => callback(data));
+    }
+  }
+}
+
+// Export singleton instance
+export const discoveryService = new DiscoveryService();
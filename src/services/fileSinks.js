@@ -0,0 +1,294 @@
+/**
+ * Storage sinks for incoming transfers
+ *
+ * A sink takes the verified data of one incoming transfer (a single file or a bundle, see
+ * fileTransfer.js) at byte offsets within the transfer's stream and gets it onto disk:
+ *   - filesystem: File System Access API, random-access writes into files the user picked; nothing
+ *                 shows up under the final names before close()
+ *   - download:   a streamed browser download through the service worker (public/sw.js);
+ *                 append-only, bundles are streamed as a ZIP archive
+ *   - memory:     data kept in memory and saved afterwards, when neither of the above is available
+ *
+ * Every sink exposes:
+ *   kind                 'filesystem' | 'download' | 'memory'
+ *   sequential           true if write() only accepts the next offset in order
+ *   write(offset, bytes) Promise<void>
+ *   close()              Promise<void>, commits once every byte has been written
+ *   abort()              Promise<void>, discards what has not been committed
+ */
+
+import { getFileHandleAt, removeFileAt } from '../utils/save';
+import { ZipStream } from '../utils/zip';
+
+const DOWNLOAD_PREFIX = '/__peerdrop_download/'; // Must match public/sw.js
+const PART_SUFFIX = '.peerdrop-part'; // Bundle files are written under this name until verified
+
+/**
+ * Check whether a manifest is a single top-level file (as opposed to a folder or selection)
+ * @param {Array<{path: string}>} manifest - Transfer manifest
+ * @returns {boolean}
+ */
+function isSingleFile(manifest) {
+  return manifest.length === 1 && !manifest[0].path.includes('/');
+}
+
+/**
+ * Split a write at a stream offset into per-file writes
+ * @param {Array<{size: number, offset: number}>} manifest - Transfer manifest with offsets
+ * @param {number} offset - Offset of bytes within the transfer stream
+ * @param {Uint8Array} bytes - Data
+ * @param {(index: number, position: number, data: Uint8Array) => Promise<void>} callback - Called per file slice, in order
+ * @returns {Promise<void>}
+ */
+async function forEachFileSlice(manifest, offset, bytes, callback) {
+  const end = offset + bytes.length;
+  for (let index = 0; index < manifest.length; index++) {
+    const entry = manifest[index];
+    const start = Math.max(offset, entry.offset);
+    const stop = Math.min(end, entry.offset + entry.size);
+    if (start < stop) {
+      await callback(index, start - entry.offset, bytes.subarray(start - offset, stop - offset));
+    }
+  }
+}
+
+/**
+ * Sink writing into files picked with the File System Access API
+ * Single files prompt for a save location, bundles for a folder to recreate their tree in.
+ * The transfer's data is only verified as a whole after the last chunk, so until close() a single
+ * file stays in its writable's swap file and bundle files are written as "<name>.peerdrop-part",
+ * committed one by one (so only one file per slice is open) and renamed on close(). abort() leaves
+ * the picked file untouched and deletes the part files.
+ * Must be called from a user gesture because it opens a picker.
+ * @param {Object} transfer - Incoming transfer with name and manifest
+ * @returns {Promise<Object>} Sink
+ */
+async function createFileSystemSink(transfer) {
+  const { manifest } = transfer;
+  const single = isSingleFile(manifest);
+  const singleHandle = single ? await window.showSaveFilePicker({ suggestedName: manifest[0].path }) : null;
+  const root = single ? null : await window.showDirectoryPicker({ mode: 'readwrite' });
+  const partPath = (index) => manifest[index].path + PART_SUFFIX;
+
+  const writers = new Map(); // Map of manifest index -> { handle, writable, written }
+  const parts = new Map(); // Map of manifest index -> handle of its part file, once written completely
+
+  const openWriter = async (index) => {
+    if (!writers.has(index)) {
+      const handle = singleHandle || await getFileHandleAt(root, partPath(index));
+      writers.set(index, { handle, writable: await handle.createWritable(), written: 0 });
+    }
+    return writers.get(index);
+  };
+
+  const commit = async (index) => {
+    const writer = await openWriter(index);
+    await writer.writable.close();
+    writers.delete(index);
+    parts.set(index, writer.handle);
+  };
+
+  // Give a verified part file its real name
+  const publish = async (index) => {
+    const part = parts.get(index);
+    const name = manifest[index].path.split('/').pop();
+    if (part.move) {
+      await part.move(name);
+      return;
+    }
+    // Browsers without FileSystemHandle.move(): copy the data over, then delete the part file
+    const handle = await getFileHandleAt(root, manifest[index].path);
+    await (await part.getFile()).stream().pipeTo(await handle.createWritable());
+    await removeFileAt(root, partPath(index));
+  };
+
+  return {
+    kind: 'filesystem',
+    sequential: false,
+    async write(offset, bytes) {
+      await forEachFileSlice(manifest, offset, bytes, async (index, position, data) => {
+        const writer = await openWriter(index);
+        await writer.writable.write({ type: 'write', position, data });
+        writer.written += data.length;
+        if (!single && writer.written === manifest[index].size) {
+          await commit(index);
+        }
+      });
+    },
+    async close() {
+      // Anything not committed yet is an empty file, the last partially written one or the single file
+      for (let index = 0; index < manifest.length; index++) {
+        if (!parts.has(index)) {
+          await commit(index);
+        }
+      }
+      if (!single) {
+        for (let index = 0; index < manifest.length; index++) {
+          await publish(index);
+        }
+      }
+    },
+    async abort() {
+      for (const { writable } of writers.values()) {
+        await writable.abort().catch(() => {});
+      }
+      if (!single) {
+        const written = new Set([...writers.keys(), ...parts.keys()]);
+        for (const index of written) {
+          await removeFileAt(root, partPath(index)).catch(() => {});
+        }
+      }
+      writers.clear();
+      parts.clear();
+    }
+  };
+}
+
+/**
+ * Sink streaming a browser download through the service worker
+ * Single files download as-is, bundles as a ZIP archive built on the fly.
+ * @param {Object} transfer - Incoming transfer with id, name, size, mimeType and manifest
+ * @returns {Promise<Object>} Sink
+ */
+async function createDownloadSink(transfer) {
+  const { manifest } = transfer;
+  const single = isSingleFile(manifest);
+  const { port1: port, port2 } = new MessageChannel();
+  const waitingForAck = []; // Resolvers for posted chunks, acknowledged in order
+  let cancelled = false;
+
+  const registered = new Promise((resolve) => {
+    port.onmessage = ({ data }) => {
+      if (data.type === 'registered') {
+        resolve();
+      } else if (data.type === 'ack') {
+        waitingForAck.shift()?.resolve();
+      } else if (data.type === 'cancelled') {
+        cancelled = true;
+        waitingForAck.splice(0).forEach(({ reject }) => reject(new Error('Download cancelled in the browser')));
+      }
+    };
+  });
+
+  navigator.serviceWorker.controller.postMessage({
+    type: 'register_download',
+    id: transfer.id,
+    name: single ? manifest[0].path : `${transfer.name}.zip`,
+    size: single ? transfer.size : undefined, // ZIP size depends on headers, leave it unannounced
+    mimeType: single ? transfer.mimeType : 'application/zip'
+  }, [port2]);
+  await registered;
+
+  // Navigating a hidden iframe to the worker URL starts the download without leaving the page
+  const iframe = document.createElement('iframe');
+  iframe.hidden = true;
+  iframe.src = `${DOWNLOAD_PREFIX}${encodeURIComponent(transfer.id)}`;
+  document.body.appendChild(iframe);
+  const removeIframe = () => setTimeout(() => iframe.remove(), 1000);
+
+  const postChunk = (bytes) => {
+    if (cancelled) {
+      return Promise.reject(new Error('Download cancelled in the browser'));
+    }
+    return new Promise((resolve, reject) => {
+      waitingForAck.push({ resolve, reject });
+      const chunk = bytes.slice().buffer; // Copy so the buffer can be transferred to the worker
+      port.postMessage({ type: 'chunk', chunk }, [chunk]);
+    });
+  };
+
+  const zip = single ? null : new ZipStream(postChunk);
+  let entryIndex = -1;
+  let nextOffset = 0;
+
+  // Close finished ZIP entries and open the one for the given manifest index (including empty files in between)
+  const advanceTo = async (index) => {
+    while (entryIndex < index) {
+      if (entryIndex >= 0) {
+        await zip.endEntry();
+      }
+      entryIndex++;
+      await zip.startEntry(manifest[entryIndex].path);
+    }
+  };
+
+  return {
+    kind: 'download',
+    sequential: true,
+    async write(offset, bytes) {
+      if (offset !== nextOffset) {
+        throw new Error(`Out-of-order write at ${offset}, expected ${nextOffset}`);
+      }
+      nextOffset += bytes.length;
+
+      if (single) {
+        await postChunk(bytes);
+        return;
+      }
+      await forEachFileSlice(manifest, offset, bytes, async (index, position, data) => {
+        await advanceTo(index);
+        await zip.writeData(data);
+      });
+    },
+    async close() {
+      if (!single) {
+        await advanceTo(manifest.length - 1);
+        await zip.endEntry();
+        await zip.finish();
+      }
+      port.postMessage({ type: 'end' });
+      removeIframe();
+    },
+    async abort() {
+      port.postMessage({ type: 'abort' });
+      removeIframe();
+    }
+  };
+}
+
+/**
+ * Sink keeping everything in memory; the result is exposed as sink.blob after close()
+ * Also the fallback when a disk sink cannot be set up.
+ * @param {Object} transfer - Incoming transfer with mimeType
+ * @returns {Object} Sink
+ */
+export function createMemorySink(transfer) {
+  let parts = []; // { offset, bytes } in arrival order
+
+  return {
+    kind: 'memory',
+    sequential: false,
+    blob: null,
+    async write(offset, bytes) {
+      parts.push({ offset, bytes });
+    },
+    async close() {
+      parts.sort((a, b) => a.offset - b.offset);
+      this.blob = new Blob(parts.map(part => part.bytes), { type: transfer.mimeType });
+      parts = [];
+    },
+    async abort() {
+      parts = [];
+    }
+  };
+}
+
+/**
+ * Create the best sink the browser supports for an incoming transfer
+ * Must be called from a user gesture (the Accept click) because it may open a file picker.
+ * Rejects with an AbortError if the user dismisses the picker.
+ * @param {Object} transfer - Incoming transfer
+ * @returns {Promise<Object>} Sink
+ */
+export async function createSink(transfer) {
+  if (window.showSaveFilePicker && window.showDirectoryPicker) {
+    return createFileSystemSink(transfer);
+  }
+
+  if (navigator.serviceWorker?.controller) {
+    return createDownloadSink(transfer);
+  }
+
+  return createMemorySink(transfer);
+}
+
@@ -0,0 +1,1205 @@
+/**
+ * File transfer service
+ *
+ * Moves files over the WebRTC DataChannel opened by webrtcService, or through the servers
+ * (relayService) when WebRTC cannot connect, end-to-end encrypted by peerChannel. Messages go
+ * over the DataChannel whenever it is open; each transfer records the paths its data took in
+ * transfer.paths.
+ *
+ * Protocol (all control messages are JSON, file data is binary):
+ *   sender   -> file_offer    { transferId, name, size, mimeType, chunkSize, totalChunks, manifest }
+ *   receiver -> file_accept   { transferId }  |  file_reject { transferId }
+ *   sender   -> binary chunk frames (see encodeChunkFrame), each carrying the chunk's SHA-256
+ *   sender   -> file_sent     { transferId, fileDigest }  after the last chunk of a pass
+ *   receiver -> file_resume   { transferId, missing }  if chunks are missing or failed their digest
+ *   receiver -> file_received { transferId, integrity }  once every chunk has arrived and was checked
+ *   either   -> file_cancel   { transferId }  to abort at any point
+ *
+ * Bundles: an offer covers one or more files. manifest lists { path, size, mimeType } for each
+ * file in order; the chunk stream is the files' contents concatenated, so chunking, resume and
+ * integrity work the same for a folder as for a single file. The receiver accepts or rejects
+ * the whole bundle and splits it back into files by manifest offsets. Offers must use CHUNK_SIZE
+ * and stay within MAX_OFFER_SIZE and MAX_OFFER_FILES; anything else is rejected before it is shown.
+ * Answers (file_accept, file_reject, file_received) only count for transfers this device offered.
+ *
+ * Storage: on accept the receiver picks a sink (see fileSinks.js) and verified chunks are
+ * written to it as they arrive, so files larger than memory can be received. Sinks that can
+ * only append (the service-worker download) take chunks strictly in order; anything arriving
+ * past a gap is dropped and re-requested, which only costs bandwidth when a chunk was corrupted.
+ * Offers from a paired device that fit its auto-accept rule (see trust.js) are accepted without
+ * asking and kept in memory, since choosing a location on disk needs a click.
+ *
+ * Integrity: every chunk frame carries the SHA-256 of its payload, which the receiver checks
+ * before accepting the chunk. fileDigest is the SHA-256 of all chunk digests concatenated in
+ * order, so it can be computed without re-reading the file and regardless of the order chunks
+ * arrived in. Without WebCrypto (insecure origin) digests are omitted and transfers complete
+ * as 'unverified'.
+ *
+ * Sending to several peers: offerFilesToPeers creates one independent transfer per recipient,
+ * tagged with a shared groupId. The transfers read through one ChunkSource, so a chunk is read
+ * from disk and hashed once while recipients are close together and only re-read for one that
+ * falls far behind.
+ *
+ * Resuming after the DataChannel drops and is re-established:
+ *   sender   -> file_resume_request { transferId }
+ *   receiver -> file_resume { transferId, missing: [[start, end), ...] }  chunk ranges still needed
+ *            or file_received if it already has everything, file_cancel if it no longer knows the transfer
+ *   sender   -> binary chunk frames for the missing ranges only
+ */
+
+import { peerChannel } from './peerChannel';
+import { createSink, createMemorySink } from './fileSinks';
+import { trustService } from './trust';
+import { sanitizeRelativePath } from '../utils/files';
+
+const CHUNK_SIZE = 64 * 1024; // 64 KiB per chunk
+const PROGRESS_INTERVAL = 200; // Emit progress updates at most every 200ms
+const DIGEST_LENGTH = 32; // SHA-256
+const MAX_RETRY_ROUNDS = 3; // Re-request corrupted chunks this many times before giving up
+const SOURCE_CACHE_CHUNKS = 64; // Chunks (4 MiB) a shared source keeps for slower recipients
+const MAX_OFFER_SIZE = 64 * 1024 ** 3; // Largest bundle accepted (64 GiB, 32 MiB of chunk digests)
+const MAX_OFFER_FILES = 10000; // Most files in one bundle
+const MAX_NAME_LENGTH = 255;
+const TRANSFER_ID_PATTERN = /^[\w-]{1,64}$/;
+const INTEGRITIES = ['verified', 'corrupted', 'unverified'];
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Generate a transfer ID
+ * @returns {string} Random transfer ID
+ */
+function createTransferId() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
+}
+
+/**
+ * Pick a display name for a bundle
+ * @param {Array<{path: string}>} entries - Bundle entries
+ * @returns {string} Shared top-level folder name, the single file name, or "N files"
+ */
+function getBundleName(entries) {
+  if (entries.length === 1 && !entries[0].path.includes('/')) {
+    return entries[0].path;
+  }
+
+  const roots = new Set(entries.map(entry => entry.path.split('/')[0]));
+  if (roots.size === 1 && entries.every(entry => entry.path.includes('/'))) {
+    return roots.values().next().value;
+  }
+  return `${entries.length} files`;
+}
+
+/**
+ * Validate a manifest received from a peer and add each file's offset in the stream
+ * @param {Array} manifest - Manifest from a file_offer
+ * @param {number} size - Total size announced in the offer
+ * @returns {Array<{path: string, size: number, mimeType: string, offset: number}>|null} Manifest, or null if invalid
+ */
+function normalizeManifest(manifest, size) {
+  if (!Array.isArray(manifest) || manifest.length === 0 || manifest.length > MAX_OFFER_FILES) {
+    return null;
+  }
+
+  let offset = 0;
+  const files = [];
+  for (const entry of manifest) {
+    const path = sanitizeRelativePath(entry?.path ?? '');
+    if (!path || !Number.isSafeInteger(entry.size) || entry.size < 0) {
+      return null;
+    }
+    files.push({
+      path,
+      size: entry.size,
+      mimeType: typeof entry.mimeType === 'string' ? entry.mimeType : '',
+      offset
+    });
+    offset += entry.size;
+  }
+
+  return offset === size ? files : null;
+}
+
+/**
+ * Check the numbers of a file offer received from a peer
+ * Offers are only accepted in this device's own chunk size and up to MAX_OFFER_SIZE, so a peer
+ * cannot make the receiver allocate huge chunk bitmaps and digest buffers.
+ * @param {Object} offer - file_offer message
+ * @returns {boolean} True if size, chunkSize and totalChunks are valid and consistent
+ */
+function isValidOfferSize(offer) {
+  return Number.isSafeInteger(offer.size) && offer.size >= 0 && offer.size <= MAX_OFFER_SIZE &&
+         offer.chunkSize === CHUNK_SIZE &&
+         offer.totalChunks === Math.ceil(offer.size / CHUNK_SIZE);
+}
+
+/**
+ * Compute a SHA-256 digest with WebCrypto
+ * @param {ArrayBuffer|ArrayBufferView} data - Data to hash
+ * @returns {Promise<Uint8Array|null>} Digest, or null if WebCrypto is unavailable (insecure origin)
+ */
+async function sha256(data) {
+  if (!globalThis.crypto?.subtle) {
+    return null;
+  }
+  return new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+}
+
+/**
+ * Hex-encode a digest
+ * @param {Uint8Array} bytes - Digest bytes
+ * @returns {string} Lowercase hex string
+ */
+function toHex(bytes) {
+  return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Compare two digests
+ * @param {Uint8Array} a - First digest
+ * @param {Uint8Array} b - Second digest
+ * @returns {boolean} True if both have the same bytes
+ */
+function digestsEqual(a, b) {
+  return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+/**
+ * Compute the whole-file digest from the per-chunk digests
+ * @param {Uint8Array} chunkDigests - All chunk digests, concatenated in chunk order
+ * @returns {Promise<string|null>} Hex digest, or null if WebCrypto is unavailable
+ */
+async function computeFileDigest(chunkDigests) {
+  const digest = await sha256(chunkDigests);
+  return digest ? toHex(digest) : null;
+}
+
+/**
+ * Create an empty chunk bitmap
+ * @param {number} totalChunks - Number of chunks in the file
+ * @returns {Uint8Array} Bitmap with one bit per chunk
+ */
+function createBitmap(totalChunks) {
+  return new Uint8Array(Math.ceil(totalChunks / 8));
+}
+
+/**
+ * Check whether a chunk is marked in a bitmap
+ * @param {Uint8Array} bitmap - Chunk bitmap
+ * @param {number} index - Chunk index
+ * @returns {boolean}
+ */
+function hasChunk(bitmap, index) {
+  return (bitmap[index >> 3] & (1 << (index & 7))) !== 0;
+}
+
+/**
+ * Mark a chunk as received in a bitmap
+ * @param {Uint8Array} bitmap - Chunk bitmap
+ * @param {number} index - Chunk index
+ */
+function markChunk(bitmap, index) {
+  bitmap[index >> 3] |= 1 << (index & 7);
+}
+
+/**
+ * Collect the chunk ranges a bitmap is still missing
+ * @param {Uint8Array} bitmap - Chunk bitmap
+ * @param {number} totalChunks - Number of chunks in the file
+ * @returns {Array<[number, number]>} Half-open [start, end) ranges of missing chunks
+ */
+function getMissingRanges(bitmap, totalChunks) {
+  const ranges = [];
+  let start = -1;
+  for (let index = 0; index < totalChunks; index++) {
+    const missing = !hasChunk(bitmap, index);
+    if (missing && start === -1) {
+      start = index;
+    } else if (!missing && start !== -1) {
+      ranges.push([start, index]);
+      start = -1;
+    }
+  }
+  if (start !== -1) {
+    ranges.push([start, totalChunks]);
+  }
+  return ranges;
+}
+
+/**
+ * Encode a chunk into a binary frame
+ * Layout: [uint16 transferId length][transferId bytes][uint32 chunk index]
+ *         [uint8 digest length][digest bytes][payload]
+ * @param {string} transferId - Transfer the chunk belongs to
+ * @param {number} index - Chunk index
+ * @param {Uint8Array|null} digest - SHA-256 of the payload, or null if unavailable
+ * @param {ArrayBuffer} payload - Chunk data
+ * @returns {ArrayBuffer} Encoded frame
+ */
+function encodeChunkFrame(transferId, index, digest, payload) {
+  const idBytes = textEncoder.encode(transferId);
+  const digestLength = digest ? digest.length : 0;
+  const headerLength = 2 + idBytes.length + 4 + 1 + digestLength;
+  const frame = new Uint8Array(headerLength + payload.byteLength);
+  const view = new DataView(frame.buffer);
+  view.setUint16(0, idBytes.length);
+  frame.set(idBytes, 2);
+  view.setUint32(2 + idBytes.length, index);
+  view.setUint8(2 + idBytes.length + 4, digestLength);
+  if (digest) {
+    frame.set(digest, 2 + idBytes.length + 5);
+  }
+  frame.set(new Uint8Array(payload), headerLength);
+  return frame.buffer;
+}
+
+/**
+ * Decode a binary frame produced by encodeChunkFrame
+ * @param {ArrayBuffer} buffer - Encoded frame
+ * @returns {{transferId: string, index: number, digest: Uint8Array|null, payload: Uint8Array}} Decoded chunk
+ */
+function decodeChunkFrame(buffer) {
+  const view = new DataView(buffer);
+  const idLength = view.getUint16(0);
+  const transferId = textDecoder.decode(new Uint8Array(buffer, 2, idLength));
+  const index = view.getUint32(2 + idLength);
+  const digestLength = view.getUint8(2 + idLength + 4);
+  const digest = digestLength > 0 ? new Uint8Array(buffer, 2 + idLength + 5, digestLength) : null;
+  const payload = new Uint8Array(buffer, 2 + idLength + 5 + digestLength);
+  return { transferId, index, digest, payload };
+}
+
+/**
+ * Reads and hashes the chunks of an outgoing file for one or more recipients
+ * Chunks are cached for recipients that request the same index shortly after each other, so
+ * sending to a room of peers does not read the source once per peer. The cache is bounded; a
+ * recipient that falls more than SOURCE_CACHE_CHUNKS behind reads its chunks again.
+ */
+class ChunkSource {
+  /**
+   * @param {Blob} blob - Data to send (a File, or a Blob concatenating a bundle's files)
+   * @param {number} chunkSize - Chunk size in bytes
+   * @param {number} recipients - Number of transfers reading from this source
+   */
+  constructor(blob, chunkSize, recipients) {
+    this.blob = blob;
+    this.chunkSize = chunkSize;
+    this.shared = recipients > 1;
+    this.cache = new Map(); // Map of chunk index -> Promise<{payload, digest}>, oldest first
+    this.passes = 0; // Send passes currently reading
+  }
+
+  /**
+   * Read a chunk and its SHA-256
+   * @param {number} index - Chunk index
+   * @returns {Promise<{payload: ArrayBuffer, digest: Uint8Array|null}>}
+   */
+  read(index) {
+    let chunk = this.cache.get(index);
+    if (chunk) {
+      // Refresh so chunks still in use are evicted last
+      this.cache.delete(index);
+      this.cache.set(index, chunk);
+      return chunk;
+    }
+
+    const start = index * this.chunkSize;
+    chunk = this.blob.slice(start, start + this.chunkSize).arrayBuffer()
+      .then(async (payload) => ({ payload, digest: await sha256(payload) }));
+
+    if (this.shared) {
+      this.cache.set(index, chunk);
+      if (this.cache.size > SOURCE_CACHE_CHUNKS) {
+        this.cache.delete(this.cache.keys().next().value);
+      }
+      chunk.catch(() => this.cache.delete(index)); // Let the next reader retry
+    }
+    return chunk;
+  }
+
+  /**
+   * Register a send pass
+   */
+  beginPass() {
+    this.passes++;
+  }
+
+  /**
+   * Unregister a send pass, dropping the cache once nobody is reading
+   */
+  endPass() {
+    if (--this.passes === 0) {
+      this.cache.clear();
+    }
+  }
+}
+
+class FileTransferService {
+  constructor() {
+    this.transfers = new Map(); // Map of transferId -> transfer state
+    this.listeners = new Map(); // Event listeners
+
+    peerChannel.on('message', (message) => this.handleMessage(message));
+    peerChannel.on('binary', ({ peerId, data, path }) => this.handleChunk(peerId, data, path));
+    peerChannel.on('path_close', ({ peerId, path }) => this.handleChannelClose(peerId, path));
+    peerChannel.on('path_open', ({ peerId }) => this.resumeInterrupted(peerId));
+  }
+
+  /**
+   * Record that a transfer's data is going over a path
+   * @param {Object} transfer - Transfer state
+   * @param {string} path - 'webrtc' or 'relay'
+   */
+  notePath(transfer, path) {
+    transfer.path = path;
+    if (!transfer.paths.includes(path)) {
+      transfer.paths = [...transfer.paths, path];
+    }
+  }
+
+  /**
+   * Offer a single file to a peer
+   * @param {string} peerId - Device ID of the peer
+   * @param {File} file - File to send
+   * @returns {string|null} Transfer ID, or null if the channel is not open
+   */
+  offerFile(peerId, file) {
+    return this.offerFiles(peerId, [{ file, path: file.name }]);
+  }
+
+  /**
+   * Offer several files, or a folder, to a peer as one bundle
+   * @param {string} peerId - Device ID of the peer
+   * @param {Array<{file: File, path: string}>} entries - Files with their relative paths
+   * @returns {string|null} Transfer ID, or null if there is nothing to send or the channel is not open
+   */
+  offerFiles(peerId, entries) {
+    if (entries.length === 0) {
+      return null;
+    }
+
+    return this.createOutgoing(peerId, entries, this.createSource(entries, 1), null);
+  }
+
+  /**
+   * Offer the same files to several peers at once
+   * Each peer gets its own transfer (accepted, rejected, resumed and verified independently);
+   * all of them read from one shared source.
+   * @param {Array<string>} peerIds - Device IDs of the recipients
+   * @param {Array<{file: File, path: string}>} entries - Files with their relative paths
+   * @returns {{groupId: string, offers: Array<{peerId: string, transferId: string|null}>}|null}
+   *          Group ID and the transfer per peer (null where the channel is not open), or null if there is nothing to send
+   */
+  offerFilesToPeers(peerIds, entries) {
+    const recipients = [...new Set(peerIds)];
+    if (entries.length === 0 || recipients.length === 0) {
+      return null;
+    }
+
+    const groupId = createTransferId();
+    const source = this.createSource(entries, recipients.length);
+    const offers = recipients.map(peerId => ({
+      peerId,
+      transferId: this.createOutgoing(peerId, entries, source, groupId)
+    }));
+
+    console.log(`📤 [FileTransfer] Offered ${getBundleName(entries)} to ${recipients.length} peer(s) (group ${groupId})`);
+    return { groupId, offers };
+  }
+
+  /**
+   * Get every transfer of a multi-peer send
+   * @param {string} groupId - Group ID returned by offerFilesToPeers
+   * @returns {Array} Transfers, one per recipient
+   */
+  getGroupTransfers(groupId) {
+    return Array.from(this.transfers.values()).filter(t => t.groupId === groupId);
+  }
+
+  /**
+   * Build the read pipeline for outgoing entries
+   * @param {Array<{file: File}>} entries - Files to send
+   * @param {number} recipients - Number of transfers that will read it
+   * @returns {ChunkSource}
+   */
+  createSource(entries, recipients) {
+    // A Blob built from Files only references them, so slicing reads straight from the sources
+    return new ChunkSource(new Blob(entries.map(entry => entry.file)), CHUNK_SIZE, recipients);
+  }
+
+  /**
+   * Create an outgoing transfer and send its offer
+   * @param {string} peerId - Device ID of the peer
+   * @param {Array<{file: File, path: string}>} entries - Files with their relative paths
+   * @param {ChunkSource} source - Where chunks are read from
+   * @param {string|null} groupId - Multi-peer send this transfer belongs to
+   * @returns {string|null} Transfer ID, or null if the channel is not open
+   */
+  createOutgoing(peerId, entries, source, groupId) {
+    const size = source.blob.size;
+    const manifest = entries.map(entry => ({
+      path: entry.path,
+      size: entry.file.size,
+      mimeType: entry.file.type
+    }));
+
+    const transferId = createTransferId();
+    const transfer = {
+      id: transferId,
+      groupId,
+      peerId,
+      direction: 'outgoing',
+      name: getBundleName(entries),
+      size,
+      mimeType: entries.length === 1 ? entries[0].file.type : 'application/octet-stream',
+      manifest,
+      chunkSize: CHUNK_SIZE,
+      totalChunks: Math.ceil(size / CHUNK_SIZE),
+      bytesTransferred: 0,
+      offeredAt: Date.now(),
+      status: 'offered', // offered | sending | sent | interrupted | complete | rejected | cancelled | failed
+      entries, // Kept so the same files can be offered again, see history.js
+      source,
+      chunkDigests: new Uint8Array(Math.ceil(size / CHUNK_SIZE) * DIGEST_LENGTH),
+      fileDigest: null,
+      integrity: null, // verified | corrupted | unverified, as reported by the receiver
+      path: null, // Path the data is currently going over: 'webrtc' | 'relay'
+      paths: [], // Every path used so far, in order
+      sendRun: 0 // Incremented for every send pass so a superseded pass stops
+    };
+
+    const sent = peerChannel.sendMessage(peerId, {
+      type: 'file_offer',
+      transferId,
+      name: transfer.name,
+      size: transfer.size,
+      mimeType: transfer.mimeType,
+      chunkSize: transfer.chunkSize,
+      totalChunks: transfer.totalChunks,
+      manifest
+    });
+    if (!sent) {
+      return null;
+    }
+
+    console.log(`📤 [FileTransfer] Offered ${transfer.name} (${manifest.length} file(s), ${transfer.size} bytes) to ${peerId}`);
+    this.transfers.set(transferId, transfer);
+    this.emitUpdate(transfer);
+    return transferId;
+  }
+
+  /**
+   * Split a completed incoming bundle back into its files
+   * @param {string} transferId - Transfer ID
+   * @returns {Array<{path: string, mimeType: string, blob: Blob}>} Files in manifest order
+   */
+  getReceivedFiles(transferId) {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer?.blob) {
+      return [];
+    }
+
+    return transfer.manifest.map(entry => ({
+      path: entry.path,
+      mimeType: entry.mimeType,
+      blob: transfer.blob.slice(entry.offset, entry.offset + entry.size, entry.mimeType)
+    }));
+  }
+
+  /**
+   * Accept an incoming file offer
+   * Call from the Accept click: choosing where to store the file may open a picker.
+   * @param {string} transferId - Transfer ID
+   * @param {Object} [options]
+   * @param {boolean} [options.inMemory] - Keep the data in memory instead of asking where to store it
+   * @returns {Promise<void>}
+   */
+  async acceptTransfer(transferId, { inMemory = false } = {}) {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer || transfer.direction !== 'incoming' || transfer.status !== 'pending' || transfer.accepting) {
+      return;
+    }
+
+    transfer.accepting = true;
+    try {
+      transfer.sink = inMemory ? createMemorySink(transfer) : await createSink(transfer);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        return; // User closed the picker; the offer stays pending
+      }
+      console.warn(`⚠️ [FileTransfer] Could not stream ${transfer.name} to disk, keeping it in memory:`, error);
+      transfer.sink = createMemorySink(transfer);
+    } finally {
+      transfer.accepting = false;
+    }
+
+    if (transfer.status !== 'pending') {
+      // Cancelled by the sender while the picker was open
+      this.releaseSink(transfer);
+      return;
+    }
+
+    transfer.storage = transfer.sink.kind;
+    transfer.status = 'receiving';
+    transfer.startedAt = transfer.acceptedAt = Date.now();
+    peerChannel.sendMessage(transfer.peerId, { type: 'file_accept', transferId });
+    this.emitUpdate(transfer);
+  }
+
+  /**
+   * Reject an incoming file offer
+   * @param {string} transferId - Transfer ID
+   */
+  rejectTransfer(transferId) {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer || transfer.direction !== 'incoming' || transfer.status !== 'pending') {
+      return;
+    }
+
+    transfer.status = 'rejected';
+    peerChannel.sendMessage(transfer.peerId, { type: 'file_reject', transferId });
+    this.emitUpdate(transfer);
+  }
+
+  /**
+   * Cancel a transfer in either direction
+   * @param {string} transferId - Transfer ID
+   */
+  cancelTransfer(transferId) {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer || !this.isActive(transfer)) {
+      return;
+    }
+
+    transfer.status = 'cancelled';
+    this.releaseSink(transfer);
+    peerChannel.sendMessage(transfer.peerId, { type: 'file_cancel', transferId });
+    this.emitUpdate(transfer);
+  }
+
+  /**
+   * Get all transfers with a peer
+   * @param {string} peerId - Device ID of the peer
+   * @returns {Array} Transfers, oldest first
+   */
+  getTransfers(peerId) {
+    return Array.from(this.transfers.values()).filter(t => t.peerId === peerId);
+  }
+
+  /**
+   * Check whether a transfer is still in progress
+   * @param {Object} transfer - Transfer state
+   * @returns {boolean}
+   */
+  isActive(transfer) {
+    return ['offered', 'pending', 'sending', 'sent', 'receiving', 'interrupted'].includes(transfer.status);
+  }
+
+  /**
+   * Handle a JSON control message from the DataChannel
+   * @param {Object} message - Parsed message including peerId
+   */
+  handleMessage(message) {
+    const { peerId, type, transferId } = message;
+    if (!type?.startsWith('file_')) {
+      return;
+    }
+
+    if (type === 'file_offer') {
+      this.handleOffer(peerId, message);
+      return;
+    }
+
+    const transfer = this.transfers.get(transferId);
+    if (!transfer || transfer.peerId !== peerId) {
+      console.warn(`⚠️ [FileTransfer] ${type} for unknown transfer ${transferId} from ${peerId}`);
+      if (type === 'file_resume_request') {
+        // We lost this transfer (e.g. page reload), so the sender should stop waiting
+        peerChannel.sendMessage(peerId, { type: 'file_cancel', transferId });
+      }
+      return;
+    }
+
+    switch (type) {
+      case 'file_accept':
+        if (transfer.direction === 'outgoing' && transfer.status === 'offered') {
+          transfer.acceptedAt = Date.now();
+          this.sendChunks(transfer, [[0, transfer.totalChunks]]);
+        }
+        break;
+
+      case 'file_resume':
+        if (transfer.direction === 'outgoing' && this.isActive(transfer)) {
+          this.handleResume(transfer, message.missing);
+        }
+        break;
+
+      case 'file_resume_request':
+        this.handleResumeRequest(transfer);
+        break;
+
+      case 'file_reject':
+        if (transfer.direction === 'outgoing' && transfer.status === 'offered') {
+          transfer.status = 'rejected';
+          this.emitUpdate(transfer);
+        }
+        break;
+
+      case 'file_sent':
+        if (transfer.direction === 'incoming') {
+          // Let every chunk that arrived before this message finish verifying first
+          this.enqueue(transfer, () => this.handleSent(transfer, message.fileDigest));
+        }
+        break;
+
+      case 'file_received':
+        if (transfer.direction !== 'outgoing' || !this.isActive(transfer)) {
+          break;
+        }
+        transfer.integrity = INTEGRITIES.includes(message.integrity) ? message.integrity : 'unverified';
+        transfer.completedAt = Date.now();
+        if (transfer.integrity === 'corrupted') {
+          this.fail(transfer, 'Receiver reported the file as corrupted');
+        } else {
+          transfer.status = 'complete';
+          transfer.error = null;
+          this.emitUpdate(transfer);
+        }
+        break;
+
+      case 'file_cancel':
+        if (this.isActive(transfer)) {
+          transfer.status = 'cancelled';
+          this.releaseSink(transfer);
+          this.emitUpdate(transfer);
+        }
+        break;
+
+      default:
+        console.log(`[FileTransfer] Unknown message type: ${type}`);
+    }
+  }
+
+  /**
+   * Register an incoming file offer
+   * @param {string} peerId - Device ID of the sender
+   * @param {Object} offer - file_offer message
+   */
+  handleOffer(peerId, offer) {
+    if (typeof offer.transferId !== 'string' || !TRANSFER_ID_PATTERN.test(offer.transferId)) {
+      console.warn(`⚠️ [FileTransfer] Ignoring offer with an invalid transfer ID from ${peerId}`);
+      return;
+    }
+    const existing = this.transfers.get(offer.transferId);
+    if (existing) {
+      if (existing.peerId !== peerId || existing.direction !== 'incoming') {
+        console.warn(`⚠️ [FileTransfer] Ignoring offer ${offer.transferId} from ${peerId}: transfer ID already in use`);
+      }
+      return; // Otherwise the offer was re-delivered after a reconnect
+    }
+
+    const reject = (reason) => {
+      console.warn(`⚠️ [FileTransfer] Rejecting offer ${offer.transferId} from ${peerId}: ${reason}`);
+      peerChannel.sendMessage(peerId, { type: 'file_reject', transferId: offer.transferId });
+    };
+    if (!isValidOfferSize(offer)) {
+      reject(`invalid size or chunking (${offer.size} bytes in ${offer.totalChunks} chunks of ${offer.chunkSize})`);
+      return;
+    }
+    // Older peers send single files without a manifest
+    const manifest = normalizeManifest(
+      offer.manifest ?? [{ path: offer.name, size: offer.size, mimeType: offer.mimeType }],
+      offer.size
+    );
+    if (!manifest) {
+      reject('invalid manifest');
+      return;
+    }
+
+    const name = typeof offer.name === 'string' && offer.name.trim()
+      ? offer.name.slice(0, MAX_NAME_LENGTH)
+      : getBundleName(manifest);
+    console.log(`📥 [FileTransfer] ${peerId} offers ${name} (${manifest.length} file(s), ${offer.size} bytes)`);
+
+    const transfer = {
+      id: offer.transferId,
+      peerId,
+      direction: 'incoming',
+      name,
+      size: offer.size,
+      mimeType: typeof offer.mimeType === 'string' && offer.mimeType ? offer.mimeType : 'application/octet-stream',
+      manifest,
+      chunkSize: CHUNK_SIZE,
+      totalChunks: offer.totalChunks,
+      bytesTransferred: 0,
+      offeredAt: Date.now(),
+      status: 'pending', // pending | receiving | interrupted | complete | rejected | cancelled | failed
+      sink: null, // Chosen on accept, see fileSinks.js
+      storage: null, // Kind of sink: filesystem | download | memory
+      path: null, // Path the data is currently going over: 'webrtc' | 'relay'
+      paths: [], // Every path used so far, in order
+      bitmap: createBitmap(offer.totalChunks),
+      chunkDigests: new Uint8Array(offer.totalChunks * DIGEST_LENGTH),
+      receivedChunks: 0,
+      corruptChunks: 0,
+      retryRounds: 0,
+      expectedDigest: null,
+      fileDigest: null,
+      integrity: null, // verified | corrupted | unverified
+      pending: Promise.resolve(), // Serializes async chunk verification
+      blob: null
+    };
+
+    this.transfers.set(transfer.id, transfer);
+    this.emitUpdate(transfer);
+    this.emit('file_offer', transfer);
+
+    if (trustService.autoAcceptsFiles(peerId, transfer.size)) {
+      console.log(`🤝 [FileTransfer] Auto-accepting ${transfer.name} from paired device ${peerId}`);
+      transfer.autoAccepted = true;
+      this.acceptTransfer(transfer.id, { inMemory: true });
+    }
+  }
+
+  /**
+   * Read the file and send the given chunk ranges over the DataChannel
+   * @param {Object} transfer - Outgoing transfer
+   * @param {Array<[number, number]>} ranges - Half-open [start, end) chunk ranges to send
+   * @returns {Promise<void>}
+   */
+  async sendChunks(transfer, ranges) {
+    const run = ++transfer.sendRun;
+    // A pass stays on one path so file_sent follows its chunks
+    const path = peerChannel.getPath(transfer.peerId);
+    if (path) {
+      this.notePath(transfer, path);
+    }
+    transfer.status = 'sending';
+    transfer.startedAt = Date.now();
+    transfer.baseBytes = transfer.bytesTransferred;
+    this.emitUpdate(transfer);
+
+    transfer.source.beginPass();
+    try {
+      await this.sendRanges(transfer, ranges, run, path);
+    } finally {
+      transfer.source.endPass();
+    }
+  }
+
+  /**
+   * Body of sendChunks: stream the ranges, then announce the end of the pass
+   * @param {Object} transfer - Outgoing transfer
+   * @param {Array<[number, number]>} ranges - Half-open [start, end) chunk ranges to send
+   * @param {number} run - sendRun of this pass
+   * @param {string|null} path - Path of this pass: 'webrtc' or 'relay'
+   * @returns {Promise<void>}
+   */
+  async sendRanges(transfer, ranges, run, path) {
+    for (const [rangeStart, rangeEnd] of ranges) {
+      for (let index = rangeStart; index < rangeEnd; index++) {
+        if (transfer.status !== 'sending' || transfer.sendRun !== run) {
+          return; // Cancelled, interrupted or superseded by a resume
+        }
+
+        let payload, digest;
+        try {
+          ({ payload, digest } = await transfer.source.read(index));
+        } catch (error) {
+          if (transfer.status === 'sending' && transfer.sendRun === run) {
+            peerChannel.sendMessage(transfer.peerId, { type: 'file_cancel', transferId: transfer.id });
+            this.fail(transfer, `Could not read file: ${error.message}`);
+          }
+          return;
+        }
+        if (digest) {
+          transfer.chunkDigests.set(digest, index * DIGEST_LENGTH);
+        }
+        try {
+          // Resolves once the chunk is in the channel; waits while the send buffer is full
+          await peerChannel.sendData(transfer.peerId, encodeChunkFrame(transfer.id, index, digest, payload), path);
+        } catch (error) {
+          if (transfer.status === 'sending' && transfer.sendRun === run) {
+            this.interrupt(transfer, error.message);
+          }
+          return;
+        }
+
+        transfer.bytesTransferred += payload.byteLength;
+        this.emitProgress(transfer);
+      }
+    }
+
+    if (transfer.status !== 'sending' || transfer.sendRun !== run) {
+      return;
+    }
+
+    transfer.fileDigest = await computeFileDigest(transfer.chunkDigests);
+    transfer.status = 'sent';
+    peerChannel.sendMessage(transfer.peerId, {
+      type: 'file_sent',
+      transferId: transfer.id,
+      fileDigest: transfer.fileDigest
+    }, path);
+    this.emitUpdate(transfer);
+    console.log(`✅ [FileTransfer] All chunks of ${transfer.name} sent to ${transfer.peerId}`);
+  }
+
+  /**
+   * Continue an outgoing transfer from the ranges the receiver is missing
+   * @param {Object} transfer - Outgoing transfer
+   * @param {Array<[number, number]>} missing - Chunk ranges reported by the receiver
+   */
+  handleResume(transfer, missing) {
+    const ranges = (Array.isArray(missing) ? missing : []).filter(
+      (range) => Array.isArray(range) && Number.isInteger(range[0]) && Number.isInteger(range[1]) &&
+        range[0] >= 0 && range[0] < range[1] && range[1] <= transfer.totalChunks
+    );
+    const missingChunks = ranges.reduce((sum, [start, end]) => sum + (end - start), 0);
+    console.log(`🔁 [FileTransfer] Resuming ${transfer.name} to ${transfer.peerId}: ${missingChunks} chunk(s) missing`);
+
+    // Bytes already delivered are everything outside the missing ranges
+    const missingBytes = ranges.reduce(
+      (sum, [start, end]) => sum + Math.min(end * transfer.chunkSize, transfer.size) - start * transfer.chunkSize,
+      0
+    );
+    transfer.bytesTransferred = transfer.size - missingBytes;
+    transfer.error = null;
+    this.sendChunks(transfer, ranges);
+  }
+
+  /**
+   * Answer a sender asking where to resume an incoming transfer
+   * @param {Object} transfer - Incoming transfer
+   */
+  handleResumeRequest(transfer) {
+    if (transfer.direction !== 'incoming') {
+      return;
+    }
+
+    if (transfer.status === 'complete') {
+      // Our acknowledgement was lost with the old connection
+      peerChannel.sendMessage(transfer.peerId, {
+        type: 'file_received',
+        transferId: transfer.id,
+        integrity: transfer.integrity
+      });
+      return;
+    }
+
+    if (transfer.status !== 'interrupted' && transfer.status !== 'receiving') {
+      peerChannel.sendMessage(transfer.peerId, { type: 'file_cancel', transferId: transfer.id });
+      return;
+    }
+
+    const missing = getMissingRanges(transfer.bitmap, transfer.totalChunks);
+    console.log(`🔁 [FileTransfer] Requesting ${missing.length} missing range(s) of ${transfer.name} from ${transfer.peerId}`);
+    transfer.status = 'receiving';
+    transfer.error = null;
+    transfer.startedAt = Date.now();
+    transfer.baseBytes = transfer.bytesTransferred;
+    peerChannel.sendMessage(transfer.peerId, { type: 'file_resume', transferId: transfer.id, missing });
+    this.emitUpdate(transfer);
+  }
+
+  /**
+   * Ask the receiver to resume every interrupted outgoing transfer once the channel is back
+   * @param {string} peerId - Device ID of the peer
+   */
+  resumeInterrupted(peerId) {
+    for (const transfer of this.transfers.values()) {
+      if (transfer.peerId === peerId && transfer.direction === 'outgoing' && transfer.status === 'interrupted') {
+        peerChannel.sendMessage(peerId, { type: 'file_resume_request', transferId: transfer.id });
+      }
+    }
+  }
+
+  /**
+   * Store an incoming binary chunk
+   * @param {string} peerId - Device ID of the sender
+   * @param {ArrayBuffer} data - Encoded chunk frame
+   * @param {string} path - 'webrtc' or 'relay'
+   */
+  handleChunk(peerId, data, path) {
+    let chunk;
+    try {
+      chunk = decodeChunkFrame(data);
+    } catch (error) {
+      console.error(`❌ [FileTransfer] Malformed chunk from ${peerId}:`, error);
+      return;
+    }
+
+    const transfer = this.transfers.get(chunk.transferId);
+    if (!transfer || transfer.peerId !== peerId || transfer.status !== 'receiving') {
+      return;
+    }
+
+    this.notePath(transfer, path);
+    // Digest checks and disk writes are async; chain them so chunks are processed in arrival order
+    this.enqueue(transfer, () => this.storeChunk(transfer, chunk));
+  }
+
+  /**
+   * Run a step after every earlier step for the same incoming transfer
+   * A step that throws (e.g. the disk is full) fails the transfer.
+   * @param {Object} transfer - Incoming transfer
+   * @param {() => Promise<void>} step - Work to run
+   */
+  enqueue(transfer, step) {
+    transfer.pending = transfer.pending.then(step).catch((error) => {
+      if (this.isActive(transfer)) {
+        this.fail(transfer, `Could not write file: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Verify a chunk against its digest and store it
+   * @param {Object} transfer - Incoming transfer
+   * @param {{index: number, digest: Uint8Array|null, payload: Uint8Array}} chunk - Decoded chunk
+   * @returns {Promise<void>}
+   */
+  async storeChunk(transfer, chunk) {
+    if (transfer.status !== 'receiving' || chunk.index >= transfer.totalChunks || hasChunk(transfer.bitmap, chunk.index)) {
+      return; // No longer receiving, out of range or duplicate
+    }
+
+    // Append-only sinks hold a contiguous prefix, so the next chunk is always receivedChunks
+    if (transfer.sink.sequential && chunk.index !== transfer.receivedChunks) {
+      return; // Past a gap; re-requested once the gap is filled
+    }
+
+    if (chunk.digest) {
+      const actual = await sha256(chunk.payload);
+      if (actual && !digestsEqual(actual, chunk.digest)) {
+        // Leave it unmarked so it is requested again
+        console.warn(`⚠️ [FileTransfer] Chunk ${chunk.index} of ${transfer.name} failed its SHA-256 check`);
+        transfer.corruptChunks++;
+        if (transfer.sink.sequential) {
+          // Everything after this chunk will be dropped, so ask for the rest right away;
+          // retry rounds are still counted by handleSent when the sender finishes a pass
+          const missing = getMissingRanges(transfer.bitmap, transfer.totalChunks);
+          peerChannel.sendMessage(transfer.peerId, { type: 'file_resume', transferId: transfer.id, missing });
+        }
+        return;
+      }
+      transfer.chunkDigests.set(chunk.digest, chunk.index * DIGEST_LENGTH);
+    }
+
+    await transfer.sink.write(chunk.index * transfer.chunkSize, chunk.payload);
+    markChunk(transfer.bitmap, chunk.index);
+    transfer.receivedChunks++;
+    transfer.bytesTransferred += chunk.payload.byteLength;
+    this.emitProgress(transfer);
+  }
+
+  /**
+   * Handle the sender finishing a pass: request anything missing or finish the file
+   * @param {Object} transfer - Incoming transfer
+   * @param {string|null} fileDigest - Whole-file digest computed by the sender
+   * @returns {Promise<void>}
+   */
+  async handleSent(transfer, fileDigest) {
+    if (transfer.status !== 'receiving') {
+      return;
+    }
+
+    transfer.expectedDigest = fileDigest || null;
+    if (transfer.receivedChunks === transfer.totalChunks) {
+      await this.completeIncoming(transfer);
+      return;
+    }
+
+    this.requestMissing(transfer);
+  }
+
+  /**
+   * Ask the sender for every chunk not received yet, giving up after MAX_RETRY_ROUNDS
+   * @param {Object} transfer - Incoming transfer
+   */
+  requestMissing(transfer) {
+    const missing = getMissingRanges(transfer.bitmap, transfer.totalChunks);
+    if (++transfer.retryRounds > MAX_RETRY_ROUNDS) {
+      transfer.integrity = 'corrupted';
+      peerChannel.sendMessage(transfer.peerId, { type: 'file_received', transferId: transfer.id, integrity: 'corrupted' });
+      this.fail(transfer, `${missing.length} chunk range(s) still missing or corrupted after ${MAX_RETRY_ROUNDS} retries`);
+      return;
+    }
+
+    console.warn(`🔁 [FileTransfer] Re-requesting ${missing.length} range(s) of ${transfer.name} (round ${transfer.retryRounds})`);
+    peerChannel.sendMessage(transfer.peerId, { type: 'file_resume', transferId: transfer.id, missing });
+  }
+
+  /**
+   * Verify the file digest, commit the sink and acknowledge the file to the sender
+   * @param {Object} transfer - Incoming transfer
+   * @returns {Promise<void>}
+   */
+  async completeIncoming(transfer) {
+    if (transfer.bytesTransferred !== transfer.size) {
+      this.fail(transfer, `Size mismatch: expected ${transfer.size} bytes, got ${transfer.bytesTransferred}`);
+      return;
+    }
+
+    transfer.fileDigest = transfer.expectedDigest ? await computeFileDigest(transfer.chunkDigests) : null;
+    if (!transfer.expectedDigest || !transfer.fileDigest) {
+      transfer.integrity = 'unverified';
+    } else if (transfer.fileDigest === transfer.expectedDigest) {
+      transfer.integrity = 'verified';
+    } else {
+      transfer.integrity = 'corrupted';
+    }
+
+    if (transfer.integrity === 'corrupted') {
+      peerChannel.sendMessage(transfer.peerId, { type: 'file_received', transferId: transfer.id, integrity: 'corrupted' });
+      this.fail(transfer, 'File digest does not match – the file is corrupted');
+      return;
+    }
+
+    // Only commit to disk once the data is known to be good
+    await transfer.sink.close();
+    transfer.blob = transfer.sink.blob || null; // Set by the memory sink only
+    transfer.sink = null;
+
+    peerChannel.sendMessage(transfer.peerId, {
+      type: 'file_received',
+      transferId: transfer.id,
+      integrity: transfer.integrity
+    });
+
+    transfer.status = 'complete';
+    transfer.completedAt = Date.now();
+    console.log(`✅ [FileTransfer] Received ${transfer.name} from ${transfer.peerId} (${transfer.integrity}, ${transfer.storage})`);
+    this.emitUpdate(transfer);
+  }
+
+  /**
+   * Pause every running transfer with a peer that was using a path that closed
+   * Offers that were never answered stay as they are and can still be answered after reconnecting.
+   * If the other path to the peer is still open, the paused transfers resume over it right away.
+   * @param {string} peerId - Device ID of the peer
+   * @param {string} path - Path that closed: 'webrtc' or 'relay'
+   */
+  handleChannelClose(peerId, path) {
+    const remaining = peerChannel.getPath(peerId);
+    for (const transfer of this.transfers.values()) {
+      if (transfer.peerId === peerId && ['sending', 'sent', 'receiving'].includes(transfer.status) &&
+          (transfer.path === path || !remaining)) {
+        this.interrupt(transfer, 'Connection lost – waiting to resume');
+      }
+    }
+
+    if (remaining) {
+      // The other path is still up, carry on over it
+      this.resumeInterrupted(peerId);
+    }
+  }
+
+  /**
+   * Mark a transfer as interrupted; it resumes when the DataChannel reopens
+   * @param {Object} transfer - Transfer state
+   * @param {string} reason - Why the transfer stopped
+   */
+  interrupt(transfer, reason) {
+    console.warn(`⏸️ [FileTransfer] ${transfer.name} with ${transfer.peerId} interrupted: ${reason}`);
+    transfer.status = 'interrupted';
+    transfer.error = reason;
+    this.emitUpdate(transfer);
+  }
+
+  /**
+   * Mark a transfer as failed
+   * @param {Object} transfer - Transfer state
+   * @param {string} reason - Failure reason
+   */
+  fail(transfer, reason) {
+    console.error(`❌ [FileTransfer] ${transfer.name} with ${transfer.peerId} failed: ${reason}`);
+    transfer.status = 'failed';
+    transfer.error = reason;
+    this.releaseSink(transfer);
+    this.emitUpdate(transfer);
+  }
+
+  /**
+   * Discard whatever an unfinished incoming transfer has written
+   * @param {Object} transfer - Transfer state
+   */
+  releaseSink(transfer) {
+    if (!transfer.sink) {
+      return;
+    }
+
+    const sink = transfer.sink;
+    transfer.sink = null;
+    sink.abort().catch((error) => {
+      console.error(`❌ [FileTransfer] Error discarding partial ${transfer.name}:`, error);
+    });
+  }
+
+  /**
+   * Update throughput for a running transfer and notify listeners, throttled to PROGRESS_INTERVAL
+   * @param {Object} transfer - Transfer state
+   */
+  emitProgress(transfer) {
+    const now = Date.now();
+    if (transfer.lastProgressAt && now - transfer.lastProgressAt < PROGRESS_INTERVAL) {
+      return;
+    }
+
+    const elapsed = (now - transfer.startedAt) / 1000;
+    const bytesThisRun = transfer.bytesTransferred - (transfer.baseBytes || 0);
+    transfer.throughput = elapsed > 0 ? bytesThisRun / elapsed : 0; // bytes per second
+    transfer.lastProgressAt = now;
+    this.emitUpdate(transfer);
+  }
+
+  /**
+   * Notify listeners that a transfer changed
+   * @param {Object} transfer - Transfer state
+   */
+  emitUpdate(transfer) {
+    this.emit('transfer_update', { ...transfer });
+  }
+
+  /**
+   * Add event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  /**
+   * Remove event listener
+   * @param {string} event - Event name
+   * @param {Function} callback - Callback function
+   */
+  off(event, callback) {
+    if (this.listeners.has(event)) {
+      const callbacks = this.listeners.get(event);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Emit event to listeners
+   * @param {string} event - Event name
+   * @param {Object} data - Event data
+   */
+  emit(event, data) {
+    if (this.listeners.has(event)) {
+      this.listeners.get(event).forEach(callback => callback(data));
+    }
+  }
+}
+
+// Export singleton instance
+export const fileTransferService = new FileTransferService();
@@ -0,0 +1,279 @@
+/**
+ * Transfer history service
+ *
+ * Records every transfer that reaches a final state (complete, failed, rejected, cancelled)
+ * in IndexedDB so it survives page reloads, and lets past outgoing transfers be offered again.
+ *
+ * An outgoing item can be re-sent while its files are still reachable: for the rest of the page
+ * session from the File objects it was sent from, and after a reload through the file handles
+ * stored with the entry when the files were picked with the File System Access API.
+ */
+
+import { fileTransferService } from './fileTransfer';
+import { deviceDirectory } from './devices';
+import { entriesFromHandles } from '../utils/files';
+
+const DB_NAME = 'peerdrop';
+const DB_VERSION = 1;
+const STORE = 'transfers';
+const FINAL_STATUSES = ['complete', 'failed', 'rejected', 'cancelled'];
+
+/**
+ * Wrap an IDBRequest in a Promise
+ * @param {IDBRequest} request - Request
+ * @returns {Promise<any>} Request result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and create or upgrade) the history database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  if (!globalThis.indexedDB) {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const store = request.result.createObjectStore(STORE, { keyPath: 'id' });
+    store.createIndex('endedAt', 'endedAt');
+  };
+  return requestToPromise(request);
+}
+
+/**
+ * Build a history entry from a transfer
+ * @param {Object} transfer - Transfer in a final state
+ * @returns {Object} History entry
+ */
+function createEntry(transfer) {
+  const endedAt = transfer.completedAt ?? Date.now();
+  const handles = transfer.entries?.map(entry => entry.handle);
+  return {
+    id: transfer.id,
+    direction: transfer.direction,
+    peerId: transfer.peerId,
+    peerName: deviceDirectory.getName(transfer.peerId),
+    peerIP: deviceDirectory.getAddress(transfer.peerId), // Where the device was at the time
+    groupId: transfer.groupId ?? null,
+    name: transfer.name,
+    files: transfer.manifest.map(({ path, size, mimeType }) => ({ path, size, mimeType })),
+    size: transfer.size,
+    fileDigest: transfer.fileDigest ?? null,
+    integrity: transfer.integrity ?? null,
+    offeredAt: transfer.offeredAt,
+    endedAt,
+    duration: transfer.acceptedAt ? endedAt - transfer.acceptedAt : null, // ms; null if never accepted
+    outcome: transfer.status,
+    error: transfer.error ?? null,
+    paths: transfer.paths ?? [],
+    storage: transfer.storage ?? null,
+    // Handles let the files be read again after a reload (File System Access API only)
+    sources: handles?.length && handles.every(Boolean)
+      ? transfer.entries.map(({ path, handle }) => ({ path, handle }))
+      : null
+  };
+}
+
+/**
+ * Check whether an entry matches a search and filters
+ * @param {Object} entry - History entry
+ * @param {{query?: string, direction?: string, outcome?: string}} filters - Search text and filters ('all' or empty to skip)
+ * @returns {boolean}
+ */
+function matches(entry, { query, direction, outcome }) {
+  if (direction && direction !== 'all' && entry.direction !== direction) {
+    return false;
+  }
+  if (outcome && outcome !== 'all' && entry.outcome !== outcome) {
+    return false;
+  }
+  if (!query) {
+    return true;
+  }
+
+  const needle = query.toLowerCase();
+  return [entry.name, entry.peerName, entry.peerId, entry.peerIP, entry.fileDigest, entry.error, ...entry.files.map(file => file.path)]
+    .some(value => value?.toLowerCase().includes(needle));
+}
+
+class HistoryService {
+  constructor() {
+    this.database = null; // Promise<IDBDatabase>, opened on first use
+    this.sessionEntries = new Map(); // Map of transferId -> entries sent this session, for re-sending
+    this.listeners = new Map(); // Event listeners
+
+    fileTransferService.on('transfer_update', (transfer) => this.handleUpdate(transfer));
+  }
+
+  /**
+   * Get the database, opening it on first use
+   * @returns {Promise<IDBDatabase>}
+   */
+  getDatabase() {
+    if (!this.database) {
+      this.database = openDatabase();
+      this.database.catch(() => {
+        this.database = null; // Try again next time
+      });
+    }
+    return this.database;
+  }
+
+  /**
+   * Run a request against the history store
+   * @param {IDBTransactionMode} mode - 'readonly' or 'readwrite'
+   * @param {(store: IDBObjectStore) => IDBRequest} operation - Builds the request
+   * @returns {Promise<any>} Request result
+   */
+  async withStore(mode, operation) {
+    const database = await this.getDatabase();
+    return requestToPromise(operation(database.transaction(STORE, mode).objectStore(STORE)));
+  }
+
+  /**
+   * Record transfers as they finish
+   * @param {Object} transfer - Transfer snapshot from fileTransferService
+   */
+  handleUpdate(transfer) {
+    if (transfer.direction === 'outgoing' && transfer.entries) {
+      this.sessionEntries.set(transfer.id, transfer.entries);
+    }
+    if (FINAL_STATUSES.includes(transfer.status)) {
+      this.record(transfer).catch((error) => {
+        console.error(`❌ [History] Could not record ${transfer.name}:`, error);
+      });
+    }
+  }
+
+  /**
+   * Store a finished transfer
+   * @param {Object} transfer - Transfer in a final state
+   * @returns {Promise<void>}
+   */
+  async record(transfer) {
+    const entry = createEntry(transfer);
+    try {
+      await this.withStore('readwrite', store => store.put(entry));
+    } catch (error) {
+      if (error?.name !== 'DataCloneError' || !entry.sources) {
+        throw error;
+      }
+      // Some browsers cannot store file handles; keep the entry without them
+      await this.withStore('readwrite', store => store.put({ ...entry, sources: null }));
+    }
+    this.emit('history_update', entry);
+  }
+
+  /**
+   * Get history entries, newest first
+   * @param {{query?: string, direction?: string, outcome?: string}} [filters] - Search text and filters
+   * @returns {Promise<Array>} Matching entries
+   */
+  async getEntries(filters = {}) {
+    const entries = await this.withStore('readonly', store => store.index('endedAt').getAll());
+    return entries.reverse().filter(entry => matches(entry, filters));
+  }
+
+  /**
+   * Check whether an entry's files can still be offered again
+   * @param {Object} entry - History entry
+   * @returns {boolean}
+   */
+  canResend(entry) {
+    // Entries recorded before peers had device IDs only know an IP, which may be another device by now
+    return entry.direction === 'outgoing' && Boolean(entry.peerId) &&
+      (this.sessionEntries.has(entry.id) || Boolean(entry.sources));
+  }
+
+  /**
+   * Offer the files of a past outgoing transfer to the same peer again
+   * Call from a click handler: reading through stored handles may need to ask for permission.
+   * @param {Object} entry - History entry
+   * @returns {Promise<string>} ID of the new transfer
+   * @throws {Error} If the files are no longer reachable or the peer is not connected
+   */
+  async resend(entry) {
+    if (!this.canResend(entry)) {
+      throw new Error('The original files are no longer available');
+    }
+
+    let entries = this.sessionEntries.get(entry.id);
+    if (!entries) {
+      try {
+        entries = await entriesFromHandles(entry.sources);
+      } catch (error) {
+        throw new Error(`Could not read the original files: ${error.message}`);
+      }
+    }
+
+    const transferId = fileTransferService.offerFiles(entry.peerId, entries);
+    if (!transferId) {
+      throw new Error(`Not connected to ${entry.peerName}`);
+    }
+    console.log(`🔁 [History] Re-sent ${entry.name} to ${entry.peerName}`);
+    return transferId;
+  }
+
+  /**
+   * Delete one history entry
+   * @param {string} id - Entry ID
+   * @returns {Promise<void>}
+   */
+  async deleteEntry(id) {
+    await this.withStore('readwrite', store => store.delete(id));
+    this.sessionEntries.delete(id);
+    this.emit('history_update', null);
+  }
+
+  /**
+   * Delete all history entries
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.withStore('readwrite', store => store.clear());
+    this.sessionEntries.clear();
+    this.emit('history_update', null);
+  }
+
+  /**
+   * Add event listener
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  /**
+   * Remove event listener
+   */
+  off(event, callback) {
+    if (this.listeners.has(event)) {
+      const callbacks = this.listeners.get(event);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Emit event to listeners
+   */
+  emit(event, data) {
+    if (this.listeners.has(event)) {
+      this.listeners.get(event).forEach(callback => callback(data));
+    }
+  }
+}
+
+// Export singleton instance
+export const historyService = new HistoryService();
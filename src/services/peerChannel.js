@@ -0,0 +1,668 @@
+/**
+ * Secure peer channel
+ *
+ * Single way for the app to talk to a peer. Data goes over the WebRTC DataChannel when it is
+ * open and through the server relay (relay.js) when WebRTC could not connect, and is end-to-end
+ * encrypted on top of either: the SDP (and with it the DTLS fingerprints) and the relay both pass
+ * through the PeerDrop servers, so neither path alone keeps a server from reading the data.
+ *
+ * Key exchange (plaintext JSON, whenever a path opens):
+ *   e2e_hello { version, publicKey, nonce, reply }  publicKey is our ECDH P-256 key (raw, base64),
+ *                                             or null if this page has no WebCrypto (insecure
+ *                                             origin); nonce is 16 random bytes (base64)
+ * Each side answers a hello that is not itself a reply, so both learn the other's key whichever
+ * side's path opened first. Each page generates its key pair once, so keys (and the SAS) stay the
+ * same across reconnects until either side reloads; every hello that is not a reply starts a new
+ * handshake with a fresh nonce.
+ *
+ * From the ECDH secret, HKDF-SHA-256 derives the short authentication string (SAS; salt: both
+ * public keys in sorted order): 5 emoji that both users compare. A server that substituted keys
+ * ends up with different secrets on the two sides, so the codes differ. The traffic keys, one
+ * AES-256-GCM key per direction, are salted with both handshake nonces as well, so each handshake
+ * gets new keys. A hello that would bring back the keys of an earlier handshake (a replayed
+ * nonce) is ignored, as is a hello without a key once the peer has been encrypted: neither the
+ * servers nor the relay can make us reuse IVs or fall back to plaintext.
+ *
+ * Encrypted traffic:
+ *   JSON messages become e2e { data }  with data = base64([12-byte IV][ciphertext])
+ *   binary frames become [12-byte IV][ciphertext]
+ * An IV is the sender's key ID (4 bytes) and a counter for that key (8 bytes), so IVs never
+ * repeat and frames still in flight during a new handshake are decrypted with the previous key.
+ * Messages to a peer are held until its hello arrives; if one side has no WebCrypto, both fall
+ * back to plaintext and show it as unencrypted.
+ *
+ * Events: 'message' and 'binary' (decrypted, with peerId and path), 'path_open' (once the peer's
+ * key is known), 'path_close', and 'security_update' when a peer's encryption state changes.
+ */
+
+import { webrtcService } from './webrtc';
+import { relayService } from './relay';
+
+const PROTOCOL_VERSION = 2;
+const HANDSHAKE_TIMEOUT = 10000; // Report a peer that has not sent its key after 10s
+const RESYNC_INTERVAL = 1000; // Re-send our hello at most every second after decryption failures
+const IV_LENGTH = 12;
+const NONCE_LENGTH = 16;
+const MAX_RECEIVE_KEYS = 2; // The current key of the peer and the one before it
+
+// 64 emoji so each encodes 6 bits; five of them make the 30-bit SAS
+const SAS_EMOJI = [
+  ['🐶', 'Dog'], ['🐱', 'Cat'], ['🦁', 'Lion'], ['🐎', 'Horse'], ['🦄', 'Unicorn'], ['🐷', 'Pig'],
+  ['🐘', 'Elephant'], ['🐰', 'Rabbit'], ['🐼', 'Panda'], ['🐓', 'Rooster'], ['🐧', 'Penguin'], ['🐢', 'Turtle'],
+  ['🐟', 'Fish'], ['🐙', 'Octopus'], ['🦋', 'Butterfly'], ['🌷', 'Flower'], ['🌳', 'Tree'], ['🌵', 'Cactus'],
+  ['🍄', 'Mushroom'], ['🌏', 'Globe'], ['🌙', 'Moon'], ['☁️', 'Cloud'], ['🔥', 'Fire'], ['🍌', 'Banana'],
+  ['🍎', 'Apple'], ['🍓', 'Strawberry'], ['🌽', 'Corn'], ['🍕', 'Pizza'], ['🎂', 'Cake'], ['❤️', 'Heart'],
+  ['😀', 'Smiley'], ['🤖', 'Robot'], ['🎩', 'Hat'], ['👓', 'Glasses'], ['🔧', 'Spanner'], ['🎅', 'Santa'],
+  ['👍', 'Thumbs up'], ['☂️', 'Umbrella'], ['⌛', 'Hourglass'], ['⏰', 'Clock'], ['🎁', 'Gift'], ['💡', 'Light bulb'],
+  ['📕', 'Book'], ['✏️', 'Pencil'], ['📎', 'Paperclip'], ['✂️', 'Scissors'], ['🔒', 'Lock'], ['🔑', 'Key'],
+  ['🔨', 'Hammer'], ['☎️', 'Telephone'], ['🏁', 'Flag'], ['🚂', 'Train'], ['🚲', 'Bicycle'], ['✈️', 'Aeroplane'],
+  ['🚀', 'Rocket'], ['🏆', 'Trophy'], ['⚽', 'Ball'], ['🎸', 'Guitar'], ['🎺', 'Trumpet'], ['🔔', 'Bell'],
+  ['⚓', 'Anchor'], ['🎧', 'Headphones'], ['📁', 'Folder'], ['📌', 'Pin']
+];
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Base64-encode bytes
+ * @param {Uint8Array} bytes - Data
+ * @returns {string} Base64 string
+ */
+function toBase64(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decode base64 into bytes
+ * @param {string} text - Base64 string
+ * @returns {Uint8Array} Data
+ */
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+/**
+ * Concatenate byte arrays
+ * @param {...Uint8Array} parts - Arrays to join
+ * @returns {Uint8Array} Joined bytes
+ */
+function concatBytes(...parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+/**
+ * Compare byte arrays lexicographically
+ * @param {Uint8Array} a - First array
+ * @param {Uint8Array} b - Second array
+ * @returns {number} Negative, zero or positive
+ */
+function compareBytes(a, b) {
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    if (a[i] !== b[i]) {
+      return a[i] - b[i];
+    }
+  }
+  return a.length - b.length;
+}
+
+/**
+ * Derive the session keys and SAS for a pair of public keys and a handshake
+ * @param {CryptoKey} privateKey - Our ECDH private key
+ * @param {Uint8Array} localKey - Our raw public key
+ * @param {Uint8Array} remoteKey - The peer's raw public key
+ * @param {Uint8Array} localNonce - Our nonce of this handshake
+ * @param {Uint8Array} remoteNonce - The peer's nonce of this handshake
+ * @returns {Promise<{sendKey: CryptoKey, sendKeyId: number, receiveKey: CryptoKey, receiveKeyId: number,
+ *   sas: Array<{emoji: string, name: string}>}>}
+ */
+async function deriveSession(privateKey, localKey, remoteKey, localNonce, remoteNonce) {
+  const peerKey = await crypto.subtle.importKey('raw', remoteKey, { name: 'ECDH', namedCurve: 'P-256' }, false, []);
+  const secret = await crypto.subtle.deriveBits({ name: 'ECDH', public: peerKey }, privateKey, 256);
+  const hkdfKey = await crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey', 'deriveBits']);
+  const localFirst = compareBytes(localKey, remoteKey) < 0;
+  const salt = localFirst ? concatBytes(localKey, remoteKey) : concatBytes(remoteKey, localKey);
+  const trafficSalt = concatBytes(salt, ...(localFirst ? [localNonce, remoteNonce] : [remoteNonce, localNonce]));
+
+  // Each direction gets its own key and key ID, labelled with the sender's public key
+  const directionKey = (senderKey, usage) => crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: trafficSalt, info: concatBytes(textEncoder.encode('PeerDrop e2e v2 '), senderKey) },
+    hkdfKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    [usage]
+  );
+  const directionKeyId = async (senderKey) => new DataView(await crypto.subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt: trafficSalt, info: concatBytes(textEncoder.encode('PeerDrop e2e v2 id '), senderKey) },
+    hkdfKey,
+    32
+  )).getUint32(0);
+  const sasBytes = new Uint8Array(await crypto.subtle.deriveBits(
+    { name: 'HKDF', hash: 'SHA-256', salt, info: textEncoder.encode('PeerDrop SAS v1') },
+    hkdfKey,
+    40
+  ));
+
+  return {
+    sendKey: await directionKey(localKey, 'encrypt'),
+    sendKeyId: await directionKeyId(localKey),
+    receiveKey: await directionKey(remoteKey, 'decrypt'),
+    receiveKeyId: await directionKeyId(remoteKey),
+    sas: Array.from(sasBytes, byte => {
+      const [emoji, name] = SAS_EMOJI[byte % SAS_EMOJI.length];
+      return { emoji, name };
+    })
+  };
+}
+
+class PeerChannelService {
+  constructor() {
+    this.sessions = new Map(); // Map of peerId -> encryption session
+    this.keyPair = null; // Promise of our ECDH key pair (null inside when WebCrypto is unavailable)
+    this.listeners = new Map(); // Event listeners
+
+    for (const [service, path] of [[webrtcService, 'webrtc'], [relayService, 'relay']]) {
+      // The transport puts the sender's peerId on the message; anything else the JSON carried is dropped
+      service.on('message', ({ peerId, ...message }) => this.receiveMessage(peerId, message, path));
+      service.on('binary', ({ peerId, data }) => this.receiveBinary(peerId, data, path));
+    }
+    webrtcService.on('data_channel_open', ({ peerId }) => this.handlePathOpen(peerId, 'webrtc'));
+    webrtcService.on('data_channel_close', ({ peerId }) => this.emit('path_close', { peerId, path: 'webrtc' }));
+    relayService.on('relay_open', ({ peerId }) => this.handlePathOpen(peerId, 'relay'));
+    relayService.on('relay_close', ({ peerId }) => this.emit('path_close', { peerId, path: 'relay' }));
+  }
+
+  /**
+   * Pick the path to a peer: the DataChannel if it is open, otherwise the server relay
+   * @param {string} peerId - Device ID of the peer
+   * @returns {string|null} 'webrtc', 'relay', or null if neither is available
+   */
+  getPath(peerId) {
+    if (webrtcService.isConnected(peerId)) {
+      return 'webrtc';
+    }
+    return relayService.isEnabled(peerId) ? 'relay' : null;
+  }
+
+  /**
+   * Get the service carrying a path
+   * @param {string|null} path - 'webrtc' or 'relay'
+   * @returns {Object} webrtcService or relayService
+   */
+  getChannel(path) {
+    return path === 'relay' ? relayService : webrtcService;
+  }
+
+  /**
+   * Get our key pair, generating it on first use
+   * @returns {Promise<{privateKey: CryptoKey, publicKey: Uint8Array}|null>} Null without WebCrypto
+   */
+  getKeyPair() {
+    if (!this.keyPair) {
+      this.keyPair = (async () => {
+        if (!globalThis.crypto?.subtle) {
+          console.warn('⚠️ [E2E] WebCrypto unavailable (insecure origin); peer traffic will not be encrypted');
+          return null;
+        }
+        const pair = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+        const publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', pair.publicKey));
+        return { privateKey: pair.privateKey, publicKey };
+      })();
+    }
+    return this.keyPair;
+  }
+
+  /**
+   * Get or create the encryption session with a peer
+   * @param {string} peerId - Device ID of the peer
+   * @returns {Object} Session state
+   */
+  getSession(peerId) {
+    if (!this.sessions.has(peerId)) {
+      const session = {
+        status: 'waiting', // waiting | encrypted | unencrypted
+        ready: null, // Resolves once the peer's hello has been processed
+        resolveReady: null,
+        remoteKey: null, // The peer's raw public key, kept once known
+        localNonce: null, // Our nonce (base64) of the current handshake
+        handshake: null, // "localNonce|remoteNonce" the current keys were derived from
+        usedHandshakes: new Set(), // Every such pair keys were derived from; never derived again
+        sendKey: null,
+        sendKeyId: 0,
+        sendCounter: 0, // IV counter for sendKey
+        receiveKeys: new Map(), // Map of key ID -> the peer's keys, oldest first
+        sas: null, // Array of { emoji, name }
+        verified: false,
+        error: null,
+        pendingOpens: new Set(), // Paths to announce once the handshake completes
+        sendChain: Promise.resolve(), // Keeps outgoing frames in order across async encryption
+        receiveChain: Promise.resolve(), // Keeps incoming frames in order across async decryption
+        handshakeTimer: null,
+        lastResync: 0
+      };
+      session.ready = new Promise(resolve => { session.resolveReady = resolve; });
+      this.sessions.set(peerId, session);
+    }
+    return this.sessions.get(peerId);
+  }
+
+  /**
+   * Get a peer's encryption state for display
+   * @param {string} peerId - Device ID of the peer
+   * @returns {{status: string, sas: Array|null, verified: boolean, error: string|null}|null} Null before any path opened
+   */
+  getSecurity(peerId) {
+    const session = this.sessions.get(peerId);
+    if (!session) {
+      return null;
+    }
+    return { status: session.status, sas: session.sas, verified: session.verified, error: session.error };
+  }
+
+  /**
+   * Record the user's comparison of the emoji codes
+   * A mismatch means someone may be intercepting: the connection to the peer is dropped.
+   * @param {string} peerId - Device ID of the peer
+   * @param {boolean} matches - Whether both screens showed the same code
+   */
+  confirmCode(peerId, matches) {
+    const session = this.sessions.get(peerId);
+    if (!session?.sas) {
+      return;
+    }
+
+    if (matches) {
+      session.verified = true;
+      console.log(`✅ [E2E] Code for ${peerId} confirmed by the user`);
+    } else {
+      console.error(`🚨 [E2E] Code mismatch with ${peerId}; closing the connection`);
+      session.error = 'Codes did not match – connection closed';
+      webrtcService.closeConnection(peerId);
+      relayService.disable(peerId);
+    }
+    this.emitSecurity(peerId);
+  }
+
+  /**
+   * Start the key exchange when a path to a peer opens
+   * @param {string} peerId - Device ID of the peer
+   * @param {string} path - 'webrtc' or 'relay'
+   */
+  handlePathOpen(peerId, path) {
+    const session = this.getSession(peerId);
+    if (session.status !== 'waiting') {
+      // The peer may have reloaded and have a new key; hold traffic until its hello arrives
+      session.status = 'waiting';
+      session.ready = new Promise(resolve => { session.resolveReady = resolve; });
+    }
+    session.pendingOpens.add(path);
+    session.error = null;
+
+    clearTimeout(session.handshakeTimer);
+    session.handshakeTimer = setTimeout(() => {
+      if (session.status === 'waiting') {
+        session.error = 'Peer did not start encryption';
+        this.emitSecurity(peerId);
+      }
+    }, HANDSHAKE_TIMEOUT);
+
+    this.sendHello(peerId, false, path);
+    this.emitSecurity(peerId);
+  }
+
+  /**
+   * Send our public key to a peer
+   * A hello that is not a reply starts a new handshake: it gets a fresh nonce, and traffic to the
+   * peer is held until the peer's answer brings the new keys.
+   * @param {string} peerId - Device ID of the peer
+   * @param {boolean} reply - True when answering the peer's hello
+   * @param {string} path - 'webrtc' or 'relay'
+   * @returns {Promise<void>}
+   */
+  async sendHello(peerId, reply, path) {
+    const session = this.getSession(peerId);
+    if (!reply || !session.localNonce) {
+      session.localNonce = toBase64(crypto.getRandomValues(new Uint8Array(NONCE_LENGTH)));
+      if (session.status === 'encrypted') {
+        session.status = 'waiting';
+        session.ready = new Promise(resolve => { session.resolveReady = resolve; });
+      }
+    }
+    const nonce = session.localNonce;
+
+    const keyPair = await this.getKeyPair();
+    this.getChannel(path).sendMessage(peerId, {
+      type: 'e2e_hello',
+      version: PROTOCOL_VERSION,
+      publicKey: keyPair ? toBase64(keyPair.publicKey) : null,
+      nonce,
+      reply
+    });
+  }
+
+  /**
+   * Process a peer's hello: derive keys and release held traffic
+   * @param {string} peerId - Device ID of the peer
+   * @param {Object} hello - e2e_hello message
+   * @returns {Promise<void>}
+   */
+  async handleHello(peerId, hello) {
+    const session = this.getSession(peerId);
+    const keyPair = await this.getKeyPair();
+    if (hello.version !== PROTOCOL_VERSION) {
+      console.warn(`⚠️ [E2E] ${peerId} speaks e2e version ${hello.version}, we speak ${PROTOCOL_VERSION}`);
+      session.error = 'Peer runs an incompatible PeerDrop version';
+      this.emitSecurity(peerId);
+      return;
+    }
+
+    let remoteKey = null;
+    let remoteNonce = null;
+    try {
+      remoteKey = typeof hello.publicKey === 'string' ? fromBase64(hello.publicKey) : null;
+      remoteNonce = fromBase64(String(hello.nonce));
+    } catch {
+      console.warn(`⚠️ [E2E] Malformed hello from ${peerId}`);
+      return;
+    }
+
+    if (!keyPair || !remoteKey) {
+      if (keyPair && session.remoteKey) {
+        // The peer had WebCrypto a moment ago; only someone in between would drop the key
+        console.error(`🚨 [E2E] Ignoring a hello from ${peerId} that would turn encryption off`);
+        session.error = 'Someone tried to turn encryption off – ignored';
+        this.emitSecurity(peerId);
+        return;
+      }
+      console.warn(`⚠️ [E2E] No encryption with ${peerId}: ${keyPair ? 'peer' : 'this page'} has no WebCrypto`);
+      Object.assign(session, { status: 'unencrypted', sendKey: null, sas: null, verified: false });
+      session.receiveKeys.clear();
+    } else {
+      const localNonce = session.localNonce ? fromBase64(session.localNonce) : null;
+      const handshake = `${session.localNonce}|${hello.nonce}`;
+      const sameKey = session.remoteKey && compareBytes(session.remoteKey, remoteKey) === 0;
+      if (remoteNonce.length !== NONCE_LENGTH || !localNonce) {
+        console.warn(`⚠️ [E2E] Hello from ${peerId} without a usable nonce`);
+        return;
+      }
+
+      if (handshake === session.handshake && sameKey) {
+        session.status = 'encrypted'; // The same handshake again: keep the keys and their counter
+      } else if (session.usedHandshakes.has(handshake)) {
+        // Deriving these keys again would restart their IV counter
+        console.error(`🚨 [E2E] Ignoring a replayed hello from ${peerId}`);
+        return;
+      } else {
+        try {
+          const derived = await deriveSession(keyPair.privateKey, keyPair.publicKey, remoteKey, localNonce, remoteNonce);
+          session.usedHandshakes.add(handshake);
+          session.receiveKeys.set(derived.receiveKeyId, derived.receiveKey);
+          while (session.receiveKeys.size > MAX_RECEIVE_KEYS) {
+            session.receiveKeys.delete(session.receiveKeys.keys().next().value);
+          }
+          Object.assign(session, {
+            status: 'encrypted',
+            remoteKey,
+            handshake,
+            sendKey: derived.sendKey,
+            sendKeyId: derived.sendKeyId,
+            sendCounter: 0, // New key, so the IVs start over
+            sas: derived.sas,
+            verified: Boolean(sameKey) && session.verified // The SAS only changes with the peer's key
+          });
+          console.log(`🔐 [E2E] Encrypted session with ${peerId}, code ${derived.sas.map(s => s.emoji).join('')}`);
+        } catch (error) {
+          console.error(`❌ [E2E] Key exchange with ${peerId} failed:`, error);
+          session.error = 'Key exchange failed';
+          this.emitSecurity(peerId);
+          return;
+        }
+      }
+    }
+
+    clearTimeout(session.handshakeTimer);
+    session.error = null;
+    session.resolveReady();
+    this.emitSecurity(peerId);
+
+    const opened = [...session.pendingOpens];
+    session.pendingOpens.clear();
+    opened.forEach(path => this.emit('path_open', { peerId, path }));
+  }
+
+  /**
+   * Run a send step after every earlier one for the peer, once the handshake is done
+   * @param {Object} session - Peer session
+   * @param {() => Promise<any>} step - Work to run
+   * @returns {Promise<any>} Result of the step
+   */
+  enqueueSend(session, step) {
+    const result = session.sendChain.then(() => session.ready).then(step);
+    session.sendChain = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Encrypt bytes for a peer
+   * @param {Object} session - Peer session
+   * @param {Uint8Array} bytes - Plaintext
+   * @returns {Promise<Uint8Array>} [IV][ciphertext]
+   */
+  async encrypt(session, bytes) {
+    const iv = new Uint8Array(IV_LENGTH);
+    const view = new DataView(iv.buffer);
+    const counter = session.sendCounter++;
+    view.setUint32(0, session.sendKeyId);
+    view.setUint32(4, Math.floor(counter / 0x100000000));
+    view.setUint32(8, counter >>> 0);
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, session.sendKey, bytes);
+    return concatBytes(iv, new Uint8Array(ciphertext));
+  }
+
+  /**
+   * Decrypt bytes from a peer, with the key its IV names
+   * @param {Object} session - Peer session
+   * @param {Uint8Array} frame - [IV][ciphertext]
+   * @returns {Promise<ArrayBuffer>} Plaintext
+   * @throws {Error} If we don't have that key or the frame was tampered with
+   */
+  async decrypt(session, frame) {
+    const key = frame.length > IV_LENGTH && session.receiveKeys.get(new DataView(frame.buffer, frame.byteOffset, 4).getUint32(0));
+    if (!key) {
+      throw new Error('Unknown key');
+    }
+    return crypto.subtle.decrypt({ name: 'AES-GCM', iv: frame.subarray(0, IV_LENGTH) }, key, frame.subarray(IV_LENGTH));
+  }
+
+  /**
+   * Send a JSON message to a peer
+   * @param {string} peerId - Device ID of the peer
+   * @param {Object} message - Message to send
+   * @param {string} [path] - Path to use; defaults to the best open one
+   * @returns {boolean} True if a path is open and the message was queued
+   */
+  sendMessage(peerId, message, path = this.getPath(peerId)) {
+    if (!path) {
+      return false;
+    }
+
+    const session = this.getSession(peerId);
+    this.enqueueSend(session, async () => {
+      const wire = session.status === 'encrypted'
+        ? { type: 'e2e', data: toBase64(await this.encrypt(session, textEncoder.encode(JSON.stringify(message)))) }
+        : message;
+      if (!this.getChannel(path).sendMessage(peerId, wire)) {
+        console.warn(`⚠️ [E2E] ${message.type} to ${peerId} dropped: ${path} closed`);
+      }
+    }).catch((error) => {
+      console.error(`❌ [E2E] Could not send ${message.type} to ${peerId}:`, error);
+    });
+    return true;
+  }
+
+  /**
+   * Send binary data to a peer
+   * @param {string} peerId - Device ID of the peer
+   * @param {ArrayBuffer} data - Data to send
+   * @param {string} [path] - Path to use; defaults to the best open one
+   * @returns {Promise<void>} Resolves once the data was handed to the path (with its flow control)
+   */
+  sendData(peerId, data, path = this.getPath(peerId)) {
+    if (!path) {
+      return Promise.reject(new Error(`No open path to ${peerId}`));
+    }
+
+    const session = this.getSession(peerId);
+    return this.enqueueSend(session, async () => {
+      const wire = session.status === 'encrypted'
+        ? (await this.encrypt(session, new Uint8Array(data))).buffer
+        : data;
+      await this.getChannel(path).sendData(peerId, wire);
+    });
+  }
+
+  /**
+   * Handle a JSON message from either path
+   * @param {string} peerId - Device ID of the peer the transport received it from
+   * @param {Object} message - Parsed message, without any peerId of its own
+   * @param {string} path - 'webrtc' or 'relay'
+   */
+  receiveMessage(peerId, message, path) {
+    const session = this.getSession(peerId);
+
+    if (message.type === 'e2e_hello') {
+      if (!message.reply) {
+        this.sendHello(peerId, true, path);
+      }
+      this.enqueueReceive(session, () => this.handleHello(peerId, message));
+      return;
+    }
+
+    this.enqueueReceive(session, async () => {
+      if (message.type !== 'e2e') {
+        if (session.status === 'unencrypted') {
+          this.emit('message', { ...message, peerId, path });
+        } else {
+          console.warn(`⚠️ [E2E] Dropping unencrypted ${message.type} from ${peerId}`);
+        }
+        return;
+      }
+
+      const plaintext = await this.tryDecrypt(peerId, session, fromBase64(message.data));
+      if (plaintext) {
+        this.emit('message', { ...JSON.parse(textDecoder.decode(plaintext)), peerId, path });
+      }
+    });
+  }
+
+  /**
+   * Handle binary data from either path
+   * @param {string} peerId - Device ID of the peer
+   * @param {ArrayBuffer} data - Received frame
+   * @param {string} path - 'webrtc' or 'relay'
+   */
+  receiveBinary(peerId, data, path) {
+    const session = this.getSession(peerId);
+    this.enqueueReceive(session, async () => {
+      if (session.status === 'unencrypted') {
+        this.emit('binary', { peerId, data, path });
+        return;
+      }
+
+      const plaintext = await this.tryDecrypt(peerId, session, new Uint8Array(data));
+      if (plaintext) {
+        this.emit('binary', { peerId, data: plaintext, path });
+      }
+    });
+  }
+
+  /**
+   * Run a receive step after every earlier one for the peer
+   * @param {Object} session - Peer session
+   * @param {() => Promise<void>} step - Work to run
+   */
+  enqueueReceive(session, step) {
+    session.receiveChain = session.receiveChain.then(step).catch((error) => {
+      console.error('❌ [E2E] Error handling incoming data:', error);
+    });
+  }
+
+  /**
+   * Decrypt a frame, asking the peer for its key again if that fails
+   * @param {string} peerId - Device ID of the peer
+   * @param {Object} session - Peer session
+   * @param {Uint8Array} frame - [IV][ciphertext]
+   * @returns {Promise<ArrayBuffer|null>} Plaintext, or null if the frame was dropped
+   */
+  async tryDecrypt(peerId, session, frame) {
+    if (session.receiveKeys.size > 0) {
+      try {
+        return await this.decrypt(session, frame);
+      } catch {
+        // Tampered with, or encrypted under a key we do not have
+      }
+    }
+
+    console.warn(`⚠️ [E2E] Dropping a frame from ${peerId} that could not be decrypted`);
+    // Most likely the peer reloaded and has a new key: a fresh hello makes it send its key again
+    const now = Date.now();
+    const path = this.getPath(peerId);
+    if (path && now - session.lastResync >= RESYNC_INTERVAL) {
+      session.lastResync = now;
+      this.sendHello(peerId, false, path);
+    }
+    return null;
+  }
+
+  /**
+   * Notify listeners that a peer's encryption state changed
+   * @param {string} peerId - Device ID of the peer
+   */
+  emitSecurity(peerId) {
+    this.emit('security_update', { peerId, ...this.getSecurity(peerId) });
+  }
+
+  /**
+   * Add event listener
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  /**
+   * Remove event listener
+   */
+  off(event, callback) {
+    if (this.listeners.has(event)) {
+      const callbacks = this.listeners.get(event);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Emit event to listeners
+   */
+  emit(event, data) {
+    if (this.listeners.has(event)) {
+      this.listeners.get(event).forEach(callback => callback(data));
+    }
+  }
+}
+
+// Export singleton instance
+export const peerChannel = new PeerChannelService();
@@ -0,0 +1,93 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { webrtcService } from './webrtc';
+import { peerChannel } from './peerChannel';
+
+vi.mock('./relay', () => ({
+  relayService: { on() {}, isEnabled: () => false, disable() {} }
+}));
+
+const PEER_A = 'a'.repeat(32);
+const PEER_B = 'b'.repeat(32);
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...bytes));
+const settle = () => new Promise(resolve => setTimeout(resolve, 20));
+
+/**
+ * Open a fake DataChannel to a peer through the real webrtcService
+ * @param {string} peerId - Device ID of the peer
+ * @returns {{sent: Array<Object>, receive: (message: Object) => void}} What we sent, and a way to
+ *   deliver a JSON message from the peer
+ */
+function openChannel(peerId) {
+  const channel = { readyState: 'open', bufferedAmount: 0, sent: [], send(data) { this.sent.push(data); } };
+  webrtcService.setupDataChannel(peerId, channel);
+  channel.onopen();
+  return {
+    sent: channel.sent,
+    receive: (message) => channel.onmessage({ data: JSON.stringify(message) })
+  };
+}
+
+/**
+ * Build a peer's hello with a fresh ECDH key
+ * @returns {Promise<Object>} e2e_hello message
+ */
+async function makeHello() {
+  const pair = await crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+  const publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', pair.publicKey));
+  return {
+    type: 'e2e_hello',
+    version: 2,
+    publicKey: toBase64(publicKey),
+    nonce: toBase64(crypto.getRandomValues(new Uint8Array(16))),
+    reply: false
+  };
+}
+
+describe('peerChannel', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  it('ignores a peerId inside a hello and keeps it on the sender\'s session', async () => {
+    vi.spyOn(webrtcService, 'isConnected').mockReturnValue(true);
+    const channelA = openChannel(PEER_A);
+    const channelB = openChannel(PEER_B);
+
+    const helloB = await makeHello();
+    channelB.receive(helloB);
+    await settle();
+    const sessionB = peerChannel.sessions.get(PEER_B);
+    expect(sessionB.status).toBe('encrypted');
+    peerChannel.confirmCode(PEER_B, true);
+    const before = { ...peerChannel.getSecurity(PEER_B), handshake: sessionB.handshake, remoteKey: sessionB.remoteKey };
+
+    // A claims to be B in its hello
+    const repliesToA = channelA.sent.length;
+    const repliesToB = channelB.sent.length;
+    channelA.receive({ ...(await makeHello()), peerId: PEER_B });
+    await settle();
+
+    expect(peerChannel.getSecurity(PEER_B)).toEqual({ status: before.status, sas: before.sas, verified: true, error: null });
+    expect(sessionB.handshake).toBe(before.handshake);
+    expect(sessionB.remoteKey).toEqual(before.remoteKey);
+    expect(channelB.sent.length).toBe(repliesToB);
+    // It was handled as A's hello instead
+    expect(channelA.sent.length).toBeGreaterThan(repliesToA);
+    expect(peerChannel.getSecurity(PEER_A).status).toBe('encrypted');
+  });
+
+  it('delivers unencrypted messages with the peerId of the channel they came in on', async () => {
+    const peer = 'c'.repeat(32);
+    const channel = openChannel(peer);
+    channel.receive({ type: 'e2e_hello', version: 2, publicKey: null, nonce: toBase64(new Uint8Array(16)), reply: true });
+    await settle();
+    expect(peerChannel.getSecurity(peer).status).toBe('unencrypted');
+
+    const received = [];
+    peerChannel.on('message', (message) => received.push(message));
+    channel.receive({ type: 'chat', text: 'hi', peerId: PEER_B });
+    await settle();
+    expect(received).toEqual([{ type: 'chat', text: 'hi', peerId: peer, path: 'webrtc' }]);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Device profile
+ *
+ * How this device presents itself to others (see server/services/profile.js): its name, device
+ * type, avatar color and whether the user is available for transfers. The local server keeps the
+ * profile and announces it; this service edits it and follows changes made in other tabs.
+ */
+
+import { wsService } from './websocket';
+import { deviceDirectory } from './devices';
+import { apiFetch } from './server';
+
+export const DEVICE_TYPES = ['desktop', 'phone', 'server'];
+export const DEVICE_TYPE_LABELS = { desktop: 'Desktop', phone: 'Phone', server: 'Server' };
+// Same palette the server picks default colors from
+export const AVATAR_COLORS = ['#2563eb', '#7c3aed', '#db2777', '#dc2626', '#ea580c', '#ca8a04', '#16a34a', '#0d9488'];
+
+class ProfileService {
+  constructor() {
+    this.profile = null; // { name, deviceType, color, availability }
+    this.listeners = new Map(); // Event listeners
+
+    wsService.on('connected', () => this.load());
+    wsService.on('profile_update', ({ profile }) => this.setProfile(profile));
+  }
+
+  /**
+   * Take over the profile reported by the server
+   * @param {Object} profile - Profile
+   */
+  setProfile(profile) {
+    this.profile = profile;
+    deviceDirectory.updateLocalProfile(profile);
+    this.emit('profile_update', profile);
+  }
+
+  /**
+   * Reload the profile from the server
+   * @returns {Promise<void>}
+   */
+  async load() {
+    try {
+      const response = await apiFetch('/profile');
+      const data = await response.json();
+      if (data.success) {
+        this.setProfile(data.profile);
+      }
+    } catch (error) {
+      console.warn('⚠️ [Profile] Could not load the profile:', error.message);
+    }
+  }
+
+  /**
+   * Change the profile
+   * @param {Object} changes - Any of name, deviceType, color ('#rrggbb') and availability ('available' or 'busy')
+   * @returns {Promise<Object>} Updated profile
+   * @throws {Error} With the server's error message
+   */
+  async update(changes) {
+    const response = await apiFetch('/profile', {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(changes)
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || `Request failed (${response.status})`);
+    }
+    this.setProfile(data.profile);
+    return data.profile;
+  }
+
+  /**
+   * Get the profile
+   * @returns {Object|null} Profile, or null before the server answered
+   */
+  getProfile() {
+    return this.profile;
+  }
+
+  /**
+   * Add event listener
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  /**
+   * Remove event listener
+   */
+  off(event, callback) {
+    if (this.listeners.has(event)) {
+      const callbacks = this.listeners.get(event);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Emit event to listeners
+   */
+  emit(event, data) {
+    if (this.listeners.has(event)) {
+      this.listeners.get(event).forEach(callback => callback(data));
+    }
+  }
+}
+
+// Export singleton instance
+export const profileService = new ProfileService();
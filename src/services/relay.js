@@ -0,0 +1,246 @@
+/**
+ * Server relay service
+ *
+ * Fallback data path for peers that cannot open a WebRTC connection (no TURN server, one-way
+ * reachability). Frames travel browser -> local server -> peer's server -> peer's browser:
+ * we POST each frame to our server (see server/services/relay.js), which streams it to the
+ * peer's server over the same HTTP link used for signaling, which pushes it to its browser as
+ * a binary WebSocket message.
+ *
+ * The service mirrors the parts of webrtcService that peerChannel uses (sendMessage, sendData
+ * and the 'message' / 'binary' events), so transfers and chat run over either path unchanged.
+ *
+ * Ordering: chunk frames may be in flight concurrently and arrive in any order, which the
+ * transfer protocol tolerates. A control message waits until every frame sent before it was
+ * delivered, and frames sent after it wait for the message, so e.g. file_sent never overtakes
+ * the chunks of its pass.
+ *
+ * Only this side decides to relay: a peer's relay_hello is reported as 'relay_request' (PeerCard
+ * agrees to it for a connection the user accepted), and frames from peers we don't relay with are
+ * dropped. The servers sign every frame, so the sender is the device it claims to be.
+ */
+
+import { wsService } from './websocket';
+import { webrtcService } from './webrtc';
+import { deviceDirectory } from './devices';
+import { apiFetch } from './server';
+
+const MAX_IN_FLIGHT = 4; // Concurrent chunk frames per peer
+
+const KIND_MESSAGE = 0;
+const KIND_BINARY = 1;
+
+const textDecoder = new TextDecoder();
+
+class RelayService {
+  constructor() {
+    this.peers = new Map(); // Map of peerId -> { inFlight: Set<Promise>, barrier: Promise }
+    this.listeners = new Map(); // Event listeners
+
+    wsService.on('binary', (data) => this.handleFrame(data));
+    // WebRTC gave up on this peer; fall back without waiting for the user
+    webrtcService.on('reconnect_failed', ({ peerId }) => this.enable(peerId));
+  }
+
+  /**
+   * Start relaying to a peer and tell the peer to relay back
+   * @param {string} peerId - Device ID of the peer
+   */
+  enable(peerId) {
+    if (this.peers.has(peerId)) {
+      return;
+    }
+
+    console.log(`🛰️ [Relay] Relaying through the servers to ${peerId}`);
+    this.peers.set(peerId, { inFlight: new Set(), barrier: Promise.resolve() });
+    this.sendMessage(peerId, { type: 'relay_hello' });
+    this.emit('relay_open', { peerId });
+  }
+
+  /**
+   * Stop relaying to a peer
+   * @param {string} peerId - Device ID of the peer
+   */
+  disable(peerId) {
+    if (!this.peers.delete(peerId)) {
+      return;
+    }
+
+    console.log(`🛰️ [Relay] Relay to ${peerId} closed`);
+    this.emit('relay_close', { peerId });
+  }
+
+  /**
+   * Check whether the relay to a peer is enabled
+   * @param {string} peerId - Device ID of the peer
+   * @returns {boolean}
+   */
+  isEnabled(peerId) {
+    return this.peers.has(peerId);
+  }
+
+  /**
+   * Send a JSON control message through the relay
+   * @param {string} peerId - Device ID of the peer
+   * @param {Object} message - Message to send
+   * @returns {boolean} True if the message was queued
+   */
+  sendMessage(peerId, message) {
+    const state = this.peers.get(peerId);
+    if (!state) {
+      return false;
+    }
+
+    const body = JSON.stringify(message);
+    state.barrier = Promise.allSettled([state.barrier, ...state.inFlight])
+      .then(() => this.post(peerId, 'message', body))
+      .catch((error) => this.handleError(peerId, state, error));
+    return true;
+  }
+
+  /**
+   * Send binary data through the relay
+   * Resolves once the frame is on its way; waits while MAX_IN_FLIGHT frames are outstanding.
+   * @param {string} peerId - Device ID of the peer
+   * @param {ArrayBuffer} data - Data to send
+   * @returns {Promise<void>} Rejects if the relay to the peer is closed
+   */
+  async sendData(peerId, data) {
+    let state = this.peers.get(peerId);
+    while (state && state.inFlight.size >= MAX_IN_FLIGHT) {
+      await Promise.race(state.inFlight).catch(() => {});
+      state = this.peers.get(peerId) === state ? state : null;
+    }
+    if (state) {
+      await state.barrier;
+    }
+    if (!state || this.peers.get(peerId) !== state) {
+      throw new Error(`Relay to ${peerId} is not open`);
+    }
+
+    const frame = this.post(peerId, 'binary', data);
+    state.inFlight.add(frame);
+    frame
+      .catch((error) => this.handleError(peerId, state, error))
+      .finally(() => state.inFlight.delete(frame));
+  }
+
+  /**
+   * POST one frame to the local server
+   * @param {string} peerId - Device ID of the peer
+   * @param {string} kind - 'message' or 'binary'
+   * @param {string|ArrayBuffer} body - Frame body
+   * @returns {Promise<void>} Rejects unless the peer's server delivered the frame
+   */
+  async post(peerId, kind, body) {
+    const address = deviceDirectory.getAddress(peerId);
+    if (!address) {
+      throw new Error(`No known address for ${peerId}`);
+    }
+    const query = `kind=${kind}&device=${encodeURIComponent(peerId)}`;
+    const response = await apiFetch(`/relay/send/${encodeURIComponent(address)}?${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/octet-stream' },
+      body
+    });
+    if (!response.ok) {
+      const result = await response.json().catch(() => ({}));
+      throw new Error(result.message || result.error || `Relay answered ${response.status}`);
+    }
+  }
+
+  /**
+   * Close the relay after a frame could not be delivered
+   * @param {string} peerId - Device ID of the peer
+   * @param {Object} state - Relay state the frame was sent with
+   * @param {Error} error - Delivery error
+   */
+  handleError(peerId, state, error) {
+    if (this.peers.get(peerId) !== state) {
+      return; // Already closed (and possibly re-enabled)
+    }
+
+    console.error(`❌ [Relay] Could not relay to ${peerId}:`, error.message);
+    this.disable(peerId);
+  }
+
+  /**
+   * Handle a relayed frame pushed by the local server
+   * Layout: [uint8 kind][uint16 sender ID length][sender device ID][body]
+   * @param {ArrayBuffer} data - Binary WebSocket message
+   */
+  handleFrame(data) {
+    const view = new DataView(data);
+    const kind = view.getUint8(0);
+    const idLength = view.getUint16(1);
+    const peerId = textDecoder.decode(new Uint8Array(data, 3, idLength));
+    const body = data.slice(3 + idLength);
+
+    if (kind === KIND_BINARY) {
+      if (this.peers.has(peerId)) {
+        this.emit('binary', { peerId, data: body });
+      }
+      return;
+    }
+    if (kind !== KIND_MESSAGE) {
+      console.warn(`⚠️ [Relay] Unknown frame kind ${kind} from ${peerId}`);
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(textDecoder.decode(body));
+    } catch (error) {
+      console.error(`❌ [Relay] Malformed message from ${peerId}:`, error);
+      return;
+    }
+
+    if (message.type === 'relay_hello') {
+      if (!this.peers.has(peerId)) {
+        this.emit('relay_request', { peerId });
+      }
+      return;
+    }
+    if (!this.peers.has(peerId)) {
+      console.warn(`⚠️ [Relay] Dropped ${message.type} from ${peerId}: not relaying with it`);
+      return;
+    }
+    // peerId is the sender the servers verified; the message can't claim another one
+    this.emit('message', { ...message, peerId });
+  }
+
+  /**
+   * Add event listener
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  /**
+   * Remove event listener
+   */
+  off(event, callback) {
+    if (this.listeners.has(event)) {
+      const callbacks = this.listeners.get(event);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Emit event to listeners
+   */
+  emit(event, data) {
+    if (this.listeners.has(event)) {
+      this.listeners.get(event).forEach(callback => callback(data));
+    }
+  }
+}
+
+// Export singleton instance
+export const relayService = new RelayService();
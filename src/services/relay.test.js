@@ -0,0 +1,50 @@
+import { describe, it, expect, vi } from 'vitest';
+import { wsService } from './websocket';
+import { relayService } from './relay';
+
+vi.mock('./websocket', () => {
+  const listeners = new Map();
+  return {
+    wsService: {
+      on: (event, callback) => listeners.set(event, callback),
+      receive: (event, data) => listeners.get(event)?.(data)
+    }
+  };
+});
+vi.mock('./server', () => ({
+  apiFetch: async () => new Response(JSON.stringify({ success: true }))
+}));
+vi.mock('./devices', () => ({
+  deviceDirectory: { getAddress: () => '192.168.1.20' }
+}));
+
+const SENDER = 'a'.repeat(32);
+
+/**
+ * Build a frame as the local server pushes it
+ * @param {string} senderId - Verified sender device ID
+ * @param {Object} message - JSON message
+ * @returns {ArrayBuffer} Frame
+ */
+function messageFrame(senderId, message) {
+  const id = new TextEncoder().encode(senderId);
+  const body = new TextEncoder().encode(JSON.stringify(message));
+  const frame = new Uint8Array(3 + id.length + body.length);
+  new DataView(frame.buffer).setUint16(1, id.length); // Kind 0: message
+  frame.set(id, 3);
+  frame.set(body, 3 + id.length);
+  return frame.buffer;
+}
+
+describe('relayService', () => {
+  it('delivers relayed messages with the sender the servers verified', () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    relayService.enable(SENDER);
+    const received = [];
+    relayService.on('message', (message) => received.push(message));
+
+    wsService.receive('binary', messageFrame(SENDER, { type: 'chat', text: 'hi', peerId: 'b'.repeat(32) }));
+
+    expect(received).toEqual([{ type: 'chat', text: 'hi', peerId: SENDER }]);
+  });
+});
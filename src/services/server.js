@@ -0,0 +1,103 @@
+/**
+ * Where the local PeerDrop server is
+ *
+ * The server listens on port 3001 of the machine the UI was opened from: either it serves the
+ * UI itself (e.g. https://192.168.1.20:3001 in TLS mode, opened from a phone) or the Vite dev
+ * server runs next to it. Use the page's scheme, so an HTTPS page talks HTTPS and WSS.
+ *
+ * A page opened from another device (e.g. a phone) may only act as the user once it has been
+ * linked to the server with a one-time link shown on the server's machine (see
+ * server/services/uiSessions.js); it then sends the session token it got with every request.
+ */
+
+const SERVER_PORT = 3001;
+const secure = window.location.protocol === 'https:';
+const host = window.location.hostname || 'localhost';
+
+export const SERVER_URL = `${secure ? 'https' : 'http'}://${host}:${SERVER_PORT}`;
+export const WS_URL = `${secure ? 'wss' : 'ws'}://${host}:${SERVER_PORT}`;
+
+const SESSION_KEY = 'peerdrop-ui-session';
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+let linking = null;
+
+/**
+ * Check whether the page runs on the server's own machine, where no linking is needed
+ * @returns {boolean}
+ */
+export function isLocalUi() {
+  return LOOPBACK_HOSTS.includes(host);
+}
+
+/**
+ * Get the session token this browser was given when it was linked (see linkFromLocation)
+ * @returns {string|null} Token, or null on the server's own machine or before linking
+ */
+function getSessionToken() {
+  return localStorage.getItem(SESSION_KEY);
+}
+
+/**
+ * Check whether this browser can use the server: it's on the server's machine or linked
+ * @returns {boolean}
+ */
+export function isLinked() {
+  return isLocalUi() || Boolean(getSessionToken());
+}
+
+/**
+ * Call the local server's REST API as this device's user
+ * A linked browser sends its session token along.
+ * @param {string} path - Path below /api
+ * @param {Object} options - fetch options
+ * @returns {Promise<Response>}
+ */
+export function apiFetch(path, options = {}) {
+  const token = getSessionToken();
+  const headers = token ? { ...options.headers, Authorization: `Bearer ${token}` } : options.headers;
+  return fetch(`${SERVER_URL}/api${path}`, { ...options, headers });
+}
+
+/**
+ * Get the URL of the local server's WebSocket, with the session token of a linked browser
+ * @returns {string} URL
+ */
+export function getWebSocketUrl() {
+  const token = getSessionToken();
+  return token ? `${WS_URL}/?session=${encodeURIComponent(token)}` : WS_URL;
+}
+
+/**
+ * Link this browser if the page was opened with a link shown by the server's machine (?link=...)
+ * Trades the one-time code for a session token and removes it from the address bar.
+ * @returns {Promise<boolean>} True if this browser is linked now
+ */
+export function linkFromLocation() {
+  if (!linking) {
+    linking = (async () => {
+      const code = new URLSearchParams(window.location.search).get('link');
+      if (!code) {
+        return isLinked();
+      }
+      window.history.replaceState(null, '', window.location.pathname);
+
+      try {
+        const response = await fetch(`${SERVER_URL}/api/ui-sessions/redeem`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ code, name: navigator.userAgentData?.platform || navigator.platform || 'Browser' })
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+          throw new Error(data.error || `Request failed (${response.status})`);
+        }
+        localStorage.setItem(SESSION_KEY, data.token);
+      } catch (error) {
+        console.warn('⚠️ Could not link this browser:', error.message);
+      }
+      return isLinked();
+    })();
+  }
+  return linking;
+}
@@ -0,0 +1,218 @@
+/**
+ * Trusted devices
+ *
+ * Mirrors the trust store of the local server (see server/services/trustStore.js): the devices
+ * this device has paired with, and per device whether connections and small transfers are
+ * accepted without asking. Pairing itself runs between the two servers (server/services/pairing.js);
+ * this service only starts it and reloads the list when the server reports a change.
+ */
+
+import { wsService } from './websocket';
+import { apiFetch } from './server';
+
+class TrustService {
+  constructor() {
+    this.devices = new Map(); // Map of deviceId -> { deviceId, name, publicKey, pairedAt, rules }
+    this.listeners = new Map(); // Event listeners
+    this.loading = null;
+
+    wsService.on('trust_update', () => this.load());
+    wsService.on('connected', () => this.load());
+    wsService.on('pairing_complete', (data) => this.emit('pairing_complete', data));
+    wsService.on('pairing_failed', (data) => this.emit('pairing_failed', data));
+  }
+
+  /**
+   * Call the local server's pairing and trust API
+   * @param {string} path - Path below /api
+   * @param {Object} options - fetch options; a body object is sent as JSON
+   * @returns {Promise<Object>} Response body
+   * @throws {Error} With the server's error message
+   */
+  async request(path, { method = 'GET', body } = {}) {
+    const response = await apiFetch(path, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+    if (!response.ok || !data.success) {
+      throw new Error(data.error || data.message || `Request failed (${response.status})`);
+    }
+    return data;
+  }
+
+  /**
+   * Reload the trusted devices from the server
+   * @returns {Promise<void>}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.request('/trusted')
+        .then(({ devices }) => {
+          this.devices = new Map(devices.map(device => [device.deviceId, device]));
+          this.emit('trust_update', this.getDevices());
+        })
+        .catch(error => console.warn('⚠️ [Trust] Could not load trusted devices:', error.message))
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+    return this.loading;
+  }
+
+  /**
+   * Get all trusted devices
+   * @returns {Array} Trusted devices
+   */
+  getDevices() {
+    return Array.from(this.devices.values());
+  }
+
+  /**
+   * Get a trusted device
+   * @param {string} deviceId - Device ID
+   * @returns {Object|undefined} Trusted device
+   */
+  get(deviceId) {
+    return this.devices.get(deviceId);
+  }
+
+  /**
+   * Check whether a device may connect without the Accept click
+   * @param {string} deviceId - Device ID
+   * @returns {boolean}
+   */
+  autoAcceptsConnections(deviceId) {
+    return this.devices.get(deviceId)?.rules.autoAcceptConnections === true;
+  }
+
+  /**
+   * Check whether an offer from a device may be accepted without asking
+   * @param {string} deviceId - Device ID of the sender
+   * @param {number} size - Total size of the offer in bytes
+   * @returns {boolean}
+   */
+  autoAcceptsFiles(deviceId, size) {
+    const limit = this.devices.get(deviceId)?.rules.autoAcceptFilesUpTo ?? 0;
+    return limit > 0 && size <= limit;
+  }
+
+  /**
+   * Show a pairing PIN for another device to enter
+   * @returns {Promise<{pin: string, expiresAt: number}>}
+   */
+  async startPairing() {
+    const { pin, expiresAt } = await this.request('/pairing', { method: 'POST' });
+    return { pin, expiresAt };
+  }
+
+  /**
+   * Withdraw the shown pairing PIN
+   * @returns {Promise<void>}
+   */
+  async cancelPairing() {
+    await this.request('/pairing', { method: 'DELETE' });
+  }
+
+  /**
+   * Pair with a device that shows a PIN
+   * @param {{ip: string, deviceId: string, pin: string}} target - Device and the PIN it shows
+   * @returns {Promise<Object>} The trusted device
+   */
+  async pair(target) {
+    const { device } = await this.request('/pairing/join', { method: 'POST', body: target });
+    await this.load();
+    return device;
+  }
+
+  /**
+   * Change what a paired device may do without asking
+   * @param {string} deviceId - Device ID
+   * @param {Object} rules - { autoAcceptConnections?, autoAcceptFilesUpTo? }
+   * @returns {Promise<void>}
+   */
+  async updateRules(deviceId, rules) {
+    await this.request(`/trusted/${deviceId}`, { method: 'PUT', body: rules });
+    await this.load();
+  }
+
+  /**
+   * Revoke a paired device
+   * @param {string} deviceId - Device ID
+   * @returns {Promise<void>}
+   */
+  async revoke(deviceId) {
+    await this.request(`/trusted/${deviceId}`, { method: 'DELETE' });
+    await this.load();
+  }
+
+  /**
+   * Add event listener
+   */
+  on(event, callback) {
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, []);
+    }
+    this.listeners.get(event).push(callback);
+  }
+
+  /**
+   * Remove event listener
+   */
+  off(event, callback) {
+    if (this.listeners.has(event)) {
+      const callbacks = this.listeners.get(event);
+      const index = callbacks.indexOf(callback);
+      if (index > -1) {
+        callbacks.splice(index, 1);
+      }
+    }
+  }
+
+  /**
+   * Emit event to listeners
+   */
+  emit(event, data) {
+    if (this.listeners.has(event)) {
+      this.listeners.get(event).forEach(callback => callback(data));
+    }
+  }
+}
+
+/**
+ * Build the text of a pairing QR code
+ * Scanned with a phone camera it opens PeerDrop on the scanning device, which then pairs.
+ * @param {{ip: string, deviceId: string, pin: string}} target - Device showing the PIN
+ * @returns {string} Pairing link
+ */
+export function buildPairingLink({ ip, deviceId, pin }) {
+  const url = new URL(window.location.href);
+  url.hostname = 'localhost';
+  url.search = `?pair=${encodeURIComponent(`${ip},${deviceId},${pin}`)}`;
+  url.hash = '';
+  return url.toString();
+}
+
+/**
+ * Read a pairing link, or the "ip,deviceId,pin" code inside one
+ * @param {string} text - Scanned or pasted link or code
+ * @returns {{ip: string, deviceId: string, pin: string}|null} Target, or null if it isn't one
+ */
+export function parsePairingLink(text) {
+  let code = text.trim();
+  try {
+    code = new URL(code).searchParams.get('pair') ?? code;
+  } catch {
+    // Not a link; maybe the bare code
+  }
+
+  const [ip, deviceId, pin] = code.split(',');
+  if (!ip || !/^[0-9a-f]{32}$/.test(deviceId || '') || !/^\d{6}$/.test(pin || '')) {
+    return null;
+  }
+  return { ip, deviceId, pin };
+}
+
+// Export singleton instance
+export const trustService = new TrustService();
@@ -2,10 +2,26 @@
  * WebRTC service for direct peer-to-peer communication
  */
 
+// Flow control for sendData and sendMessage: stop handing data to the channel above the high-water mark
+// and resume once the browser reports the buffer has drained below the low-water mark.
+// Chrome closes the channel when its send buffer exceeds 16 MiB, so stay well below that.
+const HIGH_WATER_MARK = 8 * 1024 * 1024; // 8 MiB
+const LOW_WATER_MARK = 1 * 1024 * 1024; // 1 MiB
+const STATS_INTERVAL = 500; // Emit send_stats at most every 500ms
+
+// Reconnection after the connection drops (only the side that created the offer re-offers)
+const MAX_RECONNECT_ATTEMPTS = 5;
+const RECONNECT_BASE_DELAY = 2000; // Delay grows linearly with each attempt
+const DISCONNECTED_GRACE_PERIOD = 5000; // 'disconnected' often recovers by itself, wait before re-offering
+
 class WebRTCService {
   constructor() {
-    this.peerConnections = new Map(); // Map of peerIP -> RTCPeerConnection
-    this.dataChannels = new Map(); // Map of peerIP -> RTCDataChannel
+    this.peerConnections = new Map(); // Map of peerId -> RTCPeerConnection
+    this.dataChannels = new Map(); // Map of peerId -> RTCDataChannel
+    this.sendQueues = new Map(); // Map of peerId -> flow-controlled send queue
+    this.offerSignaling = new Map(); // Map of peerId -> sendSignaling, for connections we initiated
+    this.reconnectAttempts = new Map(); // Map of peerId -> reconnect attempts so far
+    this.reconnectTimers = new Map(); // Map of peerId -> pending reconnect/grace timer
     this.listeners = new Map(); // Event listeners
     this.localIP = null;
   }
@@ -19,11 +35,11 @@ class WebRTCService {
 
   /**
    * Create RTCPeerConnection for a peer
-   * @param {string} peerIP - IP address of the peer
+   * @param {string} peerId - Device ID of the peer
    * @returns {RTCPeerConnection} Peer connection
    */
-  createPeerConnection(peerIP) {
-    console.log(`🔧 [WebRTC] Creating peer connection for ${peerIP}`);
+  createPeerConnection(peerId) {
+    console.log(`🔧 [WebRTC] Creating peer connection for ${peerId}`);
     const configuration = {
       iceServers: [
         { urls: 'stun:stun.l.google.com:19302' }, // Google's public STUN server
@@ -37,337 +53,566 @@ class WebRTCService {
     // Handle ICE candidates
     pc.onicecandidate = (event) => {
       if (event.candidate) {
-        console.log(`🧊 [WebRTC] ICE candidate generated for ${peerIP}:`, {
+        console.log(`🧊 [WebRTC] ICE candidate generated for ${peerId}:`, {
           candidate: event.candidate.candidate,
           sdpMLineIndex: event.candidate.sdpMLineIndex,
           sdpMid: event.candidate.sdpMid
         });
         this.emit('ice_candidate', {
-          peerIP,
+          peerId,
           candidate: event.candidate
         });
       } else {
-        console.log(`✅ [WebRTC] All ICE candidates gathered for ${peerIP}`);
+        console.log(`✅ [WebRTC] All ICE candidates gathered for ${peerId}`);
       }
     };
 
     // Handle ICE connection state
     pc.oniceconnectionstatechange = () => {
-      console.log(`🧊 [WebRTC] ICE connection state for ${peerIP}:`, pc.iceConnectionState);
+      console.log(`🧊 [WebRTC] ICE connection state for ${peerId}:`, pc.iceConnectionState);
     };
 
     // Handle ICE gathering state
     pc.onicegatheringstatechange = () => {
-      console.log(`🧊 [WebRTC] ICE gathering state for ${peerIP}:`, pc.iceGatheringState);
+      console.log(`🧊 [WebRTC] ICE gathering state for ${peerId}:`, pc.iceGatheringState);
     };
 
     // Handle connection state changes
     pc.onconnectionstatechange = () => {
-      console.log(`🔗 [WebRTC] Connection state for ${peerIP}:`, pc.connectionState);
+      console.log(`🔗 [WebRTC] Connection state for ${peerId}:`, pc.connectionState);
+      if (this.peerConnections.get(peerId) !== pc) {
+        return; // Superseded by a newer connection
+      }
+
       this.emit('connection_state_change', {
-        peerIP,
+        peerId,
         state: pc.connectionState
       });
+
+      if (pc.connectionState === 'connected') {
+        this.reconnectAttempts.delete(peerId);
+        this.clearReconnectTimer(peerId);
+      } else if (pc.connectionState === 'failed') {
+        this.handleConnectionLoss(peerId);
+      } else if (pc.connectionState === 'disconnected') {
+        this.clearReconnectTimer(peerId);
+        this.reconnectTimers.set(peerId, setTimeout(() => {
+          this.reconnectTimers.delete(peerId);
+          if (this.peerConnections.get(peerId) === pc && pc.connectionState === 'disconnected') {
+            this.handleConnectionLoss(peerId);
+          }
+        }, DISCONNECTED_GRACE_PERIOD));
+      }
     };
 
     // Handle signaling state changes
     pc.onsignalingstatechange = () => {
-      console.log(`📡 [WebRTC] Signaling state for ${peerIP}:`, pc.signalingState);
+      console.log(`📡 [WebRTC] Signaling state for ${peerId}:`, pc.signalingState);
     };
 
     // Handle data channel (when receiving from remote peer)
     pc.ondatachannel = (event) => {
-      console.log(`📥 [WebRTC] Received data channel from ${peerIP}:`, event.channel.label);
+      console.log(`📥 [WebRTC] Received data channel from ${peerId}:`, event.channel.label);
       const channel = event.channel;
-      this.setupDataChannel(peerIP, channel);
+      this.setupDataChannel(peerId, channel);
     };
 
-    this.peerConnections.set(peerIP, pc);
-    console.log(`✅ [WebRTC] Peer connection created for ${peerIP}`);
+    this.peerConnections.set(peerId, pc);
+    console.log(`✅ [WebRTC] Peer connection created for ${peerId}`);
     return pc;
   }
 
   /**
    * Create data channel for a peer
-   * @param {string} peerIP - IP address of the peer
+   * @param {string} peerId - Device ID of the peer
    * @returns {RTCDataChannel} Data channel
    */
-  createDataChannel(peerIP) {
-    const pc = this.peerConnections.get(peerIP);
+  createDataChannel(peerId) {
+    const pc = this.peerConnections.get(peerId);
     if (!pc) {
-      console.error(`❌ [WebRTC] No peer connection for ${peerIP}`);
+      console.error(`❌ [WebRTC] No peer connection for ${peerId}`);
       return null;
     }
 
-    console.log(`📤 [WebRTC] Creating data channel for ${peerIP}`);
+    console.log(`📤 [WebRTC] Creating data channel for ${peerId}`);
     const channel = pc.createDataChannel('messages', {
       ordered: true
     });
 
-    this.setupDataChannel(peerIP, channel);
-    console.log(`✅ [WebRTC] Data channel created for ${peerIP}`);
+    this.setupDataChannel(peerId, channel);
+    console.log(`✅ [WebRTC] Data channel created for ${peerId}`);
     return channel;
   }
 
   /**
    * Setup data channel event handlers
-   * @param {string} peerIP - IP address of the peer
+   * @param {string} peerId - Device ID of the peer
    * @param {RTCDataChannel} channel - Data channel
    */
-  setupDataChannel(peerIP, channel) {
-    console.log(`🔧 [WebRTC] Setting up data channel for ${peerIP}`);
+  setupDataChannel(peerId, channel) {
+    console.log(`🔧 [WebRTC] Setting up data channel for ${peerId}`);
+    // File chunks arrive as binary frames; receive them as ArrayBuffers rather than Blobs
+    channel.binaryType = 'arraybuffer';
+    channel.bufferedAmountLowThreshold = LOW_WATER_MARK;
     
     channel.onopen = () => {
-      console.log(`✅ [WebRTC] DataChannel opened for ${peerIP}`);
+      console.log(`✅ [WebRTC] DataChannel opened for ${peerId}`);
       console.log(`   Channel state: ${channel.readyState}`);
       console.log(`   Channel label: ${channel.label}`);
-      this.dataChannels.set(peerIP, channel);
-      this.emit('data_channel_open', { peerIP });
+      this.dataChannels.set(peerId, channel);
+      this.emit('data_channel_open', { peerId });
     };
 
     channel.onclose = () => {
-      console.log(`❌ [WebRTC] DataChannel closed for ${peerIP}`);
-      this.dataChannels.delete(peerIP);
-      this.emit('data_channel_close', { peerIP });
+      console.log(`❌ [WebRTC] DataChannel closed for ${peerId}`);
+      if (this.dataChannels.get(peerId) !== channel) {
+        return; // Already torn down, or replaced by a channel on a newer connection
+      }
+      this.dataChannels.delete(peerId);
+      this.clearSendQueue(peerId, new Error('DataChannel closed'));
+      this.emit('data_channel_close', { peerId });
     };
 
     channel.onerror = (error) => {
-      console.error(`❌ [WebRTC] DataChannel error for ${peerIP}:`, error);
-      this.emit('data_channel_error', { peerIP, error });
+      console.error(`❌ [WebRTC] DataChannel error for ${peerId}:`, error);
+      this.emit('data_channel_error', { peerId, error });
     };
 
     channel.onbufferedamountlow = () => {
-      console.log(`📊 [WebRTC] DataChannel buffer low for ${peerIP}`);
+      const queue = this.sendQueues.get(peerId);
+      if (queue?.paused) {
+        console.log(`📊 [WebRTC] DataChannel buffer drained for ${peerId}, resuming send`);
+        queue.paused = false;
+        this.flushSendQueue(peerId);
+      }
     };
 
     channel.onmessage = (event) => {
+      // Binary frames carry file data, everything else is a JSON control message
+      if (typeof event.data !== 'string') {
+        this.emit('binary', {
+          peerId,
+          data: event.data
+        });
+        return;
+      }
+
       try {
         const data = JSON.parse(event.data);
-        console.log(`📥 [WebRTC DataChannel] Received message from ${peerIP}:`, data);
+        console.log(`📥 [WebRTC DataChannel] Received message from ${peerId}:`, data.type || 'message');
+        // The channel says who sent it; a peerId inside the message is the peer's own claim
         this.emit('message', {
-          peerIP,
-          ...data
+          ...data,
+          peerId
         });
       } catch (error) {
-        console.error(`❌ Error parsing DataChannel message from ${peerIP}:`, error);
+        console.error(`❌ Error parsing DataChannel message from ${peerId}:`, error);
       }
     };
   }
 
   /**
    * Create offer and send to peer via signaling
-   * @param {string} peerIP - IP address of the peer
+   * @param {string} peerId - Device ID of the peer
    * @param {Function} sendSignaling - Function to send signaling message
    * @returns {Promise<void>}
    */
-  async createOffer(peerIP, sendSignaling) {
-    console.log(`🎯 [WebRTC] Starting offer creation for ${peerIP}`);
+  async createOffer(peerId, sendSignaling) {
+    console.log(`🎯 [WebRTC] Starting offer creation for ${peerId}`);
     
     // Check if peer connection already exists and is in a valid state
-    const existingPC = this.peerConnections.get(peerIP);
+    const existingPC = this.peerConnections.get(peerId);
     if (existingPC) {
       const state = existingPC.connectionState;
       if (state === 'connected' || state === 'connecting') {
-        console.log(`⚠️ [WebRTC] Peer connection already exists for ${peerIP} in state: ${state}, skipping duplicate offer`);
+        console.log(`⚠️ [WebRTC] Peer connection already exists for ${peerId} in state: ${state}, skipping duplicate offer`);
         return; // Don't create duplicate offer
       } else if (state === 'closed' || state === 'failed' || state === 'disconnected') {
         // Clean up old connection before creating new one
-        console.log(`🧹 [WebRTC] Cleaning up old connection for ${peerIP} (state: ${state})`);
-        this.disconnect(peerIP);
+        console.log(`🧹 [WebRTC] Cleaning up old connection for ${peerId} (state: ${state})`);
+        this.teardownConnection(peerId);
       }
     }
     
-    const pc = this.createPeerConnection(peerIP);
-    const channel = this.createDataChannel(peerIP);
+    // Remember how to reach this peer so we can re-offer if the connection drops
+    this.offerSignaling.set(peerId, sendSignaling);
+    const pc = this.createPeerConnection(peerId);
+    const channel = this.createDataChannel(peerId);
 
     try {
-      console.log(`📝 [WebRTC] Creating SDP offer for ${peerIP}...`);
+      console.log(`📝 [WebRTC] Creating SDP offer for ${peerId}...`);
       const offer = await pc.createOffer();
       console.log(`   Offer type: ${offer.type}`);
       console.log(`   Offer SDP length: ${offer.sdp?.length || 0} bytes`);
       
-      console.log(`💾 [WebRTC] Setting local description (offer) for ${peerIP}...`);
+      console.log(`💾 [WebRTC] Setting local description (offer) for ${peerId}...`);
       await pc.setLocalDescription(offer);
       console.log(`   Local description set. Signaling state: ${pc.signalingState}`);
 
       // Send offer via signaling
-      console.log(`📤 [WebRTC] Sending offer to ${peerIP} via signaling...`);
+      console.log(`📤 [WebRTC] Sending offer to ${peerId} via signaling...`);
       sendSignaling({
         type: 'webrtc_offer',
-        targetIP: peerIP,
+        targetDeviceId: peerId,
         offer: offer
       });
 
-      console.log(`✅ [WebRTC] Offer created and sent for ${peerIP}`);
+      console.log(`✅ [WebRTC] Offer created and sent for ${peerId}`);
     } catch (error) {
-      console.error(`❌ [WebRTC] Error creating offer for ${peerIP}:`, error);
+      console.error(`❌ [WebRTC] Error creating offer for ${peerId}:`, error);
       throw error;
     }
   }
 
   /**
    * Handle incoming offer and create answer
-   * @param {string} peerIP - IP address of the peer
+   * @param {string} peerId - Device ID of the peer
    * @param {RTCSessionDescriptionInit} offer - WebRTC offer
    * @param {Function} sendSignaling - Function to send signaling message
    * @returns {Promise<void>}
    */
-  async handleOffer(peerIP, offer, sendSignaling) {
-    console.log(`📥 [WebRTC] Received offer from ${peerIP}`);
+  async handleOffer(peerId, offer, sendSignaling) {
+    console.log(`📥 [WebRTC] Received offer from ${peerId}`);
     console.log(`   Offer type: ${offer.type}`);
     console.log(`   Offer SDP length: ${offer.sdp?.length || 0} bytes`);
     
     // Check if peer connection already exists and is in a valid state
-    const existingPC = this.peerConnections.get(peerIP);
+    const existingPC = this.peerConnections.get(peerId);
     if (existingPC) {
       const state = existingPC.connectionState;
       const signalingState = existingPC.signalingState;
-      if (state === 'connected' || state === 'connecting') {
-        console.log(`⚠️ [WebRTC] Peer connection already exists for ${peerIP} in state: ${state}, ignoring duplicate offer`);
+      // Signaling can deliver the same offer twice (direct forward + polling)
+      const isDuplicate = existingPC.remoteDescription?.sdp === offer.sdp ||
+                          existingPC.pendingRemoteDescription?.sdp === offer.sdp;
+      if (isDuplicate) {
+        console.log(`⚠️ [WebRTC] Peer connection already exists for ${peerId} in state: ${state}, ignoring duplicate offer`);
         return; // Don't handle duplicate offer
       } else if (signalingState === 'have-remote-offer' || signalingState === 'have-local-offer') {
-        console.log(`⚠️ [WebRTC] Already processing offer/answer for ${peerIP} (signaling: ${signalingState}), ignoring duplicate offer`);
+        console.log(`⚠️ [WebRTC] Already processing offer/answer for ${peerId} (signaling: ${signalingState}), ignoring duplicate offer`);
         return; // Don't handle duplicate offer
-      } else if (state === 'closed' || state === 'failed' || state === 'disconnected') {
-        // Clean up old connection before creating new one
-        console.log(`🧹 [WebRTC] Cleaning up old connection for ${peerIP} (state: ${state})`);
-        this.disconnect(peerIP);
+      } else {
+        // A new offer means the peer is re-establishing the connection (e.g. after it dropped on their side)
+        console.log(`🧹 [WebRTC] Cleaning up old connection for ${peerId} (state: ${state})`);
+        this.teardownConnection(peerId);
       }
     }
     
-    const pc = this.createPeerConnection(peerIP);
+    const pc = this.createPeerConnection(peerId);
 
     try {
-      console.log(`💾 [WebRTC] Setting remote description (offer) for ${peerIP}...`);
+      console.log(`💾 [WebRTC] Setting remote description (offer) for ${peerId}...`);
       await pc.setRemoteDescription(new RTCSessionDescription(offer));
       console.log(`   Remote description set. Signaling state: ${pc.signalingState}`);
       
-      console.log(`📝 [WebRTC] Creating SDP answer for ${peerIP}...`);
+      console.log(`📝 [WebRTC] Creating SDP answer for ${peerId}...`);
       const answer = await pc.createAnswer();
       console.log(`   Answer type: ${answer.type}`);
       console.log(`   Answer SDP length: ${answer.sdp?.length || 0} bytes`);
       
-      console.log(`💾 [WebRTC] Setting local description (answer) for ${peerIP}...`);
+      console.log(`💾 [WebRTC] Setting local description (answer) for ${peerId}...`);
       await pc.setLocalDescription(answer);
       console.log(`   Local description set. Signaling state: ${pc.signalingState}`);
 
       // Send answer via signaling
-      console.log(`📤 [WebRTC] Sending answer to ${peerIP} via signaling...`);
+      console.log(`📤 [WebRTC] Sending answer to ${peerId} via signaling...`);
       sendSignaling({
         type: 'webrtc_answer',
-        targetIP: peerIP,
+        targetDeviceId: peerId,
         answer: answer
       });
 
-      console.log(`✅ [WebRTC] Answer created and sent for ${peerIP}`);
+      console.log(`✅ [WebRTC] Answer created and sent for ${peerId}`);
     } catch (error) {
-      console.error(`❌ [WebRTC] Error handling offer for ${peerIP}:`, error);
+      console.error(`❌ [WebRTC] Error handling offer for ${peerId}:`, error);
       throw error;
     }
   }
 
   /**
    * Handle incoming answer
-   * @param {string} peerIP - IP address of the peer
+   * @param {string} peerId - Device ID of the peer
    * @param {RTCSessionDescriptionInit} answer - WebRTC answer
    * @returns {Promise<void>}
    */
-  async handleAnswer(peerIP, answer) {
-    console.log(`📥 [WebRTC] Received answer from ${peerIP}`);
+  async handleAnswer(peerId, answer) {
+    console.log(`📥 [WebRTC] Received answer from ${peerId}`);
     console.log(`   Answer type: ${answer.type}`);
     console.log(`   Answer SDP length: ${answer.sdp?.length || 0} bytes`);
     
-    const pc = this.peerConnections.get(peerIP);
+    const pc = this.peerConnections.get(peerId);
     if (!pc) {
-      console.error(`❌ [WebRTC] No peer connection for ${peerIP}`);
+      console.error(`❌ [WebRTC] No peer connection for ${peerId}`);
       return;
     }
 
     try {
-      console.log(`💾 [WebRTC] Setting remote description (answer) for ${peerIP}...`);
+      console.log(`💾 [WebRTC] Setting remote description (answer) for ${peerId}...`);
       await pc.setRemoteDescription(new RTCSessionDescription(answer));
       console.log(`   Remote description set. Signaling state: ${pc.signalingState}`);
-      console.log(`✅ [WebRTC] Answer processed for ${peerIP}`);
+      console.log(`✅ [WebRTC] Answer processed for ${peerId}`);
     } catch (error) {
-      console.error(`❌ [WebRTC] Error handling answer for ${peerIP}:`, error);
+      console.error(`❌ [WebRTC] Error handling answer for ${peerId}:`, error);
       throw error;
     }
   }
 
   /**
    * Handle ICE candidate
-   * @param {string} peerIP - IP address of the peer
+   * @param {string} peerId - Device ID of the peer
    * @param {RTCIceCandidate} candidate - ICE candidate
    * @returns {Promise<void>}
    */
-  async handleIceCandidate(peerIP, candidate) {
-    console.log(`🧊 [WebRTC] Received ICE candidate from ${peerIP}`);
+  async handleIceCandidate(peerId, candidate) {
+    console.log(`🧊 [WebRTC] Received ICE candidate from ${peerId}`);
     console.log(`   Candidate: ${candidate.candidate}`);
     console.log(`   SDP MLINE Index: ${candidate.sdpMLineIndex}`);
     console.log(`   SDP Mid: ${candidate.sdpMid}`);
     
-    const pc = this.peerConnections.get(peerIP);
+    const pc = this.peerConnections.get(peerId);
     if (!pc) {
-      console.error(`❌ [WebRTC] No peer connection for ${peerIP}`);
+      console.error(`❌ [WebRTC] No peer connection for ${peerId}`);
       return;
     }
 
     try {
       await pc.addIceCandidate(new RTCIceCandidate(candidate));
-      console.log(`✅ [WebRTC] ICE candidate added for ${peerIP}`);
+      console.log(`✅ [WebRTC] ICE candidate added for ${peerId}`);
       console.log(`   ICE connection state: ${pc.iceConnectionState}`);
     } catch (error) {
-      console.error(`❌ [WebRTC] Error adding ICE candidate for ${peerIP}:`, error);
+      console.error(`❌ [WebRTC] Error adding ICE candidate for ${peerId}:`, error);
     }
   }
 
   /**
    * Send message via DataChannel
-   * @param {string} peerIP - IP address of the peer
+   * Goes through the same flow-controlled queue as sendData, so messages can't overflow the
+   * channel's buffer and stay in order with the data sent before them.
+   * @param {string} peerId - Device ID of the peer
    * @param {Object} message - Message to send
+   * @returns {boolean} True if the channel is open and the message was queued
    */
-  sendMessage(peerIP, message) {
-    const channel = this.dataChannels.get(peerIP);
+  sendMessage(peerId, message) {
+    const channel = this.dataChannels.get(peerId);
     if (!channel || channel.readyState !== 'open') {
-      console.error(`❌ DataChannel not open for ${peerIP}`);
+      console.error(`❌ DataChannel not open for ${peerId}`);
       return false;
     }
 
-    try {
-      console.log(`📤 [WebRTC DataChannel] Sending message to ${peerIP}:`, message.type || 'message');
-      channel.send(JSON.stringify(message));
-      return true;
-    } catch (error) {
-      console.error(`❌ Error sending message to ${peerIP}:`, error);
-      return false;
+    console.log(`📤 [WebRTC DataChannel] Sending message to ${peerId}:`, message.type || 'message');
+    this.sendData(peerId, JSON.stringify(message)).catch((error) => {
+      console.error(`❌ Error sending message to ${peerId}:`, error);
+    });
+    return true;
+  }
+
+  /**
+   * Send data via DataChannel with flow control
+   * Data is queued and handed to the channel only while its buffered amount is below
+   * the high-water mark, so large transfers cannot overflow the SCTP send buffer.
+   * @param {string} peerId - Device ID of the peer
+   * @param {ArrayBuffer|ArrayBufferView|string} data - Payload to send
+   * @returns {Promise<void>} Resolves once the data has been handed to the channel
+   */
+  sendData(peerId, data) {
+    const channel = this.dataChannels.get(peerId);
+    if (!channel || channel.readyState !== 'open') {
+      return Promise.reject(new Error(`DataChannel not open for ${peerId}`));
+    }
+
+    let queue = this.sendQueues.get(peerId);
+    if (!queue) {
+      queue = {
+        items: [],
+        paused: false,
+        bytesSent: 0,
+        startedAt: Date.now(),
+        lastStatsAt: 0,
+        lastStatsBytes: 0,
+        throughput: 0
+      };
+      this.sendQueues.set(peerId, queue);
+    }
+
+    return new Promise((resolve, reject) => {
+      queue.items.push({ data, resolve, reject });
+      this.flushSendQueue(peerId);
+    });
+  }
+
+  /**
+   * Hand queued data to the channel until it is empty or the buffer is full
+   * @param {string} peerId - Device ID of the peer
+   */
+  flushSendQueue(peerId) {
+    const queue = this.sendQueues.get(peerId);
+    const channel = this.dataChannels.get(peerId);
+    if (!queue || !channel) {
+      return;
     }
+
+    while (queue.items.length > 0 && !queue.paused) {
+      if (channel.bufferedAmount >= HIGH_WATER_MARK) {
+        // Wait for onbufferedamountlow before sending more
+        queue.paused = true;
+        break;
+      }
+
+      const item = queue.items.shift();
+      try {
+        channel.send(item.data);
+        queue.bytesSent += item.data.byteLength ?? item.data.length;
+        item.resolve();
+      } catch (error) {
+        console.error(`❌ Error sending data to ${peerId}:`, error);
+        item.reject(error);
+      }
+    }
+
+    this.updateSendStats(peerId, queue, channel);
   }
 
   /**
-   * Close connection to peer
-   * @param {string} peerIP - IP address of the peer
+   * Recompute throughput and emit send_stats, throttled to STATS_INTERVAL
+   * @param {string} peerId - Device ID of the peer
+   * @param {Object} queue - Send queue for the peer
+   * @param {RTCDataChannel} channel - Data channel
    */
-  closeConnection(peerIP) {
-    const pc = this.peerConnections.get(peerIP);
+  updateSendStats(peerId, queue, channel) {
+    const now = Date.now();
+    const elapsed = now - queue.lastStatsAt;
+    if (elapsed < STATS_INTERVAL) {
+      return;
+    }
+
+    if (queue.lastStatsAt > 0) {
+      // Bytes that have actually left the buffer since the last sample
+      const sentBytes = queue.bytesSent - channel.bufferedAmount;
+      queue.throughput = Math.max(0, (sentBytes - queue.lastStatsBytes) / (elapsed / 1000));
+      queue.lastStatsBytes = sentBytes;
+    }
+    queue.lastStatsAt = now;
+
+    this.emit('send_stats', { peerId, ...this.getSendStats(peerId) });
+  }
+
+  /**
+   * Get flow control statistics for a peer
+   * @param {string} peerId - Device ID of the peer
+   * @returns {{bytesSent: number, bufferedAmount: number, queued: number, paused: boolean, throughput: number}|null}
+   */
+  getSendStats(peerId) {
+    const queue = this.sendQueues.get(peerId);
+    if (!queue) {
+      return null;
+    }
+
+    const channel = this.dataChannels.get(peerId);
+    return {
+      bytesSent: queue.bytesSent,
+      bufferedAmount: channel?.bufferedAmount ?? 0,
+      queued: queue.items.length,
+      paused: queue.paused,
+      throughput: queue.throughput // bytes per second
+    };
+  }
+
+  /**
+   * Reject and drop everything queued for a peer
+   * @param {string} peerId - Device ID of the peer
+   * @param {Error} error - Reason passed to pending senders
+   */
+  clearSendQueue(peerId, error) {
+    const queue = this.sendQueues.get(peerId);
+    if (!queue) {
+      return;
+    }
+
+    queue.items.forEach(item => item.reject(error));
+    this.sendQueues.delete(peerId);
+  }
+
+  /**
+   * Tear down a dropped connection and, if we initiated it, schedule a new offer
+   * @param {string} peerId - Device ID of the peer
+   */
+  handleConnectionLoss(peerId) {
+    this.clearReconnectTimer(peerId);
+    this.teardownConnection(peerId);
+
+    const sendSignaling = this.offerSignaling.get(peerId);
+    if (!sendSignaling) {
+      console.log(`⏳ [WebRTC] Connection to ${peerId} lost, waiting for the peer to reconnect`);
+      return;
+    }
+
+    const attempt = (this.reconnectAttempts.get(peerId) || 0) + 1;
+    if (attempt > MAX_RECONNECT_ATTEMPTS) {
+      console.error(`❌ [WebRTC] Giving up reconnecting to ${peerId} after ${MAX_RECONNECT_ATTEMPTS} attempts`);
+      this.reconnectAttempts.delete(peerId);
+      this.emit('reconnect_failed', { peerId });
+      return;
+    }
+
+    this.reconnectAttempts.set(peerId, attempt);
+    console.log(`🔁 [WebRTC] Reconnecting to ${peerId} (${attempt}/${MAX_RECONNECT_ATTEMPTS})...`);
+    this.emit('reconnecting', { peerId, attempt });
+    this.reconnectTimers.set(peerId, setTimeout(() => {
+      this.reconnectTimers.delete(peerId);
+      this.createOffer(peerId, sendSignaling).catch(() => this.handleConnectionLoss(peerId));
+    }, RECONNECT_BASE_DELAY * attempt));
+  }
+
+  /**
+   * Cancel a pending reconnect or grace-period timer
+   * @param {string} peerId - Device ID of the peer
+   */
+  clearReconnectTimer(peerId) {
+    const timer = this.reconnectTimers.get(peerId);
+    if (timer) {
+      clearTimeout(timer);
+      this.reconnectTimers.delete(peerId);
+    }
+  }
+
+  /**
+   * Close the peer connection and DataChannel without touching reconnect state
+   * @param {string} peerId - Device ID of the peer
+   */
+  teardownConnection(peerId) {
+    const pc = this.peerConnections.get(peerId);
     if (pc) {
       pc.close();
-      this.peerConnections.delete(peerIP);
+      this.peerConnections.delete(peerId);
     }
 
-    const channel = this.dataChannels.get(peerIP);
+    const channel = this.dataChannels.get(peerId);
     if (channel) {
+      this.dataChannels.delete(peerId);
       channel.close();
-      this.dataChannels.delete(peerIP);
+      this.emit('data_channel_close', { peerId });
     }
+
+    this.clearSendQueue(peerId, new Error('Connection closed'));
+  }
+
+  /**
+   * Close connection to peer and stop any reconnection attempts
+   * @param {string} peerId - Device ID of the peer
+   */
+  closeConnection(peerId) {
+    this.clearReconnectTimer(peerId);
+    this.offerSignaling.delete(peerId);
+    this.reconnectAttempts.delete(peerId);
+    this.teardownConnection(peerId);
   }
 
   /**
    * Check if DataChannel is open for peer
-   * @param {string} peerIP - IP address of the peer
+   * @param {string} peerId - Device ID of the peer
    * @returns {boolean}
    */
-  isConnected(peerIP) {
-    const channel = this.dataChannels.get(peerIP);
+  isConnected(peerId) {
+    const channel = this.dataChannels.get(peerId);
     return channel && channel.readyState === 'open';
   }
 
@@ -1,9 +1,13 @@
 /**
  * WebSocket service for peer-to-peer communication
+ *
+ * Signaling is addressed by device ID (see devices.js): outgoing messages carry targetDeviceId
+ * plus the IP the device was last seen at, incoming ones fromDeviceId, fromIP and fromName,
+ * which keep the device directory up to date.
  */
 
-const WS_URL = 'ws://localhost:3001';
-const SERVER_URL = 'http://localhost:3001';
+import { deviceDirectory } from './devices';
+import { apiFetch, getWebSocketUrl } from './server';
 
 class WebSocketService {
   constructor() {
@@ -11,14 +15,6 @@ class WebSocketService {
     this.listeners = new Map();
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
-    this.clientIP = null;
-  }
-
-  /**
-   * Set client IP for registration
-   */
-  setClientIP(ip) {
-    this.clientIP = ip;
   }
 
   /**
@@ -30,26 +26,24 @@ class WebSocketService {
     }
 
     try {
-      this.ws = new WebSocket(WS_URL);
+      this.ws = new WebSocket(getWebSocketUrl());
+      this.ws.binaryType = 'arraybuffer'; // Relayed frames, see relay.js
 
       this.ws.onopen = () => {
         console.log('✅ WebSocket connected');
         this.reconnectAttempts = 0;
-        // Send our IP to the server for identification
-        if (this.clientIP) {
-          this.ws.send(JSON.stringify({
-            type: 'register',
-            clientIP: this.clientIP
-          }));
-        }
         this.emit('connected');
       };
 
       this.ws.onmessage = (event) => {
+        if (typeof event.data !== 'string') {
+          this.emit('binary', event.data);
+          return;
+        }
         try {
           const data = JSON.parse(event.data);
           console.log(`📥 [WebSocket Client] Received message:`, data.type, data);
-          this.emit(data.type, data);
+          this.handleSignaling(data);
         } catch (error) {
           console.error('❌ Error parsing WebSocket message:', error);
         }
@@ -84,108 +78,35 @@ class WebSocketService {
   }
 
   /**
-   * Send connection request to peer
-   */
-  sendConnectionRequest(targetIP, fromName) {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify({
-        type: 'connection_request',
-        targetIP,
-        fromName
-      }));
-    } else {
-      console.error('WebSocket not connected');
-    }
-  }
-
-  /**
-   * Accept connection request
-   */
-  acceptConnection(targetIP, fromName) {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify({
-        type: 'connection_accept',
-        targetIP,
-        fromName
-      }));
-    }
-  }
-
-  /**
-   * Reject connection request
-   */
-  rejectConnection(targetIP, fromName) {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify({
-        type: 'connection_reject',
-        targetIP,
-        fromName
-      }));
-    }
-  }
-
-  /**
-   * Send message to peer
+   * Record the sender of a signaling message, then hand it to listeners
+   * @param {Object} data - Parsed message
    */
-  sendMessage(targetIP, message, fromName) {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify({
-        type: 'message',
-        targetIP,
-        fromName,
-        message
-      }));
-    } else {
-      console.error('WebSocket not connected');
+  handleSignaling(data) {
+    if (data.fromDeviceId) {
+      deviceDirectory.update({ id: data.fromDeviceId, name: data.fromName, ip: data.fromIP });
     }
+    this.emit(data.type, data);
   }
 
   /**
-   * Send file offer to peer
+   * Send connection request to peer
    */
-  sendFileOffer(targetIP, file, fromName) {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      const fileId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-      this.ws.send(JSON.stringify({
-        type: 'file_offer',
-        targetIP,
-        fromName,
-        fileName: file.name,
-        fileSize: file.size,
-        fileType: file.type,
-        fileId
-      }));
-      return fileId;
-    } else {
-      console.error('WebSocket not connected');
-      return null;
-    }
+  sendConnectionRequest(targetDeviceId, fromName) {
+    this.sendSignaling({ type: 'connection_request', targetDeviceId, fromName });
   }
 
   /**
-   * Accept file offer
+   * Accept connection request
    */
-  acceptFile(targetIP, fileId) {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify({
-        type: 'file_accept',
-        targetIP,
-        fileId
-      }));
-    }
+  acceptConnection(targetDeviceId, fromName) {
+    this.sendSignaling({ type: 'connection_accept', targetDeviceId, fromName });
   }
 
   /**
-   * Reject file offer
+   * Reject connection request
    */
-  rejectFile(targetIP, fileId) {
-    if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify({
-        type: 'file_reject',
-        targetIP,
-        fileId
-      }));
-    }
+  rejectConnection(targetDeviceId, fromName) {
+    this.sendSignaling({ type: 'connection_reject', targetDeviceId, fromName });
   }
 
   /**
@@ -238,16 +159,18 @@ class WebSocketService {
   }
 
   /**
-   * Send WebRTC signaling message (offer, answer, ICE candidate)
-   * @param {Object} signalingMessage - Signaling message to send
+   * Send signaling message (connection request/response, offer, answer, ICE candidate)
+   * Adds the IP the target device was last seen at, which our server forwards to.
+   * @param {Object} signalingMessage - Signaling message to send, with targetDeviceId
    */
   sendSignaling(signalingMessage) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+      const targetIP = deviceDirectory.getAddress(signalingMessage.targetDeviceId);
       console.log(`📤 [WebSocket Client] Sending signaling:`, signalingMessage.type, {
-        targetIP: signalingMessage.targetIP,
-        fromIP: signalingMessage.fromIP
+        targetDeviceId: signalingMessage.targetDeviceId,
+        targetIP
       });
-      this.ws.send(JSON.stringify(signalingMessage));
+      this.ws.send(JSON.stringify({ ...signalingMessage, targetIP }));
     } else {
       console.error('❌ WebSocket not connected for signaling');
     }
@@ -255,36 +178,28 @@ class WebSocketService {
 
   /**
    * Poll for pending signaling messages from a peer's server
-   * Used when direct forwarding fails due to one-way network connectivity
-   * @param {string} peerIP - IP address of the peer whose server to poll
-   * @returns {Promise<Array>} Array of pending signaling messages
+   * Used when direct forwarding fails due to one-way network connectivity. Our server collects them
+   * with a signed poll and checks each message's signature like a forwarded one; the valid ones
+   * arrive over the WebSocket as usual.
+   * @param {string} peerId - Device ID of the peer whose server to poll
+   * @returns {Promise<number>} Number of messages delivered
    */
-  async pollSignaling(peerIP) {
+  async pollSignaling(peerId) {
+    const peerIP = deviceDirectory.getAddress(peerId);
+    if (!peerIP) {
+      return 0;
+    }
+
     try {
-      // Poll the remote peer's server (not localhost)
-      const remoteServerURL = `http://${peerIP}:3001`;
-      const response = await fetch(`${remoteServerURL}/api/poll-signaling?ip=${encodeURIComponent(this.clientIP || 'unknown')}`, {
-        headers: {
-          'X-Peer-IP': this.clientIP || 'unknown'
-        }
-      });
-      
-      if (response.ok) {
-        const data = await response.json();
-        if (data.success && data.messages && data.messages.length > 0) {
-          console.log(`📥 [WebSocket Client] Polled ${data.messages.length} signaling message(s) from ${peerIP}`);
-          // Emit each message as if it was received via WebSocket
-          data.messages.forEach(message => {
-            console.log(`   Processing: ${message.type} from ${message.fromIP}`);
-            this.emit(message.type, message);
-          });
-          return data.messages;
-        }
+      const response = await apiFetch(`/signaling/poll/${peerId}?ip=${encodeURIComponent(peerIP)}`, { method: 'POST' });
+      const data = await response.json();
+      if (data.success && data.delivered > 0) {
+        console.log(`📥 [WebSocket Client] Polled ${data.delivered} signaling message(s) from ${peerIP}`);
       }
-      return [];
-    } catch (error) {
+      return data.success ? data.delivered : 0;
+    } catch {
       // Silently fail - this is expected if the peer's server is unreachable
-      return [];
+      return 0;
     }
   }
 }
@@ -0,0 +1,154 @@
+/**
+ * Helpers for turning user file selections into manifest entries
+ * Each entry is { file: File, path: string } where path is relative and uses '/' separators.
+ * Entries picked through the File System Access API also carry handle (a FileSystemFileHandle),
+ * which can be stored and used to read the file again later, e.g. to re-send it.
+ */
+
+/**
+ * Build entries from an <input type="file"> selection
+ * Folder inputs (webkitdirectory) report the relative path in webkitRelativePath.
+ * @param {FileList} fileList - Selected files
+ * @returns {Array<{file: File, path: string}>} Entries
+ */
+export function entriesFromFileList(fileList) {
+  return Array.from(fileList, file => ({
+    file,
+    path: file.webkitRelativePath || file.name
+  }));
+}
+
+/**
+ * Read every entry of a directory reader (readEntries returns results in batches)
+ * @param {FileSystemDirectoryReader} reader - Directory reader
+ * @returns {Promise<FileSystemEntry[]>} All entries in the directory
+ */
+async function readAllEntries(reader) {
+  const entries = [];
+  for (;;) {
+    const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+    if (batch.length === 0) {
+      return entries;
+    }
+    entries.push(...batch);
+  }
+}
+
+/**
+ * Recursively collect files below a FileSystemEntry
+ * @param {FileSystemEntry} entry - File or directory entry
+ * @param {string} parentPath - Path of the parent directory ('' at the top level)
+ * @returns {Promise<Array<{file: File, path: string}>>} Entries
+ */
+async function collectEntry(entry, parentPath) {
+  const path = parentPath ? `${parentPath}/${entry.name}` : entry.name;
+
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    return [{ file, path }];
+  }
+
+  if (entry.isDirectory) {
+    const children = await readAllEntries(entry.createReader());
+    const nested = await Promise.all(children.map(child => collectEntry(child, path)));
+    return nested.flat();
+  }
+
+  return [];
+}
+
+/**
+ * Build entries from a drag-and-drop DataTransfer, descending into dropped folders
+ * @param {DataTransfer} dataTransfer - Drop event data
+ * @returns {Promise<Array<{file: File, path: string}>>} Entries
+ */
+export async function entriesFromDataTransfer(dataTransfer) {
+  // Entries must be taken synchronously, the DataTransfer is emptied after the event handler returns
+  const entries = Array.from(dataTransfer.items || [])
+    .filter(item => item.kind === 'file')
+    .map(item => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  if (entries.length === 0) {
+    return entriesFromFileList(dataTransfer.files);
+  }
+
+  const nested = await Promise.all(entries.map(entry => collectEntry(entry, '')));
+  return nested.flat();
+}
+
+/**
+ * Check whether files can be picked as handles (File System Access API, Chromium-based browsers)
+ * @returns {boolean}
+ */
+export function canPickFileHandles() {
+  return typeof window.showOpenFilePicker === 'function' && typeof window.showDirectoryPicker === 'function';
+}
+
+/**
+ * Let the user pick files, keeping their handles
+ * @returns {Promise<Array<{file: File, path: string, handle: FileSystemFileHandle}>>} Entries
+ */
+export async function pickFileEntries() {
+  const handles = await window.showOpenFilePicker({ multiple: true });
+  return Promise.all(handles.map(async handle => ({ file: await handle.getFile(), path: handle.name, handle })));
+}
+
+/**
+ * Recursively collect files below a directory handle
+ * @param {FileSystemDirectoryHandle} directory - Directory to walk
+ * @param {string} path - Path of the directory
+ * @returns {Promise<Array<{file: File, path: string, handle: FileSystemFileHandle}>>} Entries
+ */
+async function collectDirectoryHandle(directory, path) {
+  const entries = [];
+  for await (const handle of directory.values()) {
+    const childPath = `${path}/${handle.name}`;
+    if (handle.kind === 'file') {
+      entries.push({ file: await handle.getFile(), path: childPath, handle });
+    } else {
+      entries.push(...await collectDirectoryHandle(handle, childPath));
+    }
+  }
+  return entries;
+}
+
+/**
+ * Let the user pick a folder, keeping the handles of the files in it
+ * @returns {Promise<Array<{file: File, path: string, handle: FileSystemFileHandle}>>} Entries
+ */
+export async function pickFolderEntries() {
+  const directory = await window.showDirectoryPicker();
+  return collectDirectoryHandle(directory, directory.name);
+}
+
+/**
+ * Read files again from stored handles
+ * Asks for read permission if the browser dropped it (e.g. after a reload), which needs a user gesture.
+ * @param {Array<{path: string, handle: FileSystemFileHandle}>} sources - Stored paths and handles
+ * @returns {Promise<Array<{file: File, path: string, handle: FileSystemFileHandle}>>} Entries
+ * @throws {Error} If permission is denied or a file no longer exists
+ */
+export async function entriesFromHandles(sources) {
+  return Promise.all(sources.map(async ({ path, handle }) => {
+    if ((await handle.queryPermission({ mode: 'read' })) !== 'granted' &&
+        (await handle.requestPermission({ mode: 'read' })) !== 'granted') {
+      throw new Error(`Permission to read ${path} was denied`);
+    }
+    return { file: await handle.getFile(), path, handle };
+  }));
+}
+
+/**
+ * Make a relative path from a remote manifest safe to write locally
+ * Drops empty, '.' and '..' segments and normalizes separators so a path cannot escape the target folder.
+ * @param {string} path - Path from a manifest
+ * @returns {string} Sanitized relative path ('' if nothing usable is left)
+ */
+export function sanitizeRelativePath(path) {
+  return String(path)
+    .split(/[\\/]+/)
+    .filter(segment => segment && segment !== '.' && segment !== '..')
+    .map(segment => segment.replace(/[<>:"|?*]/g, '_'))
+    .join('/');
+}
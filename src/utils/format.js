@@ -0,0 +1,45 @@
+/**
+ * Formatting helpers shared by UI components
+ */
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Byte count
+ * @returns {string} Human readable size (e.g. "4.2 MB")
+ */
+export function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  const value = bytes / Math.pow(1024, exponent);
+  return `${value.toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
+
+/**
+ * Format a duration for display
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Human readable duration (e.g. "2m 05s")
+ */
+export function formatDuration(seconds) {
+  if (!Number.isFinite(seconds) || seconds < 0) return '–';
+  const total = Math.round(seconds);
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  if (minutes > 0) return `${minutes}m ${secs}s`;
+  return `${total}s`;
+}
+
+/**
+ * Format how long ago something happened
+ * @param {number} timestamp - Time in milliseconds since the epoch
+ * @param {number} now - Current time (default: Date.now())
+ * @returns {string} e.g. "just now", "25s ago", "3m ago"
+ */
+export function formatAge(timestamp, now = Date.now()) {
+  if (!Number.isFinite(timestamp)) return '–';
+  const seconds = Math.max(0, Math.round((now - timestamp) / 1000));
+  if (seconds < 5) return 'just now';
+  return `${formatDuration(seconds).split(' ')[0]} ago`;
+}
@@ -0,0 +1,95 @@
+/**
+ * Helpers for handing received files to the user
+ */
+
+import { createZip } from './zip';
+
+/**
+ * Download a blob through a temporary object URL
+ * @param {Blob} blob - Data to save
+ * @param {string} name - Suggested file name
+ */
+export function downloadBlob(blob, name) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  // Give the browser a moment to start the download before releasing the blob URL
+  setTimeout(() => URL.revokeObjectURL(url), 10000);
+}
+
+/**
+ * Get (creating if needed) a file handle at a relative path below a directory
+ * @param {FileSystemDirectoryHandle} root - Directory chosen by the user
+ * @param {string} path - Relative file path with '/' separators
+ * @returns {Promise<FileSystemFileHandle>} Handle for the file
+ */
+export async function getFileHandleAt(root, path) {
+  const segments = path.split('/');
+  const fileName = segments.pop();
+  let directory = root;
+  for (const segment of segments) {
+    directory = await directory.getDirectoryHandle(segment, { create: true });
+  }
+  return directory.getFileHandle(fileName, { create: true });
+}
+
+/**
+ * Delete a file at a relative path below a directory, if it exists
+ * @param {FileSystemDirectoryHandle} root - Directory chosen by the user
+ * @param {string} path - Relative file path with '/' separators
+ * @returns {Promise<void>}
+ */
+export async function removeFileAt(root, path) {
+  const segments = path.split('/');
+  const fileName = segments.pop();
+  try {
+    let directory = root;
+    for (const segment of segments) {
+      directory = await directory.getDirectoryHandle(segment);
+    }
+    await directory.removeEntry(fileName);
+  } catch (error) {
+    if (error.name !== 'NotFoundError') {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Write files into a folder the user picks, recreating their relative paths
+ * @param {Array<{path: string, blob: Blob}>} files - Files to write
+ * @returns {Promise<void>}
+ */
+async function saveToDirectory(files) {
+  const root = await window.showDirectoryPicker({ mode: 'readwrite' });
+  for (const file of files) {
+    const handle = await getFileHandleAt(root, file.path);
+    const writable = await handle.createWritable();
+    await writable.write(file.blob);
+    await writable.close();
+  }
+}
+
+/**
+ * Save received files, keeping folder structure
+ * A single top-level file is downloaded directly. Bundles are written into a folder the user
+ * picks where the File System Access API is available, and downloaded as a ZIP otherwise.
+ * @param {Array<{path: string, blob: Blob}>} files - Files to save
+ * @param {string} bundleName - Name used for the ZIP fallback
+ * @returns {Promise<void>}
+ */
+export async function saveFiles(files, bundleName) {
+  if (files.length === 1 && !files[0].path.includes('/')) {
+    downloadBlob(files[0].blob, files[0].path);
+    return;
+  }
+
+  if (window.showDirectoryPicker) {
+    await saveToDirectory(files);
+    return;
+  }
+
+  downloadBlob(await createZip(files), `${bundleName}.zip`);
+}
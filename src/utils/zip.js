@@ -0,0 +1,236 @@
+/**
+ * Minimal ZIP writer (stored, no compression)
+ * Used to hand a received folder to the user as one download when the browser cannot write
+ * directories directly. Entries are limited to 4 GiB each and 4 GiB in total (no ZIP64).
+ *
+ * createZip builds an archive from blobs that are already complete. ZipStream writes an archive
+ * incrementally as file contents arrive, using data descriptors so CRCs can be computed on the fly.
+ */
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const READ_SIZE = 4 * 1024 * 1024; // Read blobs in 4 MiB slices while computing CRCs
+
+const FLAG_UTF8 = 0x0800; // File names are UTF-8
+const FLAG_DATA_DESCRIPTOR = 0x0008; // CRC and sizes follow the data
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Feed bytes into a running CRC-32
+ * @param {number} crc - Running CRC (start with 0xffffffff)
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} Updated running CRC
+ */
+function crc32Update(crc, bytes) {
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return crc;
+}
+
+/**
+ * Finish a running CRC-32
+ * @param {number} crc - Running CRC
+ * @returns {number} Final CRC-32
+ */
+function crc32Final(crc) {
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Compute the CRC-32 of a blob
+ * @param {Blob} blob - Data
+ * @returns {Promise<number>} CRC-32
+ */
+async function crc32(blob) {
+  let crc = 0xffffffff;
+  for (let offset = 0; offset < blob.size; offset += READ_SIZE) {
+    crc = crc32Update(crc, new Uint8Array(await blob.slice(offset, offset + READ_SIZE).arrayBuffer()));
+  }
+  return crc32Final(crc);
+}
+
+/**
+ * Build a local file header
+ * @param {Uint8Array} name - UTF-8 file name
+ * @param {number} flags - General purpose flags
+ * @param {number} crc - CRC-32 (0 when a data descriptor follows)
+ * @param {number} size - File size (0 when a data descriptor follows)
+ * @returns {Uint8Array} Header including the name
+ */
+function localHeader(name, flags, crc, size) {
+  const header = new Uint8Array(30 + name.length);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, 0x04034b50, true); // Local file header signature
+  view.setUint16(4, 20, true); // Version needed to extract
+  view.setUint16(6, flags, true);
+  view.setUint16(8, 0, true); // Method: stored
+  view.setUint32(14, crc, true);
+  view.setUint32(18, size, true); // Compressed size
+  view.setUint32(22, size, true); // Uncompressed size
+  view.setUint16(26, name.length, true);
+  header.set(name, 30);
+  return header;
+}
+
+/**
+ * Build a central directory header
+ * @param {Uint8Array} name - UTF-8 file name
+ * @param {number} flags - General purpose flags
+ * @param {number} crc - CRC-32
+ * @param {number} size - File size
+ * @param {number} offset - Offset of the entry's local header
+ * @returns {Uint8Array} Header including the name
+ */
+function centralHeader(name, flags, crc, size, offset) {
+  const header = new Uint8Array(46 + name.length);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, 0x02014b50, true); // Central directory header signature
+  view.setUint16(4, 20, true); // Version made by
+  view.setUint16(6, 20, true); // Version needed to extract
+  view.setUint16(8, flags, true);
+  view.setUint16(10, 0, true); // Method: stored
+  view.setUint32(16, crc, true);
+  view.setUint32(20, size, true);
+  view.setUint32(24, size, true);
+  view.setUint16(28, name.length, true);
+  view.setUint32(42, offset, true);
+  header.set(name, 46);
+  return header;
+}
+
+/**
+ * Build the end of central directory record
+ * @param {number} count - Number of entries
+ * @param {number} size - Size of the central directory
+ * @param {number} offset - Offset of the central directory
+ * @returns {Uint8Array} Record
+ */
+function endRecord(count, size, offset) {
+  const record = new Uint8Array(22);
+  const view = new DataView(record.buffer);
+  view.setUint32(0, 0x06054b50, true); // End of central directory signature
+  view.setUint16(8, count, true); // Entries on this disk
+  view.setUint16(10, count, true); // Total entries
+  view.setUint32(12, size, true);
+  view.setUint32(16, offset, true);
+  return record;
+}
+
+/**
+ * Build a ZIP archive
+ * @param {Array<{path: string, blob: Blob}>} entries - Files to add, paths relative with '/' separators
+ * @returns {Promise<Blob>} ZIP archive
+ */
+export async function createZip(entries) {
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = textEncoder.encode(entry.path);
+    const crc = await crc32(entry.blob);
+    const size = entry.blob.size;
+    const header = localHeader(name, FLAG_UTF8, crc, size);
+
+    parts.push(header, entry.blob);
+    centralDirectory.push(centralHeader(name, FLAG_UTF8, crc, size, offset));
+    offset += header.length + size;
+  }
+
+  const centralSize = centralDirectory.reduce((sum, part) => sum + part.length, 0);
+  return new Blob([...parts, ...centralDirectory, endRecord(entries.length, centralSize, offset)], {
+    type: 'application/zip'
+  });
+}
+
+/**
+ * Incremental ZIP writer
+ * Call startEntry, then write the entry's bytes in order, then endEntry; repeat, then finish.
+ * Output is handed to the write callback as it is produced.
+ */
+export class ZipStream {
+  /**
+   * @param {(bytes: Uint8Array) => Promise<void>} write - Receives archive bytes in order
+   */
+  constructor(write) {
+    this.write = write;
+    this.offset = 0;
+    this.centralDirectory = [];
+    this.current = null;
+  }
+
+  /**
+   * Emit archive bytes and track the offset
+   * @param {Uint8Array} bytes - Archive bytes
+   * @returns {Promise<void>}
+   */
+  async emit(bytes) {
+    this.offset += bytes.length;
+    await this.write(bytes);
+  }
+
+  /**
+   * Begin a new entry
+   * @param {string} path - Relative path with '/' separators
+   * @returns {Promise<void>}
+   */
+  async startEntry(path) {
+    const name = textEncoder.encode(path);
+    this.current = { name, offset: this.offset, crc: 0xffffffff, size: 0 };
+    await this.emit(localHeader(name, FLAG_UTF8 | FLAG_DATA_DESCRIPTOR, 0, 0));
+  }
+
+  /**
+   * Append bytes to the current entry
+   * @param {Uint8Array} bytes - File data
+   * @returns {Promise<void>}
+   */
+  async writeData(bytes) {
+    this.current.crc = crc32Update(this.current.crc, bytes);
+    this.current.size += bytes.length;
+    await this.emit(bytes);
+  }
+
+  /**
+   * Finish the current entry with its data descriptor
+   * @returns {Promise<void>}
+   */
+  async endEntry() {
+    const { name, offset, size } = this.current;
+    const crc = crc32Final(this.current.crc);
+    const descriptor = new Uint8Array(16);
+    const view = new DataView(descriptor.buffer);
+    view.setUint32(0, 0x08074b50, true); // Data descriptor signature
+    view.setUint32(4, crc, true);
+    view.setUint32(8, size, true);
+    view.setUint32(12, size, true);
+    await this.emit(descriptor);
+
+    this.centralDirectory.push(centralHeader(name, FLAG_UTF8 | FLAG_DATA_DESCRIPTOR, crc, size, offset));
+    this.current = null;
+  }
+
+  /**
+   * Write the central directory; the archive is complete afterwards
+   * @returns {Promise<void>}
+   */
+  async finish() {
+    const start = this.offset;
+    for (const header of this.centralDirectory) {
+      await this.emit(header);
+    }
+    await this.emit(endRecord(this.centralDirectory.length, this.offset - start, start));
+  }
+}
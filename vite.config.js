@@ -12,4 +12,7 @@ export default defineConfig({
     }),
     tailwindcss()
   ],
+  test: {
+    include: ['src/**/*.test.{js,jsx}'], // server/ has its own tests (npm --prefix server test)
+  },
 })